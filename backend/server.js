@@ -5,9 +5,34 @@ import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
-import { OllamaService } from './services/ollama.js';
+import { LlmService } from './services/llmService.js';
+import { loadLlmConfig } from './services/llmConfig.js';
+import { MAX_RETRIES, TIMEOUT_DEFAULTS } from './services/llmProviders.js';
 import { DocumentProcessor } from './services/documentProcessor.js';
 import { CreditAnalyzer } from './services/creditAnalyzer.js';
+import { DocumentStore } from './services/documentStore.js';
+import { SpreadsheetImporter } from './services/spreadsheetImporter.js';
+import { ElectronicStatementParser } from './services/electronicStatementParser.js';
+import { PageClassifier, SPLIT_DOCUMENT_TYPES } from './services/pageClassifier.js';
+import { PromptRegistry } from './services/promptRegistry.js';
+import { DOCUMENT_TYPES } from './services/documentTypes.js';
+import { buildParserProvenance, buildPartProvenance } from './services/provenance.js';
+import { ImagePreprocessor } from './services/imagePreprocessor.js';
+import { JobQueue } from './services/jobQueue.js';
+import { ProcessingEvents } from './services/processingEvents.js';
+import { createError, hasErrorCode } from './services/errors.js';
+import { AuthService } from './services/authService.js';
+import { AuditLog, sha256 } from './services/auditLog.js';
+import { RetentionService, secureDelete, secureDeleteDirectory } from './services/retentionService.js';
+import {
+  getEncryptionKey,
+  writeEncryptedStream,
+  readDecryptedFile,
+  encryptFileInPlace,
+  encryptSecret,
+  decryptSecret,
+  isEncryptedSecret
+} from './services/encryption.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,28 +40,40 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Browser origins allowed to call the API; other origins get no CORS headers
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS }));
 app.use(express.json());
+app.use(authenticateRequest);
 
 // Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
+const uploadsDir = process.env.UPLOADS_DIR || path.join(__dirname, 'uploads');
 try {
   await fs.access(uploadsDir);
 } catch {
   await fs.mkdir(uploadsDir, { recursive: true });
 }
 
-// Configure multer for file uploads with enhanced file type support
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
+// Configure multer for file uploads with enhanced file type support.
+// Uploads are encrypted as they stream in, so no plaintext copy is written.
+const storage = {
+  _handleFile(req, file, cb) {
+    const filename = `${uuidv4()}-${file.originalname}`;
+    const filePath = path.join(uploadsDir, filename);
+
+    writeEncryptedStream(file.stream, filePath)
+      .then(({ size, sha256 }) => cb(null, { destination: uploadsDir, filename, path: filePath, size, sha256 }))
+      .catch(error => fs.unlink(filePath).catch(() => {}).finally(() => cb(error)));
   },
-  filename: (req, file, cb) => {
-    const uniqueName = `${uuidv4()}-${file.originalname}`;
-    cb(null, uniqueName);
+  _removeFile(req, file, cb) {
+    fs.unlink(file.path).then(() => cb(null), cb);
   }
-});
+};
 
 const upload = multer({
   storage,
@@ -49,40 +86,209 @@ const upload = multer({
       'image/jpeg',
       'image/png',
       'image/jpg',
-      'application/msword',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
     ];
+    // Browsers report CSV as text/csv, text/plain or application/vnd.ms-excel, so spreadsheets go by extension
+    const spreadsheetExtensions = ['.csv', '.xlsx'];
+    const extension = path.extname(file.originalname).toLowerCase();
     
-    if (allowedTypes.includes(file.mimetype)) {
+    if (file.mimetype === 'application/msword' || extension === '.doc') {
+      cb(createError(
+        `${file.originalname} is a legacy Word (.doc) file, which is not supported. Please save it as .docx or PDF and upload it again.`,
+        'UNSUPPORTED_FILE_TYPE'
+      ));
+    } else if (extension === '.xls') {
+      cb(createError(
+        `${file.originalname} is a legacy Excel (.xls) file, which is not supported. Please save it as .xlsx or CSV and upload it again.`,
+        'UNSUPPORTED_FILE_TYPE'
+      ));
+    } else if (allowedTypes.includes(file.mimetype) || spreadsheetExtensions.includes(extension) || statementParser.supports(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, images, and Word documents are allowed.'));
+      cb(createError('Invalid file type. Only PDF, images, Word (.docx), CSV, Excel (.xlsx) and MT940, CAMT.053 or OFX statement files are allowed.', 'UNSUPPORTED_FILE_TYPE'));
     }
   }
 });
 
 // Initialize services
-const ollamaService = new OllamaService();
+// Model providers and the model used for each task (see README, Model Providers)
+const llmService = new LlmService(await loadLlmConfig());
 const documentProcessor = new DocumentProcessor();
 const creditAnalyzer = new CreditAnalyzer();
+const statementParser = new ElectronicStatementParser();
+const pageClassifier = new PageClassifier(llmService);
+const imagePreprocessor = new ImagePreprocessor();
+
+// Vision results below this confidence are retried on the enhanced image
+const LOW_CONFIDENCE_THRESHOLD = Number(process.env.LOW_CONFIDENCE_RETRY_THRESHOLD) || 0.5;
+
+// Scanned pages are extracted several times and reconciled by vote for documents queued
+// with `high_accuracy`, or for every document when this is set
+const HIGH_ACCURACY_BY_DEFAULT = process.env.HIGH_ACCURACY_EXTRACTION === 'true';
+
+// Wrong passwords allowed per locked PDF before it has to be uploaded again
+const MAX_PASSWORD_ATTEMPTS = Number(process.env.PDF_PASSWORD_MAX_ATTEMPTS) || 5;
+
+// Persistent storage for documents, extraction results and recommendations
+const store = new DocumentStore();
+await store.init();
+
+// Versioned prompt templates (backend/prompts); results record the versions they used
+const promptRegistry = new PromptRegistry(store);
+await promptRegistry.init();
+llmService.prompts = promptRegistry;
+
+// Hash-chained record of uploads, processing, model calls, edits and decisions
+const auditLog = new AuditLog();
+await auditLog.init();
+llmService.onModelCall = recordModelCall;
+// Load (or create) the at-rest encryption key before any file is touched
+await getEncryptionKey();
+await encryptLegacyData();
+const spreadsheetImporter = new SpreadsheetImporter(store);
+await recoverInterruptedDocuments();
+
+// User accounts, sessions and API keys; creates the first admin on an empty store
+const authService = new AuthService(store);
+await authService.init();
+
+// Retention policy, and a sweep for files left behind without a record before any job runs
+const retentionService = new RetentionService(store);
+await sweepOrphanedFiles();
+
+// Live processing updates for the SSE endpoint
+const processingEvents = new ProcessingEvents();
+
+// Background processing queue so uploads don't compete for the vision model
+// Jobs are audited as the system, whichever request happened to start the worker
+const jobQueue = new JobQueue(store, (job, context) => auditLog.runWithContext(
+  { actor: null, jobId: job.id, resource: { type: 'document', id: job.documentId } },
+  () => processDocumentAsync(job, context)
+));
+registerJobEvents();
+registerAuditEvents();
+await jobQueue.init();
+// Documents waiting for a model server that was down are picked up again once it responds
+llmService.onProviderRecovered = () => jobQueue.resumeWaiting()
+  .catch(error => console.error('Failed to resume documents waiting for the model:', error));
+retentionService.start(purgeExpired);
+
+// Authentication
+
+// Reachable without signing in
+const PUBLIC_ROUTES = ['GET /health', 'POST /auth/login'];
+
+// EventSource, <img> and links cannot send headers, so these GET routes also accept ?access_token=
+const QUERY_TOKEN_ROUTES = [/^\/events$/, /^\/documents\/[^/]+\/review-images\/[^/]+$/, /^\/documents\/[^/]+\/file$/];
+
+function getRequestToken(req) {
+  const authorization = req.get('authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  if (req.get('x-api-key')) {
+    return req.get('x-api-key').trim();
+  }
+
+  if (req.method === 'GET' && typeof req.query.access_token === 'string'
+    && QUERY_TOKEN_ROUTES.some(pattern => pattern.test(req.path))) {
+    return req.query.access_token;
+  }
+
+  return null;
+}
+
+// Resolves the session token or API key to `req.user`
+async function authenticateRequest(req, res, next) {
+  if (PUBLIC_ROUTES.includes(`${req.method} ${req.path}`)) {
+    return next();
+  }
+
+  try {
+    const user = await authService.authenticate(getRequestToken(req));
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = user;
+    auditLog.runWithContext({ actor: user }, next);
+  } catch (error) {
+    next(error);
+  }
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!authService.hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: `Your role (${req.user.role}) does not allow this action` });
+    }
+    next();
+  };
+}
+
+// A document is visible to its owner's team and to anyone who can see its application.
+// Records the user cannot see are reported as not found.
+function canAccessDocument(user, docInfo) {
+  if (!docInfo) {
+    return false;
+  }
+  if (authService.canAccess(user, docInfo)) {
+    return true;
+  }
+  return authService.canAccess(user, docInfo.applicationId ? store.getApplication(docInfo.applicationId) : null);
+}
+
+function getAccessibleDocument(req, documentId = req.params.id) {
+  const docInfo = store.getDocument(documentId);
+  return canAccessDocument(req.user, docInfo) ? docInfo : null;
+}
+
+function getAccessibleApplication(req, applicationId = req.params.id) {
+  const application = store.getApplication(applicationId);
+  return authService.canAccess(req.user, application) ? application : null;
+}
+
+function canAccessRecommendation(user, record) {
+  if (authService.canAccess(user, record)) {
+    return true;
+  }
+  return authService.canAccess(user, record.applicationId ? store.getApplication(record.applicationId) : null);
+}
+
+// Uploaders can follow processing but not read the extracted figures
+function withoutExtraction(user, response) {
+  if (authService.hasPermission(user, 'extractions:read')) {
+    return response;
+  }
 
-// In-memory storage for document processing status
-const documentStatus = new Map();
-const extractedData = new Map();
+  const { extracted_data, extractedData, ...rest } = response;
+  return rest;
+}
 
 // Routes
 
 // Health check
 app.get('/health', async (req, res) => {
   try {
-    const ollamaHealth = await ollamaService.checkHealth();
-    await ollamaService.ensureModelsExist();
-    
-    res.json({ 
-      status: 'OK', 
+    const { providers, models } = await llmService.checkHealth();
+    const unreachable = providers.filter(provider => provider.status !== 'connected'
+      && models.some(item => item.provider === provider.name));
+    const missing = models.filter(item => !item.available
+      && !unreachable.some(provider => provider.name === item.provider));
+
+    const problems = [
+      ...unreachable.map(provider => `${provider.name} is not reachable: ${provider.error}`),
+      ...missing.map(item => `Model ${item.model} for ${item.task} is not available on ${item.provider}`
+        + (providers.find(provider => provider.name === item.provider).type === 'ollama' ? ` (run: ollama pull ${item.model})` : ''))
+    ];
+
+    res.status(problems.length > 0 ? 500 : 200).json({
+      status: problems.length > 0 ? 'Error' : 'OK',
       timestamp: new Date().toISOString(),
-      ollama: ollamaHealth ? 'Connected' : 'Disconnected',
-      models: 'qwen2.5vl:7b, deepseek-r1:8b'
+      providers,
+      models,
+      ...(problems.length > 0 ? { error: problems.join('; ') } : {})
     });
   } catch (error) {
     res.status(500).json({ 
@@ -93,34 +299,234 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Sign in and receive a session token for the Authorization header
+app.post('/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    let session;
+    try {
+      session = await authService.login(username, password);
+    } catch (loginError) {
+      await auditLog.record('auth.login_failed', {
+        actor: null,
+        details: { username: typeof username === 'string' ? username : null, reason: loginError.code || loginError.message, ip: req.ip }
+      });
+      throw loginError;
+    }
+
+    const { token, expiresAt, user } = session;
+    console.log(`User ${user.username} signed in`);
+    await auditLog.record('auth.login', { actor: user, resource: { type: 'user', id: user.id }, details: { ip: req.ip } });
+
+    res.json({ token, expires_at: expiresAt, user: authService.publicUser(user) });
+  } catch (error) {
+    if (hasErrorCode(error, 'INVALID_CREDENTIALS')) {
+      return res.status(401).json({ error: error.message });
+    }
+    if (hasErrorCode(error, 'ACCOUNT_LOCKED')) {
+      return res.status(429).json({ error: error.message });
+    }
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Sign-in failed' });
+  }
+});
+
+app.post('/auth/logout', async (req, res) => {
+  try {
+    if (req.user.authMethod === 'session') {
+      await authService.logout(getRequestToken(req));
+      await auditLog.record('auth.logout', { resource: { type: 'user', id: req.user.id } });
+    }
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Sign-out failed' });
+  }
+});
+
+app.get('/auth/me', (req, res) => {
+  res.json(authService.publicUser(req.user));
+});
+
+// User administration (admins only)
+app.get('/users', requirePermission('users:manage'), (req, res) => {
+  try {
+    res.json({ users: store.listUsers().map(user => authService.publicUser(user)) });
+  } catch (error) {
+    console.error('Users list error:', error);
+    res.status(500).json({ error: 'Failed to get users' });
+  }
+});
+
+app.post('/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { username, password, role, team, display_name } = req.body;
+    const user = await authService.createUser({ username, password, role, team, displayName: display_name });
+    console.log(`User ${req.user.username} created ${user.role} user ${user.username}`);
+    await auditLog.record('user.created', {
+      resource: { type: 'user', id: user.id },
+      details: { username: user.username, role: user.role, team: user.team }
+    });
+
+    res.status(201).json(authService.publicUser(user));
+  } catch (error) {
+    if (hasErrorCode(error, 'INVALID_USER')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (hasErrorCode(error, 'USER_EXISTS')) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('User create error:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Change a user's password, role, team or display name, or disable the account
+app.patch('/users/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { password, role, team, display_name, disabled } = req.body;
+
+    // Keep at least the current admin able to sign in and manage users
+    if (req.params.id === req.user.id && (disabled || (role !== undefined && role !== 'admin'))) {
+      return res.status(409).json({ error: 'You cannot disable your own account or remove your own admin role' });
+    }
+
+    const user = await authService.updateUser(req.params.id, { password, role, team, displayName: display_name, disabled });
+    await auditLog.record('user.updated', {
+      resource: { type: 'user', id: user.id },
+      details: {
+        username: user.username,
+        passwordChanged: password !== undefined,
+        ...(role !== undefined ? { role: user.role } : {}),
+        ...(team !== undefined ? { team: user.team } : {}),
+        ...(display_name !== undefined ? { displayName: user.displayName } : {}),
+        ...(disabled !== undefined ? { disabled: user.disabled } : {})
+      }
+    });
+    res.json(authService.publicUser(user));
+  } catch (error) {
+    if (hasErrorCode(error, 'USER_NOT_FOUND')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (hasErrorCode(error, 'INVALID_USER')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('User update error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// API keys for scripts and integrations; they act as the user who created them
+app.get('/api-keys', (req, res) => {
+  try {
+    res.json({ api_keys: authService.listApiKeys(req.user) });
+  } catch (error) {
+    console.error('API keys list error:', error);
+    res.status(500).json({ error: 'Failed to get API keys' });
+  }
+});
+
+// The key itself is only returned in this response
+app.post('/api-keys', async (req, res) => {
+  try {
+    const apiKey = await authService.createApiKey(req.user, req.body.name);
+    await auditLog.record('api_key.created', {
+      resource: { type: 'api_key', id: apiKey.id },
+      details: { name: apiKey.name, prefix: apiKey.prefix }
+    });
+    res.status(201).json(apiKey);
+  } catch (error) {
+    if (hasErrorCode(error, 'INVALID_API_KEY')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('API key create error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+app.delete('/api-keys/:id', async (req, res) => {
+  try {
+    if (!(await authService.revokeApiKey(req.user, req.params.id))) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    await auditLog.record('api_key.revoked', { resource: { type: 'api_key', id: req.params.id } });
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('API key revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
 // Upload multiple documents with password support
-app.post('/upload', upload.array('documents', 10), async (req, res) => {
+app.post('/upload', requirePermission('documents:write'), upload.array('documents', 10), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    // Get password from request body if provided
-    const password = req.body.password || null;
+    // Get password from request body if provided; it is only ever stored encrypted
+    const password = req.body.password ? await encryptSecret(req.body.password) : null;
+
+    // Optional saved column mapping for CSV/XLSX bank statements
+    const bankProfile = req.body.bank_profile || null;
+    if (bankProfile && !store.getBankProfile(bankProfile)) {
+      await Promise.all(req.files.map(file => fs.unlink(file.path).catch(() => {})));
+      return res.status(404).json({ error: `Bank profile ${bankProfile} not found` });
+    }
+
+    // Optionally attach the uploads to a loan application
+    const applicationId = req.body.application_id || null;
+    const application = applicationId ? getAccessibleApplication(req, applicationId) : null;
 
-    const documentIds = req.files.map(file => {
+    if (applicationId && (!application || application.status === 'archived')) {
+      await Promise.all(req.files.map(file => fs.unlink(file.path).catch(() => {})));
+      return application
+        ? res.status(409).json({ error: 'Cannot upload documents to an archived application' })
+        : res.status(404).json({ error: 'Application not found' });
+    }
+
+    const documentIds = [];
+    for (const file of req.files) {
       const documentId = uuidv4();
-      documentStatus.set(documentId, {
+      await store.saveDocument({
         id: documentId,
         filename: file.originalname,
         filepath: file.path,
         mimetype: file.mimetype,
+        size: file.size,
+        applicationId,
         status: 'pending',
         progress: 0,
         uploadedAt: new Date().toISOString(),
-        password: password // Store password for encrypted PDFs
+        password: password, // Encrypted password for locked PDFs
+        ...authService.ownership(req.user),
+        ...(bankProfile && spreadsheetImporter.supports(file.originalname, file.mimetype) ? { bankProfile } : {})
       });
-      return documentId;
-    });
+      documentIds.push(documentId);
+
+      await auditLog.record('document.uploaded', {
+        resource: { type: 'document', id: documentId },
+        details: {
+          filename: file.originalname,
+          mimetype: file.mimetype,
+          size: file.size,
+          sha256: file.sha256,
+          applicationId,
+          bankProfile,
+          passwordProvided: Boolean(password)
+        }
+      });
+    }
+
+    if (application) {
+      application.documentIds.push(...documentIds);
+      await store.saveApplication(application);
+    }
 
     res.json({
       message: 'Files uploaded successfully',
-      document_ids: documentIds
+      document_ids: documentIds,
+      application_id: applicationId
     });
   } catch (error) {
     console.error('Upload error:', error);
@@ -129,40 +535,53 @@ app.post('/upload', upload.array('documents', 10), async (req, res) => {
 });
 
 // Process a specific document with encryption support
-app.post('/process/:id', async (req, res) => {
+app.post('/process/:id', requirePermission('documents:write'), async (req, res) => {
   try {
     const documentId = req.params.id;
-    const docInfo = documentStatus.get(documentId);
+    const docInfo = getAccessibleDocument(req);
 
     if (!docInfo) {
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    if (docInfo.status === 'processing') {
-      return res.status(409).json({ error: 'Document is already being processed' });
+    if (jobQueue.getActiveJob(documentId)) {
+      return res.status(409).json({ error: 'Document is already queued or being processed' });
+    }
+
+    if (docInfo.status === 'split') {
+      return res.status(409).json({ error: 'Document was split into separate documents, which are processed individually' });
+    }
+
+    if (docInfo.anonymisedAt) {
+      return res.status(409).json({ error: 'Document was anonymised under the retention policy and can no longer be processed' });
+    }
+
+    const lockedOut = passwordLockoutError(docInfo);
+    if (lockedOut) {
+      return res.status(409).json({ error: lockedOut });
     }
 
     // Get password from request body if provided (overrides upload password)
-    const password = req.body.password || docInfo.password || null;
+    const password = req.body.password ? await encryptSecret(req.body.password) : docInfo.password || null;
     
     // Update password in document info
     if (password) {
       docInfo.password = password;
-      documentStatus.set(documentId, docInfo);
     }
 
-    // Update status to processing
-    docInfo.status = 'processing';
-    docInfo.progress = 10;
-    documentStatus.set(documentId, docInfo);
+    // Kept on the document, so retries and later reprocessing use the same mode
+    if (req.body.high_accuracy !== undefined) {
+      docInfo.highAccuracy = Boolean(req.body.high_accuracy);
+    }
 
-    // Process document in background
-    processDocumentAsync(documentId, docInfo);
+    // Queue the document for background processing
+    const job = await queueDocument(docInfo, req.body.priority);
 
     res.json({
-      message: 'Document processing started',
+      message: 'Document queued for processing',
       document_id: documentId,
-      status: 'processing'
+      job_id: job.id,
+      status: 'queued'
     });
   } catch (error) {
     console.error('Process error:', error);
@@ -170,181 +589,1951 @@ app.post('/process/:id', async (req, res) => {
   }
 });
 
-// Get processing status
-app.get('/status/:id', (req, res) => {
+// Supply the password for a locked PDF and resume processing without re-uploading.
+// The password is checked here so a wrong one is reported straight away.
+app.post('/documents/:id/password', requirePermission('documents:write'), async (req, res) => {
   try {
-    const documentId = req.params.id;
-    const docInfo = documentStatus.get(documentId);
+    const docInfo = getAccessibleDocument(req);
 
     if (!docInfo) {
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    const response = {
-      document_id: documentId,
-      status: docInfo.status,
-      progress: docInfo.progress,
-      filename: docInfo.filename
-    };
+    if (docInfo.status !== 'needs_password') {
+      return res.status(409).json({ error: 'Document is not waiting for a password' });
+    }
+
+    if (docInfo.anonymisedAt) {
+      return res.status(409).json({ error: 'Document was anonymised under the retention policy and can no longer be processed' });
+    }
 
-    if (docInfo.error) {
-      response.error = docInfo.error;
+    const { password } = req.body;
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json({ error: 'password is required' });
     }
 
-    if (docInfo.status === 'completed') {
-      response.extracted_data = extractedData.get(documentId);
+    if (!(await documentProcessor.checkPdfPassword(docInfo.filepath, password))) {
+      docInfo.passwordAttempts = (docInfo.passwordAttempts || 0) + 1;
+      const attemptsRemaining = Math.max(0, MAX_PASSWORD_ATTEMPTS - docInfo.passwordAttempts);
+
+      if (attemptsRemaining === 0) {
+        Object.assign(docInfo, { status: 'error', error: 'Too many incorrect password attempts. Upload the document again to retry.' });
+        await saveDocument(docInfo, 'document_error');
+        await auditLog.record('document.password_submitted', {
+          resource: { type: 'document', id: docInfo.id },
+          details: { accepted: false, attemptsRemaining: 0 }
+        });
+        return res.status(429).json({ error: docInfo.error, attempts_remaining: 0 });
+      }
+
+      docInfo.error = 'The password for this PDF is incorrect';
+      await saveDocument(docInfo);
+      await auditLog.record('document.password_submitted', {
+        resource: { type: 'document', id: docInfo.id },
+        details: { accepted: false, attemptsRemaining }
+      });
+      return res.status(400).json({ error: docInfo.error, attempts_remaining: attemptsRemaining });
     }
 
-    res.json(response);
+    docInfo.password = await encryptSecret(password);
+    delete docInfo.passwordAttempts;
+    await auditLog.record('document.password_submitted', {
+      resource: { type: 'document', id: docInfo.id },
+      details: { accepted: true }
+    });
+    await queueDocument(docInfo);
+
+    res.json(withoutExtraction(req.user, buildStatusResponse(docInfo)));
   } catch (error) {
-    console.error('Status check error:', error);
-    res.status(500).json({ error: 'Status check failed' });
+    console.error('Password submission error:', error.message);
+    res.status(500).json({ error: 'Failed to unlock document' });
   }
 });
 
-// Generate comprehensive credit recommendation with insights and grouped financial data
-app.post('/recommend', async (req, res) => {
+// Cancel a queued or running processing job
+app.post('/process/:id/cancel', requirePermission('documents:write'), async (req, res) => {
   try {
-    const { document_ids } = req.body;
+    const documentId = req.params.id;
+    const docInfo = getAccessibleDocument(req);
 
-    if (!document_ids || !Array.isArray(document_ids)) {
-      return res.status(400).json({ error: 'document_ids array is required' });
+    if (!docInfo) {
+      return res.status(404).json({ error: 'Document not found' });
     }
 
-    // Get all extracted data for the documents
-    const allExtractedData = [];
-    for (const docId of document_ids) {
-      const docInfo = documentStatus.get(docId);
-      if (docInfo && docInfo.status === 'completed') {
-        const data = extractedData.get(docId);
-        if (data) {
-          allExtractedData.push(data);
-        }
-      }
+    const job = await jobQueue.cancel(documentId);
+
+    if (!job) {
+      return res.status(409).json({ error: 'Document has no queued or running job' });
     }
 
-    if (allExtractedData.length === 0) {
-      return res.status(400).json({ error: 'No completed documents found for analysis' });
+    const cancelled = job.status === 'cancelled';
+    await auditLog.record('document.cancel_requested', {
+      resource: { type: 'document', id: documentId },
+      details: { jobId: job.id }
+    });
+    res.json({
+      message: cancelled ? 'Processing cancelled' : 'Cancellation requested, processing will stop after the current page',
+      document_id: documentId,
+      job_id: job.id,
+      status: cancelled ? 'cancelled' : 'cancelling'
+    });
+  } catch (error) {
+    console.error('Cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel processing' });
+  }
+});
+
+// Retry a failed, cancelled or interrupted document
+app.post('/process/:id/retry', requirePermission('documents:write'), async (req, res) => {
+  try {
+    const documentId = req.params.id;
+    const docInfo = getAccessibleDocument(req);
+
+    if (!docInfo) {
+      return res.status(404).json({ error: 'Document not found' });
     }
 
-    console.log('Grouping financial documents by type and period...');
-    
-    // NEW: Group financial documents by type and period
-    const groupedFinancialData = documentProcessor.groupFinancialDocuments(allExtractedData);
+    if (jobQueue.getActiveJob(documentId)) {
+      return res.status(409).json({ error: 'Document is already queued or being processed' });
+    }
+
+    if (!['error', 'cancelled', 'interrupted'].includes(docInfo.status)) {
+      return res.status(409).json({ error: `Document cannot be retried while ${docInfo.status}` });
+    }
 
-    console.log('Generating comprehensive credit insights using deepseek-r1:8b...');
+    if (docInfo.anonymisedAt) {
+      return res.status(409).json({ error: 'Document was anonymised under the retention policy and can no longer be processed' });
+    }
 
-    // Generate comprehensive insights using deepseek-r1:8b with grouped data
-    const ollamaInsights = await ollamaService.generateCreditInsights(allExtractedData, groupedFinancialData);
+    const lockedOut = passwordLockoutError(docInfo);
+    if (lockedOut) {
+      return res.status(409).json({ error: lockedOut });
+    }
 
-    // Generate final recommendation combining Ollama insights with traditional analysis and grouped data
-    const recommendation = await creditAnalyzer.generateRecommendation(allExtractedData, ollamaInsights, groupedFinancialData);
+    const job = await queueDocument(docInfo, req.body.priority);
 
-    res.json(recommendation);
+    res.json({
+      message: 'Document queued for retry',
+      document_id: documentId,
+      job_id: job.id,
+      status: 'queued'
+    });
   } catch (error) {
-    console.error('Recommendation error:', error);
-    res.status(500).json({ error: 'Failed to generate recommendation: ' + error.message });
+    console.error('Retry error:', error);
+    res.status(500).json({ error: 'Failed to retry processing' });
   }
 });
 
-// Get all documents status
-app.get('/documents', (req, res) => {
+// Get processing status
+app.get('/status/:id', requirePermission('documents:read'), (req, res) => {
   try {
-    const documents = Array.from(documentStatus.values()).map(doc => ({
-      id: doc.id,
-      filename: doc.filename,
-      status: doc.status,
-      progress: doc.progress,
-      uploadedAt: doc.uploadedAt,
-      error: doc.error
-    }));
+    const docInfo = getAccessibleDocument(req);
 
-    res.json({ documents });
+    if (!docInfo) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json(withoutExtraction(req.user, buildStatusResponse(docInfo)));
   } catch (error) {
-    console.error('Documents list error:', error);
-    res.status(500).json({ error: 'Failed to get documents list' });
+    console.error('Status check error:', error);
+    res.status(500).json({ error: 'Status check failed' });
   }
 });
 
-// Async function to process document with encryption support
-async function processDocumentAsync(documentId, docInfo) {
+// Before/after images from preprocessing, listed in the status response's `image_reviews`
+app.get('/documents/:id/review-images/:file', requirePermission('documents:read'), async (req, res) => {
   try {
-    console.log(`Starting processing for document: ${docInfo.filename}`);
-    
-    // Update progress
-    docInfo.progress = 20;
-    documentStatus.set(documentId, docInfo);
-
-    // Convert document to images with password support
-    const images = await documentProcessor.convertToImages(
-      docInfo.filepath, 
-      docInfo.mimetype, 
-      docInfo.password
-    );
-    
-    docInfo.progress = 40;
-    documentStatus.set(documentId, docInfo);
+    const docInfo = getAccessibleDocument(req);
+    if (!docInfo) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
-    // Process each image with Ollama qwen2.5vl:7b
-    const extractedResults = [];
-    for (let i = 0; i < images.length; i++) {
-      console.log(`Processing image ${i + 1}/${images.length} for document: ${docInfo.filename}`);
-      
-      const result = await ollamaService.extractDataFromImage(images[i]);
-      extractedResults.push(result);
-      
-      // Update progress
-      docInfo.progress = 40 + (50 * (i + 1) / images.length);
-      documentStatus.set(documentId, docInfo);
+    if (!/^[\w-]+-(before|after)\.jpg$/.test(req.params.file)) {
+      return res.status(400).json({ error: 'Invalid review image name' });
     }
 
-    // Combine and structure the extracted data
-    const combinedData = documentProcessor.combineExtractedData(extractedResults, docInfo.filename);
-    
-    docInfo.progress = 95;
-    documentStatus.set(documentId, docInfo);
+    let image;
+    try {
+      image = await readDecryptedFile(path.join(getReviewDir(docInfo.id), req.params.file));
+    } catch (readError) {
+      if (readError.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Review image not found' });
+      }
+      throw readError;
+    }
 
-    // Store extracted data
-    extractedData.set(documentId, combinedData);
+    res.type('jpeg').send(image);
+  } catch (error) {
+    console.error('Review image error:', error);
+    res.status(500).json({ error: 'Failed to load review image' });
+  }
+});
 
-    // Mark as completed
-    docInfo.status = 'completed';
-    docInfo.progress = 100;
-    docInfo.completedAt = new Date().toISOString();
-    documentStatus.set(documentId, docInfo);
+// The uploaded file, for following an extracted value back to its page (`#page=N`).
+// Parts of a split upload share their parent's file, so page numbers match.
+app.get('/documents/:id/file', requirePermission('documents:read'), async (req, res) => {
+  try {
+    const docInfo = getAccessibleDocument(req);
+    if (!docInfo) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
-    console.log(`Completed processing for document: ${docInfo.filename}`);
+    if (docInfo.anonymisedAt) {
+      return res.status(409).json({ error: 'Document was anonymised under the retention policy and its file was deleted' });
+    }
 
-    // Clean up temporary image files
-    await documentProcessor.cleanupImages(images);
+    let file;
+    try {
+      file = await readDecryptedFile(docInfo.filepath);
+    } catch (readError) {
+      if (readError.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Document file not found' });
+      }
+      throw readError;
+    }
 
+    res.type(docInfo.mimetype)
+      .set('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(docInfo.filename)}`)
+      .send(file);
   } catch (error) {
-    console.error(`Processing failed for document ${docInfo.filename}:`, error);
-    
-    // Check if it's an encryption-related error
-    if (error.message.includes('encrypted') || error.message.includes('password')) {
-      docInfo.status = 'error';
-      docInfo.error = `PDF is encrypted: ${error.message}. Please provide the correct password.`;
-    } else {
-      docInfo.status = 'error';
-      docInfo.error = error.message;
-    }
-    
-    docInfo.progress = 0;
-    documentStatus.set(documentId, docInfo);
+    console.error('Document file error:', error);
+    res.status(500).json({ error: 'Failed to load document file' });
   }
-}
+});
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('Server error:', error);
-  
-  if (error instanceof multer.MulterError) {
+// Prompts, raw replies, reasoning and latency of the model calls behind a document's
+// extraction; a split upload lists those of its parts
+app.get('/documents/:id/model-traces', requirePermission('extractions:read'), (req, res) => {
+  try {
+    const docInfo = getAccessibleDocument(req);
+    if (!docInfo) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const traces = withSplitChildren([docInfo.id]).flatMap(documentId => store.listModelTraces({ documentId }));
+    res.json({ traces });
+  } catch (error) {
+    console.error('Model traces error:', error);
+    res.status(500).json({ error: 'Failed to get model traces' });
+  }
+});
+
+// Stream live processing events (Server-Sent Events) for a set of documents
+app.get('/events', requirePermission('documents:read'), (req, res) => {
+  // Documents the user cannot see are silently left out of the stream
+  const documentIds = String(req.query.document_ids || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => id && canAccessDocument(req.user, store.getDocument(id)));
+
+  if (documentIds.length === 0) {
+    return res.status(400).json({ error: 'document_ids query parameter is required' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(withoutExtraction(req.user, event))}\n\n`);
+  };
+
+  // Ask the browser to reconnect quickly if the connection drops
+  res.write('retry: 3000\n\n');
+
+  // Send the current state first so the client starts in sync
+  for (const documentId of documentIds) {
+    const docInfo = store.getDocument(documentId);
+    if (docInfo) {
+      sendEvent({ type: 'status', timestamp: new Date().toISOString(), ...buildStatusResponse(docInfo) });
+    }
+  }
+
+  const unsubscribe = processingEvents.subscribe(documentIds, sendEvent);
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Generate comprehensive credit recommendation with insights and grouped financial data
+app.post('/recommend', requirePermission('recommendations:write'), async (req, res) => {
+  try {
+    const { application_id } = req.body;
+    const application = application_id ? getAccessibleApplication(req, application_id) : null;
+
+    if (application_id && !application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    // Analyse the application's documents unless specific ones are requested
+    const document_ids = req.body.document_ids || application?.documentIds;
+
+    if (!document_ids || !Array.isArray(document_ids)) {
+      return res.status(400).json({ error: 'document_ids array or application_id is required' });
+    }
+
+    const missing = document_ids.filter(documentId => !getAccessibleDocument(req, documentId));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `Documents not found: ${missing.join(', ')}` });
+    }
+
+    // Get all extracted data for the documents; split uploads are analysed through their parts
+    const allExtractedData = [];
+    const analysedDocumentIds = [];
+    for (const docId of expandSplitDocuments(document_ids)) {
+      const docInfo = store.getDocument(docId);
+      if (docInfo && docInfo.status === 'completed') {
+        const data = store.getExtraction(docId);
+        if (data) {
+          allExtractedData.push(data);
+          analysedDocumentIds.push(docId);
+        }
+      }
+    }
+
+    if (allExtractedData.length === 0) {
+      return res.status(400).json({ error: 'No completed documents found for analysis' });
+    }
+
+    console.log('Grouping financial documents by type and period...');
+    
+    // NEW: Group financial documents by type and period
+    const groupedFinancialData = documentProcessor.groupFinancialDocuments(allExtractedData);
+
+    const analysisModel = llmService.getTaskModel('analysis');
+    console.log(`Generating comprehensive credit insights using ${analysisModel.model} on ${analysisModel.provider}...`);
+
+    // Generate comprehensive insights using the analysis model with grouped data
+    const { modelTraces, ...insights } = await llmService.generateCreditInsights(allExtractedData, groupedFinancialData);
+
+    // Generate final recommendation combining model insights with traditional analysis and grouped data
+    const recommendation = await creditAnalyzer.generateRecommendation(allExtractedData, insights, groupedFinancialData);
+
+    // Keep the recommendation so it can be reviewed after a restart
+    const recommendationId = uuidv4();
+    await store.saveRecommendation({
+      id: recommendationId,
+      applicationId: application?.id || null,
+      documentIds: document_ids,
+      createdAt: new Date().toISOString(),
+      ...authService.ownership(req.user),
+      prompts: insights.prompts,
+      recommendation
+    });
+    for (const trace of modelTraces) {
+      await store.saveModelTrace({ id: uuidv4(), recommendationId, ...trace });
+    }
+
+    if (application) {
+      application.recommendationIds.push(recommendationId);
+      await store.saveApplication(application);
+    }
+
+    // Ties the figures to the exact extractions and model version behind them
+    await auditLog.record('recommendation.generated', {
+      resource: { type: 'recommendation', id: recommendationId },
+      details: {
+        applicationId: application?.id || null,
+        documentIds: document_ids,
+        extractionHashes: Object.fromEntries(allExtractedData.map((data, index) => [analysedDocumentIds[index], sha256(data)])),
+        provider: analysisModel.provider,
+        model: analysisModel.model,
+        modelDigest: await llmService.getModelDigest(analysisModel.provider, analysisModel.model),
+        score: recommendation.score,
+        recommendation: recommendation.recommendation,
+        riskLevel: recommendation.riskLevel,
+        validationErrors: insights.validationErrors,
+        repairAttempts: insights.repairAttempts,
+        prompts: insights.prompts
+      }
+    });
+
+    res.json({ ...recommendation, recommendationId, applicationId: application?.id || null, prompts: insights.prompts });
+  } catch (error) {
+    console.error('Recommendation error:', error);
+    res.status(hasErrorCode(error, 'MODEL_UNAVAILABLE') ? 503 : 500).json({ error: 'Failed to generate recommendation: ' + error.message });
+  }
+});
+
+// Get all documents status
+app.get('/documents', requirePermission('documents:read'), (req, res) => {
+  try {
+    const documents = store.listDocuments().filter(doc => canAccessDocument(req.user, doc)).map(doc => ({
+      id: doc.id,
+      applicationId: doc.applicationId || null,
+      parentId: doc.parentId || null,
+      filename: doc.filename,
+      status: doc.status,
+      progress: doc.progress,
+      uploadedAt: doc.uploadedAt,
+      error: doc.error
+    }));
+
+    res.json({ documents });
+  } catch (error) {
+    console.error('Documents list error:', error);
+    res.status(500).json({ error: 'Failed to get documents list' });
+  }
+});
+
+// Adjust how an uploaded PDF is split into documents. `segments` lists
+// `{ start_page, end_page, document_type }` covering every page in order;
+// a single segment keeps the upload as one document.
+app.put('/documents/:id/split', requirePermission('documents:write'), async (req, res) => {
+  try {
+    const docInfo = getAccessibleDocument(req);
+
+    if (!docInfo) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (docInfo.mimetype !== 'application/pdf' || docInfo.parentId) {
+      return res.status(400).json({ error: 'Only uploaded PDF files can be split' });
+    }
+
+    if (docInfo.anonymisedAt) {
+      return res.status(409).json({ error: 'Document was anonymised under the retention policy and can no longer be processed' });
+    }
+    if (withSplitChildren([docInfo.id]).some(documentId => jobQueue.getActiveJob(documentId))) {
+      return res.status(409).json({ error: 'Document is still being processed. Wait for it to finish or cancel it first.' });
+    }
+
+    const { segments } = req.body;
+    if (!Array.isArray(segments) || segments.length === 0) {
+      return res.status(400).json({ error: 'segments array is required' });
+    }
+
+    // The page count needs the PDF opened, which a locked document cannot be
+    const lockedOut = passwordLockoutError(docInfo);
+    if (lockedOut) {
+      return res.status(409).json({ error: lockedOut });
+    }
+
+    const pageCount = docInfo.pageCount || await documentProcessor.getPdfPageCount(docInfo.filepath, await getPassword(docInfo));
+
+    let expectedStart = 1;
+    for (const segment of segments) {
+      const startPage = Number(segment.start_page);
+      const endPage = Number(segment.end_page);
+
+      if (!Number.isInteger(startPage) || !Number.isInteger(endPage) || startPage !== expectedStart || endPage < startPage) {
+        return res.status(400).json({ error: `Segments must cover pages 1-${pageCount} in order without gaps or overlaps` });
+      }
+      if (segment.document_type && segment.document_type !== DOCUMENT_TYPES.UNKNOWN && !SPLIT_DOCUMENT_TYPES.includes(segment.document_type)) {
+        return res.status(400).json({ error: `Unknown document type ${segment.document_type}. Use one of: ${SPLIT_DOCUMENT_TYPES.join(', ')}` });
+      }
+      expectedStart = endPage + 1;
+    }
+
+    if (expectedStart !== pageCount + 1) {
+      return res.status(400).json({ error: `Segments must cover pages 1-${pageCount} in order without gaps or overlaps` });
+    }
+
+    docInfo.pageCount = pageCount;
+    await splitDocument(docInfo, segments.map(segment => ({
+      pageRange: [Number(segment.start_page), Number(segment.end_page)],
+      documentType: segment.document_type || DOCUMENT_TYPES.UNKNOWN,
+      confidence: 1
+    })), 'manual');
+
+    res.json(withoutExtraction(req.user, buildStatusResponse(docInfo)));
+  } catch (error) {
+    console.error('Split update error:', error);
+    res.status(500).json({ error: 'Failed to update document split' });
+  }
+});
+
+// Permanently delete a document with its file, extracted data and the recommendations
+// based on it. Deleting a split upload deletes its parts too.
+app.delete('/documents/:id', requirePermission('documents:write'), async (req, res) => {
+  try {
+    const docInfo = getAccessibleDocument(req);
+
+    if (!docInfo) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (withSplitChildren([docInfo.id]).some(documentId => jobQueue.getActiveJob(documentId))) {
+      return res.status(409).json({ error: 'Document is still being processed. Cancel processing before deleting it.' });
+    }
+
+    const result = await deleteDocuments([docInfo.id], 'request');
+    console.log(`Deleted document ${docInfo.id} and ${result.documentIds.length - 1} part(s)`);
+
+    res.json({
+      message: 'Document deleted',
+      deleted_document_ids: result.documentIds,
+      deleted_recommendation_ids: result.recommendationIds,
+      files_deleted: result.filesDeleted
+    });
+  } catch (error) {
+    console.error('Document delete error:', error);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+// List stored recommendations
+app.get('/recommendations', requirePermission('recommendations:read'), (req, res) => {
+  try {
+    const recommendations = store.listRecommendations().filter(record => canAccessRecommendation(req.user, record)).map(record => ({
+      id: record.id,
+      applicationId: record.applicationId || null,
+      documentIds: record.documentIds,
+      createdAt: record.createdAt,
+      score: record.recommendation.score,
+      recommendation: record.recommendation.recommendation,
+      riskLevel: record.recommendation.riskLevel
+    }));
+
+    res.json({ recommendations });
+  } catch (error) {
+    console.error('Recommendations list error:', error);
+    res.status(500).json({ error: 'Failed to get recommendations list' });
+  }
+});
+
+// Get a stored recommendation
+app.get('/recommendations/:id', requirePermission('recommendations:read'), (req, res) => {
+  try {
+    const record = store.getRecommendation(req.params.id);
+
+    if (!record || !canAccessRecommendation(req.user, record)) {
+      return res.status(404).json({ error: 'Recommendation not found' });
+    }
+
+    res.json({
+      ...record.recommendation,
+      recommendationId: record.id,
+      applicationId: record.applicationId || null,
+      documentIds: record.documentIds,
+      prompts: record.prompts || []
+    });
+  } catch (error) {
+    console.error('Recommendation fetch error:', error);
+    res.status(500).json({ error: 'Failed to get recommendation' });
+  }
+});
+
+// The insights call behind a recommendation, with the model's reasoning
+app.get('/recommendations/:id/model-traces', requirePermission('recommendations:read'), (req, res) => {
+  try {
+    const record = store.getRecommendation(req.params.id);
+
+    if (!record || !canAccessRecommendation(req.user, record)) {
+      return res.status(404).json({ error: 'Recommendation not found' });
+    }
+
+    res.json({ traces: store.listModelTraces({ recommendationId: record.id }) });
+  } catch (error) {
+    console.error('Model traces error:', error);
+    res.status(500).json({ error: 'Failed to get model traces' });
+  }
+});
+
+function buildStatusResponse(docInfo) {
+  const response = {
+    document_id: docInfo.id,
+    status: docInfo.status,
+    progress: docInfo.progress,
+    filename: docInfo.filename
+  };
+
+  if (docInfo.error) {
+    response.error = docInfo.error;
+  }
+
+  if (docInfo.pages) {
+    response.pages = docInfo.pages;
+  }
+
+  if (docInfo.imageReviews?.length > 0) {
+    response.image_reviews = docInfo.imageReviews;
+  }
+
+  if (docInfo.validationErrors?.length > 0) {
+    response.validation_errors = docInfo.validationErrors;
+    response.repair_attempts = docInfo.repairAttempts;
+  }
+
+  if (docInfo.needsReview) {
+    response.needs_review = true;
+    response.disputed_fields = docInfo.disputedFields;
+  }
+
+  if (docInfo.parentId) {
+    response.parent_id = docInfo.parentId;
+    response.page_range = docInfo.pageRange;
+    response.document_type = docInfo.documentType;
+  }
+
+  if (docInfo.split) {
+    response.page_count = docInfo.pageCount;
+    response.split = docInfo.split;
+    response.children = (docInfo.childIds || [])
+      .map(childId => store.getDocument(childId))
+      .filter(Boolean)
+      .map(child => ({
+        document_id: child.id,
+        filename: child.filename,
+        status: child.status,
+        progress: child.progress,
+        page_range: child.pageRange,
+        document_type: child.documentType
+      }));
+  }
+
+  if (docInfo.status === 'needs_password') {
+    response.password_attempts_remaining = Math.max(0, MAX_PASSWORD_ATTEMPTS - (docInfo.passwordAttempts || 0));
+  }
+
+  if (docInfo.status === 'queued') {
+    const job = jobQueue.getActiveJob(docInfo.id);
+    response.queue_position = job ? jobQueue.getQueuePosition(job.id) : null;
+  }
+
+  if (docInfo.status === 'completed') {
+    response.extracted_data = store.getExtraction(docInfo.id);
+  }
+
+  return response;
+}
+
+// Persist a document update and notify live subscribers
+async function saveDocument(docInfo, eventType = 'status', details = {}) {
+  await store.saveDocument(docInfo);
+  processingEvents.publish(eventType, { ...buildStatusResponse(docInfo), ...details });
+}
+
+// Loan applications
+
+// Create a loan application
+app.post('/applications', requirePermission('applications:write'), async (req, res) => {
+  try {
+    const { applicant_name, company_name, requested_amount, tenor_months, purpose, notes } = req.body;
+
+    const requestedAmount = Number(requested_amount);
+    const tenorMonths = Number(tenor_months);
+
+    if (!applicant_name || typeof applicant_name !== 'string' || !applicant_name.trim()) {
+      return res.status(400).json({ error: 'applicant_name is required' });
+    }
+    if (!Number.isFinite(requestedAmount) || requestedAmount <= 0) {
+      return res.status(400).json({ error: 'requested_amount must be a positive number' });
+    }
+    if (!Number.isInteger(tenorMonths) || tenorMonths <= 0) {
+      return res.status(400).json({ error: 'tenor_months must be a positive whole number of months' });
+    }
+    if (!purpose || typeof purpose !== 'string' || !purpose.trim()) {
+      return res.status(400).json({ error: 'purpose is required' });
+    }
+
+    const application = {
+      id: uuidv4(),
+      applicantName: applicant_name.trim(),
+      companyName: company_name?.trim() || null,
+      requestedAmount,
+      tenorMonths,
+      purpose: purpose.trim(),
+      notes: notes?.trim() || null,
+      status: 'open',
+      documentIds: [],
+      recommendationIds: [],
+      ...authService.ownership(req.user),
+      createdAt: new Date().toISOString()
+    };
+
+    await store.saveApplication(application);
+    console.log(`Created application ${application.id} for ${application.applicantName}`);
+    await auditLog.record('application.created', {
+      resource: { type: 'application', id: application.id },
+      details: { requestedAmount, tenorMonths }
+    });
+
+    res.status(201).json(application);
+  } catch (error) {
+    console.error('Application create error:', error);
+    res.status(500).json({ error: 'Failed to create application' });
+  }
+});
+
+// List loan applications, optionally filtered by status
+app.get('/applications', requirePermission('applications:read'), (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const applications = store.listApplications()
+      .filter(application => authService.canAccess(req.user, application))
+      .filter(application => !status || application.status === status)
+      .map(application => ({
+        ...application,
+        documentCount: application.documentIds.length,
+        latestRecommendationId: application.recommendationIds[application.recommendationIds.length - 1] || null
+      }));
+
+    res.json({ applications });
+  } catch (error) {
+    console.error('Applications list error:', error);
+    res.status(500).json({ error: 'Failed to get applications list' });
+  }
+});
+
+// Get a loan application with its documents and recommendations
+app.get('/applications/:id', requirePermission('applications:read'), (req, res) => {
+  try {
+    const application = getAccessibleApplication(req);
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const documents = application.documentIds
+      .map(documentId => store.getDocument(documentId))
+      .filter(Boolean)
+      .map(doc => ({
+        id: doc.id,
+        filename: doc.filename,
+        mimetype: doc.mimetype,
+        size: doc.size || 0,
+        status: doc.status,
+        progress: doc.progress,
+        uploadedAt: doc.uploadedAt,
+        error: doc.error,
+        pages: doc.pages,
+        imageReviews: doc.imageReviews,
+        validationErrors: doc.validationErrors,
+        needsReview: doc.needsReview || false,
+        disputedFields: doc.disputedFields,
+        parentId: doc.parentId,
+        pageRange: doc.pageRange,
+        documentType: doc.documentType,
+        pageCount: doc.pageCount,
+        split: doc.split,
+        passwordAttemptsRemaining: doc.status === 'needs_password'
+          ? Math.max(0, MAX_PASSWORD_ATTEMPTS - (doc.passwordAttempts || 0))
+          : undefined,
+        extractedData: doc.status === 'completed' ? store.getExtraction(doc.id) : undefined
+      }))
+      .map(doc => withoutExtraction(req.user, doc));
+
+    // Uploaders see the application's documents but not its credit assessment. Newest
+    // first, so the first one is the assessment a decision is recorded against.
+    const recommendations = !authService.hasPermission(req.user, 'recommendations:read') ? [] : [...application.recommendationIds]
+      .reverse()
+      .map(recommendationId => store.getRecommendation(recommendationId))
+      .filter(Boolean)
+      .map(record => ({
+        id: record.id,
+        createdAt: record.createdAt,
+        documentIds: record.documentIds,
+        score: record.recommendation.score,
+        recommendation: record.recommendation.recommendation,
+        riskLevel: record.recommendation.riskLevel
+      }));
+
+    res.json({ ...application, documents, recommendations });
+  } catch (error) {
+    console.error('Application fetch error:', error);
+    res.status(500).json({ error: 'Failed to get application' });
+  }
+});
+
+// Archive a loan application
+app.post('/applications/:id/archive', requirePermission('applications:write'), async (req, res) => {
+  try {
+    const application = getAccessibleApplication(req);
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    application.status = 'archived';
+    application.archivedAt = new Date().toISOString();
+    await store.saveApplication(application);
+    await auditLog.record('application.archived', { resource: { type: 'application', id: application.id } });
+
+    res.json(application);
+  } catch (error) {
+    console.error('Application archive error:', error);
+    res.status(500).json({ error: 'Failed to archive application' });
+  }
+});
+
+// Record the credit decision on an application, based on its latest recommendation
+app.post('/applications/:id/decision', requirePermission('applications:decide'), async (req, res) => {
+  try {
+    const application = getAccessibleApplication(req);
+    const { decision, notes } = req.body;
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    if (application.status === 'archived') {
+      return res.status(409).json({ error: 'Cannot decide on an archived application' });
+    }
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({ error: 'decision must be approved or rejected' });
+    }
+    if (application.recommendationIds.length === 0) {
+      return res.status(409).json({ error: 'Generate a recommendation before deciding on the application' });
+    }
+
+    application.decision = {
+      decision,
+      notes: typeof notes === 'string' && notes.trim() ? notes.trim() : null,
+      recommendationId: application.recommendationIds[application.recommendationIds.length - 1],
+      decidedBy: req.user.id,
+      decidedByName: req.user.displayName,
+      decidedAt: new Date().toISOString()
+    };
+    await store.saveApplication(application);
+    console.log(`User ${req.user.username} ${decision} application ${application.id}`);
+
+    // Approving a declined recommendation, or rejecting an approved or conditional one, is an override
+    const recommended = store.getRecommendation(application.decision.recommendationId)?.recommendation.recommendation || null;
+    await auditLog.record('application.decision', {
+      resource: { type: 'application', id: application.id },
+      details: {
+        decision,
+        notes: application.decision.notes,
+        recommendationId: application.decision.recommendationId,
+        recommended,
+        overridesRecommendation: decision === 'approved' ? recommended === 'decline' : ['approve', 'conditional'].includes(recommended)
+      }
+    });
+
+    res.json(application);
+  } catch (error) {
+    console.error('Application decision error:', error);
+    res.status(500).json({ error: 'Failed to record decision' });
+  }
+});
+
+// Attach already uploaded documents to a loan application
+app.post('/applications/:id/documents', requirePermission('applications:write'), async (req, res) => {
+  try {
+    const application = getAccessibleApplication(req);
+    const { document_ids } = req.body;
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    if (application.status === 'archived') {
+      return res.status(409).json({ error: 'Cannot attach documents to an archived application' });
+    }
+    if (!Array.isArray(document_ids) || document_ids.length === 0) {
+      return res.status(400).json({ error: 'document_ids array is required' });
+    }
+
+    const missing = document_ids.filter(documentId => !getAccessibleDocument(req, documentId));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `Documents not found: ${missing.join(', ')}` });
+    }
+
+    for (const documentId of withSplitChildren(document_ids)) {
+      const docInfo = store.getDocument(documentId);
+
+      // A document belongs to at most one application
+      if (docInfo.applicationId && docInfo.applicationId !== application.id) {
+        await detachDocumentFromApplication(docInfo.applicationId, documentId);
+      }
+
+      docInfo.applicationId = application.id;
+      await store.saveDocument(docInfo);
+
+      if (!application.documentIds.includes(documentId)) {
+        application.documentIds.push(documentId);
+      }
+    }
+
+    await store.saveApplication(application);
+    await auditLog.record('application.documents_attached', {
+      resource: { type: 'application', id: application.id },
+      details: { documentIds: withSplitChildren(document_ids) }
+    });
+    res.json(application);
+  } catch (error) {
+    console.error('Application attach error:', error);
+    res.status(500).json({ error: 'Failed to attach documents' });
+  }
+});
+
+// Detach a document from a loan application
+app.delete('/applications/:id/documents/:documentId', requirePermission('applications:write'), async (req, res) => {
+  try {
+    const application = getAccessibleApplication(req);
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    if (!application.documentIds.includes(req.params.documentId)) {
+      return res.status(404).json({ error: 'Document is not attached to this application' });
+    }
+
+    const updated = await detachDocumentFromApplication(application.id, req.params.documentId);
+    await auditLog.record('application.document_detached', {
+      resource: { type: 'application', id: application.id },
+      details: { documentId: req.params.documentId }
+    });
+    res.json(updated);
+  } catch (error) {
+    console.error('Application detach error:', error);
+    res.status(500).json({ error: 'Failed to detach document' });
+  }
+});
+
+// Bank statement mapping profiles for CSV/XLSX imports
+app.get('/bank-profiles', requirePermission('documents:read'), (req, res) => {
+  try {
+    res.json({ profiles: store.listBankProfiles() });
+  } catch (error) {
+    console.error('Bank profiles list error:', error);
+    res.status(500).json({ error: 'Failed to get bank profiles' });
+  }
+});
+
+// Save the column mapping for a bank, e.g. from the `columnMapping` of an imported statement
+app.put('/bank-profiles/:id', requirePermission('bank-profiles:write'), async (req, res) => {
+  let profile;
+  try {
+    profile = spreadsheetImporter.buildProfile(req.params.id, req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const existing = store.getBankProfile(profile.id);
+    profile.createdAt = existing?.createdAt || new Date().toISOString();
+    await store.saveBankProfile(profile);
+    await auditLog.record('bank_profile.saved', {
+      resource: { type: 'bank_profile', id: profile.id },
+      details: { bank: profile.bank, columns: profile.columns, created: !existing }
+    });
+    res.status(existing ? 200 : 201).json(profile);
+  } catch (error) {
+    console.error('Bank profile save error:', error);
+    res.status(500).json({ error: 'Failed to save bank profile' });
+  }
+});
+
+app.delete('/bank-profiles/:id', requirePermission('bank-profiles:write'), async (req, res) => {
+  try {
+    if (!store.getBankProfile(req.params.id)) {
+      return res.status(404).json({ error: 'Bank profile not found' });
+    }
+
+    await store.removeBankProfile(req.params.id);
+    await auditLog.record('bank_profile.deleted', { resource: { type: 'bank_profile', id: req.params.id } });
+    res.json({ message: 'Bank profile deleted' });
+  } catch (error) {
+    console.error('Bank profile delete error:', error);
+    res.status(500).json({ error: 'Failed to delete bank profile' });
+  }
+});
+
+// Prompt templates (admins only)
+
+// Every prompt with its versions, the variables each uses and which one is active
+app.get('/prompts', requirePermission('prompts:manage'), (req, res) => {
+  try {
+    res.json({ prompts: promptRegistry.list() });
+  } catch (error) {
+    console.error('Prompts list error:', error);
+    res.status(500).json({ error: 'Failed to get prompts' });
+  }
+});
+
+// The exact template text a result recorded, by its hash; also finds edited or removed versions
+app.get('/prompts/templates/:hash', requirePermission('prompts:manage'), (req, res) => {
+  try {
+    const template = promptRegistry.getTextByHash(req.params.hash);
+    if (!template) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    console.error('Prompt template fetch error:', error);
+    res.status(500).json({ error: 'Failed to get prompt template' });
+  }
+});
+
+app.get('/prompts/:id/versions/:version', requirePermission('prompts:manage'), (req, res) => {
+  try {
+    const template = promptRegistry.getTemplate(req.params.id, req.params.version);
+    res.json({ ...template, active: template.version === promptRegistry.getActiveVersion(template.id) });
+  } catch (error) {
+    if (hasErrorCode(error, 'PROMPT_NOT_FOUND')) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Prompt fetch error:', error);
+    res.status(500).json({ error: 'Failed to get prompt' });
+  }
+});
+
+// Renders a version with the given `variables` without sending it to a model
+app.post('/prompts/:id/versions/:version/preview', requirePermission('prompts:manage'), (req, res) => {
+  try {
+    const variables = req.body.variables || {};
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+      return res.status(400).json({ error: 'variables must be an object' });
+    }
+
+    const { text, prompt } = promptRegistry.renderVersion(req.params.id, req.params.version, variables);
+    res.json({ ...prompt, text });
+  } catch (error) {
+    if (hasErrorCode(error, 'PROMPT_NOT_FOUND')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (hasErrorCode(error, 'MISSING_PROMPT_VARIABLE')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Prompt preview error:', error);
+    res.status(500).json({ error: 'Failed to preview prompt' });
+  }
+});
+
+// Switch the version used for new requests; results already stored keep theirs
+app.put('/prompts/:id/active', requirePermission('prompts:manage'), async (req, res) => {
+  try {
+    const { version } = req.body;
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({ error: 'version must be an integer' });
+    }
+
+    const { template, previousVersion } = await promptRegistry.activate(req.params.id, version, req.user);
+    await auditLog.record('prompt.activated', {
+      resource: { type: 'prompt', id: template.id },
+      details: { version: template.version, hash: template.hash, previousVersion }
+    });
+
+    res.json(promptRegistry.describe(template.id));
+  } catch (error) {
+    if (hasErrorCode(error, 'PROMPT_NOT_FOUND')) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Prompt activation error:', error);
+    res.status(500).json({ error: 'Failed to activate prompt' });
+  }
+});
+
+// Audit trail
+
+function getAuditFilters(query) {
+  return {
+    action: query.action,
+    actor: query.actor,
+    resourceType: query.resource_type,
+    resourceId: query.resource_id,
+    from: query.from,
+    to: query.to
+  };
+}
+
+// Query the audit log, newest first (`action`, `actor`, `resource_type`, `resource_id`, `from`, `to`, `limit`, `offset`)
+app.get('/audit', requirePermission('audit:read'), (req, res) => {
+  try {
+    const limit = Number(req.query.limit) || 100;
+    const offset = Number(req.query.offset) || 0;
+    const { total, entries } = auditLog.query(getAuditFilters(req.query), { limit, offset });
+
+    res.json({ total, limit, offset, entries });
+  } catch (error) {
+    if (hasErrorCode(error, 'INVALID_AUDIT_QUERY')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Audit query error:', error);
+    res.status(500).json({ error: 'Failed to query audit log' });
+  }
+});
+
+// Recompute the hash chain to show the log has not been altered
+app.get('/audit/verify', requirePermission('audit:read'), (req, res) => {
+  try {
+    res.json(auditLog.verify());
+  } catch (error) {
+    console.error('Audit verify error:', error);
+    res.status(500).json({ error: 'Failed to verify audit log' });
+  }
+});
+
+// Download matching entries, oldest first, as JSON lines (default) or CSV
+app.get('/audit/export', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'jsonl';
+    if (!['jsonl', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be jsonl or csv' });
+    }
+
+    const filters = getAuditFilters(req.query);
+    const content = auditLog.export(filters, format);
+    await auditLog.record('audit.exported', { details: { format, filters } });
+
+    res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+    res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.send(content);
+  } catch (error) {
+    if (hasErrorCode(error, 'INVALID_AUDIT_QUERY')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Audit export error:', error);
+    res.status(500).json({ error: 'Failed to export audit log' });
+  }
+});
+
+// Detaching a split upload also detaches the documents it was split into
+async function detachDocumentFromApplication(applicationId, documentId) {
+  const documentIds = withSplitChildren([documentId]);
+  const application = store.getApplication(applicationId);
+  if (application) {
+    application.documentIds = application.documentIds.filter(id => !documentIds.includes(id));
+    await store.saveApplication(application);
+  }
+
+  for (const id of documentIds) {
+    const docInfo = store.getDocument(id);
+    if (docInfo && docInfo.applicationId === applicationId) {
+      docInfo.applicationId = null;
+      await store.saveDocument(docInfo);
+    }
+  }
+
+  return application;
+}
+
+function withSplitChildren(documentIds) {
+  return [...new Set(documentIds.flatMap(id => [id, ...(store.getDocument(id)?.childIds || [])]))];
+}
+
+// Replaces split uploads by the documents they were split into
+function expandSplitDocuments(documentIds) {
+  return [...new Set(documentIds.flatMap(id => {
+    const docInfo = store.getDocument(id);
+    return docInfo?.status === 'split' ? docInfo.childIds : [id];
+  }))];
+}
+
+// Mark documents that were mid-processing when the server stopped as interrupted
+async function recoverInterruptedDocuments() {
+  const interrupted = store.listDocuments().filter(doc => doc.status === 'processing');
+
+  for (const docInfo of interrupted) {
+    docInfo.status = 'interrupted';
+    docInfo.progress = 0;
+    docInfo.error = 'Processing was interrupted by a server restart. Start processing again to resume.';
+    docInfo.interruptedAt = new Date().toISOString();
+    await store.saveDocument(docInfo);
+    await auditLog.record('document.processing_interrupted', { actor: null, resource: { type: 'document', id: docInfo.id } });
+  }
+
+  if (interrupted.length > 0) {
+    console.log(`Marked ${interrupted.length} document(s) as interrupted after restart`);
+  }
+}
+
+// Stored PDF passwords are encrypted; they are decrypted only to open the file
+async function getPassword(docInfo) {
+  return docInfo.password ? decryptSecret(docInfo.password) : null;
+}
+
+// Encrypts uploads and passwords stored before at-rest encryption was enabled
+async function encryptLegacyData() {
+  let files = 0;
+  let passwords = 0;
+
+  for (const docInfo of store.listDocuments()) {
+    if (docInfo.password && !isEncryptedSecret(docInfo.password)) {
+      docInfo.password = await encryptSecret(docInfo.password);
+      await store.saveDocument(docInfo);
+      passwords++;
+    }
+
+    // Split children share their parent's file, which is only encrypted once
+    try {
+      if (await encryptFileInPlace(docInfo.filepath)) {
+        files++;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not encrypt stored upload for ${docInfo.filename}: ${error.message}`);
+      }
+    }
+  }
+
+  if (files > 0 || passwords > 0) {
+    console.log(`Encrypted ${files} stored upload(s) and ${passwords} stored password(s)`);
+  }
+}
+
+async function queueDocument(docInfo, priority = 0) {
+  docInfo.status = 'queued';
+  docInfo.progress = 0;
+  delete docInfo.error;
+  await saveDocument(docInfo);
+
+  const job = await jobQueue.enqueue(docInfo.id, { priority });
+  await auditLog.record('document.queued', {
+    resource: { type: 'document', id: docInfo.id },
+    details: { jobId: job.id, priority: job.priority, highAccuracy: isHighAccuracy(docInfo) }
+  });
+  return job;
+}
+
+// Keep document status in sync with the outcome of its processing job
+function registerJobEvents() {
+  const updateDocument = async (documentId, updates, eventType = 'status') => {
+    try {
+      const docInfo = store.getDocument(documentId);
+      if (docInfo) {
+        Object.assign(docInfo, updates);
+        await saveDocument(docInfo, eventType);
+      }
+    } catch (error) {
+      console.error(`Failed to update document ${documentId} after job event:`, error);
+    }
+  };
+
+  jobQueue.on('job:retrying', (job, error) => updateDocument(job.documentId, {
+    status: 'queued',
+    progress: 0,
+    error: `Attempt ${job.attempts} of ${job.maxAttempts} failed (${error.message}). Retrying automatically.`
+  }));
+
+  jobQueue.on('job:waiting', (job, error) => updateDocument(job.documentId, {
+    status: 'waiting_for_model',
+    progress: 0,
+    error: error.message
+  }));
+
+  jobQueue.on('job:resumed', job => updateDocument(job.documentId, {
+    status: 'queued',
+    progress: 0,
+    error: undefined
+  }));
+
+  jobQueue.on('job:cancelled', job => updateDocument(job.documentId, {
+    status: 'cancelled',
+    progress: 0,
+    error: 'Processing was cancelled'
+  }));
+
+  jobQueue.on('job:failed', (job, error) => {
+    // Locked PDFs wait for the analyst to supply the password instead of failing
+    if (hasErrorCode(error, 'PDF_PASSWORD_REQUIRED') || hasErrorCode(error, 'PDF_PASSWORD_INCORRECT')) {
+      return markNeedsPassword(job.documentId, hasErrorCode(error, 'PDF_PASSWORD_INCORRECT'))
+        .catch(updateError => console.error(`Failed to update document ${job.documentId} after job event:`, updateError));
+    }
+
+    console.error(`Processing failed for document ${job.documentId}:`, error);
+
+    // Check if it's an encryption-related error
+    const message = error.message.includes('encrypted') || error.message.includes('password')
+      ? `PDF is encrypted: ${error.message}. Please provide the correct password.`
+      : error.message;
+
+    return updateDocument(job.documentId, { status: 'error', progress: 0, error: message }, 'document_error');
+  });
+}
+
+// Processing outcomes, recorded as the system with the job that produced them
+function registerAuditEvents() {
+  const recordJob = (action, job, details = {}) => auditLog.runWithContext(
+    { actor: null, jobId: job.id, resource: { type: 'document', id: job.documentId } },
+    () => auditLog.recordQuietly(action, { details })
+  );
+
+  jobQueue.on('job:started', job => recordJob('document.processing_started', job, {
+    attempt: job.attempts,
+    maxAttempts: job.maxAttempts
+  }));
+
+  jobQueue.on('job:completed', job => {
+    const docInfo = store.getDocument(job.documentId);
+    const extraction = docInfo?.status === 'completed' ? store.getExtraction(docInfo.id) : null;
+
+    recordJob('document.processing_completed', job, {
+      status: docInfo?.status || null,
+      documentType: extraction?.documentType || null,
+      extractionHash: extraction ? sha256(extraction) : null,
+      childIds: docInfo?.status === 'split' ? docInfo.childIds : undefined
+    });
+  });
+
+  jobQueue.on('job:retrying', (job, error) => recordJob('document.processing_retrying', job, {
+    attempt: job.attempts,
+    error: error.message
+  }));
+
+  jobQueue.on('job:waiting', (job, error) => recordJob('document.processing_waiting_for_model', job, {
+    error: error.message
+  }));
+
+  jobQueue.on('job:resumed', job => recordJob('document.processing_resumed', job));
+
+  jobQueue.on('job:cancelled', job => recordJob('document.processing_cancelled', job));
+
+  jobQueue.on('job:failed', (job, error) => recordJob('document.processing_failed', job, {
+    error: error.message,
+    code: error.code || null
+  }));
+}
+
+// Every model request, with the exact model version and a hash of the prompt sent
+function recordModelCall(call) {
+  llmService.getModelDigest(call.provider, call.model)
+    .then(modelDigest => auditLog.recordQuietly('model.call', { details: { ...call, modelDigest } }));
+}
+
+// Passwords for a locked PDF are only taken by POST /documents/:id/password, which counts
+// the attempts. Queueing the document again with a new password would get round the limit.
+function passwordLockoutError(docInfo) {
+  if (docInfo.status === 'needs_password') {
+    return 'Document is waiting for its password; submit it to /documents/:id/password';
+  }
+  if ((docInfo.passwordAttempts || 0) >= MAX_PASSWORD_ATTEMPTS) {
+    return 'Too many incorrect password attempts. Upload the document again to retry.';
+  }
+  return null;
+}
+
+async function markNeedsPassword(documentId, incorrect) {
+  const docInfo = store.getDocument(documentId);
+  if (!docInfo) {
+    return;
+  }
+
+  // A password given at upload that does not open the file counts as an attempt
+  delete docInfo.password;
+  if (incorrect) {
+    docInfo.passwordAttempts = (docInfo.passwordAttempts || 0) + 1;
+  }
+
+  if ((docInfo.passwordAttempts || 0) >= MAX_PASSWORD_ATTEMPTS) {
+    Object.assign(docInfo, { status: 'error', progress: 0, error: 'Too many incorrect password attempts. Upload the document again to retry.' });
+    return saveDocument(docInfo, 'document_error');
+  }
+
+  console.log(`Document ${docInfo.filename} is password protected, waiting for the password`);
+  Object.assign(docInfo, {
+    status: 'needs_password',
+    progress: 0,
+    error: incorrect ? 'The password for this PDF is incorrect' : 'This PDF is password protected'
+  });
+  return saveDocument(docInfo);
+}
+
+// Job handler: process a document with encryption support.
+// Throws on failure so the queue can decide whether to retry.
+async function processDocumentAsync(job, context) {
+  const docInfo = store.getDocument(job.documentId);
+  if (!docInfo) {
+    throw new Error('Document no longer exists');
+  }
+
+  const documentId = docInfo.id;
+
+  console.log(`Starting processing for document: ${docInfo.filename} (attempt ${context.attempt})`);
+  
+  // Update progress
+  docInfo.status = 'processing';
+  docInfo.progress = 20;
+  delete docInfo.error;
+  delete docInfo.validationErrors;
+  delete docInfo.disputedFields;
+  delete docInfo.needsReview;
+  await saveDocument(docInfo);
+
+  // A combined PDF becomes one child document per logical document, each processed on its own
+  if (isSplitCandidate(docInfo)) {
+    const segments = await detectDocumentBoundaries(docInfo, context);
+    context.throwIfCancelled();
+
+    if (segments.length > 1) {
+      await splitDocument(docInfo, segments, 'automatic');
+      console.log(`Split ${docInfo.filename} into ${segments.length} documents`);
+      return;
+    }
+  }
+
+  const combinedData = await extractDocument(docInfo, context);
+  
+  context.throwIfCancelled();
+  docInfo.progress = 95;
+  await saveDocument(docInfo, 'progress');
+
+  // Store extracted data
+  await store.saveExtraction(documentId, combinedData);
+
+  // Mark as completed
+  docInfo.status = 'completed';
+  docInfo.progress = 100;
+  docInfo.completedAt = new Date().toISOString();
+  await saveDocument(docInfo, 'completed');
+
+  console.log(`Completed processing for document: ${docInfo.filename}`);
+}
+
+// Multi-page PDF uploads are checked once; parts and manually split uploads are not
+function isSplitCandidate(docInfo) {
+  return docInfo.mimetype === 'application/pdf'
+    && !docInfo.parentId
+    && !docInfo.split
+    && !docInfo.pageClassifications;
+}
+
+// Classifies every page and groups the pages into logical documents
+async function detectDocumentBoundaries(docInfo, context) {
+  let rendered = [];
+
+  try {
+    const pdf = await documentProcessor.readPdfPages(docInfo.filepath, await getPassword(docInfo));
+    rendered = pdf.rendered;
+    docInfo.pageCount = pdf.pageCount;
+
+    if (pdf.pageCount < 2) {
+      docInfo.pageClassifications = [];
+      return [];
+    }
+
+    docInfo.progress = 30;
+    await saveDocument(docInfo, 'progress');
+
+    const imageByPage = new Map(rendered.map(image => [image.pageNumber, image.path]));
+    const classifications = await pageClassifier.classifyPages(pdf.pageTexts.map(page => ({
+      pageNumber: page.pageNumber,
+      text: page.usable ? page.text : null,
+      imagePath: imageByPage.get(page.pageNumber) || null
+    })), context);
+
+    docInfo.pageClassifications = classifications;
+    await store.saveDocument(docInfo);
+
+    return pageClassifier.detectBoundaries(classifications);
+
+  } finally {
+    if (rendered.length > 0) {
+      await documentProcessor.cleanupImages(rendered.map(image => image.path));
+    }
+  }
+}
+
+// Creates a child document per segment and queues them. A single segment keeps the
+// upload whole and reprocesses it. Children from an earlier split are removed.
+async function splitDocument(docInfo, segments, method) {
+  for (const childId of docInfo.childIds || []) {
+    await store.removeDocument(childId);
+    await removeReviewImages(childId);
+  }
+
+  const application = docInfo.applicationId ? store.getApplication(docInfo.applicationId) : null;
+  if (application) {
+    application.documentIds = application.documentIds.filter(id => !(docInfo.childIds || []).includes(id));
+  }
+
+  const baseName = path.basename(docInfo.filename, path.extname(docInfo.filename));
+  const children = segments.length > 1 ? segments.map(segment => {
+    const [firstPage, lastPage] = segment.pageRange;
+    return {
+      id: uuidv4(),
+      filename: `${baseName} (pages ${firstPage === lastPage ? firstPage : `${firstPage}-${lastPage}`}).pdf`,
+      filepath: docInfo.filepath,
+      mimetype: docInfo.mimetype,
+      size: docInfo.size,
+      applicationId: docInfo.applicationId || null,
+      parentId: docInfo.id,
+      pageRange: segment.pageRange,
+      documentType: segment.documentType,
+      status: 'pending',
+      progress: 0,
+      uploadedAt: docInfo.uploadedAt,
+      password: docInfo.password,
+      highAccuracy: docInfo.highAccuracy,
+      ownerId: docInfo.ownerId || null,
+      team: docInfo.team || null
+    };
+  }) : [];
+
+  for (const child of children) {
+    await store.saveDocument(child);
+  }
+
+  if (application) {
+    const position = application.documentIds.indexOf(docInfo.id);
+    application.documentIds.splice(position === -1 ? application.documentIds.length : position + 1, 0, ...children.map(child => child.id));
+    await store.saveApplication(application);
+  }
+
+  docInfo.split = {
+    method,
+    splitAt: new Date().toISOString(),
+    segments: segments.map((segment, index) => ({
+      pageRange: segment.pageRange,
+      documentType: segment.documentType,
+      confidence: segment.confidence ?? null,
+      documentId: children[index]?.id || docInfo.id
+    }))
+  };
+  docInfo.childIds = children.map(child => child.id);
+
+  await auditLog.record('document.split', {
+    resource: { type: 'document', id: docInfo.id },
+    details: { method, segments: docInfo.split.segments }
+  });
+
+  if (children.length === 0) {
+    await queueDocument(docInfo);
+    return [];
+  }
+
+  docInfo.status = 'split';
+  docInfo.progress = 100;
+  delete docInfo.error;
+  delete docInfo.pages;
+  await saveDocument(docInfo, 'split');
+
+  for (const child of children) {
+    await queueDocument(child);
+  }
+
+  return children;
+}
+
+// Bank exports (CSV/XLSX) and electronic statements (MT940, CAMT.053, OFX) are
+// parsed exactly and never reach the models
+async function extractDocument(docInfo, context) {
+  if (spreadsheetImporter.supports(docInfo.filename, docInfo.mimetype)) {
+    const data = await spreadsheetImporter.import(docInfo.filepath, {
+      filename: docInfo.filename,
+      mimeType: docInfo.mimetype,
+      profileId: docInfo.bankProfile
+    });
+    return { ...data, provenance: buildParserProvenance(data, docInfo.id) };
+  }
+
+  if (statementParser.supports(docInfo.filename)) {
+    const data = await statementParser.parse(docInfo.filepath, { filename: docInfo.filename });
+    return { ...data, provenance: buildParserProvenance(data, docInfo.id) };
+  }
+
+  return extractWithModels(docInfo, context);
+}
+
+async function extractWithModels(docInfo, context) {
+  let parts = [];
+
+  try {
+    // Split the document into text-layer sections (analysis model) and page images (vision model)
+    const prepared = await documentProcessor.prepareDocument(
+      docInfo.filepath, 
+      docInfo.mimetype, 
+      await getPassword(docInfo),
+      docInfo.pageRange
+    );
+    parts = prepared.parts;
+    docInfo.pages = prepared.pages;
+    docInfo.imageReviews = [];
+    docInfo.validationErrors = [];
+    docInfo.repairAttempts = 0;
+    docInfo.disputedFields = [];
+    docInfo.needsReview = false;
+    await removeReviewImages(docInfo.id);
+    
+    context.throwIfCancelled();
+    docInfo.progress = 40;
+    await saveDocument(docInfo, 'progress', { page: 0, total_pages: parts.length });
+
+    const extractedResults = [];
+    const modelTraces = [];
+    for (let i = 0; i < parts.length; i++) {
+      // Stop between pages when the job has been cancelled
+      context.throwIfCancelled();
+
+      const part = parts[i];
+      const pageLabel = part.pageNumbers.length > 0 ? ` (page ${part.pageNumbers.join(', ')})` : '';
+      console.log(`Processing ${part.extractionPath} part ${i + 1}/${parts.length}${pageLabel} for document: ${docInfo.filename}`);
+      
+      // First pass: the page type decides which extractor's prompt and schema the second pass uses
+      const classification = await classifyPart(docInfo, part);
+      for (const page of docInfo.pages.filter(page => part.pageNumbers.includes(page.page))) {
+        page.documentType = classification.documentType;
+        page.classifiedBy = classification.method;
+      }
+      context.throwIfCancelled();
+
+      // Text layers and Word tables go to the text extraction model, scans to the vision model
+      const { validationErrors, repairAttempts, modelTrace, ...result } = part.extractionPath === 'text'
+        ? await llmService.extractDataFromText(part.text, docInfo.filename, classification.documentType)
+        : await extractFromImage(docInfo, part, i, context, classification.documentType, modelTraces);
+      modelTraces.push({ ...modelTrace, pageNumbers: part.pageNumbers });
+      result.extractionPath = part.extractionPath;
+      result.prompts = [...classification.prompts, ...result.prompts];
+
+      // Schema errors the repair prompts could not fix, kept for analysts to check
+      docInfo.repairAttempts += repairAttempts;
+      docInfo.validationErrors.push(...validationErrors.map(error => ({
+        pageNumbers: part.pageNumbers,
+        extractionPath: part.extractionPath,
+        ...error
+      })));
+      // Numbers the high-accuracy runs read differently are flagged for an analyst to check
+      for (const [fieldPath, disagreement] of Object.entries(result.consensus?.disagreements || {})) {
+        docInfo.disputedFields.push({ pageNumbers: part.pageNumbers, path: fieldPath, ...disagreement });
+      }
+      docInfo.needsReview = docInfo.needsReview || docInfo.disputedFields.length > 0;
+      result.pageNumbers = part.pageNumbers;
+      result.provenance = buildPartProvenance(result, part, docInfo.id);
+      delete result.consensus;
+      extractedResults.push(result);
+      
+      // Update progress
+      docInfo.progress = 40 + (50 * (i + 1) / parts.length);
+      await saveDocument(docInfo, 'progress', { page: i + 1, total_pages: parts.length });
+    }
+
+    // Combine and structure the extracted data
+    const combinedData = documentProcessor.combineExtractedData(extractedResults, docInfo.filename);
+    combinedData.pages = docInfo.pages;
+    if (docInfo.pages.length > 0) {
+      combinedData.pageCount = docInfo.pages.length;
+    }
+
+    // Parts of a split upload keep the type the page classifier gave them unless the model found one
+    if (docInfo.parentId) {
+      combinedData.parentDocumentId = docInfo.parentId;
+      combinedData.pageRange = docInfo.pageRange;
+      if (combinedData.documentType === DOCUMENT_TYPES.UNKNOWN && docInfo.documentType !== DOCUMENT_TYPES.UNKNOWN) {
+        combinedData.documentType = docInfo.documentType;
+      }
+    }
+
+    // Traces from an earlier run described the extraction this one replaces
+    await store.removeModelTraces({ documentId: docInfo.id });
+    for (const trace of modelTraces) {
+      await store.saveModelTrace({ id: uuidv4(), documentId: docInfo.id, ...trace });
+    }
+    return combinedData;
+
+  } finally {
+    // Clean up temporary image files, including after failures and cancellation
+    const images = parts.filter(part => part.imagePath).map(part => part.imagePath);
+    if (images.length > 0) {
+      await documentProcessor.cleanupImages(images);
+    }
+  }
+}
+
+// Parts of a split upload and pages already classified while looking for split points
+// keep that type; anything else is classified now, from its title keywords or by a model.
+// Parts that cannot be classified are extracted with the general prompt.
+async function classifyPart(docInfo, part) {
+  if (docInfo.documentType && docInfo.documentType !== DOCUMENT_TYPES.UNKNOWN) {
+    return { documentType: docInfo.documentType, method: 'split', prompts: [] };
+  }
+
+  const classified = (docInfo.pageClassifications || []).find(page =>
+    part.pageNumbers.includes(page.page) && page.documentType !== DOCUMENT_TYPES.UNKNOWN
+  );
+  if (classified) {
+    return { documentType: classified.documentType, method: classified.method, prompts: classified.prompts || [] };
+  }
+
+  const { documentType, method, prompts = [] } = await pageClassifier.classifyPage({
+    pageNumber: part.pageNumbers[0] ?? 1,
+    text: part.text || null,
+    imagePath: part.imagePath || null
+  });
+  console.log(`Classified ${docInfo.filename}${part.pageNumbers.length > 0 ? ` page ${part.pageNumbers[0]}` : ''} as ${documentType} (${method})`);
+  return { documentType, method, prompts };
+}
+
+// Extracts a page image as uploaded, then retries on the preprocessed image (rotated,
+// deskewed, cropped, flattened) when the first answer is not confident enough.
+// Both images are kept under the data directory so analysts can compare them.
+// The trace of an attempt that was not used goes to `modelTraces`, marked as discarded
+async function extractFromImage(docInfo, part, index, context, documentType, modelTraces) {
+  const name = part.pageNumbers.length > 0 ? `page-${part.pageNumbers[0]}` : `image-${index + 1}`;
+  let preprocessed = null;
+
+  if (imagePreprocessor.enabled) {
+    try {
+      preprocessed = await imagePreprocessor.process(part.imagePath, { outputDir: getReviewDir(docInfo.id), name });
+    } catch (error) {
+      // The original image is still usable
+      console.warn(`Preprocessing skipped for ${docInfo.filename} ${name}: ${error.message}`);
+    }
+  }
+
+  const options = { highAccuracy: isHighAccuracy(docInfo) };
+  const result = await llmService.extractDataFromImage(part.imagePath, documentType, options);
+  const review = {
+    name,
+    pageNumbers: part.pageNumbers,
+    steps: preprocessed ? preprocessed.steps.filter(step => step.applied).map(step => step.detail) : [],
+    before: preprocessed ? path.basename(preprocessed.beforePath) : null,
+    after: preprocessed ? path.basename(preprocessed.afterPath) : null,
+    confidence: result.confidence,
+    retried: false,
+    used: 'original'
+  };
+  docInfo.imageReviews.push(review);
+
+  if (!preprocessed?.changed || result.confidence >= LOW_CONFIDENCE_THRESHOLD) {
+    return result;
+  }
+
+  context.throwIfCancelled();
+  console.log(`Low confidence (${result.confidence}) on ${docInfo.filename} ${name}, retrying on the enhanced image`);
+  const retry = await llmService.extractDataFromImage(preprocessed.afterPath, documentType, options);
+  review.retried = true;
+  review.retryConfidence = retry.confidence;
+
+  result.modelTrace.image = 'original';
+  retry.modelTrace.image = 'enhanced';
+  const used = retry.confidence > result.confidence ? retry : result;
+  const discarded = used === retry ? result : retry;
+  modelTraces.push({ ...discarded.modelTrace, pageNumbers: part.pageNumbers, discarded: true });
+
+  if (used === retry) {
+    review.used = 'enhanced';
+  }
+  return used;
+}
+
+function isHighAccuracy(docInfo) {
+  return docInfo.highAccuracy ?? HIGH_ACCURACY_BY_DEFAULT;
+}
+
+function getReviewDir(documentId) {
+  return path.join(store.dataDir, 'review', documentId);
+}
+
+async function removeReviewImages(documentId) {
+  await secureDeleteDirectory(getReviewDir(documentId));
+}
+
+// Data retention and deletion
+
+// Deletes documents and everything derived from them: review images, extraction results,
+// jobs and the recommendations that analysed them. A split upload takes its parts with it,
+// and an uploaded file is deleted once no remaining document uses it.
+async function deleteDocuments(documentIds, reason) {
+  const ids = withSplitChildren(documentIds);
+  const removed = ids.map(id => store.getDocument(id)).filter(Boolean);
+
+  for (const docInfo of removed) {
+    await removeReviewImages(docInfo.id);
+    for (const job of store.listJobs().filter(job => job.documentId === docInfo.id)) {
+      await store.removeJob(job.id);
+    }
+    await store.removeDocument(docInfo.id);
+  }
+
+  // A part deleted on its own leaves its split parent
+  for (const parentId of new Set(removed.map(docInfo => docInfo.parentId).filter(Boolean))) {
+    const parent = store.getDocument(parentId);
+    if (parent) {
+      parent.childIds = (parent.childIds || []).filter(id => !ids.includes(id));
+      await store.saveDocument(parent);
+    }
+  }
+
+  const recommendationIds = store.listRecommendations()
+    .filter(record => record.documentIds.some(id => ids.includes(id)))
+    .map(record => record.id);
+
+  for (const application of store.listApplications()) {
+    const documentCount = application.documentIds.length;
+    const recommendationCount = application.recommendationIds.length;
+    application.documentIds = application.documentIds.filter(id => !ids.includes(id));
+    application.recommendationIds = application.recommendationIds.filter(id => !recommendationIds.includes(id));
+
+    if (application.documentIds.length !== documentCount || application.recommendationIds.length !== recommendationCount) {
+      await store.saveApplication(application);
+    }
+  }
+
+  for (const recommendationId of recommendationIds) {
+    await store.removeRecommendation(recommendationId);
+  }
+
+  const filesDeleted = await deleteUnreferencedFiles(removed.map(docInfo => docInfo.filepath));
+
+  await auditLog.record('document.deleted', {
+    resource: ids.length > 0 ? { type: 'document', id: documentIds[0] } : null,
+    details: { reason, documentIds: ids, recommendationIds, filesDeleted }
+  });
+
+  return { documentIds: ids, recommendationIds, filesDeleted };
+}
+
+// Split parts share their parent's upload, so a file goes only when nothing points to it
+async function deleteUnreferencedFiles(filePaths) {
+  const inUse = new Set(store.listDocuments().map(docInfo => docInfo.filepath).filter(Boolean));
+  let deleted = 0;
+
+  for (const filePath of new Set(filePaths.filter(Boolean))) {
+    if (!inUse.has(filePath) && await secureDelete(filePath)) {
+      deleted++;
+    }
+  }
+  return deleted;
+}
+
+async function purgeApplication(application) {
+  const { documentIds, recommendationIds } = await deleteDocuments(application.documentIds, 'retention');
+
+  // Recommendations made without any document still attached
+  for (const recommendationId of application.recommendationIds) {
+    await store.removeRecommendation(recommendationId);
+  }
+  await store.removeApplication(application.id);
+
+  await auditLog.record('application.purged', {
+    resource: { type: 'application', id: application.id },
+    details: { documentIds, recommendationIds: [...new Set([...recommendationIds, ...application.recommendationIds])] }
+  });
+}
+
+// Keeps the case's amounts, scores and decision for reporting, but removes the files,
+// extracted data and anything that names the borrower
+async function anonymiseApplication(application) {
+  const ids = withSplitChildren(application.documentIds);
+  const documents = ids.map(id => store.getDocument(id)).filter(Boolean);
+  const anonymisedAt = new Date().toISOString();
+
+  for (const docInfo of documents) {
+    await removeReviewImages(docInfo.id);
+    await store.removeExtraction(docInfo.id);
+    for (const job of store.listJobs().filter(job => job.documentId === docInfo.id)) {
+      await store.removeJob(job.id);
+    }
+
+    await store.saveDocument({
+      id: docInfo.id,
+      filename: `document-${docInfo.id.slice(0, 8)}`,
+      mimetype: docInfo.mimetype,
+      size: docInfo.size,
+      applicationId: docInfo.applicationId,
+      parentId: docInfo.parentId,
+      childIds: docInfo.childIds,
+      documentType: docInfo.documentType,
+      pageRange: docInfo.pageRange,
+      pageCount: docInfo.pageCount,
+      status: docInfo.status,
+      progress: docInfo.progress,
+      uploadedAt: docInfo.uploadedAt,
+      completedAt: docInfo.completedAt,
+      ownerId: docInfo.ownerId,
+      team: docInfo.team,
+      anonymisedAt
+    });
+  }
+
+  const filesDeleted = await deleteUnreferencedFiles(documents.map(docInfo => docInfo.filepath));
+
+  for (const recommendationId of application.recommendationIds) {
+    const record = store.getRecommendation(recommendationId);
+    if (record) {
+      const { score, recommendation, riskLevel, creditLimit, interestRate } = record.recommendation;
+      record.recommendation = { score, recommendation, riskLevel, creditLimit, interestRate };
+      record.anonymisedAt = anonymisedAt;
+      await store.saveRecommendation(record);
+      await store.removeModelTraces({ recommendationId });
+    }
+  }
+
+  Object.assign(application, {
+    applicantName: 'Anonymised applicant',
+    companyName: null,
+    notes: null,
+    anonymisedAt
+  });
+  if (application.decision) {
+    application.decision.notes = null;
+  }
+  await store.saveApplication(application);
+
+  await auditLog.record('application.anonymised', {
+    resource: { type: 'application', id: application.id },
+    details: { documentIds: ids, recommendationIds: application.recommendationIds, filesDeleted }
+  });
+}
+
+// Applies the retention policy to what RetentionService found expired.
+// Cases with a document still being processed wait for the next run.
+async function purgeExpired({ applications, documents }) {
+  let cases = 0;
+  let uploads = 0;
+
+  for (const application of applications) {
+    if (withSplitChildren(application.documentIds).some(documentId => jobQueue.getActiveJob(documentId))) {
+      continue;
+    }
+
+    if (retentionService.mode === 'anonymise') {
+      await anonymiseApplication(application);
+    } else {
+      await purgeApplication(application);
+    }
+    cases++;
+  }
+
+  // Uploads that were never attached to a case are deleted in either mode
+  for (const docInfo of documents) {
+    if (!store.getDocument(docInfo.id) || withSplitChildren([docInfo.id]).some(documentId => jobQueue.getActiveJob(documentId))) {
+      continue;
+    }
+    await deleteDocuments([docInfo.id], 'retention');
+    uploads++;
+  }
+
+  if (cases > 0 || uploads > 0) {
+    console.log(`Retention: ${retentionService.mode === 'anonymise' ? 'anonymised' : 'deleted'} ${cases} archived case(s), deleted ${uploads} unattached upload(s)`);
+  }
+}
+
+async function sweepOrphanedFiles() {
+  const orphaned = await retentionService.findOrphanedFiles({
+    uploadsDir,
+    tempDir: documentProcessor.tempDir,
+    reviewDir: path.join(store.dataDir, 'review')
+  });
+
+  for (const filePath of [...orphaned.uploads, ...orphaned.temp]) {
+    await secureDelete(filePath);
+  }
+  for (const dirPath of orphaned.reviews) {
+    await secureDeleteDirectory(dirPath);
+  }
+
+  const total = orphaned.uploads.length + orphaned.temp.length + orphaned.reviews.length;
+  if (total > 0) {
+    console.log(`Removed ${orphaned.uploads.length} orphaned upload(s), ${orphaned.temp.length} temp file(s) and ${orphaned.reviews.length} review folder(s)`);
+    await auditLog.record('storage.orphans_removed', {
+      actor: null,
+      details: { uploads: orphaned.uploads.map(filePath => path.basename(filePath)), temp: orphaned.temp.length, reviews: orphaned.reviews.map(dirPath => path.basename(dirPath)) }
+    });
+  }
+}
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  console.error('Server error:', error);
+  
+  if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ error: 'File too large. Maximum size is 50MB.' });
     }
     return res.status(400).json({ error: error.message });
   }
+
+  if (hasErrorCode(error, 'UNSUPPORTED_FILE_TYPE')) {
+    return res.status(400).json({ error: error.message });
+  }
   
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -353,6 +2542,12 @@ app.use((error, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log('Required Ollama models: qwen2.5vl:7b, deepseek-r1:8b');
-  console.log('Enhanced features: Encrypted PDF support, No request timeouts');
+  for (const [task, { provider, model }] of Object.entries(llmService.tasks)) {
+    console.log(`Model for ${task}: ${model} on ${provider}`);
+  }
+  console.log('Enhanced features: Encrypted PDF support');
+  const seconds = ms => `${ms / 1000}s`;
+  console.log(`Default model request timeouts: ${seconds(TIMEOUT_DEFAULTS.baseMs)} base, +${seconds(TIMEOUT_DEFAULTS.perImageMs)} per image, `
+    + `+${seconds(TIMEOUT_DEFAULTS.perThousandCharactersMs)} per 1k prompt characters, at most ${seconds(TIMEOUT_DEFAULTS.maxMs)}; `
+    + `${MAX_RETRIES} retries on connection and server errors`);
 });
\ No newline at end of file
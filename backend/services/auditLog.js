@@ -0,0 +1,240 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { createError } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+const MAX_QUERY_LIMIT = 1000;
+
+// Append-only audit trail of who did what: uploads, processing, model calls,
+// recommendations, manual edits and credit decisions.
+// Entries are appended as JSON lines to `audit.log` in the data directory and never
+// rewritten. Each entry carries the hash of the one before it, so editing, removing
+// or reordering a line breaks the chain from that point on (see verify()).
+// The acting user and the document being processed are taken from the async
+// context set with runWithContext(), so deeply nested code such as the Ollama
+// client can record entries without having them passed down.
+export class AuditLog {
+  constructor(dataDir = process.env.DATA_DIR || path.join(__dirname, '../data')) {
+    this.filePath = path.join(dataDir, 'audit.log');
+    this.entries = [];
+    this.lastHash = GENESIS_HASH;
+    this.writeQueue = Promise.resolve();
+    this.context = new AsyncLocalStorage();
+  }
+
+  async init() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let content = '';
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load audit log: ${error.message}`, { cause: error });
+      }
+    }
+
+    this.entries = content.split('\n').filter(Boolean).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Failed to load audit log: line ${index + 1} is not valid JSON`, { cause: error });
+      }
+    });
+    this.lastHash = this.entries[this.entries.length - 1]?.hash || GENESIS_HASH;
+
+    // A broken chain is reported, not repaired: the log is evidence and stays as found
+    const verification = this.verify();
+    if (verification.valid) {
+      console.log(`Audit log loaded: ${this.entries.length} entries, chain intact`);
+    } else {
+      console.error(`Audit log chain is broken at entry ${verification.brokenAt}: ${verification.reason}`);
+    }
+  }
+
+  // Runs fn with audit context (actor, resource, jobId) that record() picks up
+  runWithContext(context, fn) {
+    return this.context.run({ ...this.context.getStore(), ...context }, fn);
+  }
+
+  // Appends an entry. The actor and resource default to the current context;
+  // pass `actor: null` for the system.
+  record(action, { actor, resource, details = {} } = {}) {
+    const context = this.context.getStore() || {};
+
+    const append = async () => {
+      const entry = {
+        seq: this.entries.length + 1,
+        id: uuidv4(),
+        timestamp: new Date().toISOString(),
+        action,
+        actor: describeActor(actor !== undefined ? actor : context.actor),
+        resource: resource || context.resource || null,
+        jobId: context.jobId || null,
+        details,
+        prevHash: this.lastHash
+      };
+      entry.hash = hashEntry(entry);
+
+      await fs.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+      this.entries.push(entry);
+      this.lastHash = entry.hash;
+      return entry;
+    };
+
+    // Entries are chained, so they are written strictly one after another
+    const result = this.writeQueue.then(append);
+    this.writeQueue = result.catch(() => {});
+    return result.catch(error => {
+      throw new Error(`Failed to write audit entry ${action}: ${error.message}`, { cause: error });
+    });
+  }
+
+  // For callers that must not fail because the audit write did
+  recordQuietly(action, options) {
+    return this.record(action, options).catch(error => console.error(error.message));
+  }
+
+  // Recomputes every hash and link. Returns where the chain first breaks, if it does.
+  verify(entries = this.entries) {
+    let prevHash = GENESIS_HASH;
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (entry.seq !== i + 1) {
+        return { valid: false, entries: entries.length, brokenAt: i + 1, reason: `expected sequence ${i + 1}, found ${entry.seq}` };
+      }
+      if (entry.prevHash !== prevHash) {
+        return { valid: false, entries: entries.length, brokenAt: entry.seq, reason: 'previous hash does not match' };
+      }
+
+      const { hash, ...rest } = entry;
+      if (hashEntry(rest) !== hash) {
+        return { valid: false, entries: entries.length, brokenAt: entry.seq, reason: 'entry content does not match its hash' };
+      }
+      prevHash = hash;
+    }
+
+    return { valid: true, entries: entries.length, lastHash: prevHash };
+  }
+
+  // Filters: action (comma-separated; `document.*` matches a prefix), actor (user id
+  // or username), resourceType, resourceId, from/to (ISO timestamps)
+  filter({ action, actor, resourceType, resourceId, from, to } = {}) {
+    const actions = action ? String(action).split(',').map(item => item.trim()).filter(Boolean) : [];
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      throw createError('from and to must be ISO dates', 'INVALID_AUDIT_QUERY');
+    }
+
+    return this.entries.filter(entry => {
+      if (actions.length > 0 && !actions.some(pattern => pattern.endsWith('.*')
+        ? entry.action.startsWith(pattern.slice(0, -1))
+        : entry.action === pattern)) {
+        return false;
+      }
+      if (actor && entry.actor?.id !== actor && entry.actor?.username !== actor) {
+        return false;
+      }
+      if (resourceType && entry.resource?.type !== resourceType) {
+        return false;
+      }
+      if (resourceId && entry.resource?.id !== resourceId) {
+        return false;
+      }
+      const time = new Date(entry.timestamp).getTime();
+      return (fromTime === null || time >= fromTime) && (toTime === null || time <= toTime);
+    });
+  }
+
+  // Newest first, paged
+  query(filters = {}, { limit = 100, offset = 0 } = {}) {
+    const matching = this.filter(filters);
+    const pageSize = Math.min(Math.max(Number(limit) || 100, 1), MAX_QUERY_LIMIT);
+    const start = Math.max(Number(offset) || 0, 0);
+
+    return {
+      total: matching.length,
+      entries: matching.reverse().slice(start, start + pageSize)
+    };
+  }
+
+  // Oldest first. JSON lines keep every hash so an unfiltered export can be
+  // verified on its own; CSV is for spreadsheets.
+  export(filters = {}, format = 'jsonl') {
+    const entries = this.filter(filters);
+
+    if (format === 'csv') {
+      const columns = ['seq', 'timestamp', 'action', 'actor', 'role', 'resource_type', 'resource_id', 'job_id', 'details', 'hash', 'prev_hash'];
+      const rows = entries.map(entry => [
+        entry.seq,
+        entry.timestamp,
+        entry.action,
+        entry.actor?.username || entry.actor?.type,
+        entry.actor?.role || '',
+        entry.resource?.type || '',
+        entry.resource?.id || '',
+        entry.jobId || '',
+        JSON.stringify(entry.details),
+        entry.hash,
+        entry.prevHash
+      ]);
+      return [columns, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+    }
+
+    return entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : '');
+  }
+}
+
+function describeActor(actor) {
+  if (!actor) {
+    return { type: 'system' };
+  }
+  return {
+    type: 'user',
+    id: actor.id,
+    username: actor.username,
+    role: actor.role,
+    via: actor.authMethod || null,
+    ...(actor.apiKeyId ? { apiKeyId: actor.apiKeyId } : {})
+  };
+}
+
+function hashEntry(entry) {
+  return crypto.createHash('sha256').update(canonicalJson(entry)).digest('hex');
+}
+
+// JSON with sorted keys, so the hash does not depend on property order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Hex SHA-256, used for prompt, file and extraction fingerprints in audit entries
+export function sha256(value) {
+  return crypto.createHash('sha256').update(typeof value === 'string' || Buffer.isBuffer(value) ? value : canonicalJson(value)).digest('hex');
+}
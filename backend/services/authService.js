@@ -0,0 +1,349 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { createError } from './errors.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ['uploader', 'analyst', 'approver', 'admin'];
+
+// What each role may do. Uploaders bring in documents but do not see extracted
+// figures; analysts run the analysis; approvers review it and decide; admins do everything.
+const ROLE_PERMISSIONS = {
+  uploader: ['documents:read', 'documents:write', 'applications:read', 'applications:write'],
+  analyst: [
+    'documents:read', 'documents:write', 'extractions:read',
+    'applications:read', 'applications:write',
+    'recommendations:read', 'recommendations:write',
+    'bank-profiles:write'
+  ],
+  approver: ['documents:read', 'extractions:read', 'applications:read', 'applications:decide', 'recommendations:read'],
+  admin: ['*']
+};
+
+const SCRYPT_KEY_LENGTH = 64;
+const TOKEN_BYTES = 32;
+const API_KEY_PREFIX = 'cak_';
+
+// Failed logins before an account is locked for a while
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Users, login sessions and API keys. Passwords are hashed with scrypt; session
+// tokens and API keys are random and only their SHA-256 hash is stored. Documents
+// and applications are scoped by `ownerId` and `team`: users see their team's
+// records (their own when they have no team) and admins see everything.
+export class AuthService {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.sessionTtlMs = (options.sessionTtlHours || Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+  }
+
+  // Creates the first admin from ADMIN_USERNAME/ADMIN_PASSWORD, or with a generated password
+  async init() {
+    await this.removeExpiredSessions();
+    await this.getDummyPasswordHash();
+
+    if (this.store.listUsers().length > 0) {
+      return;
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+    await this.createUser({ username, password, role: 'admin', displayName: 'Administrator' });
+
+    if (process.env.ADMIN_PASSWORD) {
+      console.log(`Created admin user "${username}" from ADMIN_PASSWORD`);
+    } else {
+      console.log(`Created admin user "${username}" with generated password: ${password}`);
+      console.log('Change it after signing in, or set ADMIN_USERNAME/ADMIN_PASSWORD before the first start.');
+    }
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+  }
+
+  async verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  getDummyPasswordHash() {
+    this.dummyPasswordHash ||= this.hashPassword(crypto.randomBytes(16).toString('base64url'));
+    return this.dummyPasswordHash;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  validateUserFields({ username, password, role, team }, { partial = false } = {}) {
+    if (!partial || username !== undefined) {
+      if (typeof username !== 'string' || !/^[a-zA-Z0-9._-]{3,64}$/.test(username)) {
+        throw createError('username must be 3-64 letters, digits, dots, dashes or underscores', 'INVALID_USER');
+      }
+    }
+    if (!partial || password !== undefined) {
+      if (typeof password !== 'string' || password.length < 10) {
+        throw createError('password must be at least 10 characters', 'INVALID_USER');
+      }
+    }
+    if (!partial || role !== undefined) {
+      if (!ROLES.includes(role)) {
+        throw createError(`role must be one of: ${ROLES.join(', ')}`, 'INVALID_USER');
+      }
+    }
+    if (team !== undefined && team !== null && (typeof team !== 'string' || !team.trim())) {
+      throw createError('team must be a non-empty string or null', 'INVALID_USER');
+    }
+  }
+
+  async createUser({ username, password, role, team = null, displayName = null }) {
+    this.validateUserFields({ username, password, role, team });
+
+    if (this.store.findUserByUsername(username)) {
+      throw createError(`User ${username} already exists`, 'USER_EXISTS');
+    }
+
+    const user = {
+      id: uuidv4(),
+      username,
+      displayName: displayName?.trim() || username,
+      role,
+      team: team?.trim() || null,
+      passwordHash: await this.hashPassword(password),
+      disabled: false,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.saveUser(user);
+    return user;
+  }
+
+  async updateUser(userId, { password, role, team, displayName, disabled }) {
+    const user = this.store.getUser(userId);
+    if (!user) {
+      throw createError('User not found', 'USER_NOT_FOUND');
+    }
+
+    this.validateUserFields({ password, role, team }, { partial: true });
+
+    if (password !== undefined) {
+      user.passwordHash = await this.hashPassword(password);
+      user.failedLogins = 0;
+      delete user.lockedUntil;
+    }
+    if (role !== undefined) {
+      user.role = role;
+    }
+    if (team !== undefined) {
+      user.team = team?.trim() || null;
+    }
+    if (displayName !== undefined) {
+      user.displayName = displayName?.trim() || user.username;
+    }
+    if (disabled !== undefined) {
+      user.disabled = Boolean(disabled);
+    }
+
+    await this.store.saveUser(user);
+
+    // A changed password, role or account state ends the user's existing sessions
+    if (password !== undefined || role !== undefined || user.disabled) {
+      await this.removeUserSessions(user.id);
+    }
+    return user;
+  }
+
+  async login(username, password) {
+    const user = typeof username === 'string' ? this.store.findUserByUsername(username) : null;
+    const invalid = () => createError('Invalid username or password', 'INVALID_CREDENTIALS');
+
+    if (!user || typeof password !== 'string') {
+      // Verify against a throwaway hash anyway, so the response time does not tell an
+      // unknown username from a wrong password
+      await this.verifyPassword(typeof password === 'string' ? password : '', await this.getDummyPasswordHash());
+      throw invalid();
+    }
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      throw createError('Too many failed sign-in attempts. Try again later.', 'ACCOUNT_LOCKED');
+    }
+
+    if (!(await this.verifyPassword(password, user.passwordHash)) || user.disabled) {
+      user.failedLogins = (user.failedLogins || 0) + 1;
+      if (user.failedLogins >= MAX_FAILED_LOGINS) {
+        user.lockedUntil = new Date(Date.now() + LOCKOUT_MS).toISOString();
+        user.failedLogins = 0;
+        console.warn(`Locked user ${user.username} after ${MAX_FAILED_LOGINS} failed sign-in attempts`);
+      }
+      await this.store.saveUser(user);
+      throw invalid();
+    }
+
+    user.failedLogins = 0;
+    delete user.lockedUntil;
+    user.lastLoginAt = new Date().toISOString();
+    await this.store.saveUser(user);
+
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.sessionTtlMs).toISOString();
+    await this.store.saveSession({
+      id: this.hashToken(token),
+      userId: user.id,
+      createdAt: new Date().toISOString(),
+      expiresAt
+    });
+
+    return { token, expiresAt, user };
+  }
+
+  async logout(token) {
+    await this.store.removeSession(this.hashToken(token));
+  }
+
+  // Resolves a session token or API key to its active user, or null
+  async authenticate(token) {
+    if (!token) {
+      return null;
+    }
+
+    const tokenHash = this.hashToken(token);
+
+    if (token.startsWith(API_KEY_PREFIX)) {
+      const apiKey = this.store.getApiKey(tokenHash);
+      const user = apiKey ? this.store.getUser(apiKey.userId) : null;
+      if (!user || user.disabled) {
+        return null;
+      }
+
+      // Recording every use would rewrite the key file on each request
+      if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt).getTime() > 60 * 1000) {
+        apiKey.lastUsedAt = new Date().toISOString();
+        await this.store.saveApiKey(apiKey);
+      }
+      return { ...user, authMethod: 'api_key', apiKeyId: apiKey.keyId };
+    }
+
+    const session = this.store.getSession(tokenHash);
+    if (!session) {
+      return null;
+    }
+    if (new Date(session.expiresAt) <= new Date()) {
+      await this.store.removeSession(tokenHash);
+      return null;
+    }
+
+    const user = this.store.getUser(session.userId);
+    return user && !user.disabled ? { ...user, authMethod: 'session' } : null;
+  }
+
+  async removeExpiredSessions() {
+    const now = new Date();
+    for (const session of this.store.listSessions()) {
+      if (new Date(session.expiresAt) <= now) {
+        await this.store.removeSession(session.id);
+      }
+    }
+  }
+
+  async removeUserSessions(userId) {
+    for (const session of this.store.listSessions().filter(session => session.userId === userId)) {
+      await this.store.removeSession(session.id);
+    }
+  }
+
+  // API keys act as the user who created them. The key is only returned here, once
+  async createApiKey(user, name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw createError('name is required', 'INVALID_API_KEY');
+    }
+
+    const key = API_KEY_PREFIX + crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+    const apiKey = {
+      id: this.hashToken(key),
+      keyId: uuidv4(),
+      userId: user.id,
+      name: name.trim(),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+
+    await this.store.saveApiKey(apiKey);
+    return { ...this.publicApiKey(apiKey), key };
+  }
+
+  listApiKeys(user) {
+    return this.store.listApiKeys()
+      .filter(apiKey => apiKey.userId === user.id || user.role === 'admin')
+      .map(apiKey => this.publicApiKey(apiKey));
+  }
+
+  async revokeApiKey(user, keyId) {
+    const apiKey = this.store.listApiKeys().find(item => item.keyId === keyId);
+    if (!apiKey || (apiKey.userId !== user.id && user.role !== 'admin')) {
+      return false;
+    }
+
+    await this.store.removeApiKey(apiKey.id);
+    return true;
+  }
+
+  hasPermission(user, permission) {
+    const permissions = ROLE_PERMISSIONS[user?.role] || [];
+    return permissions.includes('*') || permissions.includes(permission);
+  }
+
+  // Records created before accounts existed have no owner and are only visible to admins
+  canAccess(user, record) {
+    if (!user || !record) {
+      return false;
+    }
+    if (user.role === 'admin') {
+      return true;
+    }
+    if (record.ownerId === user.id) {
+      return true;
+    }
+    return Boolean(user.team) && record.team === user.team;
+  }
+
+  // Owner fields for a new document or application
+  ownership(user) {
+    return { ownerId: user.id, team: user.team || null };
+  }
+
+  publicUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      displayName: user.displayName,
+      role: user.role,
+      team: user.team,
+      disabled: Boolean(user.disabled),
+      createdAt: user.createdAt,
+      lastLoginAt: user.lastLoginAt || null,
+      permissions: ROLE_PERMISSIONS[user.role] || []
+    };
+  }
+
+  publicApiKey(apiKey) {
+    return {
+      id: apiKey.keyId,
+      userId: apiKey.userId,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      createdAt: apiKey.createdAt,
+      lastUsedAt: apiKey.lastUsedAt
+    };
+  }
+}
@@ -0,0 +1,86 @@
+import { EventEmitter } from 'events';
+
+// Stops calls to a server that keeps failing. After `failureThreshold` consecutive
+// failures the circuit opens: callers fail fast instead of waiting on a server that is
+// down, and `probe` (a cheap request such as listing models) is tried every
+// `probeIntervalMs` until it succeeds and the circuit closes again.
+//
+// Emits: open (error), close
+export class CircuitBreaker extends EventEmitter {
+  constructor(name, { failureThreshold, probeIntervalMs, probe }) {
+    super();
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.probeIntervalMs = probeIntervalMs;
+    this.probe = probe;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.probeTimer = null;
+  }
+
+  get isOpen() {
+    return this.state === 'open';
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    if (this.isOpen) {
+      this.close();
+    }
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+    if (!this.isOpen && this.failures >= this.failureThreshold) {
+      this.open(error);
+    }
+  }
+
+  open(error) {
+    this.state = 'open';
+    this.openedAt = new Date().toISOString();
+    console.warn(`Circuit for ${this.name} opened after ${this.failures} consecutive failure(s): ${error.message}`);
+    this.scheduleProbe();
+    this.emit('open', error);
+  }
+
+  close() {
+    clearTimeout(this.probeTimer);
+    this.probeTimer = null;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    console.log(`Circuit for ${this.name} closed, ${this.name} is reachable again`);
+    this.emit('close');
+  }
+
+  scheduleProbe() {
+    // The timer does not keep the process alive on its own
+    this.probeTimer = setTimeout(async () => {
+      try {
+        await this.probe();
+        this.recordSuccess();
+      } catch (error) {
+        this.lastError = error.message;
+        if (this.isOpen) {
+          this.scheduleProbe();
+        }
+      }
+    }, this.probeIntervalMs);
+    this.probeTimer.unref();
+  }
+
+  describe() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt,
+      lastError: this.lastError
+    };
+  }
+}
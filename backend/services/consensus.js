@@ -0,0 +1,94 @@
+// Self-consistency for high-accuracy extraction: the same page is extracted several times
+// and the runs are reconciled value by value. Numbers take the value most runs agree on,
+// or the median when no value has a majority, so one misread digit or dropped thousands
+// separator is outvoted. Text takes the most common value. A number the runs disagree on
+// is recorded in `consensus.disagreements` by its dotted path (as in provenance) with the
+// value of every run, the value chosen and `agreement`, the share of runs that gave it.
+
+// Sections of an extraction that hold extracted values; the rest is bookkeeping
+const EXTRACTED_SECTIONS = ['companyInfo', 'personalInfo', 'financialInfo', 'documentDetails'];
+
+// Reconciles extraction results of the same page into one. Runs whose reply could not be
+// parsed are left out; the first usable run supplies everything that is not voted on.
+export function reconcileRuns(results) {
+  const usable = results.filter(result => !result.parseError);
+  if (usable.length < 2) {
+    return { ...(usable[0] || results[0]), consensus: { runs: results.length, usableRuns: usable.length, disagreements: {} } };
+  }
+
+  const disagreements = {};
+  const reconciled = { ...usable[0] };
+  for (const section of EXTRACTED_SECTIONS) {
+    reconciled[section] = vote(usable.map(result => result[section]), section, usable.length, disagreements);
+  }
+  reconciled.confidence = median(usable.map(result => result.confidence).filter(value => typeof value === 'number'));
+  reconciled.consensus = { runs: results.length, usableRuns: usable.length, disagreements };
+  return reconciled;
+}
+
+function vote(values, path, runs, disagreements) {
+  const present = values.filter(value => value !== null && value !== undefined && value !== '');
+  if (present.length === 0) {
+    return values[0];
+  }
+
+  // Lists (transactions, facilities, people) are matched item by item among the runs that
+  // found the most common number of items, since a skipped row shifts every later one
+  if (present.every(Array.isArray)) {
+    const length = mostCommon(present.map(list => list.length)).value;
+    const lists = present.filter(list => list.length === length);
+    return Array.from({ length }, (_, index) => vote(lists.map(list => list[index]), `${path}.${index}`, lists.length, disagreements));
+  }
+
+  if (present.every(value => typeof value === 'object' && !Array.isArray(value))) {
+    const keys = [...new Set(present.flatMap(Object.keys))];
+    return Object.fromEntries(keys.map(key => [key, vote(present.map(value => value[key]), `${path}.${key}`, runs, disagreements)]));
+  }
+
+  if (present.every(value => typeof value === 'number')) {
+    return voteNumber(present, path, runs, disagreements);
+  }
+
+  return mostCommon(present).value;
+}
+
+function voteNumber(values, path, runs, disagreements) {
+  const { value: majority, count } = mostCommon(values.map(value => Number(value.toFixed(2))));
+  const chosen = count * 2 > runs ? majority : median(values);
+  const agreeing = values.filter(value => Number(value.toFixed(2)) === Number(chosen.toFixed(2))).length;
+
+  if (agreeing < runs) {
+    disagreements[path] = {
+      values,
+      chosen,
+      method: count * 2 > runs ? 'majority' : 'median',
+      agreement: Math.round((agreeing / runs) * 100) / 100
+    };
+  }
+  return chosen;
+}
+
+// The most frequent value; ties go to the one seen first, from the lowest-temperature run
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  let best = { value: values[0], count: 0 };
+  for (const [value, count] of counts) {
+    if (count > best.count) {
+      best = { value, count };
+    }
+  }
+  return best;
+}
+
+// The lower of the two middle values for an even count, so the result is always a value
+// one of the runs actually read
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.ceil(sorted.length / 2) - 1];
+}
@@ -1,3 +1,5 @@
+import { DOCUMENT_TYPES, normalizeDocumentType } from './documentTypes.js';
+
 export class CreditAnalyzer {
   constructor() {
     this.scoringWeights = {
@@ -482,8 +484,9 @@ export class CreditAnalyzer {
     try {
       for (const data of allExtractedData) {
         // Document types
-        if (data.documentType && data.documentType !== 'Unknown') {
-          summary.documentTypes.push(data.documentType);
+        const documentType = normalizeDocumentType(data.documentType);
+        if (documentType !== DOCUMENT_TYPES.UNKNOWN) {
+          summary.documentTypes.push(documentType);
         }
         
         // Companies
@@ -4,14 +4,32 @@ import { fileURLToPath } from 'url';
 import sharp from 'sharp';
 import { fromPath } from 'pdf2pic';
 import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.min.mjs';
+import { DocxParser } from './docxParser.js';
+import { PdfTextLayer } from './pdfTextLayer.js';
+import { copyProvenance } from './provenance.js';
+import { createError } from './errors.js';
+import { readDecryptedFile, writeEncryptedFile, encryptFileInPlace } from './encryption.js';
+import { DOCUMENT_TYPES, normalizeDocumentType } from './documentTypes.js';
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export class DocumentProcessor {
   constructor() {
-    this.tempDir = path.join(__dirname, '../temp');
+    this.tempDir = process.env.TEMP_DIR || path.join(__dirname, '../temp');
     this.ensureTempDir();
+    this.docxParser = new DocxParser();
+    this.pdfTextLayer = new PdfTextLayer();
+
+    // Consecutive text-layer pages are sent to the model together up to this size
+    this.textChunkCharacters = 12000;
+    // Scanned pages are rendered for the vision model up to this many per PDF
+    this.maxVisionPages = 20;
+
+    // Embedded pictures smaller than this are logos, signatures or stamps rather than scans
+    this.minEmbeddedImageSize = 300;
     
     // Common passwords to try for encrypted PDFs
     this.commonPasswords = [
@@ -38,50 +56,254 @@ export class DocumentProcessor {
     }
   }
 
-  async convertToImages(filePath, mimeType, password = null) {
-    const images = [];
+  // Splits a document into the parts sent to the models. Each part is either
+  // `{ extractionPath: 'vision', imagePath }` for the vision model or
+  // `{ extractionPath: 'text', text }` (plain text with tables) for the analysis
+  // model, with the page numbers it covers. Text from a PDF comes with its `layout`,
+  // the text-layer cells of each page with their boxes, to trace values back to.
+  // `pages` records the path each page took.
+  // `pageRange` ([first, last]) limits a PDF to the pages of one split-off document.
+  async prepareDocument(filePath, mimeType, password = null, pageRange = null) {
+    if (mimeType === DOCX_MIME_TYPE) {
+      return this.prepareDocx(filePath);
+    }
+
+    if (mimeType === 'application/pdf') {
+      return this.preparePdf(filePath, password, pageRange);
+    }
+
+    const images = await this.convertToImages(filePath, mimeType, password);
+    return {
+      parts: images.map((imagePath, index) => ({ extractionPath: 'vision', pageNumbers: [index + 1], imagePath })),
+      pages: images.map((imagePath, index) => ({ page: index + 1, extractionPath: 'vision' }))
+    };
+  }
+
+  // Digitally generated pages are read from the text layer; only scanned pages are rasterised
+  async preparePdf(filePath, password = null, pageRange = null) {
+    const { pageTexts, rendered, visionPages } = await this.readPdfPages(filePath, password, pageRange);
 
     try {
-      if (mimeType === 'application/pdf') {
-        console.log(`Starting PDF conversion process: ${filePath}`);
-        
-        // Step 1: Validate file exists and is readable
-        try {
-          await fs.access(filePath, fs.constants.R_OK);
-          const stats = await fs.stat(filePath);
-          console.log(`PDF file stats: ${stats.size} bytes, modified: ${stats.mtime}`);
-          
-          if (stats.size === 0) {
-            throw new Error('PDF file is empty (0 bytes)');
+      const renderedByPage = new Map(rendered.map(image => [image.pageNumber, image.path]));
+      const parts = [];
+      const pages = [];
+      let textPart = null;
+
+      for (const pageText of pageTexts) {
+        const { pageNumber } = pageText;
+
+        if (pageText.usable) {
+          const section = `[PAGE ${pageNumber}]\n${pageText.text}`;
+          if (!textPart || textPart.text.length + section.length > this.textChunkCharacters) {
+            textPart = { extractionPath: 'text', pageNumbers: [], text: '', layout: [] };
+            parts.push(textPart);
           }
-          
-          if (stats.size > 100 * 1024 * 1024) { // 100MB limit
-            throw new Error('PDF file is too large (>100MB)');
-          }
-        } catch (accessError) {
-          throw new Error(`Cannot access PDF file: ${accessError.message}`);
+          textPart.pageNumbers.push(pageNumber);
+          textPart.layout.push({ page: pageNumber, cells: pageText.cells });
+          textPart.text = textPart.text ? `${textPart.text}\n\n${section}` : section;
+          pages.push({ page: pageNumber, extractionPath: 'text', characters: pageText.characters });
+          continue;
         }
 
-        // Step 2: Parse PDF to Uint8Array with validation
-        console.log(`Reading and validating PDF file...`);
-        const pdfUint8Array = await this.parsePdfToUint8Array(filePath);
-        
-        // Step 3: Analyze PDF structure and handle encryption
-        console.log(`Analyzing PDF structure...`);
-        const pdfInfo = await this.analyzePdfFromUint8Array(pdfUint8Array, password);
-        
-        if (!pdfInfo.success) {
-          throw new Error(`PDF analysis failed: ${pdfInfo.error}`);
+        // A scanned page ends the current text chunk so parts stay in page order
+        textPart = null;
+        const imagePath = renderedByPage.get(pageNumber);
+        if (imagePath) {
+          parts.push({ extractionPath: 'vision', pageNumbers: [pageNumber], imagePath });
+          pages.push({ page: pageNumber, extractionPath: 'vision', reason: pageText.reason });
+        } else {
+          pages.push({ page: pageNumber, extractionPath: 'skipped', reason: visionPages.includes(pageNumber) ? 'page could not be rendered' : 'vision page limit reached' });
         }
-        
-        if (pdfInfo.isEncrypted && !pdfInfo.password) {
-          throw new Error('PDF is encrypted and requires a password. Please provide the correct password.');
+      }
+
+      if (parts.length === 0) {
+        throw new Error('No pages could be read from the PDF - it has no usable text layer and no pages could be rendered');
+      }
+
+      return { parts, pages };
+
+    } catch (error) {
+      console.error('PDF preparation error:', error);
+      if (rendered.length > 0) {
+        await this.cleanupImages(rendered.map(image => image.path));
+      }
+      throw new Error(`Failed to convert document: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Reads the text layer of every page (or of `pageRange`) and renders the scanned
+  // ones. Returns `pageTexts` in page order, `rendered` images as `{ pageNumber, path }`
+  // and the scanned `visionPages` that were due for rendering.
+  async readPdfPages(filePath, password = null, pageRange = null) {
+    const { pdfUint8Array, pdfInfo } = await this.loadPdf(filePath, password);
+
+    try {
+      const firstPage = pageRange ? Math.max(1, pageRange[0]) : 1;
+      const lastPage = pageRange ? Math.min(pdfInfo.pageCount, pageRange[1]) : pdfInfo.pageCount;
+      if (firstPage > lastPage) {
+        throw new Error(`Pages ${pageRange.join('-')} are outside the PDF (${pdfInfo.pageCount} pages)`);
+      }
+
+      const pageTexts = [];
+      for (let pageNumber = firstPage; pageNumber <= lastPage; pageNumber++) {
+        try {
+          const page = await pdfInfo.pdfDocument.getPage(pageNumber);
+          pageTexts.push({ pageNumber, ...(await this.pdfTextLayer.extractPage(page)) });
+        } catch (textError) {
+          console.warn(`Could not read text layer of page ${pageNumber}:`, textError.message);
+          pageTexts.push({ pageNumber, usable: false, reason: 'text layer could not be read' });
         }
+      }
+
+      const scannedPages = pageTexts.filter(page => !page.usable).map(page => page.pageNumber);
+      const visionPages = scannedPages.slice(0, this.maxVisionPages);
+      if (scannedPages.length > visionPages.length) {
+        console.warn(`Rendering ${visionPages.length} of ${scannedPages.length} scanned pages (limit ${this.maxVisionPages})`);
+      }
+
+      console.log(`PDF text layer: ${pageTexts.length - scannedPages.length} text page(s), ${scannedPages.length} scanned page(s)`);
+
+      const rendered = visionPages.length > 0
+        ? await this.convertPdfUint8ArrayToImages(pdfUint8Array, pdfInfo, filePath, visionPages)
+        : [];
 
-        // Step 4: Convert to images with enhanced error handling
+      return { pageCount: pdfInfo.pageCount, pageTexts, rendered, visionPages };
+
+    } catch (error) {
+      console.error('PDF page reading error:', error);
+      throw new Error(`Failed to convert document: ${error.message}`, { cause: error });
+    } finally {
+      await pdfInfo.pdfDocument.destroy().catch(() => {});
+    }
+  }
+
+  // Validates, reads and unlocks a PDF
+  async loadPdf(filePath, password = null) {
+    console.log(`Loading PDF: ${filePath}`);
+
+    // Step 1: Validate file exists and is readable
+    try {
+      await fs.access(filePath, fs.constants.R_OK);
+      const stats = await fs.stat(filePath);
+      console.log(`PDF file stats: ${stats.size} bytes, modified: ${stats.mtime}`);
+      
+      if (stats.size === 0) {
+        throw new Error('PDF file is empty (0 bytes)');
+      }
+      
+      if (stats.size > 100 * 1024 * 1024) { // 100MB limit
+        throw new Error('PDF file is too large (>100MB)');
+      }
+    } catch (accessError) {
+      throw new Error(`Cannot access PDF file: ${accessError.message}`);
+    }
+
+    // Step 2: Parse PDF to Uint8Array with validation
+    console.log(`Reading and validating PDF file...`);
+    const pdfUint8Array = await this.parsePdfToUint8Array(filePath);
+    
+    // Step 3: Analyze PDF structure and handle encryption
+    console.log(`Analyzing PDF structure...`);
+    const pdfInfo = await this.analyzePdfFromUint8Array(pdfUint8Array, password);
+    
+    if (!pdfInfo.success) {
+      // Locked PDFs keep their code so the server can ask for the password
+      throw pdfInfo.errorCode
+        ? createError(pdfInfo.error, pdfInfo.errorCode)
+        : new Error(`PDF analysis failed: ${pdfInfo.error}`);
+    }
+    
+    if (pdfInfo.isEncrypted && !pdfInfo.password) {
+      throw createError('PDF is encrypted and requires a password', 'PDF_PASSWORD_REQUIRED');
+    }
+
+    return { pdfUint8Array, pdfInfo };
+  }
+
+  // Tries a single password without the common-password fallback
+  async checkPdfPassword(filePath, password) {
+    const pdfUint8Array = await this.parsePdfToUint8Array(filePath);
+
+    try {
+      const pdfDocument = await pdfjsLib.getDocument({ data: pdfUint8Array, password, verbosity: 0 }).promise;
+      await pdfDocument.destroy().catch(() => {});
+      return true;
+    } catch (error) {
+      if (error.name === 'PasswordException') {
+        return false;
+      }
+      throw new Error(`Failed to open PDF: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getPdfPageCount(filePath, password = null) {
+    const { pdfInfo } = await this.loadPdf(filePath, password);
+    await pdfInfo.pdfDocument.destroy().catch(() => {});
+    return pdfInfo.pageCount;
+  }
+
+  async prepareDocx(filePath) {
+    const images = [];
+
+    try {
+      console.log(`Parsing Word document: ${filePath}`);
+      const parsed = await this.docxParser.parse(filePath);
+
+      for (const image of parsed.images) {
+        // A picture sharp cannot decode is skipped like other unsupported media, so it
+        // does not cost the document its text and tables
+        let metadata;
+        try {
+          metadata = await sharp(image.buffer).metadata();
+        } catch (error) {
+          console.warn(`Skipping undecodable embedded image ${image.name}: ${error.message}`);
+          continue;
+        }
+        if (Math.max(metadata.width || 0, metadata.height || 0) < this.minEmbeddedImageSize) {
+          console.log(`Skipping small embedded image ${image.name} (${metadata.width}x${metadata.height})`);
+          continue;
+        }
+        images.push(await this.processImageFile(image.buffer));
+      }
+
+      const text = this.docxParser.toStructuredText(parsed.blocks);
+      const textSections = text.trim() ? [text] : [];
+
+      if (textSections.length === 0 && images.length === 0) {
+        throw new Error('Word document contains no text, tables or images to analyse');
+      }
+
+      console.log(`Word document prepared: ${parsed.tables.length} table(s), ${images.length} embedded scan(s)`);
+      return {
+        parts: [
+          ...textSections.map(text => ({ extractionPath: 'text', pageNumbers: [], text })),
+          ...images.map(imagePath => ({ extractionPath: 'vision', pageNumbers: [], imagePath }))
+        ],
+        // Word files have no fixed pages
+        pages: []
+      };
+
+    } catch (error) {
+      console.error('Word document preparation error:', error);
+      if (images.length > 0) {
+        await this.cleanupImages(images);
+      }
+      throw new Error(`Failed to read Word document: ${error.message}`, { cause: error });
+    }
+  }
+
+  async convertToImages(filePath, mimeType, password = null) {
+    const images = [];
+
+    try {
+      if (mimeType === 'application/pdf') {
+        console.log(`Starting PDF conversion process: ${filePath}`);
+        const { pdfUint8Array, pdfInfo } = await this.loadPdf(filePath, password);
+
+        // Convert to images with enhanced error handling
         console.log(`Converting PDF to images (${pdfInfo.pageCount} pages)...`);
         const convertedImages = await this.convertPdfUint8ArrayToImages(pdfUint8Array, pdfInfo, filePath);
-        images.push(...convertedImages);
+        images.push(...convertedImages.map(image => image.path));
 
         if (images.length === 0) {
           throw new Error('No pages could be converted from PDF - the PDF might be corrupted or contain no renderable content');
@@ -95,9 +317,6 @@ export class DocumentProcessor {
         const outputPath = await this.processImageFile(filePath);
         images.push(outputPath);
 
-      } else if (mimeType.includes('document') || mimeType.includes('word')) {
-        // For Word documents, we would need additional processing
-        throw new Error('Word document processing not yet implemented. Please convert to PDF first.');
       } else {
         throw new Error(`Unsupported file type: ${mimeType}`);
       }
@@ -117,12 +336,15 @@ export class DocumentProcessor {
     }
   }
 
+  // Accepts a file path or an image buffer (e.g. a picture embedded in a Word document).
+  // The result is written encrypted, like every intermediate image.
   async processImageFile(filePath) {
     try {
-      const outputPath = path.join(this.tempDir, `img_${Date.now()}.jpg`);
+      const outputPath = path.join(this.tempDir, `img_${Date.now()}_${Math.random().toString(36).slice(2, 8)}.jpg`);
+      const input = Buffer.isBuffer(filePath) ? filePath : await readDecryptedFile(filePath);
       
       // Validate image file
-      const imageInfo = await sharp(filePath).metadata();
+      const imageInfo = await sharp(input).metadata();
       console.log(`Image metadata:`, {
         format: imageInfo.format,
         width: imageInfo.width,
@@ -131,14 +353,17 @@ export class DocumentProcessor {
         density: imageInfo.density
       });
       
-      // Process and optimize image
-      await sharp(filePath)
+      // Process and optimize image. EXIF is kept so the preprocessor can still read
+      // the camera orientation of phone photos
+      const output = await sharp(input)
+        .keepExif()
         .jpeg({ quality: 90, progressive: true })
         .resize(2048, 2048, { 
           fit: 'inside',
           withoutEnlargement: true 
         })
-        .toFile(outputPath);
+        .toBuffer();
+      await writeEncryptedFile(outputPath, output);
         
       console.log(`Image processed successfully: ${outputPath}`);
       return outputPath;
@@ -153,8 +378,8 @@ export class DocumentProcessor {
     try {
       console.log(`Parsing PDF file to Uint8Array: ${filePath}`);
       
-      // Read the entire PDF file into memory as a buffer
-      const pdfBuffer = await fs.readFile(filePath);
+      // Read the entire PDF file into memory as a buffer, decrypting stored uploads
+      const pdfBuffer = await readDecryptedFile(filePath);
       
       // Convert Buffer to Uint8Array
       const pdfUint8Array = new Uint8Array(pdfBuffer);
@@ -210,7 +435,7 @@ export class DocumentProcessor {
       // Try to load the PDF without password first
       try {
         pdfDocument = await pdfjsLib.getDocument({
-          data: pdfUint8Array,
+          data: pdfUint8Array.slice(), // pdf.js detaches the buffer it is given, so each attempt gets a copy
           password: '',
           verbosity: 0 // Reduce PDF.js logging
         }).promise;
@@ -224,7 +449,7 @@ export class DocumentProcessor {
           if (providedPassword) {
             try {
               pdfDocument = await pdfjsLib.getDocument({
-                data: pdfUint8Array,
+                data: pdfUint8Array.slice(),
                 password: providedPassword,
                 verbosity: 0
               }).promise;
@@ -240,12 +465,12 @@ export class DocumentProcessor {
             for (const testPassword of this.commonPasswords) {
               try {
                 pdfDocument = await pdfjsLib.getDocument({
-                  data: pdfUint8Array,
+                  data: pdfUint8Array.slice(),
                   password: testPassword,
                   verbosity: 0
                 }).promise;
                 password = testPassword;
-                console.log(`PDF unlocked with password: "${testPassword === '' ? '(empty)' : testPassword}"`);
+                console.log('PDF unlocked with a common password');
                 break;
               } catch (passwordError) {
                 // Continue trying other passwords
@@ -255,7 +480,9 @@ export class DocumentProcessor {
           }
           
           if (!pdfDocument) {
-            throw new Error('Could not unlock encrypted PDF with common passwords. Please provide the correct password.');
+            throw providedPassword
+              ? createError('The password for this PDF is incorrect', 'PDF_PASSWORD_INCORRECT')
+              : createError('PDF is encrypted and requires a password', 'PDF_PASSWORD_REQUIRED');
           }
         } else {
           throw error;
@@ -306,19 +533,22 @@ export class DocumentProcessor {
         password: null,
         success: false,
         error: error.message,
+        errorCode: error.code || null,
         pdfDocument: null
       };
     }
   }
 
-  async convertPdfUint8ArrayToImages(pdfUint8Array, pdfInfo, originalFilePath) {
+  // Renders the given pages (by default the first 20) and returns `{ pageNumber, path }` per rendered page
+  async convertPdfUint8ArrayToImages(pdfUint8Array, pdfInfo, originalFilePath, pageNumbers = null) {
     const images = [];
     let tempPdfPath = null;
     
     try {
       console.log(`Converting PDF Uint8Array to images (${pdfInfo.pageCount} pages)...`);
       
-      // Create a temporary file from Uint8Array for pdf2pic
+      // Create a temporary file from Uint8Array for pdf2pic, which can only read from disk.
+      // It is the only plaintext copy and is removed as soon as rendering ends
       tempPdfPath = path.join(this.tempDir, `temp_pdf_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.pdf`);
       
       // Convert Uint8Array back to Buffer for file writing
@@ -358,14 +588,18 @@ export class DocumentProcessor {
       });
 
       const convert = fromPath(tempPdfPath, convertOptions);
-      const pageCount = Math.min(pdfInfo.pageCount, 20); // Limit to 20 pages for performance
+      const pagesToConvert = pageNumbers || Array.from(
+        { length: Math.min(pdfInfo.pageCount, 20) }, // Limit to 20 pages for performance
+        (_, index) => index + 1
+      );
+      const pageCount = pagesToConvert.length;
 
-      console.log(`Converting ${pageCount} pages (limited from ${pdfInfo.pageCount})...`);
+      console.log(`Converting ${pageCount} pages (of ${pdfInfo.pageCount})...`);
 
       // Convert pages with individual error handling
-      for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+      for (const pageNum of pagesToConvert) {
         try {
-          console.log(`Converting page ${pageNum}/${pageCount}...`);
+          console.log(`Converting page ${pageNum} (${images.length + 1}/${pageCount})...`);
           
           const result = await convert(pageNum, { 
             responseType: "image",
@@ -388,7 +622,8 @@ export class DocumentProcessor {
                 continue;
               }
               
-              images.push(result.path);
+              await encryptFileInPlace(result.path);
+              images.push({ pageNumber: pageNum, path: result.path });
               console.log(`Successfully converted page ${pageNum} to: ${result.path} (${imageStats.size} bytes, ${imageInfo.width}x${imageInfo.height})`);
               
             } catch (validationError) {
@@ -423,7 +658,8 @@ export class DocumentProcessor {
               const alternativeResult = await alternativeConvert(pageNum, { responseType: "image" });
               
               if (alternativeResult && alternativeResult.path) {
-                images.push(alternativeResult.path);
+                await encryptFileInPlace(alternativeResult.path);
+                images.push({ pageNumber: pageNum, path: alternativeResult.path });
                 console.log(`Page ${pageNum} converted with alternative settings: ${alternativeResult.path}`);
               }
             } catch (alternativeError) {
@@ -448,7 +684,7 @@ export class DocumentProcessor {
       
       // Clean up any partial images
       if (images.length > 0) {
-        await this.cleanupImages(images);
+        await this.cleanupImages(images.map(image => image.path));
       }
       
       throw new Error(`Failed to convert PDF to images: ${error.message}`);
@@ -468,7 +704,7 @@ export class DocumentProcessor {
   combineExtractedData(extractedResults, filename) {
     // Combine data from multiple pages/images into a single structure
     const combined = {
-      documentType: "Unknown",
+      documentType: DOCUMENT_TYPES.UNKNOWN,
       companyInfo: {},
       personalInfo: { individuals: [] },
       financialInfo: {
@@ -478,10 +714,24 @@ export class DocumentProcessor {
         creditInfo: { creditHistory: [] },
         cashFlow: {}
       },
+      documentDetails: {},
       extractionDate: new Date().toISOString(),
       sourceFile: filename,
       pageCount: extractedResults.length,
-      confidence: 0
+      confidence: 0,
+      provenance: {}
+    };
+
+    // Each value keeps the provenance of the part it was taken from; array items are
+    // renumbered once they have been concatenated and deduplicated
+    const takeValue = (target, path, key, value, result) => {
+      target[key] = value;
+      copyProvenance(combined.provenance, result.provenance, `${path}.${key}`);
+    };
+    const itemOrigins = new Map();
+    const collectItems = (items, path, result) => {
+      items.forEach((item, index) => itemOrigins.set(item, { provenance: result.provenance, path: `${path}.${index}` }));
+      return items;
     };
 
     // Merge company info (take first non-null values)
@@ -489,16 +739,34 @@ export class DocumentProcessor {
       if (result.companyInfo) {
         Object.keys(result.companyInfo).forEach(key => {
           if (!combined.companyInfo[key] && result.companyInfo[key]) {
-            combined.companyInfo[key] = result.companyInfo[key];
+            takeValue(combined.companyInfo, 'companyInfo', key, result.companyInfo[key], result);
           }
         });
       }
     }
 
+    // Merge the type-specific fields (deed number, tax ID, ...), first value wins
+    for (const result of extractedResults) {
+      Object.keys(result.documentDetails || {}).forEach(key => {
+        if (combined.documentDetails[key] === undefined) {
+          takeValue(combined.documentDetails, 'documentDetails', key, result.documentDetails[key], result);
+        }
+      });
+    }
+
+    // Prompt versions behind the parts, each once
+    const prompts = new Map();
+    for (const result of extractedResults) {
+      for (const prompt of result.prompts || []) {
+        prompts.set(prompt.hash, prompt);
+      }
+    }
+    combined.prompts = Array.from(prompts.values());
+
     // Merge personal info (combine all individuals)
     for (const result of extractedResults) {
       if (result.personalInfo?.individuals) {
-        combined.personalInfo.individuals.push(...result.personalInfo.individuals);
+        combined.personalInfo.individuals.push(...collectItems(result.personalInfo.individuals, 'personalInfo.individuals', result));
       }
     }
 
@@ -509,7 +777,7 @@ export class DocumentProcessor {
         if (result.financialInfo.profitLoss) {
           Object.keys(result.financialInfo.profitLoss).forEach(key => {
             if (!combined.financialInfo.profitLoss[key] && result.financialInfo.profitLoss[key]) {
-              combined.financialInfo.profitLoss[key] = result.financialInfo.profitLoss[key];
+              takeValue(combined.financialInfo.profitLoss, 'financialInfo.profitLoss', key, result.financialInfo.profitLoss[key], result);
             }
           });
         }
@@ -518,23 +786,23 @@ export class DocumentProcessor {
         if (result.financialInfo.balanceSheet) {
           Object.keys(result.financialInfo.balanceSheet).forEach(key => {
             if (!combined.financialInfo.balanceSheet[key] && result.financialInfo.balanceSheet[key]) {
-              combined.financialInfo.balanceSheet[key] = result.financialInfo.balanceSheet[key];
+              takeValue(combined.financialInfo.balanceSheet, 'financialInfo.balanceSheet', key, result.financialInfo.balanceSheet[key], result);
             }
           });
         }
 
         // Bank Statements
         if (result.financialInfo.bankStatements) {
-          combined.financialInfo.bankStatements.push(...result.financialInfo.bankStatements);
+          combined.financialInfo.bankStatements.push(...collectItems(result.financialInfo.bankStatements, 'financialInfo.bankStatements', result));
         }
 
         // Credit Info
         if (result.financialInfo.creditInfo) {
           if (result.financialInfo.creditInfo.creditScore && !combined.financialInfo.creditInfo.creditScore) {
-            combined.financialInfo.creditInfo.creditScore = result.financialInfo.creditInfo.creditScore;
+            takeValue(combined.financialInfo.creditInfo, 'financialInfo.creditInfo', 'creditScore', result.financialInfo.creditInfo.creditScore, result);
           }
           if (result.financialInfo.creditInfo.creditHistory) {
-            combined.financialInfo.creditInfo.creditHistory.push(...result.financialInfo.creditInfo.creditHistory);
+            combined.financialInfo.creditInfo.creditHistory.push(...collectItems(result.financialInfo.creditInfo.creditHistory, 'financialInfo.creditInfo.creditHistory', result));
           }
         }
 
@@ -542,7 +810,7 @@ export class DocumentProcessor {
         if (result.financialInfo.cashFlow) {
           Object.keys(result.financialInfo.cashFlow).forEach(key => {
             if (!combined.financialInfo.cashFlow[key] && result.financialInfo.cashFlow[key]) {
-              combined.financialInfo.cashFlow[key] = result.financialInfo.cashFlow[key];
+              takeValue(combined.financialInfo.cashFlow, 'financialInfo.cashFlow', key, result.financialInfo.cashFlow[key], result);
             }
           });
         }
@@ -551,8 +819,8 @@ export class DocumentProcessor {
 
     // Determine document type (take the most specific one)
     const documentTypes = extractedResults
-      .map(r => r.documentType)
-      .filter(type => type && type !== "Unknown");
+      .map(r => normalizeDocumentType(r.documentType))
+      .filter(type => type !== DOCUMENT_TYPES.UNKNOWN);
     
     if (documentTypes.length > 0) {
       combined.documentType = documentTypes[0];
@@ -572,6 +840,18 @@ export class DocumentProcessor {
     combined.financialInfo.creditInfo.creditHistory = this.removeDuplicateCreditHistory(combined.financialInfo.creditInfo.creditHistory);
     combined.personalInfo.individuals = this.removeDuplicateIndividuals(combined.personalInfo.individuals);
 
+    const items = [
+      ['financialInfo.bankStatements', combined.financialInfo.bankStatements],
+      ['financialInfo.creditInfo.creditHistory', combined.financialInfo.creditInfo.creditHistory],
+      ['personalInfo.individuals', combined.personalInfo.individuals]
+    ];
+    for (const [path, list] of items) {
+      list.forEach((item, index) => {
+        const origin = itemOrigins.get(item);
+        copyProvenance(combined.provenance, origin.provenance, origin.path, `${path}.${index}`);
+      });
+    }
+
     return combined;
   }
 
@@ -596,39 +876,41 @@ export class DocumentProcessor {
 
     // Process each document
     for (const data of allExtractedData) {
+      // Extractions stored before the taxonomy was fixed may carry free-text names
+      const documentType = normalizeDocumentType(data.documentType);
+
       // Add to summary
-      groupedData.summary.documentTypes.add(data.documentType);
+      groupedData.summary.documentTypes.add(documentType);
       if (data.companyInfo?.name) {
         groupedData.summary.companies.add(data.companyInfo.name);
       }
 
       // Group by document type
-      switch (data.documentType.toLowerCase()) {
-        case 'profit and loss statement':
-        case 'profit & loss':
-        case 'income statement':
-        case 'p&l statement':
+      switch (documentType) {
+        case DOCUMENT_TYPES.PROFIT_AND_LOSS:
           this.addProfitLossData(groupedData.profitLossStatements, data);
           break;
 
-        case 'balance sheet':
-        case 'statement of financial position':
+        case DOCUMENT_TYPES.BALANCE_SHEET:
           this.addBalanceSheetData(groupedData.balanceSheets, data);
           break;
 
-        case 'bank statement':
-        case 'bank statements':
+        case DOCUMENT_TYPES.BANK_STATEMENT:
           this.addBankStatementData(groupedData.bankStatements, data);
           break;
 
-        case 'credit history report':
-        case 'credit report':
-        case 'credit history':
+        case DOCUMENT_TYPES.CREDIT_REPORT:
           this.addCreditReportData(groupedData.creditReports, data);
           break;
 
-        case 'cash flow statement':
-        case 'statement of cash flows':
+        case DOCUMENT_TYPES.CASH_FLOW:
+          this.addCashFlowData(groupedData.cashFlowStatements, data);
+          break;
+
+        // Full financial reports hold all three statements; each add* skips an empty one
+        case DOCUMENT_TYPES.FINANCIAL_REPORT:
+          this.addProfitLossData(groupedData.profitLossStatements, data);
+          this.addBalanceSheetData(groupedData.balanceSheets, data);
           this.addCashFlowData(groupedData.cashFlowStatements, data);
           break;
 
@@ -675,7 +957,8 @@ export class DocumentProcessor {
         sourceFile: data.sourceFile,
         extractionDate: data.extractionDate,
         confidence: data.confidence,
-        companyName: data.companyInfo?.name || 'Unknown Company'
+        companyName: data.companyInfo?.name || 'Unknown Company',
+        provenance: this.getFieldProvenance(data, 'financialInfo.profitLoss', ['period', 'revenue', 'expenses', 'netIncome'])
       };
 
       // Add to periods summary
@@ -700,7 +983,8 @@ export class DocumentProcessor {
         sourceFile: data.sourceFile,
         extractionDate: data.extractionDate,
         confidence: data.confidence,
-        companyName: data.companyInfo?.name || 'Unknown Company'
+        companyName: data.companyInfo?.name || 'Unknown Company',
+        provenance: this.getFieldProvenance(data, 'financialInfo.balanceSheet', ['asOfDate', 'totalAssets', 'totalLiabilities', 'equity'])
       };
 
       // Add to periods summary
@@ -714,21 +998,28 @@ export class DocumentProcessor {
 
   addBankStatementData(statements, data) {
     if (data.financialInfo?.bankStatements && data.financialInfo.bankStatements.length > 0) {
-      for (const bankStatement of data.financialInfo.bankStatements) {
+      for (const [index, bankStatement] of data.financialInfo.bankStatements.entries()) {
         const statement = {
           period: bankStatement.period || 'Unknown Period',
           accountNumber: bankStatement.accountNumber || 'Unknown Account',
           accountType: bankStatement.accountType || 'Unknown Type',
           balance: bankStatement.balance || 0,
+          openingBalance: bankStatement.openingBalance ?? null,
+          closingBalance: bankStatement.closingBalance ?? null,
+          currency: bankStatement.currency || null,
           transactionCount: bankStatement.transactions?.length || 0,
           totalCredits: this.calculateTotalCredits(bankStatement.transactions || []),
           totalDebits: this.calculateTotalDebits(bankStatement.transactions || []),
           averageBalance: bankStatement.balance || 0,
           sourceFile: data.sourceFile,
           extractionDate: data.extractionDate,
-          confidence: data.confidence,
+          // Statements parsed from MT940/CAMT.053/OFX or bank exports are exact, unlike model extractions
+          confidence: bankStatement.confidence ?? data.confidence,
+          sourceFormat: bankStatement.sourceFormat || data.sourceFormat || null,
+          extractionPath: data.extractionPath || 'model',
           companyName: data.companyInfo?.name || 'Unknown Company',
-          transactions: bankStatement.transactions || []
+          transactions: bankStatement.transactions || [],
+          provenance: this.getFieldProvenance(data, `financialInfo.bankStatements.${index}`, ['period', 'accountNumber', 'balance', 'openingBalance', 'closingBalance'])
         };
 
         // Add to periods summary
@@ -752,7 +1043,8 @@ export class DocumentProcessor {
         sourceFile: data.sourceFile,
         extractionDate: data.extractionDate,
         confidence: data.confidence,
-        companyName: data.companyInfo?.name || 'Unknown Company'
+        companyName: data.companyInfo?.name || 'Unknown Company',
+        provenance: this.getFieldProvenance(data, 'financialInfo.creditInfo', ['creditScore'])
       };
 
       reports.push(report);
@@ -772,7 +1064,8 @@ export class DocumentProcessor {
         sourceFile: data.sourceFile,
         extractionDate: data.extractionDate,
         confidence: data.confidence,
-        companyName: data.companyInfo?.name || 'Unknown Company'
+        companyName: data.companyInfo?.name || 'Unknown Company',
+        provenance: this.getFieldProvenance(data, 'financialInfo.cashFlow', ['period', 'operatingCashFlow', 'investingCashFlow', 'financingCashFlow'])
       };
 
       // Add to periods summary
@@ -784,6 +1077,19 @@ export class DocumentProcessor {
     }
   }
 
+  // Where each of `fields` under `path` was read from, by field name. Computed totals and
+  // ratios have none, and neither do extractions stored before provenance was tracked.
+  getFieldProvenance(data, path, fields) {
+    const provenance = {};
+    for (const field of fields) {
+      const entry = data.provenance?.[`${path}.${field}`];
+      if (entry) {
+        provenance[field] = entry;
+      }
+    }
+    return provenance;
+  }
+
   addToPeriodsSummary(period) {
     // This would be called with a reference to the summary periods set
     // Implementation depends on how we want to track periods
@@ -0,0 +1,313 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// File-backed repository for loan applications, documents, extraction results,
+// recommendations, the model calls behind them, jobs, bank statement mapping profiles,
+// users with their sessions and API keys, and the prompt versions in use.
+// Every collection is kept in memory for fast reads and written to its own JSON
+// file on each change, so the server can rebuild its state after a restart.
+export class DocumentStore {
+  constructor(dataDir = process.env.DATA_DIR || path.join(__dirname, '../data')) {
+    this.dataDir = dataDir;
+    this.collectionNames = ['applications', 'documents', 'extractions', 'recommendations', 'modelTraces', 'jobs', 'bankProfiles', 'users', 'sessions', 'apiKeys', 'prompts', 'promptTemplates'];
+    this.collections = new Map();
+    this.writeQueues = new Map();
+  }
+
+  async init() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+
+    for (const name of this.collectionNames) {
+      this.collections.set(name, await this.loadCollection(name));
+    }
+
+    console.log(`Document store loaded from ${this.dataDir}:`, Object.fromEntries(
+      this.collectionNames.map(name => [name, this.collections.get(name).size])
+    ));
+  }
+
+  getCollectionPath(name) {
+    return path.join(this.dataDir, `${name}.json`);
+  }
+
+  async loadCollection(name) {
+    const filePath = this.getCollectionPath(name);
+
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      return new Map(Object.entries(JSON.parse(content)));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return new Map();
+      }
+      throw new Error(`Failed to load ${name} from store: ${error.message}`);
+    }
+  }
+
+  persistCollection(name) {
+    // Chain writes per collection so an older snapshot never overwrites a newer one
+    const previous = this.writeQueues.get(name) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => this.writeCollection(name));
+
+    this.writeQueues.set(name, next);
+    return next;
+  }
+
+  async writeCollection(name) {
+    const filePath = this.getCollectionPath(name);
+    const tempPath = `${filePath}.tmp`;
+
+    try {
+      const records = Object.fromEntries(this.collections.get(name));
+      await fs.writeFile(tempPath, JSON.stringify(records, null, 2));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      console.error(`Failed to persist ${name} store:`, error);
+      throw error;
+    }
+  }
+
+  getCollection(name) {
+    const collection = this.collections.get(name);
+    if (!collection) {
+      throw new Error(`Unknown store collection: ${name}`);
+    }
+    return collection;
+  }
+
+  get(name, id) {
+    return this.getCollection(name).get(id) || null;
+  }
+
+  list(name) {
+    return Array.from(this.getCollection(name).values());
+  }
+
+  put(name, id, record) {
+    this.getCollection(name).set(id, record);
+    return this.persistCollection(name);
+  }
+
+  remove(name, id) {
+    const removed = this.getCollection(name).delete(id);
+    return removed ? this.persistCollection(name) : Promise.resolve();
+  }
+
+  async flush() {
+    await Promise.allSettled(Array.from(this.writeQueues.values()));
+  }
+
+  // Loan applications
+
+  getApplication(applicationId) {
+    return this.get('applications', applicationId);
+  }
+
+  listApplications() {
+    return this.list('applications')
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  saveApplication(application) {
+    application.updatedAt = new Date().toISOString();
+    return this.put('applications', application.id, application);
+  }
+
+  removeApplication(applicationId) {
+    return this.remove('applications', applicationId);
+  }
+
+  // Documents
+
+  getDocument(documentId) {
+    return this.get('documents', documentId);
+  }
+
+  listDocuments() {
+    return this.list('documents');
+  }
+
+  saveDocument(document) {
+    return this.put('documents', document.id, document);
+  }
+
+  // Removes a document together with its extraction result
+  async removeDocument(documentId) {
+    await this.removeExtraction(documentId);
+    await this.remove('documents', documentId);
+  }
+
+  // Extraction results
+
+  getExtraction(documentId) {
+    return this.get('extractions', documentId);
+  }
+
+  saveExtraction(documentId, data) {
+    return this.put('extractions', documentId, data);
+  }
+
+  // The model traces go with the extraction they produced
+  async removeExtraction(documentId) {
+    await this.removeModelTraces({ documentId });
+    await this.remove('extractions', documentId);
+  }
+
+  // Recommendations
+
+  getRecommendation(recommendationId) {
+    return this.get('recommendations', recommendationId);
+  }
+
+  listRecommendations() {
+    return this.list('recommendations')
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  saveRecommendation(record) {
+    return this.put('recommendations', record.id, record);
+  }
+
+  async removeRecommendation(recommendationId) {
+    await this.removeModelTraces({ recommendationId });
+    await this.remove('recommendations', recommendationId);
+  }
+
+  // Model traces: prompts, raw replies and reasoning of the model calls behind an
+  // extraction (`documentId`) or a recommendation (`recommendationId`)
+
+  listModelTraces({ documentId, recommendationId }) {
+    return this.list('modelTraces')
+      .filter(trace => (documentId ? trace.documentId === documentId : trace.recommendationId === recommendationId))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  saveModelTrace(trace) {
+    return this.put('modelTraces', trace.id, trace);
+  }
+
+  async removeModelTraces(owner) {
+    const traces = this.listModelTraces(owner);
+    for (const trace of traces) {
+      this.getCollection('modelTraces').delete(trace.id);
+    }
+    if (traces.length > 0) {
+      await this.persistCollection('modelTraces');
+    }
+  }
+
+  // Processing jobs
+
+  getJob(jobId) {
+    return this.get('jobs', jobId);
+  }
+
+  listJobs() {
+    return this.list('jobs');
+  }
+
+  saveJob(job) {
+    return this.put('jobs', job.id, job);
+  }
+
+  removeJob(jobId) {
+    return this.remove('jobs', jobId);
+  }
+
+  // Bank statement column mapping profiles
+
+  getBankProfile(profileId) {
+    return this.get('bankProfiles', profileId);
+  }
+
+  listBankProfiles() {
+    return this.list('bankProfiles');
+  }
+
+  saveBankProfile(profile) {
+    profile.updatedAt = new Date().toISOString();
+    return this.put('bankProfiles', profile.id, profile);
+  }
+
+  removeBankProfile(profileId) {
+    return this.remove('bankProfiles', profileId);
+  }
+
+  // Users, login sessions and API keys. Sessions and keys are stored under the
+  // SHA-256 hash of their token, never the token itself
+
+  getUser(userId) {
+    return this.get('users', userId);
+  }
+
+  findUserByUsername(username) {
+    return this.list('users').find(user => user.username === username) || null;
+  }
+
+  listUsers() {
+    return this.list('users')
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  saveUser(user) {
+    user.updatedAt = new Date().toISOString();
+    return this.put('users', user.id, user);
+  }
+
+  getSession(tokenHash) {
+    return this.get('sessions', tokenHash);
+  }
+
+  listSessions() {
+    return this.list('sessions');
+  }
+
+  saveSession(session) {
+    return this.put('sessions', session.id, session);
+  }
+
+  removeSession(tokenHash) {
+    return this.remove('sessions', tokenHash);
+  }
+
+  getApiKey(keyHash) {
+    return this.get('apiKeys', keyHash);
+  }
+
+  listApiKeys() {
+    return this.list('apiKeys');
+  }
+
+  saveApiKey(apiKey) {
+    return this.put('apiKeys', apiKey.id, apiKey);
+  }
+
+  removeApiKey(keyHash) {
+    return this.remove('apiKeys', keyHash);
+  }
+
+  // Active prompt versions, and the text of every prompt template seen, keyed by its
+  // SHA-256 hash, so results keep pointing at the exact wording that produced them
+
+  getPromptSetting(promptId) {
+    return this.get('prompts', promptId);
+  }
+
+  savePromptSetting(setting) {
+    return this.put('prompts', setting.id, setting);
+  }
+
+  getPromptTemplate(hash) {
+    return this.get('promptTemplates', hash);
+  }
+
+  savePromptTemplate(template) {
+    return this.put('promptTemplates', template.hash, template);
+  }
+}
@@ -0,0 +1,47 @@
+// The fixed set of document types a page or document can be classified as. The values
+// are the labels stored on documents and extractions, shown in the UI and accepted by
+// the split endpoint, so they must not change once data has been stored with them.
+export const DOCUMENT_TYPES = Object.freeze({
+  DEED_OF_ESTABLISHMENT: 'Deed of Establishment',
+  SHAREHOLDER_LIST: 'Director and Shareholder List',
+  PROFIT_AND_LOSS: 'Profit and Loss Statement',
+  BALANCE_SHEET: 'Balance Sheet',
+  CASH_FLOW: 'Cash Flow Statement',
+  BANK_STATEMENT: 'Bank Statement',
+  CREDIT_REPORT: 'Credit History Report',
+  TAX_RETURN: 'Tax Returns',
+  FINANCIAL_REPORT: 'Financial Reports',
+  UNKNOWN: 'Unknown'
+});
+
+// Every type except Unknown, in the order prompts and pickers list them
+export const KNOWN_DOCUMENT_TYPES = Object.values(DOCUMENT_TYPES).filter(type => type !== DOCUMENT_TYPES.UNKNOWN);
+
+// Free-text names models and older extractions used before the taxonomy was fixed
+const ALIASES = new Map([
+  ['profit & loss', DOCUMENT_TYPES.PROFIT_AND_LOSS],
+  ['income statement', DOCUMENT_TYPES.PROFIT_AND_LOSS],
+  ['p&l statement', DOCUMENT_TYPES.PROFIT_AND_LOSS],
+  ['statement of financial position', DOCUMENT_TYPES.BALANCE_SHEET],
+  ['bank statements', DOCUMENT_TYPES.BANK_STATEMENT],
+  ['credit report', DOCUMENT_TYPES.CREDIT_REPORT],
+  ['credit history', DOCUMENT_TYPES.CREDIT_REPORT],
+  ['statement of cash flows', DOCUMENT_TYPES.CASH_FLOW],
+  ['tax return', DOCUMENT_TYPES.TAX_RETURN],
+  ['financial report', DOCUMENT_TYPES.FINANCIAL_REPORT],
+  ['financial statements', DOCUMENT_TYPES.FINANCIAL_REPORT],
+  ['shareholder list', DOCUMENT_TYPES.SHAREHOLDER_LIST],
+  ['articles of association', DOCUMENT_TYPES.DEED_OF_ESTABLISHMENT]
+]);
+
+// Maps any stored or model-supplied type onto the taxonomy; anything unrecognised is Unknown
+export function normalizeDocumentType(value) {
+  if (typeof value !== 'string') {
+    return DOCUMENT_TYPES.UNKNOWN;
+  }
+
+  const key = value.trim().toLowerCase();
+  return KNOWN_DOCUMENT_TYPES.find(type => type.toLowerCase() === key)
+    || ALIASES.get(key)
+    || DOCUMENT_TYPES.UNKNOWN;
+}
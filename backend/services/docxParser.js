@@ -0,0 +1,195 @@
+import path from 'path';
+import JSZip from 'jszip';
+import { readDecryptedFile } from './encryption.js';
+
+// Embedded media that sharp can decode; Office vector formats (emf/wmf) and bitmaps (bmp)
+// are skipped
+const SUPPORTED_IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.tif', '.tiff', '.webp'];
+
+const XML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': '\''
+};
+
+// Reads .docx (Office Open XML) packages without rendering them. The body is
+// walked in reading order so paragraphs and tables keep their position, tables
+// are kept as rows of cell text, and embedded pictures are returned as buffers
+// so scanned pages pasted into the document can go to the vision model.
+export class DocxParser {
+  async parse(filePath) {
+    let zip;
+    try {
+      const buffer = await readDecryptedFile(filePath);
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw new Error(`Failed to open Word document: ${error.message}`, { cause: error });
+    }
+
+    const documentEntry = zip.file('word/document.xml');
+    if (!documentEntry) {
+      throw new Error('Word document is missing word/document.xml - the file might be corrupted');
+    }
+
+    const documentXml = await documentEntry.async('string');
+    const body = documentXml.match(/<w:body\b[^>]*>([\s\S]*)<\/w:body>/)?.[1] || '';
+
+    const blocks = this.parseBlocks(body);
+    const images = await this.extractImages(zip);
+
+    console.log(`Parsed Word document: ${blocks.length} block(s), ${images.length} embedded image(s)`);
+
+    return {
+      blocks,
+      paragraphs: blocks.filter(block => block.type === 'paragraph').map(block => block.text),
+      tables: blocks.filter(block => block.type === 'table').map(block => block.rows),
+      images
+    };
+  }
+
+  parseBlocks(bodyXml) {
+    const blocks = [];
+    let position = 0;
+
+    while (position < bodyXml.length) {
+      const tableStart = bodyXml.indexOf('<w:tbl>', position);
+      const textEnd = tableStart === -1 ? bodyXml.length : tableStart;
+
+      for (const paragraph of this.parseParagraphs(bodyXml.slice(position, textEnd))) {
+        blocks.push({ type: 'paragraph', text: paragraph });
+      }
+
+      if (tableStart === -1) {
+        break;
+      }
+
+      const tableEnd = this.findClosingTag(bodyXml, 'w:tbl', tableStart);
+      const rows = this.parseTable(bodyXml.slice(tableStart, tableEnd));
+      if (rows.length > 0) {
+        blocks.push({ type: 'table', rows });
+      }
+      position = tableEnd;
+    }
+
+    return blocks;
+  }
+
+  // Tables can be nested inside cells, so match opening and closing tags by depth
+  findClosingTag(xml, tagName, start) {
+    const tagPattern = new RegExp(`<${tagName}>|</${tagName}>`, 'g');
+    tagPattern.lastIndex = start;
+    let depth = 0;
+    let match;
+
+    while ((match = tagPattern.exec(xml)) !== null) {
+      depth += match[0].startsWith('</') ? -1 : 1;
+      if (depth === 0) {
+        return match.index + match[0].length;
+      }
+    }
+
+    return xml.length;
+  }
+
+  parseTable(tableXml) {
+    const rows = [];
+    const rowPattern = /<w:tr\b[^>]*>([\s\S]*?)<\/w:tr>/g;
+    let rowMatch;
+
+    while ((rowMatch = rowPattern.exec(tableXml)) !== null) {
+      const cells = [];
+      const cellPattern = /<w:tc\b[^>]*>([\s\S]*?)<\/w:tc>/g;
+      let cellMatch;
+
+      while ((cellMatch = cellPattern.exec(rowMatch[1])) !== null) {
+        cells.push(this.parseParagraphs(cellMatch[1]).join(' ').trim());
+      }
+
+      if (cells.some(cell => cell)) {
+        rows.push(cells);
+      }
+    }
+
+    return rows;
+  }
+
+  parseParagraphs(xml) {
+    const paragraphs = [];
+    const paragraphPattern = /<w:p\b[^>]*?(?:\/>|>([\s\S]*?)<\/w:p>)/g;
+    let match;
+
+    while ((match = paragraphPattern.exec(xml)) !== null) {
+      const text = this.parseRuns(match[1] || '').trim();
+      if (text) {
+        paragraphs.push(text);
+      }
+    }
+
+    return paragraphs;
+  }
+
+  parseRuns(paragraphXml) {
+    let text = '';
+    const runPattern = /<w:t\b[^>]*>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:br\/>|<w:cr\/>/g;
+    let match;
+
+    while ((match = runPattern.exec(paragraphXml)) !== null) {
+      if (match[1] !== undefined) {
+        text += this.decodeXml(match[1]);
+      } else if (match[0] === '<w:tab/>') {
+        text += '\t';
+      } else {
+        text += '\n';
+      }
+    }
+
+    return text;
+  }
+
+  decodeXml(text) {
+    return text
+      .replace(/&#x([0-9a-fA-F]+);/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+      .replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]);
+  }
+
+  async extractImages(zip) {
+    const images = [];
+    const mediaFiles = Object.keys(zip.files)
+      .filter(name => name.startsWith('word/media/'))
+      .sort();
+
+    for (const name of mediaFiles) {
+      const extension = path.extname(name).toLowerCase();
+      if (!SUPPORTED_IMAGE_EXTENSIONS.includes(extension)) {
+        console.log(`Skipping unsupported embedded media: ${name}`);
+        continue;
+      }
+
+      images.push({
+        name: path.basename(name),
+        buffer: await zip.file(name).async('nodebuffer')
+      });
+    }
+
+    return images;
+  }
+
+  // Plain-text rendering for the analysis model: paragraphs as lines, tables as pipe-delimited rows
+  toStructuredText(blocks) {
+    return blocks.map(block => {
+      if (block.type === 'paragraph') {
+        return block.text;
+      }
+
+      const lines = block.rows.map(row => `| ${row.map(cell => cell.replace(/\s*\n\s*/g, ' ').replace(/\|/g, '/')).join(' | ')} |`);
+      if (lines.length > 1) {
+        const columnCount = block.rows[0].length;
+        lines.splice(1, 0, `|${' --- |'.repeat(columnCount)}`);
+      }
+      return `[TABLE]\n${lines.join('\n')}\n[/TABLE]`;
+    }).join('\n\n');
+  }
+}
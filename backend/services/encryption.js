@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+
+// At-rest encryption (AES-256-GCM) for uploaded originals, rendered page images
+// and stored secrets such as PDF passwords. The key comes from `ENCRYPTION_KEY`
+// (32 bytes, base64 or hex) or from a key file, which is created on first use.
+// Files written before encryption was enabled have no header and are read as-is.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FILE_HEADER = Buffer.from('CAENC1');
+const SECRET_PREFIX = 'enc:v1:';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+let keyPromise = null;
+
+export function getEncryptionKey() {
+  if (!keyPromise) {
+    keyPromise = loadKey().catch(error => {
+      keyPromise = null;
+      throw error;
+    });
+  }
+  return keyPromise;
+}
+
+async function loadKey() {
+  if (process.env.ENCRYPTION_KEY) {
+    return parseKey(process.env.ENCRYPTION_KEY.trim(), 'ENCRYPTION_KEY');
+  }
+
+  const keyFile = process.env.ENCRYPTION_KEY_FILE
+    || path.join(process.env.DATA_DIR || path.join(__dirname, '../data'), 'encryption.key');
+
+  try {
+    return parseKey((await fs.readFile(keyFile, 'utf8')).trim(), keyFile);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read encryption key: ${error.message}`, { cause: error });
+    }
+  }
+
+  const key = crypto.randomBytes(32);
+  await fs.mkdir(path.dirname(keyFile), { recursive: true });
+  await fs.writeFile(keyFile, key.toString('base64'), { mode: 0o600, flag: 'wx' });
+  console.log(`Generated a new encryption key at ${keyFile}. Back it up: encrypted files cannot be read without it.`);
+  return key;
+}
+
+function parseKey(value, source) {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Encryption key from ${source} must be 32 bytes (base64 or hex encoded)`);
+  }
+  return key;
+}
+
+export function isEncrypted(buffer) {
+  return buffer.length >= FILE_HEADER.length + IV_LENGTH + TAG_LENGTH
+    && buffer.subarray(0, FILE_HEADER.length).equals(FILE_HEADER);
+}
+
+// Layout: header | iv | ciphertext | auth tag
+export async function encryptBuffer(buffer) {
+  const key = await getEncryptionKey();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([FILE_HEADER, iv, ciphertext, cipher.getAuthTag()]);
+}
+
+export async function decryptBuffer(buffer) {
+  if (!isEncrypted(buffer)) {
+    return buffer;
+  }
+
+  try {
+    const key = await getEncryptionKey();
+    const iv = buffer.subarray(FILE_HEADER.length, FILE_HEADER.length + IV_LENGTH);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(buffer.subarray(buffer.length - TAG_LENGTH));
+    return Buffer.concat([
+      decipher.update(buffer.subarray(FILE_HEADER.length + IV_LENGTH, buffer.length - TAG_LENGTH)),
+      decipher.final()
+    ]);
+  } catch (error) {
+    throw new Error(`Failed to decrypt file (wrong key or corrupted data): ${error.message}`, { cause: error });
+  }
+}
+
+export async function readDecryptedFile(filePath, encoding = null) {
+  const data = await decryptBuffer(await fs.readFile(filePath));
+  return encoding ? data.toString(encoding) : data;
+}
+
+export async function writeEncryptedFile(filePath, data) {
+  await fs.writeFile(filePath, await encryptBuffer(Buffer.isBuffer(data) ? data : Buffer.from(data)));
+}
+
+// Encrypts a file that a tool (pdf2pic, multer) wrote in plaintext; already encrypted files are left alone
+export async function encryptFileInPlace(filePath) {
+  const data = await fs.readFile(filePath);
+  if (isEncrypted(data)) {
+    return false;
+  }
+
+  const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tempPath, await encryptBuffer(data));
+  await fs.rename(tempPath, filePath);
+  return true;
+}
+
+// Streams an upload straight to an encrypted file, so the plaintext never touches the disk.
+// Returns the plaintext size and SHA-256.
+export async function writeEncryptedStream(readable, filePath) {
+  const key = await getEncryptionKey();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const output = createWriteStream(filePath);
+  const digest = crypto.createHash('sha256');
+  let size = 0;
+
+  readable.on('data', chunk => {
+    size += chunk.length;
+    digest.update(chunk);
+  });
+  output.write(Buffer.concat([FILE_HEADER, iv]));
+  await pipeline(readable, cipher, output, { end: false });
+  await new Promise((resolve, reject) => {
+    output.end(cipher.getAuthTag(), error => (error ? reject(error) : resolve()));
+  });
+
+  return { size, sha256: digest.digest('hex') };
+}
+
+export async function encryptSecret(value) {
+  if (value === null || value === undefined || isEncryptedSecret(value)) {
+    return value;
+  }
+  return SECRET_PREFIX + (await encryptBuffer(Buffer.from(String(value), 'utf8'))).subarray(FILE_HEADER.length).toString('base64');
+}
+
+export async function decryptSecret(value) {
+  if (!isEncryptedSecret(value)) {
+    return value ?? null;
+  }
+  const payload = Buffer.from(value.slice(SECRET_PREFIX.length), 'base64');
+  return (await decryptBuffer(Buffer.concat([FILE_HEADER, payload]))).toString('utf8');
+}
+
+export function isEncryptedSecret(value) {
+  return typeof value === 'string' && value.startsWith(SECRET_PREFIX);
+}
@@ -0,0 +1,46 @@
+// Error helpers shared by the backend services. Errors are wrapped with
+// `new Error(message, { cause })` as they bubble up, so checks walk the cause chain.
+
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ERR_SOCKET_CONNECTION_TIMEOUT'
+]);
+
+export function createError(message, code, cause = null) {
+  const error = cause ? new Error(message, { cause }) : new Error(message);
+  error.code = code;
+  return error;
+}
+
+export function getErrorChain(error) {
+  const chain = [];
+  let current = error;
+
+  while (current && !chain.includes(current)) {
+    chain.push(current);
+    current = current.cause;
+  }
+
+  return chain;
+}
+
+export function hasErrorCode(error, code) {
+  return getErrorChain(error).some(item => item.code === code);
+}
+
+// Connection failures, timeouts and 5xx/429 responses from the model server are worth retrying
+export function isTransientError(error) {
+  return getErrorChain(error).some(item => {
+    if (TRANSIENT_ERROR_CODES.has(item.code)) {
+      return true;
+    }
+
+    const status = item.response?.status;
+    return status === 429 || (status >= 500 && status < 600);
+  });
+}
@@ -0,0 +1,40 @@
+import { DOCUMENT_TYPES } from '../documentTypes.js';
+import { CONFIDENCE, buildExtraction, nullableNumber, nullableString, objectSchema } from './shared.js';
+
+// Balance sheets (neraca / laporan posisi keuangan), for the most recent date shown
+export const balanceSheetExtractor = {
+  documentType: DOCUMENT_TYPES.BALANCE_SHEET,
+  promptId: 'extraction-balance-sheet',
+  schema: objectSchema({
+    companyName: nullableString(),
+    currency: nullableString('ISO code, e.g. IDR'),
+    asOfDate: nullableString(),
+    cashAndEquivalents: nullableNumber(),
+    currentAssets: nullableNumber(),
+    totalAssets: nullableNumber(),
+    currentLiabilities: nullableNumber(),
+    longTermLiabilities: nullableNumber(),
+    totalLiabilities: nullableNumber(),
+    equity: nullableNumber('ekuitas'),
+    confidence: CONFIDENCE
+  }, ['companyName', 'asOfDate', 'confidence']),
+
+  toExtraction(data) {
+    return buildExtraction(this.documentType, {
+      companyInfo: { name: data.companyName },
+      financialInfo: {
+        balanceSheet: {
+          totalAssets: data.totalAssets,
+          totalLiabilities: data.totalLiabilities,
+          equity: data.equity,
+          asOfDate: data.asOfDate,
+          currentAssets: data.currentAssets,
+          currentLiabilities: data.currentLiabilities,
+          cashAndEquivalents: data.cashAndEquivalents,
+          longTermLiabilities: data.longTermLiabilities
+        }
+      },
+      documentDetails: { currency: data.currency }
+    }, data.confidence);
+  }
+};
@@ -0,0 +1,51 @@
+import { DOCUMENT_TYPES } from '../documentTypes.js';
+import { CONFIDENCE, arraySchema, buildExtraction, nullableNumber, nullableString, objectSchema } from './shared.js';
+
+const TRANSACTION_SCHEMA = objectSchema({
+  date: nullableString(),
+  description: nullableString(),
+  amount: { type: 'number', description: 'always positive' },
+  type: { enum: ['credit', 'debit'] },
+  balance: nullableNumber('running balance after the transaction')
+}, ['amount', 'type']);
+
+// Bank statements (rekening koran / mutasi rekening). The prompt asks for nothing but
+// the account and its transactions, so long pages are not cut short by other fields.
+export const bankStatementExtractor = {
+  documentType: DOCUMENT_TYPES.BANK_STATEMENT,
+  promptId: 'extraction-bank-statement',
+  schema: objectSchema({
+    bankName: nullableString(),
+    accountHolder: nullableString(),
+    accountNumber: nullableString(),
+    accountType: nullableString('e.g. Giro, Tabungan, Current Account'),
+    currency: nullableString('ISO code, e.g. IDR'),
+    period: nullableString('e.g. March 2024'),
+    openingBalance: nullableNumber(),
+    closingBalance: nullableNumber(),
+    transactions: arraySchema(TRANSACTION_SCHEMA),
+    confidence: CONFIDENCE
+  }, ['accountNumber', 'transactions', 'confidence']),
+
+  toExtraction(data) {
+    return buildExtraction(this.documentType, {
+      companyInfo: { name: data.accountHolder },
+      financialInfo: {
+        bankStatements: [{
+          accountNumber: data.accountNumber,
+          accountType: data.accountType,
+          balance: data.closingBalance,
+          openingBalance: data.openingBalance,
+          closingBalance: data.closingBalance,
+          currency: data.currency,
+          transactions: Array.isArray(data.transactions) ? data.transactions : [],
+          period: data.period
+        }]
+      },
+      documentDetails: {
+        bankName: data.bankName,
+        accountHolder: data.accountHolder
+      }
+    }, data.confidence);
+  }
+};
@@ -0,0 +1,38 @@
+import { DOCUMENT_TYPES } from '../documentTypes.js';
+import { CONFIDENCE, buildExtraction, nullableNumber, nullableString, objectSchema } from './shared.js';
+
+// Cash flow statements (laporan arus kas), for the most recent period shown
+export const cashFlowExtractor = {
+  documentType: DOCUMENT_TYPES.CASH_FLOW,
+  promptId: 'extraction-cash-flow',
+  schema: objectSchema({
+    companyName: nullableString(),
+    currency: nullableString('ISO code, e.g. IDR'),
+    period: nullableString(),
+    operatingCashFlow: nullableNumber(),
+    investingCashFlow: nullableNumber(),
+    financingCashFlow: nullableNumber(),
+    netChangeInCash: nullableNumber(),
+    openingCash: nullableNumber(),
+    closingCash: nullableNumber(),
+    confidence: CONFIDENCE
+  }, ['companyName', 'period', 'confidence']),
+
+  toExtraction(data) {
+    return buildExtraction(this.documentType, {
+      companyInfo: { name: data.companyName },
+      financialInfo: {
+        cashFlow: {
+          operatingCashFlow: data.operatingCashFlow,
+          investingCashFlow: data.investingCashFlow,
+          financingCashFlow: data.financingCashFlow,
+          period: data.period,
+          netChangeInCash: data.netChangeInCash,
+          openingCash: data.openingCash,
+          closingCash: data.closingCash
+        }
+      },
+      documentDetails: { currency: data.currency }
+    }, data.confidence);
+  }
+};
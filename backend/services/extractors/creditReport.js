@@ -0,0 +1,45 @@
+import { DOCUMENT_TYPES } from '../documentTypes.js';
+import { CONFIDENCE, arraySchema, buildExtraction, nullableNumber, nullableString, objectSchema } from './shared.js';
+
+const FACILITY_SCHEMA = objectSchema({
+  creditor: nullableString('reporting bank or lender'),
+  accountType: nullableString('facility type, e.g. Kredit Modal Kerja, credit card'),
+  creditLimit: nullableNumber('plafon'),
+  balance: nullableNumber('outstanding balance (baki debet)'),
+  monthlyPayment: nullableNumber(),
+  collectibility: nullableNumber('OJK collectibility 1-5'),
+  daysPastDue: nullableNumber(),
+  paymentStatus: nullableString('e.g. Lancar, Dalam Perhatian Khusus, Macet'),
+  startDate: nullableString(),
+  maturityDate: nullableString()
+});
+
+// Credit bureau reports (OJK SLIK / iDeb and private bureaus)
+export const creditReportExtractor = {
+  documentType: DOCUMENT_TYPES.CREDIT_REPORT,
+  promptId: 'extraction-credit-report',
+  schema: objectSchema({
+    debtorName: nullableString(),
+    bureau: nullableString('e.g. OJK SLIK, Pefindo Biro Kredit'),
+    reportDate: nullableString(),
+    creditScore: nullableNumber(),
+    facilities: arraySchema(FACILITY_SCHEMA),
+    confidence: CONFIDENCE
+  }, ['debtorName', 'facilities', 'confidence']),
+
+  toExtraction(data) {
+    return buildExtraction(this.documentType, {
+      companyInfo: { name: data.debtorName },
+      financialInfo: {
+        creditInfo: {
+          ...(data.creditScore !== null && data.creditScore !== undefined ? { creditScore: data.creditScore } : {}),
+          creditHistory: Array.isArray(data.facilities) ? data.facilities : []
+        }
+      },
+      documentDetails: {
+        bureau: data.bureau,
+        reportDate: data.reportDate
+      }
+    }, data.confidence);
+  }
+};
@@ -0,0 +1,47 @@
+import { DOCUMENT_TYPES } from '../documentTypes.js';
+import { CONFIDENCE, PERSON_SCHEMA, arraySchema, buildExtraction, nullableNumber, nullableString, objectSchema } from './shared.js';
+
+// Notarial deeds founding or amending the company (akta pendirian / akta perubahan)
+export const deedOfEstablishmentExtractor = {
+  documentType: DOCUMENT_TYPES.DEED_OF_ESTABLISHMENT,
+  promptId: 'extraction-deed-of-establishment',
+  schema: objectSchema({
+    companyName: nullableString(),
+    legalStructure: nullableString('e.g. PT, CV, Firma'),
+    domicile: nullableString('city or address of the registered office'),
+    businessPurpose: nullableString('maksud dan tujuan, summarised'),
+    deedNumber: nullableString('nomor akta'),
+    deedDate: nullableString('date the deed was signed'),
+    notaryName: nullableString('including title, e.g. Dr. Siti Rahma, S.H., M.Kn.'),
+    notaryLocation: nullableString('city of the notary office'),
+    ministryApprovalNumber: nullableString('SK Kemenkumham number, e.g. AHU-0012345.AH.01.01'),
+    ministryApprovalDate: nullableString(),
+    authorizedCapital: nullableNumber('modal dasar'),
+    paidUpCapital: nullableNumber('modal disetor'),
+    individuals: arraySchema(PERSON_SCHEMA),
+    confidence: CONFIDENCE
+  }, ['companyName', 'deedNumber', 'notaryName', 'individuals', 'confidence']),
+
+  toExtraction(data) {
+    return buildExtraction(this.documentType, {
+      companyInfo: {
+        name: data.companyName,
+        address: data.domicile,
+        industry: data.businessPurpose,
+        establishmentDate: data.deedDate,
+        legalStructure: data.legalStructure
+      },
+      individuals: Array.isArray(data.individuals) ? data.individuals : [],
+      documentDetails: {
+        deedNumber: data.deedNumber,
+        deedDate: data.deedDate,
+        notaryName: data.notaryName,
+        notaryLocation: data.notaryLocation,
+        ministryApprovalNumber: data.ministryApprovalNumber,
+        ministryApprovalDate: data.ministryApprovalDate,
+        authorizedCapital: data.authorizedCapital,
+        paidUpCapital: data.paidUpCapital
+      }
+    }, data.confidence);
+  }
+};
@@ -0,0 +1,51 @@
+import { DOCUMENT_TYPES } from '../documentTypes.js';
+import { CONFIDENCE, buildExtraction, nullableNumber, nullableString, objectSchema } from './shared.js';
+
+// Full (often audited) financial reports, whose pages can hold any of the statements
+// plus the auditor's opinion. Only the totals are asked for; single statements have
+// their own extractors with the detailed lines.
+export const financialReportExtractor = {
+  documentType: DOCUMENT_TYPES.FINANCIAL_REPORT,
+  promptId: 'extraction-financial-report',
+  schema: objectSchema({
+    companyName: nullableString(),
+    currency: nullableString('ISO code, e.g. IDR'),
+    auditorName: nullableString('public accounting firm (KAP)'),
+    auditOpinion: nullableString('e.g. Wajar Tanpa Pengecualian / unqualified'),
+    profitLoss: objectSchema({
+      period: nullableString(),
+      revenue: nullableNumber(),
+      expenses: nullableNumber(),
+      netIncome: nullableNumber()
+    }),
+    balanceSheet: objectSchema({
+      asOfDate: nullableString(),
+      totalAssets: nullableNumber(),
+      totalLiabilities: nullableNumber(),
+      equity: nullableNumber()
+    }),
+    cashFlow: objectSchema({
+      period: nullableString(),
+      operatingCashFlow: nullableNumber(),
+      investingCashFlow: nullableNumber(),
+      financingCashFlow: nullableNumber()
+    }),
+    confidence: CONFIDENCE
+  }, ['companyName', 'profitLoss', 'balanceSheet', 'cashFlow', 'confidence']),
+
+  toExtraction(data) {
+    return buildExtraction(this.documentType, {
+      companyInfo: { name: data.companyName },
+      financialInfo: {
+        profitLoss: data.profitLoss,
+        balanceSheet: data.balanceSheet,
+        cashFlow: data.cashFlow
+      },
+      documentDetails: {
+        currency: data.currency,
+        auditorName: data.auditorName,
+        auditOpinion: data.auditOpinion
+      }
+    }, data.confidence);
+  }
+};
@@ -0,0 +1,33 @@
+import { DOCUMENT_TYPES } from '../documentTypes.js';
+import { balanceSheetExtractor } from './balanceSheet.js';
+import { bankStatementExtractor } from './bankStatement.js';
+import { cashFlowExtractor } from './cashFlow.js';
+import { creditReportExtractor } from './creditReport.js';
+import { deedOfEstablishmentExtractor } from './deedOfEstablishment.js';
+import { financialReportExtractor } from './financialReport.js';
+import { profitLossExtractor } from './profitLoss.js';
+import { shareholderListExtractor } from './shareholderList.js';
+import { taxReturnExtractor } from './taxReturn.js';
+
+export { describeSchema } from './shared.js';
+
+const EXTRACTORS = new Map([
+  deedOfEstablishmentExtractor,
+  shareholderListExtractor,
+  profitLossExtractor,
+  balanceSheetExtractor,
+  cashFlowExtractor,
+  bankStatementExtractor,
+  creditReportExtractor,
+  taxReturnExtractor,
+  financialReportExtractor
+].map(extractor => [extractor.documentType, extractor]));
+
+// The second-pass extractor for a classified page, or null for Unknown pages,
+// which get the general extraction prompt instead
+export function getExtractor(documentType) {
+  if (documentType === DOCUMENT_TYPES.UNKNOWN) {
+    return null;
+  }
+  return EXTRACTORS.get(documentType) || null;
+}
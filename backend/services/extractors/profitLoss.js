@@ -0,0 +1,40 @@
+import { DOCUMENT_TYPES } from '../documentTypes.js';
+import { CONFIDENCE, arraySchema, buildExtraction, nullableNumber, nullableString, objectSchema } from './shared.js';
+
+const PERIOD_SCHEMA = objectSchema({
+  period: nullableString('e.g. FY 2023 or January-December 2023'),
+  revenue: nullableNumber('pendapatan / penjualan'),
+  costOfSales: nullableNumber('beban pokok penjualan'),
+  grossProfit: nullableNumber(),
+  operatingExpenses: nullableNumber(),
+  expenses: nullableNumber('total expenses'),
+  interestExpense: nullableNumber(),
+  taxExpense: nullableNumber(),
+  netIncome: nullableNumber('laba/rugi bersih, negative for a loss')
+}, ['period']);
+
+// Income statements (laporan laba rugi). Statements usually show the current and the
+// previous year side by side; every column is extracted, most recent first.
+export const profitLossExtractor = {
+  documentType: DOCUMENT_TYPES.PROFIT_AND_LOSS,
+  promptId: 'extraction-profit-and-loss',
+  schema: objectSchema({
+    companyName: nullableString(),
+    currency: nullableString('ISO code, e.g. IDR'),
+    periods: arraySchema(PERIOD_SCHEMA),
+    confidence: CONFIDENCE
+  }, ['companyName', 'periods', 'confidence']),
+
+  toExtraction(data) {
+    const periods = Array.isArray(data.periods) ? data.periods : [];
+    const [latest = {}] = periods;
+    return buildExtraction(this.documentType, {
+      companyInfo: { name: data.companyName },
+      financialInfo: { profitLoss: latest },
+      documentDetails: {
+        currency: data.currency,
+        periods: periods.length > 1 ? periods : null
+      }
+    }, data.confidence);
+  }
+};
@@ -0,0 +1,69 @@
+// Building blocks for the per-type extractors. Each extractor module exports
+// { documentType, promptId, schema, toExtraction(data) }: the second-pass prompt is the
+// `promptId` template (backend/prompts) with `schema` rendered into it as the reply
+// structure, and `toExtraction` maps the reply onto the common extraction structure
+// ({ companyInfo, personalInfo, financialInfo, documentDetails }) that
+// combineExtractedData, groupFinancialDocuments and the insights prompt read.
+
+export const nullableString = description => ({ type: ['string', 'null'], ...(description ? { description } : {}) });
+export const nullableNumber = description => ({ type: ['number', 'null'], ...(description ? { description } : {}) });
+
+export const CONFIDENCE = { type: 'number', minimum: 0, maximum: 1, description: '0-1, how sure you are of the values' };
+
+export function objectSchema(properties, required = []) {
+  return { type: 'object', required, properties };
+}
+
+export function arraySchema(items) {
+  return { type: 'array', items };
+}
+
+// People named in deeds and shareholder lists
+export const PERSON_SCHEMA = objectSchema({
+  name: { type: 'string' },
+  position: nullableString('e.g. Direktur Utama, Komisaris, Shareholder'),
+  idNumber: nullableString('NIK or passport number'),
+  address: nullableString(),
+  numberOfShares: nullableNumber(),
+  ownershipPercentage: nullableNumber('0-100')
+}, ['name']);
+
+// Renders a schema as the annotated JSON template the prompts show the model
+export function describeSchema(schema, indent = '') {
+  const inner = `${indent}  `;
+
+  if (schema.type === 'object') {
+    const lines = Object.entries(schema.properties).map(([key, property]) => `${inner}"${key}": ${describeSchema(property, inner)}`);
+    return `{\n${lines.join(',\n')}\n${indent}}`;
+  }
+  if (schema.type === 'array') {
+    return `[\n${inner}${describeSchema(schema.items, inner)}\n${indent}]`;
+  }
+
+  const kind = schema.enum ? schema.enum.join(' or ') : [].concat(schema.type).join(' or ');
+  return JSON.stringify(schema.description ? `${kind} (${schema.description})` : kind);
+}
+
+// Fills the sections an extractor does not produce, so every extraction has the same shape
+export function buildExtraction(documentType, { companyInfo = {}, individuals = [], financialInfo = {}, documentDetails = {} }, confidence) {
+  return {
+    documentType,
+    companyInfo: withoutEmptyValues(companyInfo),
+    personalInfo: { individuals },
+    financialInfo: {
+      profitLoss: withoutEmptyValues(financialInfo.profitLoss || {}),
+      balanceSheet: withoutEmptyValues(financialInfo.balanceSheet || {}),
+      bankStatements: financialInfo.bankStatements || [],
+      creditInfo: financialInfo.creditInfo || { creditHistory: [] },
+      cashFlow: withoutEmptyValues(financialInfo.cashFlow || {})
+    },
+    documentDetails: withoutEmptyValues(documentDetails),
+    confidence
+  };
+}
+
+// Sections stay empty objects when the page had none of their values, which is what
+// groupFinancialDocuments checks before adding a statement
+function withoutEmptyValues(section) {
+  return Object.fromEntries(Object.entries(section).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+}
@@ -0,0 +1,26 @@
+import { DOCUMENT_TYPES } from '../documentTypes.js';
+import { CONFIDENCE, PERSON_SCHEMA, arraySchema, buildExtraction, nullableNumber, nullableString, objectSchema } from './shared.js';
+
+// Registers of directors, commissioners and shareholders (daftar pemegang saham, susunan pengurus)
+export const shareholderListExtractor = {
+  documentType: DOCUMENT_TYPES.SHAREHOLDER_LIST,
+  promptId: 'extraction-shareholder-list',
+  schema: objectSchema({
+    companyName: nullableString(),
+    asOfDate: nullableString('date the list is valid for'),
+    totalShares: nullableNumber('total issued shares'),
+    individuals: arraySchema(PERSON_SCHEMA),
+    confidence: CONFIDENCE
+  }, ['companyName', 'individuals', 'confidence']),
+
+  toExtraction(data) {
+    return buildExtraction(this.documentType, {
+      companyInfo: { name: data.companyName },
+      individuals: Array.isArray(data.individuals) ? data.individuals : [],
+      documentDetails: {
+        asOfDate: data.asOfDate,
+        totalShares: data.totalShares
+      }
+    }, data.confidence);
+  }
+};
@@ -0,0 +1,38 @@
+import { DOCUMENT_TYPES } from '../documentTypes.js';
+import { CONFIDENCE, buildExtraction, nullableNumber, nullableString, objectSchema } from './shared.js';
+
+// Annual and periodic tax returns (SPT Tahunan / SPT Masa)
+export const taxReturnExtractor = {
+  documentType: DOCUMENT_TYPES.TAX_RETURN,
+  promptId: 'extraction-tax-return',
+  schema: objectSchema({
+    taxpayerName: nullableString(),
+    taxId: nullableString('NPWP'),
+    formType: nullableString('e.g. SPT Tahunan PPh Badan 1771'),
+    taxYear: nullableString('tax year or period'),
+    grossIncome: nullableNumber(),
+    taxableIncome: nullableNumber('penghasilan kena pajak'),
+    taxDue: nullableNumber('PPh terutang'),
+    taxPaid: nullableNumber('kredit pajak'),
+    taxPayable: nullableNumber('kurang/lebih bayar, negative for an overpayment'),
+    filingDate: nullableString(),
+    confidence: CONFIDENCE
+  }, ['taxpayerName', 'taxYear', 'confidence']),
+
+  toExtraction(data) {
+    return buildExtraction(this.documentType, {
+      companyInfo: { name: data.taxpayerName },
+      documentDetails: {
+        taxId: data.taxId,
+        formType: data.formType,
+        taxYear: data.taxYear,
+        grossIncome: data.grossIncome,
+        taxableIncome: data.taxableIncome,
+        taxDue: data.taxDue,
+        taxPaid: data.taxPaid,
+        taxPayable: data.taxPayable,
+        filingDate: data.filingDate
+      }
+    }, data.confidence);
+  }
+};
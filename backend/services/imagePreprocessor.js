@@ -0,0 +1,427 @@
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { readDecryptedFile, writeEncryptedFile } from './encryption.js';
+
+// Steps in the order they run. `IMAGE_PREPROCESSING_STEPS` (comma separated) picks a subset;
+// an empty value turns preprocessing off.
+export const PREPROCESSING_STEPS = ['exif', 'orientation', 'deskew', 'crop', 'shadows', 'contrast', 'denoise'];
+
+// Working resolution for the enhanced image and the smaller one used for measurements
+const WORKING_SIZE = 2048;
+const ANALYSIS_SIZE = 800;
+
+// Enhances phone photos and poor scans before they go to the vision model:
+// upright orientation (EXIF and text direction), deskew, crop to the page,
+// flattened lighting, normalised contrast and less noise. Every run writes a
+// before and after image to the review directory so analysts can compare them.
+export class ImagePreprocessor {
+  constructor(options = {}) {
+    const configured = options.steps || (process.env.IMAGE_PREPROCESSING_STEPS !== undefined
+      ? process.env.IMAGE_PREPROCESSING_STEPS.split(',').map(step => step.trim()).filter(Boolean)
+      : PREPROCESSING_STEPS);
+
+    const unknown = configured.filter(step => !PREPROCESSING_STEPS.includes(step));
+    if (unknown.length > 0) {
+      console.warn(`Ignoring unknown image preprocessing steps: ${unknown.join(', ')}`);
+    }
+
+    this.steps = PREPROCESSING_STEPS.filter(step => configured.includes(step));
+    // Skew is searched within this many degrees either way; smaller corrections are not applied
+    this.maxSkewAngle = options.maxSkewAngle || 15;
+    this.minSkewAngle = options.minSkewAngle || 0.3;
+    // A detected page must cover at least this share of the photo to be cropped to
+    this.minPageArea = options.minPageArea || 0.3;
+    this.denoiseRadius = options.denoiseRadius || 3;
+  }
+
+  get enabled() {
+    return this.steps.length > 0;
+  }
+
+  // Returns `{ beforePath, afterPath, steps: [{ step, applied, detail }], changed }`.
+  // Both review images are stored encrypted.
+  async process(inputPath, { outputDir, name }) {
+    try {
+      await fs.mkdir(outputDir, { recursive: true });
+      const beforePath = path.join(outputDir, `${name}-before.jpg`);
+      const afterPath = path.join(outputDir, `${name}-after.jpg`);
+      const input = await readDecryptedFile(inputPath);
+
+      await writeEncryptedFile(beforePath, await sharp(input).jpeg({ quality: 85 }).toBuffer());
+
+      let image = await sharp(input)
+        .resize(WORKING_SIZE, WORKING_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .png()
+        .toBuffer();
+      const results = [];
+
+      for (const step of this.steps) {
+        const result = await this.runStep(step, image, input);
+        results.push({ step, applied: result.applied, detail: result.detail || null });
+        if (result.applied) {
+          image = result.image;
+        }
+      }
+
+      await writeEncryptedFile(afterPath, await sharp(image).jpeg({ quality: 90 }).toBuffer());
+
+      const applied = results.filter(result => result.applied);
+      console.log(`Preprocessed ${name}: ${applied.length > 0 ? applied.map(result => result.detail || result.step).join(', ') : 'no changes'}`);
+
+      return { beforePath, afterPath, steps: results, changed: applied.length > 0 };
+    } catch (error) {
+      console.error('Image preprocessing error:', error);
+      throw new Error(`Failed to preprocess image: ${error.message}`, { cause: error });
+    }
+  }
+
+  async runStep(step, image, input) {
+    switch (step) {
+      case 'exif': return this.applyExifOrientation(input);
+      case 'orientation': return this.correctOrientation(image);
+      case 'deskew': return this.deskew(image);
+      case 'crop': return this.cropToPage(image);
+      case 'shadows': return this.removeShadows(image);
+      case 'contrast': return this.normaliseContrast(image);
+      case 'denoise': return this.denoise(image);
+      default: return { applied: false };
+    }
+  }
+
+  // Phone cameras store the sensor image as-is and record the rotation in EXIF
+  async applyExifOrientation(input) {
+    const { orientation } = await sharp(input).metadata();
+    if (!orientation || orientation === 1) {
+      return { applied: false };
+    }
+
+    const image = await sharp(input)
+      .rotate()
+      .resize(WORKING_SIZE, WORKING_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+    return { applied: true, image, detail: `EXIF orientation ${orientation}` };
+  }
+
+  // Text lines give a sharp projection profile across them. If the profile is sharper
+  // sideways the page is turned 90°; left-aligned line starts tell upright from upside down.
+  async correctOrientation(image) {
+    const sample = await this.sampleInk(image);
+    if (sample.points.length < 500) {
+      return { applied: false };
+    }
+
+    let rotation = 0;
+    let points = sample.points;
+    const horizontal = this.projectionScore(points, 0);
+    const vertical = this.projectionScore(points, 90);
+
+    if (vertical > horizontal * 1.5) {
+      rotation = 90;
+      points = points.map(([x, y]) => [sample.height - 1 - y, x]);
+    }
+
+    const alignment = this.lineAlignment(points);
+    if (alignment !== null && alignment < 0.6) {
+      rotation = (rotation + 180) % 360;
+    }
+
+    if (rotation === 0) {
+      return { applied: false };
+    }
+
+    return { applied: true, image: await sharp(image).rotate(rotation).png().toBuffer(), detail: `rotated ${rotation}°` };
+  }
+
+  // Finds the angle at which text lines project most sharply, coarse then fine
+  async deskew(image) {
+    const sample = await this.sampleInk(image);
+    if (sample.points.length < 500) {
+      return { applied: false };
+    }
+
+    const search = (from, to, step) => {
+      let best = { angle: 0, score: -Infinity };
+      for (let angle = from; angle <= to + 1e-9; angle += step) {
+        const score = this.projectionScore(sample.points, angle);
+        if (score > best.score) {
+          best = { angle, score };
+        }
+      }
+      return best.angle;
+    };
+
+    const coarse = search(-this.maxSkewAngle, this.maxSkewAngle, 1);
+    const angle = Math.round(search(coarse - 1, coarse + 1, 0.1) * 10) / 10;
+
+    if (Math.abs(angle) < this.minSkewAngle) {
+      return { applied: false };
+    }
+
+    // Fill the exposed corners with whatever surrounds the page so cropping still finds it
+    const border = await this.borderLevel(image);
+    const rotated = await sharp(image)
+      .rotate(-angle, { background: { r: border, g: border, b: border } })
+      .png()
+      .toBuffer();
+    return { applied: true, image: rotated, detail: `deskewed ${angle}°` };
+  }
+
+  // The page is the largest bright area; rows and columns mostly covered by it bound the crop
+  async cropToPage(image) {
+    const { data, info } = await this.getGrey(image, ANALYSIS_SIZE);
+    const threshold = this.otsuThreshold(data);
+    const rowCoverage = new Array(info.height).fill(0);
+    const columnCoverage = new Array(info.width).fill(0);
+
+    for (let y = 0; y < info.height; y++) {
+      for (let x = 0; x < info.width; x++) {
+        if (data[y * info.width + x] > threshold) {
+          rowCoverage[y]++;
+          columnCoverage[x]++;
+        }
+      }
+    }
+
+    const bounds = (coverage, length) => {
+      const covered = coverage.map(count => count / length > 0.5);
+      return [covered.indexOf(true), covered.lastIndexOf(true)];
+    };
+    const [top, bottom] = bounds(rowCoverage, info.width);
+    const [left, right] = bounds(columnCoverage, info.height);
+
+    if (top === -1 || left === -1) {
+      return { applied: false };
+    }
+
+    const area = ((bottom - top + 1) * (right - left + 1)) / (info.width * info.height);
+    if (area < this.minPageArea || area > 0.97) {
+      return { applied: false };
+    }
+
+    const { width, height } = await sharp(image).metadata();
+    const scale = width / info.width;
+    const region = {
+      left: Math.max(0, Math.floor(left * scale)),
+      top: Math.max(0, Math.floor(top * scale)),
+      width: Math.min(width, Math.ceil((right - left + 1) * scale)),
+      height: Math.min(height, Math.ceil((bottom - top + 1) * scale))
+    };
+    region.width = Math.min(region.width, width - region.left);
+    region.height = Math.min(region.height, height - region.top);
+
+    const cropped = await sharp(image).extract(region).png().toBuffer();
+    return { applied: true, image: cropped, detail: `cropped to page (${Math.round(area * 100)}% of photo)` };
+  }
+
+  // Divides each pixel by the local paper brightness so shadows and uneven light become white
+  async removeShadows(image) {
+    const { data, info } = await this.getGrey(image);
+    const background = this.estimateBackground(data, info.width, info.height);
+    const output = Buffer.alloc(data.length);
+
+    for (let i = 0; i < data.length; i++) {
+      output[i] = Math.min(255, Math.round((data[i] / Math.max(background[i], 1)) * 255));
+    }
+
+    const flattened = await sharp(output, { raw: { width: info.width, height: info.height, channels: 1 } })
+      .png()
+      .toBuffer();
+    return { applied: true, image: flattened, detail: 'shadows removed' };
+  }
+
+  async normaliseContrast(image) {
+    const normalised = await sharp(image).normalise({ lower: 1, upper: 99 }).png().toBuffer();
+    return { applied: true, image: normalised, detail: 'contrast normalised' };
+  }
+
+  async denoise(image) {
+    const filtered = await sharp(image).median(this.denoiseRadius).png().toBuffer();
+    return { applied: true, image: filtered, detail: 'noise reduced' };
+  }
+
+  async getGrey(image, size = null) {
+    let pipeline = sharp(image).greyscale();
+    if (size) {
+      pipeline = pipeline.resize(size, size, { fit: 'inside', withoutEnlargement: true });
+    }
+    return pipeline.raw().toBuffer({ resolveWithObject: true });
+  }
+
+  async borderLevel(image) {
+    const { data, info } = await this.getGrey(image, ANALYSIS_SIZE);
+    let sum = 0;
+    let count = 0;
+
+    for (let x = 0; x < info.width; x++) {
+      sum += data[x] + data[(info.height - 1) * info.width + x];
+      count += 2;
+    }
+    for (let y = 0; y < info.height; y++) {
+      sum += data[y * info.width] + data[y * info.width + info.width - 1];
+      count += 2;
+    }
+
+    return Math.round(sum / count);
+  }
+
+  // Ink is anything clearly darker than the paper around it, which also works on dark backgrounds
+  async sampleInk(image) {
+    const { data, info } = await this.getGrey(image, ANALYSIS_SIZE);
+    const background = this.estimateBackground(data, info.width, info.height);
+    const points = [];
+
+    for (let y = 0; y < info.height; y++) {
+      for (let x = 0; x < info.width; x++) {
+        const index = y * info.width + x;
+        if (data[index] < background[index] * 0.7) {
+          points.push([x, y]);
+        }
+      }
+    }
+
+    // Keep the measurements cheap on dense pages
+    const stride = Math.max(1, Math.floor(points.length / 40000));
+    return {
+      width: info.width,
+      height: info.height,
+      points: stride > 1 ? points.filter((_, index) => index % stride === 0) : points
+    };
+  }
+
+  // Spread of the ink histogram along lines at `angle` degrees, relative to its mean so
+  // profiles of different lengths compare. It peaks when text lines are level, because
+  // the gaps between lines then stay empty.
+  projectionScore(points, angle) {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const positions = points.map(([x, y]) => Math.round(y * cos - x * sin));
+    const min = positions.reduce((lowest, position) => Math.min(lowest, position), Infinity);
+    const max = positions.reduce((highest, position) => Math.max(highest, position), -Infinity);
+    const counts = new Array(max - min + 1).fill(0);
+
+    for (const position of positions) {
+      counts[position - min]++;
+    }
+
+    const mean = points.length / counts.length;
+    const variance = counts.reduce((sum, count) => sum + (count - mean) ** 2, 0) / counts.length;
+    return variance / (mean * mean);
+  }
+
+  // Ratio of the spread of line ends to the spread of line starts. Left-to-right text
+  // starts at a common margin, so a ratio well below 1 means the page is upside down.
+  lineAlignment(points) {
+    const rows = new Map();
+    for (const [x, y] of points) {
+      const row = Math.floor(y / 3);
+      const extent = rows.get(row) || { min: Infinity, max: -Infinity, count: 0 };
+      extent.min = Math.min(extent.min, x);
+      extent.max = Math.max(extent.max, x);
+      extent.count++;
+      rows.set(row, extent);
+    }
+
+    const lines = Array.from(rows.values()).filter(extent => extent.count >= 10);
+    if (lines.length < 10) {
+      return null;
+    }
+
+    const spread = values => {
+      const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+      return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+    };
+    const startSpread = spread(lines.map(line => line.min));
+    const endSpread = spread(lines.map(line => line.max));
+
+    return startSpread === 0 ? null : endSpread / startSpread;
+  }
+
+  // Paper brightness per tile (a high percentile ignores the ink), interpolated per pixel
+  estimateBackground(data, width, height) {
+    const tile = Math.max(16, Math.round(Math.max(width, height) / 24));
+    const columns = Math.ceil(width / tile);
+    const rows = Math.ceil(height / tile);
+    const levels = new Float32Array(columns * rows);
+
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const histogram = new Array(256).fill(0);
+        let count = 0;
+        for (let y = row * tile; y < Math.min(height, (row + 1) * tile); y += 2) {
+          for (let x = column * tile; x < Math.min(width, (column + 1) * tile); x += 2) {
+            histogram[data[y * width + x]]++;
+            count++;
+          }
+        }
+
+        let level = 255;
+        for (let seen = 0; level > 0; level--) {
+          seen += histogram[level];
+          if (seen >= count * 0.1) {
+            break;
+          }
+        }
+        levels[row * columns + column] = level;
+      }
+    }
+
+    const background = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      const gy = Math.min(rows - 1, Math.max(0, (y + 0.5) / tile - 0.5));
+      const y0 = Math.floor(gy);
+      const y1 = Math.min(rows - 1, y0 + 1);
+      const fy = gy - y0;
+
+      for (let x = 0; x < width; x++) {
+        const gx = Math.min(columns - 1, Math.max(0, (x + 0.5) / tile - 0.5));
+        const x0 = Math.floor(gx);
+        const x1 = Math.min(columns - 1, x0 + 1);
+        const fx = gx - x0;
+
+        const top = levels[y0 * columns + x0] * (1 - fx) + levels[y0 * columns + x1] * fx;
+        const bottom = levels[y1 * columns + x0] * (1 - fx) + levels[y1 * columns + x1] * fx;
+        background[y * width + x] = top * (1 - fy) + bottom * fy;
+      }
+    }
+
+    return background;
+  }
+
+  otsuThreshold(data) {
+    const histogram = new Array(256).fill(0);
+    for (const value of data) {
+      histogram[value]++;
+    }
+
+    const total = data.length;
+    const sumAll = histogram.reduce((sum, count, value) => sum + count * value, 0);
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let best = { threshold: 127, variance: 0 };
+
+    for (let threshold = 0; threshold < 256; threshold++) {
+      weightBackground += histogram[threshold];
+      if (weightBackground === 0) {
+        continue;
+      }
+      const weightForeground = total - weightBackground;
+      if (weightForeground === 0) {
+        break;
+      }
+
+      sumBackground += threshold * histogram[threshold];
+      const meanBackground = sumBackground / weightBackground;
+      const meanForeground = (sumAll - sumBackground) / weightForeground;
+      const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+      if (variance > best.variance) {
+        best = { threshold, variance };
+      }
+    }
+
+    return best.threshold;
+  }
+}
@@ -0,0 +1,378 @@
+import { createError } from './errors.js';
+import { DOCUMENT_TYPES, normalizeDocumentType } from './documentTypes.js';
+
+// Inputs for the staged credit insights (see LlmService.generateCreditInsights). Instead
+// of the raw extractions, each section of the review gets a digest of figures computed
+// here: bank statements become per-statement totals and a handful of the largest
+// transactions, so a year of statements costs a few hundred tokens instead of tens of
+// thousands. Every list in a digest is ordered most significant first (newest period,
+// largest amount, worst facility), so trimming a list to fit a token budget drops the
+// least significant entries.
+
+export const INSIGHT_SECTIONS = [
+  { id: 'businessProfile', promptId: 'insights-business-profile', digest: digestBusinessProfile },
+  { id: 'profitLoss', promptId: 'insights-profit-and-loss', digest: digestProfitLoss },
+  { id: 'balanceSheet', promptId: 'insights-balance-sheet', digest: digestBalanceSheet },
+  { id: 'bankBehaviour', promptId: 'insights-bank-behaviour', digest: digestBankBehaviour },
+  { id: 'creditHistory', promptId: 'insights-credit-history', digest: digestCreditHistory }
+];
+
+// Tokenisers split digits and JSON punctuation finely; three characters per token
+// overestimates the prompt a little, which is the safe side of a budget
+const CHARACTERS_PER_TOKEN = 3;
+
+// Transactions listed by amount in the bank behaviour digest; the rest are only totalled
+const LARGEST_TRANSACTIONS = 5;
+
+// Longest free text (descriptions, addresses, business purposes) kept in a digest
+const TEXT_CHARACTERS = 80;
+
+// Words banks use for bounced, returned and rejected items (Indonesian and English)
+const RETURNED_ITEM = /\b(tolak|tolakan|retur|return(ed)?|bounced?|dishonou?red|insufficient|saldo tidak cukup)\b/i;
+
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARACTERS_PER_TOKEN);
+}
+
+// { [section id]: digest }, null for a section the documents say nothing about
+export function buildSectionDigests(allExtractedData, groupedFinancialData) {
+  return Object.fromEntries(INSIGHT_SECTIONS.map(section => [section.id, section.digest(allExtractedData, groupedFinancialData)]));
+}
+
+// The figures the final synthesis needs at hand whatever the section summaries say
+export function buildKeyFigures(allExtractedData, digests) {
+  const [latestPeriod] = digests.profitLoss?.periods || [];
+  const [latestSheet] = digests.balanceSheet?.balanceSheets || [];
+  const companies = [...new Set(allExtractedData.map(data => data.companyInfo?.name).filter(Boolean))];
+
+  return compact({
+    companies,
+    documents: countBy(allExtractedData.map(data => normalizeDocumentType(data.documentType))),
+    latestRevenue: latestPeriod?.revenue,
+    latestNetIncome: latestPeriod?.netIncome,
+    latestNetMargin: latestPeriod?.netMargin,
+    totalAssets: latestSheet?.totalAssets,
+    equity: latestSheet?.equity,
+    currentRatio: latestSheet?.currentRatio,
+    debtToEquity: latestSheet?.debtToEquity,
+    averageMonthlyCredits: digests.bankBehaviour?.averageMonthlyCredits,
+    averageMonthlyDebits: digests.bankBehaviour?.averageMonthlyDebits,
+    returnedItems: digests.bankBehaviour?.returnedItems,
+    creditScore: digests.creditHistory?.creditScore,
+    totalOutstanding: digests.creditHistory?.totalOutstanding,
+    totalMonthlyPayment: digests.creditHistory?.totalMonthlyPayment,
+    worstCollectibility: digests.creditHistory?.worstCollectibility
+  });
+}
+
+// Renders a stage's prompt within `budgetTokens`. While the estimate is over budget the
+// longest list in `input` loses its last entry; `render(input, omitted)` gets the entries
+// dropped so far by list, so the prompt can tell the model what is missing. Fails when
+// even the lists emptied do not fit, since a cut-off prompt would be misread silently.
+export function renderWithinBudget(render, input, budgetTokens) {
+  const trimmed = structuredClone(input);
+  const omitted = {};
+
+  for (;;) {
+    const prompt = render(trimmed, omitted);
+    const estimatedTokens = estimateTokens(prompt.text);
+    if (estimatedTokens <= budgetTokens) {
+      return { prompt, input: trimmed, budget: { budgetTokens, estimatedTokens, omitted } };
+    }
+
+    const longest = findLongestList(trimmed);
+    if (!longest) {
+      throw createError(`${prompt.prompt.id} prompt needs about ${estimatedTokens} tokens, over its budget of ${budgetTokens}`, 'CONTEXT_BUDGET_EXCEEDED');
+    }
+    longest.list.pop();
+    omitted[longest.path] = (omitted[longest.path] || 0) + 1;
+  }
+}
+
+// 'statements: 4, largestCredits: 1' for the entries renderWithinBudget left out, '' for none
+export function describeOmitted(omitted) {
+  return Object.entries(omitted).map(([path, count]) => `${path}: ${count}`).join(', ');
+}
+
+function findLongestList(value, path = '') {
+  let longest = null;
+  const visit = (item, itemPath) => {
+    if (Array.isArray(item)) {
+      if (item.length > 0 && (!longest || item.length > longest.list.length)) {
+        longest = { list: item, path: itemPath };
+      }
+      item.forEach(child => visit(child, itemPath));
+    } else if (item && typeof item === 'object') {
+      Object.entries(item).forEach(([key, child]) => visit(child, itemPath ? `${itemPath}.${key}` : key));
+    }
+  };
+  visit(value, path);
+  return longest;
+}
+
+function digestBusinessProfile(allExtractedData) {
+  const company = {};
+  const people = new Map();
+  const taxReturns = [];
+  let capital = null;
+
+  for (const data of allExtractedData) {
+    for (const [key, value] of Object.entries(data.companyInfo || {})) {
+      if (key !== 'name' && value && !company[key]) {
+        company[key] = clip(value);
+      }
+    }
+
+    for (const person of data.personalInfo?.individuals || []) {
+      const key = person?.name?.trim().toLowerCase();
+      if (key && !people.has(key)) {
+        people.set(key, compact({ name: person.name, position: person.position, ownershipPercentage: person.ownershipPercentage }));
+      }
+    }
+
+    const details = data.documentDetails || {};
+    if (normalizeDocumentType(data.documentType) === DOCUMENT_TYPES.TAX_RETURN) {
+      taxReturns.push(compact({
+        taxYear: details.taxYear,
+        formType: details.formType,
+        grossIncome: details.grossIncome,
+        taxableIncome: details.taxableIncome,
+        taxDue: details.taxDue,
+        taxPaid: details.taxPaid,
+        taxPayable: details.taxPayable
+      }));
+    }
+    if (!capital && (details.authorizedCapital || details.paidUpCapital)) {
+      capital = compact({ authorizedCapital: details.authorizedCapital, paidUpCapital: details.paidUpCapital });
+    }
+  }
+
+  if (Object.keys(company).length === 0 && people.size === 0 && taxReturns.length === 0 && !capital) {
+    return null;
+  }
+
+  return compact({
+    company: Object.keys(company).length > 0 ? company : null,
+    capital,
+    people: [...people.values()].sort((a, b) => (b.ownershipPercentage || 0) - (a.ownershipPercentage || 0)),
+    taxReturns: taxReturns.sort((a, b) => String(b.taxYear || '').localeCompare(String(a.taxYear || '')))
+  });
+}
+
+function digestProfitLoss(allExtractedData) {
+  const periods = new Map();
+
+  for (const data of allExtractedData) {
+    // Profit and loss extractions keep every column of the statement in documentDetails
+    const statements = data.documentDetails?.periods || [data.financialInfo?.profitLoss];
+    for (const statement of statements.filter(item => item && Object.keys(item).length > 0)) {
+      const key = statement.period || `Unknown period (${data.sourceFile})`;
+      if (!periods.has(key)) {
+        periods.set(key, { ...statement, period: key, currency: data.documentDetails?.currency });
+      }
+    }
+  }
+
+  if (periods.size === 0) {
+    return null;
+  }
+
+  const sorted = [...periods.values()].sort((a, b) => compareNewestFirst(a.period, b.period));
+  return {
+    periods: sorted.map((statement, index) => {
+      const previous = sorted[index + 1];
+      const grossProfit = statement.grossProfit ?? difference(statement.revenue, statement.costOfSales);
+      return compact({
+        period: statement.period,
+        currency: statement.currency,
+        revenue: statement.revenue,
+        costOfSales: statement.costOfSales,
+        grossProfit,
+        operatingExpenses: statement.operatingExpenses,
+        expenses: statement.expenses,
+        interestExpense: statement.interestExpense,
+        netIncome: statement.netIncome,
+        grossMargin: ratio(grossProfit, statement.revenue),
+        netMargin: ratio(statement.netIncome, statement.revenue),
+        interestCover: ratio(sumOf([statement.netIncome, statement.interestExpense, statement.taxExpense]), statement.interestExpense),
+        revenueGrowth: previous ? growth(statement.revenue, previous.revenue) : null
+      });
+    })
+  };
+}
+
+function digestBalanceSheet(allExtractedData) {
+  const sheets = new Map();
+
+  for (const data of allExtractedData) {
+    const sheet = data.financialInfo?.balanceSheet;
+    if (sheet && Object.keys(sheet).length > 0) {
+      const key = sheet.asOfDate || `Unknown date (${data.sourceFile})`;
+      if (!sheets.has(key)) {
+        sheets.set(key, { ...sheet, asOfDate: key, currency: data.documentDetails?.currency });
+      }
+    }
+  }
+
+  if (sheets.size === 0) {
+    return null;
+  }
+
+  return {
+    balanceSheets: [...sheets.values()]
+      .sort((a, b) => compareNewestFirst(a.asOfDate, b.asOfDate))
+      .map(sheet => compact({
+        asOfDate: sheet.asOfDate,
+        currency: sheet.currency,
+        cashAndEquivalents: sheet.cashAndEquivalents,
+        currentAssets: sheet.currentAssets,
+        totalAssets: sheet.totalAssets,
+        currentLiabilities: sheet.currentLiabilities,
+        longTermLiabilities: sheet.longTermLiabilities,
+        totalLiabilities: sheet.totalLiabilities,
+        equity: sheet.equity,
+        currentRatio: ratio(sheet.currentAssets, sheet.currentLiabilities),
+        debtToEquity: ratio(sheet.totalLiabilities, sheet.equity),
+        debtToAssets: ratio(sheet.totalLiabilities, sheet.totalAssets)
+      }))
+  };
+}
+
+// Bank statements and cash flow statements: how money actually moves through the business
+function digestBankBehaviour(allExtractedData, groupedFinancialData) {
+  const statements = groupedFinancialData.bankStatements || [];
+  const cashFlows = groupedFinancialData.cashFlowStatements || [];
+  if (statements.length === 0 && cashFlows.length === 0) {
+    return null;
+  }
+
+  const transactions = statements.flatMap(statement => statement.transactions.map(transaction => ({ ...transaction, accountNumber: statement.accountNumber })));
+  const credits = transactions.filter(transaction => transaction.type === 'credit');
+  const debits = transactions.filter(transaction => transaction.type === 'debit');
+  const largest = list => [...list]
+    .sort((a, b) => (b.amount || 0) - (a.amount || 0))
+    .slice(0, LARGEST_TRANSACTIONS)
+    .map(transaction => compact({ date: transaction.date, description: clip(transaction.description), amount: transaction.amount, accountNumber: transaction.accountNumber }));
+
+  return compact({
+    accounts: [...new Set(statements.map(statement => statement.accountNumber))],
+    statementCount: statements.length,
+    averageMonthlyCredits: statements.length > 0 ? round(sumOf(statements.map(statement => statement.totalCredits)) / statements.length) : null,
+    averageMonthlyDebits: statements.length > 0 ? round(sumOf(statements.map(statement => statement.totalDebits)) / statements.length) : null,
+    returnedItems: transactions.filter(transaction => RETURNED_ITEM.test(transaction.description || '')).length,
+    statements: [...statements]
+      .sort((a, b) => compareNewestFirst(a.period, b.period))
+      .map(statement => {
+        const balances = statement.transactions.map(transaction => transaction.balance).filter(balance => typeof balance === 'number');
+        return compact({
+          accountNumber: statement.accountNumber,
+          period: statement.period,
+          currency: statement.currency,
+          sourceFormat: statement.sourceFormat,
+          openingBalance: statement.openingBalance,
+          closingBalance: statement.closingBalance ?? statement.balance,
+          lowestBalance: balances.length > 0 ? Math.min(...balances) : null,
+          credits: statement.totalCredits,
+          creditCount: statement.transactions.filter(transaction => transaction.type === 'credit').length,
+          debits: statement.totalDebits,
+          debitCount: statement.transactions.filter(transaction => transaction.type === 'debit').length
+        });
+      }),
+    largestCredits: largest(credits),
+    largestDebits: largest(debits),
+    cashFlowStatements: [...cashFlows]
+      .sort((a, b) => compareNewestFirst(a.period, b.period))
+      .map(statement => compact({
+        period: statement.period,
+        operatingCashFlow: statement.operatingCashFlow,
+        investingCashFlow: statement.investingCashFlow,
+        financingCashFlow: statement.financingCashFlow,
+        netCashFlow: statement.netCashFlow
+      }))
+  });
+}
+
+function digestCreditHistory(allExtractedData) {
+  // Every extraction has a creditInfo section; only those with a score or facilities count
+  const reports = allExtractedData.filter(data => {
+    const creditInfo = data.financialInfo?.creditInfo;
+    return typeof creditInfo?.creditScore === 'number' || creditInfo?.creditHistory?.length > 0;
+  });
+  if (reports.length === 0) {
+    return null;
+  }
+
+  const facilities = reports.flatMap(data => data.financialInfo.creditInfo.creditHistory || []);
+  const collectibilities = facilities.map(facility => facility.collectibility).filter(value => typeof value === 'number');
+  const scores = reports.map(data => data.financialInfo.creditInfo.creditScore).filter(value => typeof value === 'number');
+
+  return compact({
+    reports: reports.map(data => compact({ bureau: data.documentDetails?.bureau, reportDate: data.documentDetails?.reportDate })),
+    creditScore: scores.length > 0 ? Math.min(...scores) : null,
+    facilityCount: facilities.length,
+    totalLimit: sumOf(facilities.map(facility => facility.creditLimit)),
+    totalOutstanding: sumOf(facilities.map(facility => facility.balance)),
+    totalMonthlyPayment: sumOf(facilities.map(facility => facility.monthlyPayment)),
+    worstCollectibility: collectibilities.length > 0 ? Math.max(...collectibilities) : null,
+    facilitiesPastDue: facilities.filter(facility => facility.daysPastDue > 0).length,
+    facilities: [...facilities]
+      .sort((a, b) => (b.collectibility || 0) - (a.collectibility || 0) || (b.daysPastDue || 0) - (a.daysPastDue || 0) || (b.balance || 0) - (a.balance || 0))
+      .map(facility => compact({
+        creditor: clip(facility.creditor),
+        accountType: clip(facility.accountType),
+        creditLimit: facility.creditLimit,
+        balance: facility.balance,
+        monthlyPayment: facility.monthlyPayment,
+        collectibility: facility.collectibility,
+        daysPastDue: facility.daysPastDue,
+        paymentStatus: facility.paymentStatus,
+        maturityDate: facility.maturityDate
+      }))
+  });
+}
+
+// Drops empty values so they cost no tokens
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+    value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)
+  ));
+}
+
+function clip(value) {
+  return typeof value === 'string' && value.length > TEXT_CHARACTERS ? `${value.slice(0, TEXT_CHARACTERS)}...` : value;
+}
+
+function round(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+}
+
+function ratio(numerator, denominator) {
+  return typeof numerator === 'number' && typeof denominator === 'number' && denominator !== 0 ? round(numerator / denominator) : null;
+}
+
+function growth(current, previous) {
+  return typeof current === 'number' && typeof previous === 'number' && previous !== 0 ? round((current - previous) / Math.abs(previous)) : null;
+}
+
+function difference(a, b) {
+  return typeof a === 'number' && typeof b === 'number' ? a - b : null;
+}
+
+function sumOf(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  return numbers.length > 0 ? numbers.reduce((total, value) => total + value, 0) : null;
+}
+
+function countBy(values) {
+  const counts = {};
+  for (const value of values) {
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+}
+
+// Periods and dates newest first: by the year they mention, then as text
+function compareNewestFirst(a, b) {
+  const yearOf = value => Number(String(value || '').match(/\b(?:19|20)\d{2}\b/)?.[0]) || 0;
+  return yearOf(b) - yearOf(a) || String(b || '').localeCompare(String(a || ''));
+}
@@ -0,0 +1,234 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { createError, hasErrorCode, isTransientError } from './errors.js';
+
+const ACTIVE_STATUSES = ['queued', 'retrying', 'running', 'waiting_for_model'];
+
+// Persistent document processing queue with a fixed number of workers.
+// Jobs run in priority order (higher first, FIFO within a priority), transient
+// model failures are retried with exponential backoff, and running jobs can be
+// cancelled cooperatively through the context passed to the handler. A job that
+// fails because the model server is down (MODEL_UNAVAILABLE) waits, without using up
+// its attempts, until resumeWaiting() is called once the server is back.
+//
+// Emits: job:queued, job:started, job:retrying, job:waiting, job:resumed, job:completed,
+// job:failed, job:cancelled
+export class JobQueue extends EventEmitter {
+  constructor(store, handler, options = {}) {
+    super();
+    this.store = store;
+    this.handler = handler;
+    this.concurrency = options.concurrency || Number(process.env.JOB_CONCURRENCY) || 1;
+    this.maxAttempts = options.maxAttempts || Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+    this.retryBaseDelay = options.retryBaseDelay || Number(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000;
+    this.retryMaxDelay = options.retryMaxDelay || 5 * 60 * 1000;
+
+    this.running = new Map(); // jobId -> run context
+    this.retryTimers = new Map(); // jobId -> timeout
+    this.sequence = 0;
+  }
+
+  async init() {
+    for (const job of this.store.listJobs()) {
+      this.sequence = Math.max(this.sequence, job.sequence || 0);
+
+      if (job.status === 'running') {
+        // The worker died with the previous process
+        job.status = 'interrupted';
+        job.finishedAt = new Date().toISOString();
+        job.error = 'Job was interrupted by a server restart';
+        await this.store.saveJob(job);
+      } else if (job.status === 'retrying' || job.status === 'waiting_for_model') {
+        // Whether the model server is still down is found out by trying again
+        job.status = 'queued';
+        delete job.nextAttemptAt;
+        await this.store.saveJob(job);
+      }
+    }
+
+    const queued = this.store.listJobs().filter(job => job.status === 'queued').length;
+    console.log(`Job queue ready: ${this.concurrency} worker(s), ${queued} queued job(s)`);
+
+    this.pump();
+  }
+
+  async enqueue(documentId, { priority = 0 } = {}) {
+    const job = {
+      id: uuidv4(),
+      documentId,
+      status: 'queued',
+      priority: Number(priority) || 0,
+      sequence: ++this.sequence,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.saveJob(job);
+    console.log(`Queued job ${job.id} for document ${documentId} (priority ${job.priority})`);
+    this.emit('job:queued', job);
+
+    this.pump();
+    return job;
+  }
+
+  getActiveJob(documentId) {
+    return this.store.listJobs().find(job =>
+      job.documentId === documentId && ACTIVE_STATUSES.includes(job.status)
+    ) || null;
+  }
+
+  getLatestJob(documentId) {
+    const jobs = this.store.listJobs()
+      .filter(job => job.documentId === documentId)
+      .sort((a, b) => b.sequence - a.sequence);
+    return jobs[0] || null;
+  }
+
+  getQueuePosition(jobId) {
+    const index = this.getQueuedJobs().findIndex(job => job.id === jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  getQueuedJobs() {
+    return this.store.listJobs()
+      .filter(job => job.status === 'queued')
+      .sort((a, b) => (b.priority - a.priority) || (a.sequence - b.sequence));
+  }
+
+  async cancel(documentId) {
+    const job = this.getActiveJob(documentId);
+    if (!job) {
+      return null;
+    }
+
+    const runContext = this.running.get(job.id);
+    if (runContext) {
+      // The handler notices the flag at its next checkpoint and stops
+      runContext.cancelled = true;
+      job.cancelRequestedAt = new Date().toISOString();
+      await this.store.saveJob(job);
+      console.log(`Cancellation requested for running job ${job.id}`);
+      return job;
+    }
+
+    const timer = this.retryTimers.get(job.id);
+    if (timer) {
+      clearTimeout(timer);
+      this.retryTimers.delete(job.id);
+    }
+
+    await this.finishJob(job, 'cancelled');
+    this.emit('job:cancelled', job);
+    return job;
+  }
+
+  pump() {
+    while (this.running.size < this.concurrency) {
+      const job = this.getQueuedJobs()[0];
+      if (!job) {
+        return;
+      }
+      this.runJob(job);
+    }
+  }
+
+  async runJob(job) {
+    const runContext = {
+      jobId: job.id,
+      attempt: job.attempts + 1,
+      cancelled: false,
+      isCancelled: () => runContext.cancelled,
+      throwIfCancelled: () => {
+        if (runContext.cancelled) {
+          throw createError('Processing was cancelled', 'JOB_CANCELLED');
+        }
+      }
+    };
+    this.running.set(job.id, runContext);
+
+    try {
+      job.status = 'running';
+      job.attempts += 1;
+      job.startedAt = new Date().toISOString();
+      delete job.nextAttemptAt;
+      await this.store.saveJob(job);
+      this.emit('job:started', job);
+
+      await this.handler(job, runContext);
+
+      await this.finishJob(job, 'completed');
+      this.emit('job:completed', job);
+
+    } catch (error) {
+      if (runContext.cancelled || hasErrorCode(error, 'JOB_CANCELLED')) {
+        await this.finishJob(job, 'cancelled');
+        this.emit('job:cancelled', job);
+      } else if (hasErrorCode(error, 'MODEL_UNAVAILABLE')) {
+        job.attempts -= 1;
+        job.error = error.message;
+        job.status = 'waiting_for_model';
+        await this.store.saveJob(job);
+        console.warn(`Job ${job.id} is waiting for the model server: ${error.message}`);
+        this.emit('job:waiting', job, error);
+      } else if (isTransientError(error) && job.attempts < job.maxAttempts) {
+        await this.scheduleRetry(job, error);
+      } else {
+        job.error = error.message;
+        await this.finishJob(job, 'failed');
+        this.emit('job:failed', job, error);
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.pump();
+    }
+  }
+
+  async scheduleRetry(job, error) {
+    const delay = this.getRetryDelay(job.attempts);
+
+    job.status = 'retrying';
+    job.error = error.message;
+    job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    await this.store.saveJob(job);
+
+    console.warn(`Job ${job.id} failed with a transient error (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+    this.emit('job:retrying', job, error);
+
+    const timer = setTimeout(async () => {
+      this.retryTimers.delete(job.id);
+      job.status = 'queued';
+      await this.store.saveJob(job);
+      this.pump();
+    }, delay);
+    this.retryTimers.set(job.id, timer);
+  }
+
+  // Queues the jobs that were waiting for the model server again
+  async resumeWaiting() {
+    const waiting = this.store.listJobs().filter(job => job.status === 'waiting_for_model');
+    for (const job of waiting) {
+      job.status = 'queued';
+      await this.store.saveJob(job);
+      this.emit('job:resumed', job);
+    }
+
+    if (waiting.length > 0) {
+      console.log(`Resumed ${waiting.length} job(s) that were waiting for the model server`);
+      this.pump();
+    }
+    return waiting;
+  }
+
+  getRetryDelay(attempt) {
+    const exponential = this.retryBaseDelay * Math.pow(2, attempt - 1);
+    const jitter = Math.random() * this.retryBaseDelay;
+    return Math.min(this.retryMaxDelay, exponential + jitter);
+  }
+
+  async finishJob(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    await this.store.saveJob(job);
+  }
+}
@@ -0,0 +1,57 @@
+import fs from 'fs/promises';
+
+// Tasks that call a model, with the env prefix that overrides them and the model used
+// when nothing is configured. Text extraction and analysis share the reasoning model.
+export const LLM_TASKS = {
+  vision: { env: 'VISION', defaultModel: 'qwen2.5vl:7b', description: 'Extraction and page classification from page images' },
+  text_extraction: { env: 'TEXT_EXTRACTION', defaultModel: 'deepseek-r1:8b', description: 'Extraction and page classification from text layers' },
+  analysis: { env: 'ANALYSIS', defaultModel: 'deepseek-r1:8b', description: 'Credit insights and recommendations' }
+};
+
+// Providers and per-task models, from (later wins):
+// 1. built-in defaults: an `ollama` provider at OLLAMA_URL serving every task
+// 2. an `openai` provider when OPENAI_BASE_URL is set (llama.cpp, vLLM, LM Studio, ...)
+// 3. LLM_CONFIG_FILE, a JSON file with `providers`, `tasks` and `defaultProvider`:
+//    { "providers": { "vllm": { "type": "openai", "url": "http://gpu:8000/v1" } },
+//      "tasks": { "vision": { "provider": "vllm", "model": "Qwen/Qwen2.5-VL-7B-Instruct" } } }
+// 4. LLM_PROVIDER for the default provider, and <TASK>_PROVIDER / <TASK>_MODEL per task
+export async function loadLlmConfig(env = process.env) {
+  const file = env.LLM_CONFIG_FILE ? await readConfigFile(env.LLM_CONFIG_FILE) : {};
+
+  const providers = {
+    ollama: { type: 'ollama', url: env.OLLAMA_URL || 'http://localhost:11434' },
+    ...(env.OPENAI_BASE_URL ? { openai: { type: 'openai', url: env.OPENAI_BASE_URL, apiKey: env.OPENAI_API_KEY || null } } : {}),
+    ...file.providers
+  };
+
+  for (const [name, settings] of Object.entries(providers)) {
+    if (!settings?.type || !settings.url) {
+      throw new Error(`LLM provider ${name} needs a type and a url`);
+    }
+  }
+
+  const defaultProvider = env.LLM_PROVIDER || file.defaultProvider || 'ollama';
+  const tasks = {};
+
+  for (const [task, { env: prefix, defaultModel }] of Object.entries(LLM_TASKS)) {
+    const fromFile = file.tasks?.[task] || {};
+    tasks[task] = {
+      provider: env[`${prefix}_PROVIDER`] || fromFile.provider || defaultProvider,
+      model: env[`${prefix}_MODEL`] || fromFile.model || defaultModel
+    };
+
+    if (!providers[tasks[task].provider]) {
+      throw new Error(`Task ${task} uses LLM provider ${tasks[task].provider}, which is not configured`);
+    }
+  }
+
+  return { providers, tasks };
+}
+
+async function readConfigFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load LLM config from ${filePath}: ${error.message}`, { cause: error });
+  }
+}
@@ -0,0 +1,342 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { CircuitBreaker } from './circuitBreaker.js';
+import { createError, hasErrorCode, isTransientError } from './errors.js';
+
+// Per-request timeouts grow with the work a request asks for: a base allowance, more per
+// page image and more per thousand prompt characters, up to a ceiling
+export const TIMEOUT_DEFAULTS = {
+  baseMs: Number(process.env.LLM_TIMEOUT_MS) || 120000,
+  perImageMs: Number(process.env.LLM_TIMEOUT_PER_IMAGE_MS ?? 60000),
+  perThousandCharactersMs: Number(process.env.LLM_TIMEOUT_PER_1K_CHARS_MS ?? 2000),
+  maxMs: Number(process.env.LLM_TIMEOUT_MAX_MS) || 15 * 60 * 1000
+};
+
+// Connection failures and 5xx/429 responses are retried with exponential backoff.
+// Timeouts are not: the job queue retries the whole document later instead.
+export const MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES ?? 2);
+const RETRY_BASE_DELAY_MS = Number(process.env.LLM_RETRY_BASE_DELAY_MS) || 1000;
+
+// Consecutive failed requests after which a provider counts as down, and how often it
+// is checked again while it is
+const CIRCUIT_FAILURE_THRESHOLD = Number(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD) || 5;
+const CIRCUIT_PROBE_INTERVAL_MS = Number(process.env.LLM_CIRCUIT_PROBE_INTERVAL_MS) || 30000;
+
+// Listing models is quick even on a busy server
+const HEALTH_TIMEOUT_MS = 10000;
+
+// A provider sends one generate request to a model server and returns the text:
+//   generate({ model, prompt, system, images, format, options }) -> { text, reasoning, promptTokens, responseTokens }
+// `reasoning` is the thinking the server returned separately from the reply, if any;
+// models that write it inline as <think>...</think> leave it in `text`.
+// `images` are base64 strings, `format` is 'json' or a JSON schema, and `options` are
+// { temperature, topP, maxTokens, contextTokens }; `contextTokens` sets the context window
+// where the server takes it per request (Ollama's num_ctx). Providers also report health, installed models and,
+// where the server exposes it, a model digest. Errors keep the axios error as their cause,
+// so isTransientError() sees connection failures and 5xx responses.
+//
+// Requests time out (see getTimeout), transient failures are retried, and a circuit
+// breaker stops sending requests to a provider that keeps failing: while it is open,
+// generate() fails fast with a MODEL_UNAVAILABLE error. `timeout` in the provider
+// settings overrides the timeout defaults for that provider.
+export class LlmProvider {
+  constructor(name, { url, apiKey = null, timeout = {} }) {
+    this.name = name;
+    this.url = url;
+    this.timeout = { ...TIMEOUT_DEFAULTS, ...timeout };
+
+    // Called after every generate request with the model, prompt hash, timing and
+    // outcome (see describeModelCall). LlmService uses it for the audit trail.
+    this.onModelCall = null;
+
+    this.http = axios.create({
+      baseURL: url,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      // Timeouts report ETIMEDOUT rather than ECONNABORTED
+      transitional: { clarifyTimeoutError: true }
+    });
+
+    this.circuit = new CircuitBreaker(name, {
+      failureThreshold: CIRCUIT_FAILURE_THRESHOLD,
+      probeIntervalMs: CIRCUIT_PROBE_INTERVAL_MS,
+      probe: () => this.listModels()
+    });
+  }
+
+  async generate(request) {
+    if (this.circuit.isOpen) {
+      throw this.unavailableError();
+    }
+
+    const timeout = this.getTimeout(request);
+    for (let attempt = 0; ; attempt++) {
+      const call = describeModelCall(this, request);
+      console.log(`Sending ${request.images?.length ? 'vision' : 'text'} request to ${this.name} (${request.model}, timeout ${Math.round(timeout / 1000)}s)`);
+
+      try {
+        const result = await this.send(request, { timeout });
+        this.reportModelCall(call, { result });
+        this.circuit.recordSuccess();
+        return result;
+      } catch (error) {
+        this.reportModelCall(call, { error });
+        const described = this.describeError(error);
+
+        // A missing model or a rejected request says nothing about the server's health
+        if (!isTransientError(error)) {
+          throw described;
+        }
+
+        this.circuit.recordFailure(described);
+        if (this.circuit.isOpen) {
+          throw this.unavailableError(described);
+        }
+        if (attempt >= MAX_RETRIES || hasErrorCode(error, 'ETIMEDOUT')) {
+          throw described;
+        }
+
+        const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempt) + Math.random() * RETRY_BASE_DELAY_MS;
+        console.warn(`Retrying ${this.name} request in ${Math.round(delay)}ms (retry ${attempt + 1}/${MAX_RETRIES})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Milliseconds to wait for a reply: page images and long prompts take longer
+  getTimeout({ prompt, system, images }) {
+    const characters = (prompt?.length || 0) + (system?.length || 0);
+    const timeout = this.timeout.baseMs
+      + (images?.length || 0) * this.timeout.perImageMs
+      + Math.ceil(characters / 1000) * this.timeout.perThousandCharactersMs;
+    return Math.min(timeout, this.timeout.maxMs);
+  }
+
+  unavailableError(cause = null) {
+    const reason = cause?.message || this.circuit.lastError;
+    return createError(
+      `${this.name} is unavailable after ${this.circuit.failures} consecutive failed request(s)${reason ? ` (${reason})` : ''}. Processing resumes once it responds again.`,
+      'MODEL_UNAVAILABLE',
+      cause
+    );
+  }
+
+  // Turns axios errors into messages that say which server failed and why
+  describeError(error) {
+    const status = error.response?.status;
+    let message;
+
+    if (error.code === 'ECONNREFUSED') {
+      message = `Cannot connect to ${this.name} at ${this.url}. Please ensure the server is running.`;
+    } else if (error.code === 'ETIMEDOUT') {
+      const after = error.config?.timeout ? ` after ${Math.round(error.config.timeout / 1000)}s` : '';
+      message = `Request to ${this.name} timed out${after}. The model might be processing a large request.`;
+    } else if (status === 404) {
+      message = `${this.name} endpoint or model not found. Please check the URL and that the model is installed.`;
+    } else if (status) {
+      message = `${this.name} API error: ${status} ${error.response.statusText} - ${this.responseError(error.response.data) || error.message}`;
+    } else if (error.request) {
+      message = `No response from ${this.name} at ${this.url}. Please check if it is running and accessible.`;
+    } else {
+      message = `${this.name} request failed: ${error.message}`;
+    }
+
+    console.error(message);
+    return new Error(message, { cause: error });
+  }
+
+  responseError(data) {
+    return typeof data?.error === 'string' ? data.error : data?.error?.message;
+  }
+
+  reportModelCall(call, { result = null, error = null }) {
+    if (!this.onModelCall) {
+      return;
+    }
+
+    const { startedAt, ...details } = call;
+    try {
+      this.onModelCall({
+        ...details,
+        durationMs: Date.now() - startedAt,
+        outcome: error ? 'error' : 'ok',
+        error: error ? error.message : null,
+        status: error ? error.response?.status ?? null : 200,
+        responseHash: typeof result?.text === 'string' ? hash(result.text) : null,
+        promptTokens: result?.promptTokens ?? null,
+        responseTokens: result?.responseTokens ?? null
+      });
+    } catch (listenerError) {
+      console.error('Model call listener failed:', listenerError.message);
+    }
+  }
+
+  // { status: 'connected' | 'disconnected', models, error }. A successful check closes
+  // an open circuit, so waiting documents resume without waiting for the next probe.
+  async checkHealth() {
+    try {
+      const models = await this.listModels();
+      this.circuit.recordSuccess();
+      return { status: 'connected', models, error: null };
+    } catch (error) {
+      console.error(`${this.name} health check failed:`, error.message);
+      return { status: 'disconnected', models: [], error: this.describeError(error).message };
+    }
+  }
+
+  async getModelDigest() {
+    return null;
+  }
+}
+
+// Ollama's native /api/generate endpoint
+export class OllamaProvider extends LlmProvider {
+  constructor(name, settings) {
+    super(name, settings);
+    this.type = 'ollama';
+    this.modelDigests = new Map();
+  }
+
+  async send({ model, prompt, system, images, format, options = {} }, { timeout }) {
+    const response = await this.http.post('/api/generate', {
+      model,
+      prompt,
+      ...(system ? { system } : {}),
+      ...(images?.length ? { images } : {}),
+      ...(format ? { format } : {}),
+      stream: false,
+      options: {
+        temperature: options.temperature,
+        top_p: options.topP,
+        ...(options.maxTokens ? { num_predict: options.maxTokens } : {}),
+        ...(options.contextTokens ? { num_ctx: options.contextTokens } : {})
+      }
+    }, { timeout });
+
+    return {
+      text: response.data.response ?? '',
+      reasoning: response.data.thinking || null,
+      promptTokens: response.data.prompt_eval_count ?? null,
+      responseTokens: response.data.eval_count ?? null
+    };
+  }
+
+  async listModels() {
+    const response = await this.http.get('/api/tags', { timeout: HEALTH_TIMEOUT_MS });
+    for (const item of response.data.models || []) {
+      this.modelDigests.set(item.name, item.digest || null);
+    }
+    return (response.data.models || []).map(item => item.name);
+  }
+
+  // Ollama names untagged models `name:latest`
+  hasModel(models, model) {
+    return models.some(name => name === model || name === `${model}:latest`);
+  }
+
+  // Digest of an installed model, so records show the exact model version used.
+  // Looked up from /api/tags once per model name.
+  async getModelDigest(model) {
+    if (!this.modelDigests.has(model)) {
+      try {
+        await this.listModels();
+        if (!this.modelDigests.has(model)) {
+          this.modelDigests.set(model, this.modelDigests.get(`${model}:latest`) ?? null);
+        }
+      } catch (error) {
+        console.warn(`Could not look up the digest of ${model}: ${error.message}`);
+      }
+    }
+    return this.modelDigests.get(model) || null;
+  }
+}
+
+// Any server with an OpenAI-style /v1/chat/completions endpoint: llama.cpp server,
+// vLLM, LM Studio and hosted APIs. `url` includes the /v1 prefix.
+export class OpenAICompatibleProvider extends LlmProvider {
+  constructor(name, settings) {
+    super(name, settings);
+    this.type = 'openai';
+  }
+
+  async send({ model, prompt, system, images, format, options = {} }, { timeout }) {
+    const content = images?.length
+      ? [
+        { type: 'text', text: prompt },
+        ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${imageMimeType(image)};base64,${image}` } }))
+      ]
+      : prompt;
+
+    const response = await this.http.post('/chat/completions', {
+      model,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content }
+      ],
+      temperature: options.temperature,
+      top_p: options.topP,
+      ...(options.maxTokens ? { max_tokens: options.maxTokens } : {}),
+      ...(format ? { response_format: responseFormat(format) } : {}),
+      stream: false
+    }, { timeout });
+
+    const message = response.data.choices?.[0]?.message;
+    return {
+      text: message?.content ?? '',
+      reasoning: message?.reasoning_content || null,
+      promptTokens: response.data.usage?.prompt_tokens ?? null,
+      responseTokens: response.data.usage?.completion_tokens ?? null
+    };
+  }
+
+  async listModels() {
+    const response = await this.http.get('/models', { timeout: HEALTH_TIMEOUT_MS });
+    return (response.data.data || []).map(item => item.id);
+  }
+
+  hasModel(models, model) {
+    return models.includes(model);
+  }
+}
+
+const PROVIDER_TYPES = {
+  ollama: OllamaProvider,
+  openai: OpenAICompatibleProvider
+};
+
+export function createProvider(name, settings) {
+  const Provider = PROVIDER_TYPES[settings.type];
+  if (!Provider) {
+    throw new Error(`Unknown type "${settings.type}" for LLM provider ${name}. Use one of: ${Object.keys(PROVIDER_TYPES).join(', ')}`);
+  }
+  return new Provider(name, settings);
+}
+
+function describeModelCall(provider, { model, prompt, system, images, format, options }) {
+  return {
+    provider: provider.name,
+    model,
+    promptHash: hash(`${system || ''}\n${prompt || ''}`),
+    imageHashes: (images || []).map(image => hash(image)),
+    format: format || null,
+    options: options || null,
+    startedAt: Date.now()
+  };
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function responseFormat(format) {
+  return format === 'json'
+    ? { type: 'json_object' }
+    : { type: 'json_schema', json_schema: { name: 'response', schema: format } };
+}
+
+// Page images are PNG or JPEG; the data URL has to say which
+function imageMimeType(base64) {
+  return base64.startsWith('/9j/') ? 'image/jpeg' : 'image/png';
+}
@@ -0,0 +1,245 @@
+import Ajv from 'ajv';
+import { DOCUMENT_TYPES, KNOWN_DOCUMENT_TYPES } from './documentTypes.js';
+
+// JSON Schemas for the payloads the models return. They are sent as the structured-output
+// `format` (Ollama) or `response_format` (OpenAI-compatible servers), and every reply is
+// validated against them before it is used. Extra properties are allowed, so a model that
+// adds a field does not fail validation; missing and mistyped fields do. The per-type
+// extraction schemas live with their extractors in ./extractors.
+
+const nullableString = { type: ['string', 'null'] };
+const nullableNumber = { type: ['number', 'null'] };
+
+// General extraction for pages the first pass could not classify
+export const EXTRACTION_SCHEMA = {
+  type: 'object',
+  required: ['documentType', 'companyInfo', 'personalInfo', 'financialInfo', 'confidence'],
+  properties: {
+    documentType: { enum: [...KNOWN_DOCUMENT_TYPES, DOCUMENT_TYPES.UNKNOWN] },
+    companyInfo: {
+      type: 'object',
+      properties: {
+        name: nullableString,
+        registrationNumber: nullableString,
+        address: nullableString,
+        industry: nullableString,
+        establishmentDate: nullableString,
+        legalStructure: nullableString
+      }
+    },
+    personalInfo: {
+      type: 'object',
+      required: ['individuals'],
+      properties: {
+        individuals: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              name: { type: 'string' },
+              position: nullableString,
+              address: nullableString,
+              phone: nullableString,
+              email: nullableString,
+              ownershipPercentage: nullableNumber
+            }
+          }
+        }
+      }
+    },
+    financialInfo: {
+      type: 'object',
+      properties: {
+        profitLoss: {
+          type: 'object',
+          properties: {
+            revenue: nullableNumber,
+            expenses: nullableNumber,
+            netIncome: nullableNumber,
+            period: nullableString
+          }
+        },
+        balanceSheet: {
+          type: 'object',
+          properties: {
+            totalAssets: nullableNumber,
+            totalLiabilities: nullableNumber,
+            equity: nullableNumber,
+            asOfDate: nullableString
+          }
+        },
+        bankStatements: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              accountNumber: nullableString,
+              accountType: nullableString,
+              balance: nullableNumber,
+              transactions: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['amount'],
+                  properties: {
+                    date: nullableString,
+                    description: nullableString,
+                    amount: { type: 'number' },
+                    type: { enum: ['credit', 'debit'] }
+                  }
+                }
+              },
+              period: nullableString
+            }
+          }
+        },
+        creditInfo: {
+          type: 'object',
+          properties: {
+            creditScore: nullableNumber,
+            creditHistory: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  creditor: nullableString,
+                  accountType: nullableString,
+                  balance: nullableNumber,
+                  paymentStatus: nullableString,
+                  monthlyPayment: nullableNumber
+                }
+              }
+            }
+          }
+        },
+        cashFlow: {
+          type: 'object',
+          properties: {
+            operatingCashFlow: nullableNumber,
+            investingCashFlow: nullableNumber,
+            financingCashFlow: nullableNumber,
+            period: nullableString
+          }
+        }
+      }
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+const textSection = fields => ({
+  type: 'object',
+  required: fields,
+  properties: Object.fromEntries(fields.map(field => [field, { type: 'string' }]))
+});
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// One section of the staged credit insights (business profile, profit and loss, ...)
+export const INSIGHTS_SECTION_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'strengths', 'concerns'],
+  properties: {
+    summary: { type: 'string' },
+    strengths: stringList,
+    concerns: stringList,
+    dataGaps: stringList
+  }
+};
+
+export const INSIGHTS_SCHEMA = {
+  type: 'object',
+  required: ['businessOverview', 'financialAnalysis', 'creditRiskAssessment', 'insights', 'recommendation', 'scoring', 'summary'],
+  properties: {
+    businessOverview: textSection(['companyProfile', 'industryAnalysis', 'managementAssessment', 'businessModelEvaluation']),
+    financialAnalysis: textSection(['revenueAnalysis', 'profitabilityAssessment', 'balanceSheetStrength', 'cashFlowAnalysis', 'debtCapacity']),
+    creditRiskAssessment: textSection(['paymentHistoryEvaluation', 'debtRatios', 'liquidityPosition', 'overallCreditworthiness']),
+    insights: {
+      type: 'object',
+      required: ['keyStrengths', 'keyWeaknesses', 'riskFactors', 'mitigationStrategies'],
+      properties: {
+        keyStrengths: stringList,
+        keyWeaknesses: stringList,
+        riskFactors: stringList,
+        mitigationStrategies: stringList
+      }
+    },
+    recommendation: {
+      type: 'object',
+      required: ['decision', 'reasoning'],
+      properties: {
+        decision: { enum: ['approve', 'conditional', 'decline'] },
+        reasoning: { type: 'string' },
+        conditions: stringList
+      }
+    },
+    scoring: {
+      type: 'object',
+      required: ['creditScore', 'riskRating', 'creditLimit', 'confidenceLevel'],
+      properties: {
+        creditScore: { type: 'number', minimum: 300, maximum: 850 },
+        riskRating: { enum: ['Low', 'Medium', 'High'] },
+        creditLimit: { type: 'number', minimum: 0 },
+        interestRate: nullableNumber,
+        confidenceLevel: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    },
+    summary: { type: 'string' }
+  }
+};
+
+// One schema per list of document types, so the compiled validator is reused
+const classificationSchemas = new Map();
+
+export function classificationSchema(documentTypes) {
+  const key = documentTypes.join('|');
+  if (!classificationSchemas.has(key)) {
+    classificationSchemas.set(key, buildClassificationSchema(documentTypes));
+  }
+  return classificationSchemas.get(key);
+}
+
+function buildClassificationSchema(documentTypes) {
+  return {
+    type: 'object',
+    required: ['documentType', 'startsNewDocument', 'confidence'],
+    properties: {
+      documentType: { enum: [...documentTypes, DOCUMENT_TYPES.UNKNOWN] },
+      startsNewDocument: { type: 'boolean' },
+      period: nullableString,
+      accountNumber: nullableString,
+      confidence: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  };
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new WeakMap();
+
+// Validation errors as { path, message } with JSON Pointer paths ('' for the root)
+export function validateAgainstSchema(schema, data) {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+  const validate = validators.get(schema);
+
+  if (validate(data)) {
+    return [];
+  }
+  return validate.errors.map(error => ({ path: error.instancePath, message: describeError(error) }));
+}
+
+// Messages are read by analysts and quoted back to the model, so spell them out
+function describeError(error) {
+  switch (error.keyword) {
+    case 'type':
+      return `must be ${[].concat(error.params.type).join(' or ')}`;
+    case 'enum':
+      return `must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+    case 'required':
+      return `is missing required property ${error.params.missingProperty}`;
+    default:
+      return error.message;
+  }
+}
@@ -0,0 +1,817 @@
+import crypto from 'crypto';
+import { readDecryptedFile } from './encryption.js';
+import { createProvider } from './llmProviders.js';
+import { EXTRACTION_SCHEMA, INSIGHTS_SCHEMA, INSIGHTS_SECTION_SCHEMA, classificationSchema, validateAgainstSchema } from './llmSchemas.js';
+import { DOCUMENT_TYPES, KNOWN_DOCUMENT_TYPES, normalizeDocumentType } from './documentTypes.js';
+import { describeSchema, getExtractor } from './extractors/index.js';
+import { reconcileRuns } from './consensus.js';
+import { INSIGHT_SECTIONS, buildKeyFigures, buildSectionDigests, describeOmitted, renderWithinBudget } from './insightSections.js';
+
+// Follow-up requests asking the model to fix a reply that fails schema validation
+const MAX_REPAIR_ATTEMPTS = Number(process.env.SCHEMA_REPAIR_ATTEMPTS ?? 2);
+
+// Longest previous reply quoted back in a repair prompt
+const REPAIR_RESPONSE_CHARACTERS = 12000;
+
+// Extraction runs per page in high-accuracy mode. The first run uses the usual temperature
+// and later ones rise evenly to the last, so they read the page independently.
+const HIGH_ACCURACY_RUNS = Math.max(2, Number(process.env.HIGH_ACCURACY_RUNS) || 3);
+const RUN_TEMPERATURES = [0.1, 0.7];
+
+// Context window of the analysis model in tokens, sent to Ollama as num_ctx. Each stage of
+// the credit insights keeps its prompt and reply within it.
+const ANALYSIS_CONTEXT_TOKENS = Number(process.env.ANALYSIS_CONTEXT_TOKENS) || 8192;
+
+// Tokens kept for the reply, <think> reasoning included, of a section summary and of the synthesis
+const INSIGHTS_SECTION_REPLY_TOKENS = Number(process.env.INSIGHTS_SECTION_REPLY_TOKENS) || 1500;
+const INSIGHTS_SYNTHESIS_REPLY_TOKENS = Number(process.env.INSIGHTS_SYNTHESIS_REPLY_TOKENS) || 4000;
+
+// Reasoning models such as deepseek-r1 think in <think>...</think> before the JSON
+const THINK_OPEN = '<think>';
+const THINK_CLOSE = '</think>';
+
+// Model requests and response parsing for every model task. Which provider and model serve
+// a task comes from the configuration (see loadLlmConfig), so the same prompts run
+// against Ollama or any OpenAI-compatible server. The prompt text comes from versioned
+// templates (see PromptRegistry), and results list the `prompts` they were built from.
+export class LlmService {
+  constructor({ providers, tasks }, prompts = null) {
+    this.providers = new Map(Object.entries(providers).map(([name, settings]) => [name, createProvider(name, settings)]));
+    this.tasks = tasks;
+
+    // PromptRegistry; the server sets it once the store it keeps versions in is loaded
+    this.prompts = prompts;
+
+    // Called after every model request with the provider, model, prompt hash, timing
+    // and outcome. The server uses it for the audit trail.
+    this.onModelCall = null;
+
+    // Called with the provider's name when a provider that was down responds again.
+    // The server uses it to resume the documents waiting for the model.
+    this.onProviderRecovered = null;
+
+    for (const provider of this.providers.values()) {
+      provider.onModelCall = call => this.onModelCall?.(call);
+      provider.circuit.on('close', () => this.onProviderRecovered?.(provider.name));
+    }
+  }
+
+  // { provider, model } configured for a task
+  getTaskModel(task) {
+    const config = this.tasks[task];
+    if (!config) {
+      throw new Error(`Unknown model task: ${task}`);
+    }
+    return config;
+  }
+
+  async generate(task, request) {
+    const { provider, model } = this.getTaskModel(task);
+    return this.providers.get(provider).generate({ model, ...request });
+  }
+
+  // Sends the request with `schema` as the structured-output format and validates the reply.
+  // While it does not match, the request is repeated with the validation errors and the
+  // reply appended, up to MAX_REPAIR_ATTEMPTS times. Returns the last parsed reply (null
+  // when none was JSON) with the errors that remain; `prompts` has the repair prompt if one was sent.
+  // The reasoning is split off before parsing; `calls` keeps every request and raw reply.
+  async generateStructured(task, request, schema) {
+    let prompt = request.prompt;
+    let repairAttempts = 0;
+    const prompts = [];
+    const calls = [];
+
+    for (;;) {
+      const startedAt = new Date();
+      const response = await this.generate(task, { ...request, prompt, format: schema });
+      const { reasoning, content } = splitReasoning(response.text, response.reasoning);
+      const { data, errors } = this.parseAndValidate(content, schema);
+
+      calls.push({
+        startedAt: startedAt.toISOString(),
+        latencyMs: Date.now() - startedAt.getTime(),
+        prompt,
+        response: response.text,
+        reasoning,
+        promptTokens: response.promptTokens ?? null,
+        responseTokens: response.responseTokens ?? null,
+        validationErrors: errors
+      });
+
+      if (errors.length === 0 || repairAttempts >= MAX_REPAIR_ATTEMPTS) {
+        if (errors.length > 0) {
+          console.warn(`${task} reply still fails schema validation after ${repairAttempts} repair attempt(s): ${errors.length} error(s)`);
+        }
+        return { data, text: response.text, reasoning, validationErrors: errors, repairAttempts, prompts, calls };
+      }
+
+      repairAttempts++;
+      console.log(`${task} reply failed schema validation (${errors.length} error(s)), repair attempt ${repairAttempts}/${MAX_REPAIR_ATTEMPTS}`);
+      const repair = this.buildRepairPrompt(request.prompt, response.text, errors);
+      prompt = repair.text;
+      if (repairAttempts === 1) {
+        prompts.push(repair.prompt);
+      }
+    }
+  }
+
+  parseAndValidate(text, schema) {
+    let data;
+    try {
+      data = this.parseJsonFromResponse(text.trim());
+    } catch (error) {
+      return { data: null, errors: [{ path: '', message: `is not valid JSON: ${error.message}` }] };
+    }
+    return { data, errors: validateAgainstSchema(schema, data) };
+  }
+
+  // The original request stays in front, so the model still has the page or text to read from
+  buildRepairPrompt(originalPrompt, previousText, errors) {
+    const previous = previousText.length > REPAIR_RESPONSE_CHARACTERS
+      ? `${previousText.slice(0, REPAIR_RESPONSE_CHARACTERS)}\n[... truncated]`
+      : previousText;
+
+    return this.prompts.render('schema-repair', {
+      original_prompt: originalPrompt,
+      errors: errors.map(error => `- ${error.path || '(root)'} ${error.message}`).join('\n'),
+      previous_reply: previous
+    });
+  }
+
+  // Second pass of the extraction: `documentType` comes from the page classification and
+  // selects the extractor whose prompt and schema are used. Unknown pages get the general prompt.
+  // With `highAccuracy` the page is extracted HIGH_ACCURACY_RUNS times at rising temperatures
+  // and the runs are reconciled by vote (see reconcileRuns); the result's `consensus` lists
+  // the numbers the runs disagreed on.
+  async extractDataFromImage(imagePath, documentType = DOCUMENT_TYPES.UNKNOWN, { highAccuracy = false } = {}) {
+    try {
+      console.log(`Extracting ${documentType} data from image: ${imagePath}`);
+      
+      // Read image file and convert to base64
+      const imageBuffer = await readDecryptedFile(imagePath);
+      const base64Image = imageBuffer.toString('base64');
+
+      const extractor = getExtractor(documentType);
+      const { prompt, schema } = this.buildExtractionRequest(extractor, null);
+
+      const runs = highAccuracy ? HIGH_ACCURACY_RUNS : 1;
+      const attempts = [];
+      for (let run = 0; run < runs; run++) {
+        const request = {
+          prompt: prompt.text,
+          images: [base64Image],
+          options: { temperature: getRunTemperature(run, runs), topP: 0.9 }
+        };
+        const response = await this.generateStructured('vision', request, schema);
+
+        console.log(`Raw vision response length${runs > 1 ? ` (run ${run + 1}/${runs})` : ''}:`, response.text.length);
+        attempts.push({ request, response, result: this.buildExtractionResult(response, extractor, prompt.prompt) });
+      }
+
+      if (runs === 1) {
+        const [{ request, response, result: extractedData }] = attempts;
+        extractedData.modelTrace = await this.buildModelTrace('image_extraction', 'vision', request, response, {
+          documentType,
+          prompts: extractedData.prompts
+        });
+
+        console.log(`Successfully extracted data from image: ${imagePath}`);
+        return extractedData;
+      }
+
+      const extractedData = reconcileRuns(attempts.map(attempt => attempt.result));
+      extractedData.validationErrors = uniqueBy(attempts.flatMap(attempt => attempt.result.validationErrors), error => `${error.path} ${error.message}`);
+      extractedData.repairAttempts = attempts.reduce((total, attempt) => total + attempt.result.repairAttempts, 0);
+      extractedData.prompts = uniqueBy(attempts.flatMap(attempt => attempt.result.prompts), item => item.hash);
+
+      // One trace for all runs; each call says which run it belongs to
+      const reasoning = attempts.map(attempt => attempt.response.reasoning).filter(Boolean).join('\n\n');
+      extractedData.modelTrace = await this.buildModelTrace('image_extraction', 'vision', attempts[0].request, {
+        reasoning: reasoning || null,
+        calls: attempts.flatMap((attempt, run) => attempt.response.calls.map(call => ({ ...call, run: run + 1 })))
+      }, {
+        documentType,
+        prompts: extractedData.prompts,
+        consensus: {
+          temperatures: attempts.map(attempt => attempt.request.options.temperature),
+          ...extractedData.consensus
+        }
+      });
+
+      const disputed = Object.keys(extractedData.consensus.disagreements).length;
+      console.log(`Successfully extracted data from image: ${imagePath} (${runs} runs, ${disputed} disputed field(s))`);
+      return extractedData;
+
+    } catch (error) {
+      console.error('Image extraction error:', error.message);
+      throw new Error(`Failed to extract data from image: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Extraction for documents that already have a text layer (e.g. Word files),
+  // sent to the analysis model instead of the vision model
+  async extractDataFromText(text, sourceName, documentType = DOCUMENT_TYPES.UNKNOWN) {
+    try {
+      console.log(`Extracting ${documentType} data from text of ${sourceName} (${text.length} characters)`);
+
+      const extractor = getExtractor(documentType);
+      const { prompt, schema } = this.buildExtractionRequest(extractor, text);
+
+      const request = {
+        prompt: prompt.text,
+        options: { temperature: 0.1, topP: 0.9 }
+      };
+      const response = await this.generateStructured('text_extraction', request, schema);
+
+      console.log('Raw text extraction response length:', response.text.length);
+
+      const extractedData = this.buildExtractionResult(response, extractor, prompt.prompt);
+      extractedData.modelTrace = await this.buildModelTrace('text_extraction', 'text_extraction', request, response, {
+        documentType,
+        prompts: extractedData.prompts
+      });
+
+      console.log(`Successfully extracted data from text of ${sourceName}`);
+      return extractedData;
+
+    } catch (error) {
+      console.error('Text extraction error:', error.message);
+      throw new Error(`Failed to extract data from text: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Classifies a single page of a combined upload so it can be split into
+  // separate documents. Pass `text` for text-layer pages or `imagePath` for scans.
+  async classifyPage({ text = null, imagePath = null, documentTypes = KNOWN_DOCUMENT_TYPES }) {
+    try {
+      const prompt = this.prompts.render('page-classification', {
+        document_types: documentTypes.map(type => `- ${type}`).join('\n'),
+        from_text: Boolean(text),
+        page_text: text ? text.slice(0, 4000) : null
+      });
+
+      const request = {
+        prompt: prompt.text,
+        options: { temperature: 0.1, topP: 0.9 }
+      };
+
+      if (imagePath) {
+        const imageBuffer = await readDecryptedFile(imagePath);
+        request.images = [imageBuffer.toString('base64')];
+      }
+
+      const response = await this.generateStructured(imagePath ? 'vision' : 'text_extraction', request, classificationSchema(documentTypes));
+      if (!response.data) {
+        throw new Error(response.validationErrors[0].message);
+      }
+      const classification = response.data;
+
+      return {
+        documentType: documentTypes.includes(classification.documentType) ? classification.documentType : 'Unknown',
+        startsNewDocument: classification.startsNewDocument === true || classification.startsNewDocument === 'true',
+        period: classification.period || null,
+        accountNumber: classification.accountNumber || null,
+        confidence: typeof classification.confidence === 'number' ? classification.confidence : 0.5,
+        prompts: [prompt.prompt, ...response.prompts]
+      };
+
+    } catch (error) {
+      console.error('Page classification error:', error.message);
+      throw new Error(`Failed to classify page: ${error.message}`, { cause: error });
+    }
+  }
+
+  // { prompt: { text, prompt }, schema } for the extractor of a classified type, or the
+  // general prompt asking for every field when the type is unknown. `documentText` is
+  // null for page images.
+  buildExtractionRequest(extractor, documentText) {
+    const fromText = documentText !== null;
+
+    if (!extractor) {
+      return {
+        prompt: this.prompts.render('extraction-general', {
+          from_text: fromText,
+          document_types: KNOWN_DOCUMENT_TYPES.map(type => `- ${type}`).join('\n'),
+          document_text: documentText
+        }),
+        schema: EXTRACTION_SCHEMA
+      };
+    }
+
+    return {
+      prompt: this.prompts.render(extractor.promptId, {
+        from_text: fromText,
+        structure: describeSchema(extractor.schema),
+        document_text: documentText
+      }),
+      schema: extractor.schema
+    };
+  }
+
+  // Schema errors left after the repair attempts travel with the result as `validationErrors`
+  // (with `repairAttempts`), so they can be stored on the document for analysts
+  buildExtractionResult({ data, text, validationErrors, repairAttempts, prompts }, extractor, prompt) {
+    let extractedData = data;
+    console.log('Extraction response preview:', text.trim().substring(0, 300) + '...');
+
+    const parsed = extractedData && typeof extractedData === 'object' && !Array.isArray(extractedData);
+    if (parsed && extractor) {
+      extractedData = extractor.toExtraction(extractedData);
+    } else if (parsed) {
+      extractedData.documentType = normalizeDocumentType(extractedData.documentType);
+    } else {
+      console.error('Failed to parse extraction response:', validationErrors[0]?.message);
+      console.log('Full raw response:', text);
+
+      // Return a default structure if parsing fails
+      extractedData = {
+        documentType: extractor ? extractor.documentType : DOCUMENT_TYPES.UNKNOWN,
+        companyInfo: {},
+        personalInfo: { individuals: [] },
+        financialInfo: {
+          profitLoss: {},
+          balanceSheet: {},
+          bankStatements: [],
+          creditInfo: { creditHistory: [] },
+          cashFlow: {}
+        },
+        extractionDate: new Date().toISOString(),
+        confidence: 0.1,
+        rawResponse: text,
+        parseError: validationErrors[0]?.message || 'Response is not a JSON object'
+      };
+    }
+
+    // Ensure required fields are set
+    if (!extractedData.extractionDate) {
+      extractedData.extractionDate = new Date().toISOString();
+    }
+
+    if (typeof extractedData.confidence !== 'number') {
+      extractedData.confidence = 0.5;
+    }
+
+    extractedData.validationErrors = validationErrors;
+    extractedData.repairAttempts = repairAttempts;
+    extractedData.prompts = [prompt, ...prompts];
+    return extractedData;
+  }
+
+  // Credit insights in stages, so a year of statements fits the analysis model's context.
+  // Each section the documents cover (see INSIGHT_SECTIONS) is summarised from a digest of
+  // pre-computed figures, then a synthesis prompt combines the section summaries and the
+  // key figures into the insights. Every prompt is rendered within its token budget: the
+  // context window less the tokens kept for the reply. `modelTraces` has one trace per stage.
+  async generateCreditInsights(allExtractedData, groupedFinancialData) {
+    try {
+      console.log(`Generating comprehensive credit insights using ${this.getTaskModel('analysis').model}`);
+
+      const digests = buildSectionDigests(allExtractedData, groupedFinancialData);
+      const sections = {};
+      const prompts = [];
+      const validationErrors = [];
+      const modelTraces = [];
+      let repairAttempts = 0;
+
+      for (const section of INSIGHT_SECTIONS.filter(item => digests[item.id])) {
+        const stage = await this.generateInsightsStage(section.promptId, digests[section.id], (digest, omitted) => ({
+          digest: JSON.stringify(digest),
+          omitted: describeOmitted(omitted)
+        }), INSIGHTS_SECTION_REPLY_TOKENS, INSIGHTS_SECTION_SCHEMA);
+
+        // A section the model could not summarise is left to the synthesis to note as missing
+        sections[section.id] = stage.response.data || { unavailable: 'The model reply for this section could not be read' };
+        prompts.push(...stage.prompts);
+        validationErrors.push(...stage.response.validationErrors.map(error => ({ ...error, path: `/sections/${section.id}${error.path}` })));
+        repairAttempts += stage.response.repairAttempts;
+        modelTraces.push(await this.buildModelTrace('insights_section', 'analysis', stage.request, stage.response, {
+          section: section.id,
+          budget: stage.budget,
+          prompts: stage.prompts
+        }));
+      }
+
+      const keyFigures = buildKeyFigures(allExtractedData, digests);
+      const stage = await this.generateInsightsStage('insights-synthesis', { sections }, ({ sections: summaries }, omitted) => ({
+        key_figures: JSON.stringify(keyFigures),
+        section_summaries: JSON.stringify(summaries),
+        omitted: describeOmitted(omitted)
+      }), INSIGHTS_SYNTHESIS_REPLY_TOKENS, INSIGHTS_SCHEMA);
+      const response = stage.response;
+
+      console.log('Raw analysis response length:', response.text.length);
+      console.log('Analysis response preview:', response.text.trim().substring(0, 300) + '...');
+
+      let insights = response.data;
+      if (!insights || typeof insights !== 'object' || Array.isArray(insights)) {
+        console.error('Failed to parse insights response:', response.validationErrors[0]?.message);
+        console.log('Full raw response:', response.text);
+
+        // Return a fallback structure
+        insights = {
+          businessOverview: {
+            companyProfile: "Analysis could not be completed due to parsing error",
+            industryAnalysis: "Unable to analyze",
+            managementAssessment: "Unable to assess",
+            businessModelEvaluation: "Unable to evaluate"
+          },
+          financialAnalysis: {
+            revenueAnalysis: "Unable to analyze",
+            profitabilityAssessment: "Unable to assess",
+            balanceSheetStrength: "Unable to assess",
+            cashFlowAnalysis: "Unable to analyze",
+            debtCapacity: "Unable to evaluate"
+          },
+          creditRiskAssessment: {
+            paymentHistoryEvaluation: "Unable to evaluate",
+            debtRatios: "Unable to calculate",
+            liquidityPosition: "Unable to assess",
+            overallCreditworthiness: "Unable to determine"
+          },
+          insights: {
+            keyStrengths: ["Analysis incomplete"],
+            keyWeaknesses: ["Unable to determine"],
+            riskFactors: ["Analysis incomplete"],
+            mitigationStrategies: ["Unable to recommend"]
+          },
+          recommendation: {
+            decision: "decline",
+            reasoning: "Insufficient data for proper analysis",
+            conditions: []
+          },
+          scoring: {
+            creditScore: 500,
+            riskRating: "High",
+            creditLimit: 0,
+            interestRate: 0,
+            confidenceLevel: 0.1
+          },
+          summary: "Credit analysis could not be completed due to technical issues.",
+          analysisDate: new Date().toISOString(),
+          rawResponse: response.text,
+          parseError: response.validationErrors[0]?.message || 'Response is not a JSON object'
+        };
+      }
+
+      // Remaining schema errors; the credit analyzer falls back field by field
+      insights.validationErrors = [...validationErrors, ...response.validationErrors];
+      insights.repairAttempts = repairAttempts + response.repairAttempts;
+      insights.prompts = [...prompts, ...stage.prompts];
+      modelTraces.push(await this.buildModelTrace('credit_insights', 'analysis', stage.request, response, {
+        budget: stage.budget,
+        prompts: stage.prompts
+      }));
+      insights.modelTraces = modelTraces;
+
+      if (!insights.analysisDate) {
+        insights.analysisDate = new Date().toISOString();
+      }
+
+      console.log(`Successfully generated credit insights from ${Object.keys(sections).length} section summaries`);
+      return insights;
+
+    } catch (error) {
+      console.error('Credit insights generation error:', error.message);
+      throw new Error(`Failed to generate credit insights: ${error.message}`, { cause: error });
+    }
+  }
+
+  // One stage of the credit insights: `promptId` rendered with `toVariables(input, omitted)`
+  // within the context window less `replyTokens`, trimming `input` if needed (see
+  // renderWithinBudget), and sent to the analysis model
+  async generateInsightsStage(promptId, input, toVariables, replyTokens, schema) {
+    const { prompt, budget } = renderWithinBudget(
+      (trimmed, omitted) => this.prompts.render(promptId, toVariables(trimmed, omitted)),
+      input,
+      ANALYSIS_CONTEXT_TOKENS - replyTokens
+    );
+    if (Object.keys(budget.omitted).length > 0) {
+      console.warn(`${promptId} prompt trimmed to fit its budget of ${budget.budgetTokens} tokens: ${describeOmitted(budget.omitted)}`);
+    }
+
+    const request = {
+      prompt: prompt.text,
+      options: { temperature: 0.2, topP: 0.9, maxTokens: replyTokens, contextTokens: ANALYSIS_CONTEXT_TOKENS }
+    };
+    const response = await this.generateStructured('analysis', request, schema);
+    return { request, response, budget, prompts: [prompt.prompt, ...response.prompts] };
+  }
+
+  // The exact requests and replies behind a result, for reviewers: one entry in `calls`
+  // per request including repairs, with the reasoning kept apart from the JSON reply.
+  // Images are identified by hash only; the page images themselves stay with the document.
+  async buildModelTrace(kind, task, request, response, details = {}) {
+    const { provider, model } = this.getTaskModel(task);
+    return {
+      kind,
+      task,
+      provider,
+      model,
+      modelDigest: await this.getModelDigest(provider, model),
+      options: request.options || null,
+      images: (request.images || []).map(image => ({
+        sha256: crypto.createHash('sha256').update(image).digest('hex'),
+        bytes: Buffer.byteLength(image, 'base64')
+      })),
+      ...details,
+      reasoning: response.reasoning,
+      latencyMs: response.calls.reduce((total, call) => total + call.latencyMs, 0),
+      calls: response.calls,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  parseJsonFromResponse(responseText) {
+    console.log('Starting JSON parsing with enhanced methods...');
+    
+    // Clean the response text first
+    let cleanedText = responseText.trim();
+    
+    // Remove common prefixes that models sometimes add
+    const prefixesToRemove = [
+      'Here is the JSON response:',
+      'Here\'s the JSON response:',
+      'The JSON response is:',
+      'JSON response:',
+      'Response:',
+      'Here is the analysis:',
+      'Here\'s the analysis:',
+      'Analysis:',
+      'Result:',
+      'Output:',
+      'Based on the analysis:',
+      'Based on the document analysis:',
+      'After analyzing the document:',
+      'The extracted data is:',
+      'Extracted data:',
+      'Document analysis result:',
+      'Financial analysis result:',
+      'Credit analysis result:'
+    ];
+    
+    for (const prefix of prefixesToRemove) {
+      if (cleanedText.toLowerCase().startsWith(prefix.toLowerCase())) {
+        cleanedText = cleanedText.substring(prefix.length).trim();
+        console.log(`Removed prefix: "${prefix}"`);
+        break;
+      }
+    }
+    
+    // Remove common suffixes
+    const suffixesToRemove = [
+      'This completes the analysis.',
+      'End of analysis.',
+      'Analysis complete.',
+      'That\'s the complete analysis.',
+      'This is the final result.',
+      'End of JSON response.',
+      'End of response.'
+    ];
+    
+    for (const suffix of suffixesToRemove) {
+      if (cleanedText.toLowerCase().endsWith(suffix.toLowerCase())) {
+        cleanedText = cleanedText.substring(0, cleanedText.length - suffix.length).trim();
+        console.log(`Removed suffix: "${suffix}"`);
+        break;
+      }
+    }
+    
+    // Method 1: Try to parse the cleaned text directly
+    try {
+      console.log('Method 1: Attempting direct JSON parse...');
+      const parsed = JSON.parse(cleanedText);
+      console.log('Method 1: Success - Direct JSON parse worked');
+      return parsed;
+    } catch (error) {
+      console.log('Method 1: Failed -', error.message);
+    }
+
+    // Method 2: Extract JSON from code blocks (```json or ```)
+    try {
+      console.log('Method 2: Attempting code block extraction...');
+      const codeBlockPatterns = [
+        /```json\s*(\{[\s\S]*?\})\s*```/i,
+        /```\s*(\{[\s\S]*?\})\s*```/i,
+        /`(\{[\s\S]*?\})`/i
+      ];
+      
+      for (const pattern of codeBlockPatterns) {
+        const match = cleanedText.match(pattern);
+        if (match && match[1]) {
+          const jsonString = match[1].trim();
+          console.log(`Method 2: Found code block, attempting parse...`);
+          const parsed = JSON.parse(jsonString);
+          console.log('Method 2: Success - Code block extraction worked');
+          return parsed;
+        }
+      }
+      console.log('Method 2: No code blocks found');
+    } catch (error) {
+      console.log('Method 2: Failed -', error.message);
+    }
+
+    // Method 3: Find the largest JSON-like structure
+    try {
+      console.log('Method 3: Attempting largest JSON structure extraction...');
+      const jsonPattern = /\{(?:[^{}]|{(?:[^{}]|{[^{}]*})*})*\}/g;
+      const matches = cleanedText.match(jsonPattern);
+      
+      if (matches && matches.length > 0) {
+        // Sort by length and try the longest ones first
+        const sortedMatches = matches.sort((a, b) => b.length - a.length);
+        
+        for (let i = 0; i < Math.min(3, sortedMatches.length); i++) {
+          try {
+            const jsonString = sortedMatches[i].trim();
+            console.log(`Method 3: Attempting to parse match ${i + 1} (length: ${jsonString.length})`);
+            const parsed = JSON.parse(jsonString);
+            console.log('Method 3: Success - Largest JSON structure worked');
+            return parsed;
+          } catch (error) {
+            console.log(`Method 3: Match ${i + 1} failed -`, error.message);
+            continue;
+          }
+        }
+      }
+      console.log('Method 3: No valid JSON structures found');
+    } catch (error) {
+      console.log('Method 3: Failed -', error.message);
+    }
+
+    // Method 4: Extract from first { to last }
+    try {
+      console.log('Method 4: Attempting first-to-last brace extraction...');
+      const firstBrace = cleanedText.indexOf('{');
+      const lastBrace = cleanedText.lastIndexOf('}');
+      
+      if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
+        const jsonString = cleanedText.substring(firstBrace, lastBrace + 1);
+        console.log(`Method 4: Extracted JSON from position ${firstBrace} to ${lastBrace}`);
+        const parsed = JSON.parse(jsonString);
+        console.log('Method 4: Success - First-to-last brace extraction worked');
+        return parsed;
+      }
+      console.log('Method 4: No valid brace pair found');
+    } catch (error) {
+      console.log('Method 4: Failed -', error.message);
+    }
+
+    // Method 5: Try to fix common JSON issues
+    try {
+      console.log('Method 5: Attempting JSON repair...');
+      let fixedJson = cleanedText;
+      
+      // Remove any text before first {
+      const firstBrace = fixedJson.indexOf('{');
+      if (firstBrace > 0) {
+        fixedJson = fixedJson.substring(firstBrace);
+        console.log('Method 5: Removed text before first brace');
+      }
+      
+      // Remove any text after last }
+      const lastBrace = fixedJson.lastIndexOf('}');
+      if (lastBrace !== -1 && lastBrace < fixedJson.length - 1) {
+        fixedJson = fixedJson.substring(0, lastBrace + 1);
+        console.log('Method 5: Removed text after last brace');
+      }
+      
+      // Fix common JSON issues
+      fixedJson = fixedJson
+        .replace(/,\s*}/g, '}')          // Remove trailing commas before }
+        .replace(/,\s*]/g, ']')          // Remove trailing commas before ]
+        .replace(/\n/g, ' ')             // Replace newlines with spaces
+        .replace(/\r/g, ' ')             // Replace carriage returns
+        .replace(/\t/g, ' ')             // Replace tabs
+        .replace(/\s+/g, ' ')            // Normalize whitespace
+        .replace(/([{,]\s*)(\w+):/g, '$1"$2":')  // Quote unquoted keys
+        .replace(/:\s*'([^']*)'/g, ': "$1"')     // Replace single quotes with double quotes
+        .trim();
+      
+      console.log('Method 5: Applied JSON fixes, attempting parse...');
+      const parsed = JSON.parse(fixedJson);
+      console.log('Method 5: Success - JSON repair worked');
+      return parsed;
+    } catch (error) {
+      console.log('Method 5: Failed -', error.message);
+    }
+
+    // Method 6: Try line-by-line reconstruction
+    try {
+      console.log('Method 6: Attempting line-by-line reconstruction...');
+      const lines = cleanedText.split('\n');
+      let jsonLines = [];
+      let inJson = false;
+      let braceCount = 0;
+      
+      for (const line of lines) {
+        const trimmedLine = line.trim();
+        
+        if (trimmedLine.includes('{')) {
+          inJson = true;
+          braceCount += (trimmedLine.match(/\{/g) || []).length;
+        }
+        
+        if (inJson) {
+          jsonLines.push(trimmedLine);
+        }
+        
+        if (trimmedLine.includes('}')) {
+          braceCount -= (trimmedLine.match(/\}/g) || []).length;
+          if (braceCount <= 0) {
+            break;
+          }
+        }
+      }
+      
+      if (jsonLines.length > 0) {
+        const reconstructedJson = jsonLines.join(' ');
+        console.log('Method 6: Reconstructed JSON from lines, attempting parse...');
+        const parsed = JSON.parse(reconstructedJson);
+        console.log('Method 6: Success - Line reconstruction worked');
+        return parsed;
+      }
+      console.log('Method 6: No JSON lines found');
+    } catch (error) {
+      console.log('Method 6: Failed -', error.message);
+    }
+
+    // If all methods fail, log the problematic text and throw error
+    console.error('All JSON parsing methods failed. Problematic text:');
+    console.error('='.repeat(80));
+    console.error(cleanedText.substring(0, 1000) + (cleanedText.length > 1000 ? '...' : ''));
+    console.error('='.repeat(80));
+    
+    throw new Error(`No valid JSON found in response after trying all parsing methods. Response length: ${responseText.length}`);
+  }
+
+  // Exact model version, where the provider reports one (Ollama does, OpenAI-style servers do not)
+  async getModelDigest(providerName, model) {
+    return this.providers.get(providerName).getModelDigest(model);
+  }
+
+  // Status of every provider, and whether each task's model is installed on its provider
+  async checkHealth() {
+    const providers = [];
+    const installed = new Map();
+
+    for (const provider of this.providers.values()) {
+      const health = await provider.checkHealth();
+      installed.set(provider.name, health.models);
+      providers.push({
+        name: provider.name,
+        type: provider.type,
+        url: provider.url,
+        status: health.status,
+        error: health.error,
+        circuit: provider.circuit.describe()
+      });
+    }
+
+    const models = Object.entries(this.tasks).map(([task, { provider, model }]) => {
+      const connected = providers.find(item => item.name === provider).status === 'connected';
+      return {
+        task,
+        provider,
+        model,
+        available: connected && this.providers.get(provider).hasModel(installed.get(provider), model)
+      };
+    });
+
+    return { providers, models };
+  }
+}
+
+function getRunTemperature(run, runs) {
+  const [first, last] = RUN_TEMPERATURES;
+  return runs === 1 ? first : Math.round((first + ((last - first) * run) / (runs - 1)) * 100) / 100;
+}
+
+function uniqueBy(items, key) {
+  const seen = new Set();
+  return items.filter(item => !seen.has(key(item)) && seen.add(key(item)));
+}
+
+// Separates a reply into the reasoning and the answer. Reasoning the server returned on its
+// own comes first, then any <think> blocks in the text. A reply cut off while thinking has
+// no answer; a closing tag without an opening one means the prompt template opened the block.
+export function splitReasoning(text, serverReasoning = null) {
+  const thoughts = serverReasoning?.trim() ? [serverReasoning.trim()] : [];
+  let content = text;
+
+  const firstClose = content.indexOf(THINK_CLOSE);
+  const firstOpen = content.indexOf(THINK_OPEN);
+  if (firstClose !== -1 && (firstOpen === -1 || firstClose < firstOpen)) {
+    thoughts.push(content.slice(0, firstClose).trim());
+    content = content.slice(firstClose + THINK_CLOSE.length);
+  }
+
+  for (let open = content.indexOf(THINK_OPEN); open !== -1; open = content.indexOf(THINK_OPEN)) {
+    const close = content.indexOf(THINK_CLOSE, open);
+    const end = close === -1 ? content.length : close;
+    thoughts.push(content.slice(open + THINK_OPEN.length, end).trim());
+    content = content.slice(0, open) + content.slice(close === -1 ? end : end + THINK_CLOSE.length);
+  }
+
+  const reasoning = thoughts.filter(Boolean).join('\n\n');
+  return { reasoning: reasoning || null, content: content.trim() };
+}
@@ -0,0 +1,146 @@
+import { DOCUMENT_TYPES, KNOWN_DOCUMENT_TYPES } from './documentTypes.js';
+
+// Title keywords (Indonesian and English) that identify each document type on a text-layer page
+const TITLE_KEYWORDS = [
+  { type: DOCUMENT_TYPES.DEED_OF_ESTABLISHMENT, keywords: [/akta\s+(pendirian|perubahan)/i, /deed\s+of\s+establishment/i, /articles\s+of\s+association/i, /anggaran\s+dasar/i] },
+  { type: DOCUMENT_TYPES.SHAREHOLDER_LIST, keywords: [/daftar\s+pemegang\s+saham/i, /susunan\s+(pengurus|pemegang\s+saham)/i, /shareholders?\s+(list|register)/i, /list\s+of\s+(directors|shareholders)/i] },
+  { type: DOCUMENT_TYPES.PROFIT_AND_LOSS, keywords: [/laporan\s+laba\s*(\/|dan)?\s*rugi/i, /laba\s+rugi/i, /profit\s+(and|&)\s+loss/i, /income\s+statement/i, /statement\s+of\s+(comprehensive\s+)?income/i] },
+  { type: DOCUMENT_TYPES.BALANCE_SHEET, keywords: [/neraca/i, /laporan\s+posisi\s+keuangan/i, /balance\s+sheet/i, /statement\s+of\s+financial\s+position/i] },
+  { type: DOCUMENT_TYPES.CASH_FLOW, keywords: [/laporan\s+arus\s+kas/i, /cash\s+flow\s+statement/i, /statement\s+of\s+cash\s+flows?/i] },
+  { type: DOCUMENT_TYPES.BANK_STATEMENT, keywords: [/rekening\s+koran/i, /mutasi\s+rekening/i, /bank\s+statement/i, /account\s+statement/i, /laporan\s+mutasi/i] },
+  { type: DOCUMENT_TYPES.CREDIT_REPORT, keywords: [/\bSLIK\b/, /informasi\s+debitur/i, /\bi-?deb\b/i, /credit\s+(history\s+)?report/i] },
+  { type: DOCUMENT_TYPES.TAX_RETURN, keywords: [/surat\s+pemberitahuan\s+(tahunan|masa)/i, /\bSPT\b/, /tax\s+return/i] },
+  { type: DOCUMENT_TYPES.FINANCIAL_REPORT, keywords: [/laporan\s+keuangan/i, /financial\s+(statements|report)/i] }
+];
+
+// Document types a combined upload is split into
+export const SPLIT_DOCUMENT_TYPES = KNOWN_DOCUMENT_TYPES;
+
+// Only the top of a page is searched for titles, so running text does not
+// ("... sesuai neraca terlampir ...") pull a page into the wrong document
+const TITLE_CHARACTERS = 600;
+
+// Decides, page by page, which document each page of a combined PDF belongs to
+// and where one document ends and the next begins. Text-layer pages are
+// classified from their titles; scans and untitled pages go to the models.
+export class PageClassifier {
+  constructor(llmService) {
+    this.llmService = llmService;
+  }
+
+  // `pages` are `{ pageNumber, text }` for text-layer pages or `{ pageNumber, imagePath }` for scans
+  async classifyPages(pages, context = null) {
+    const classifications = [];
+
+    for (const page of pages) {
+      context?.throwIfCancelled();
+      classifications.push(await this.classifyPage(page));
+    }
+
+    return classifications;
+  }
+
+  async classifyPage(page) {
+    const fromText = page.text ? this.classifyText(page.text) : null;
+    if (fromText && fromText.documentType !== DOCUMENT_TYPES.UNKNOWN) {
+      return { page: page.pageNumber, ...fromText, method: 'keywords' };
+    }
+
+    if (!page.text && !page.imagePath) {
+      return { page: page.pageNumber, documentType: DOCUMENT_TYPES.UNKNOWN, startsNewDocument: false, period: null, accountNumber: null, confidence: 0, method: 'none' };
+    }
+
+    try {
+      const fromModel = await this.llmService.classifyPage({
+        text: page.text || null,
+        imagePath: page.text ? null : page.imagePath,
+        documentTypes: KNOWN_DOCUMENT_TYPES
+      });
+      return {
+        page: page.pageNumber,
+        ...fromModel,
+        // Page markers read from the text layer beat the model's guess
+        startsNewDocument: fromText?.pageMarker ? fromText.startsNewDocument : fromModel.startsNewDocument,
+        method: 'model'
+      };
+    } catch (error) {
+      // An unclassified page simply continues the document before it
+      console.warn(`Could not classify page ${page.pageNumber}: ${error.message}`);
+      return { page: page.pageNumber, ...(fromText || {}), documentType: DOCUMENT_TYPES.UNKNOWN, startsNewDocument: false, confidence: 0, method: 'none' };
+    }
+  }
+
+  classifyText(text) {
+    const title = text.slice(0, TITLE_CHARACTERS);
+    const match = TITLE_KEYWORDS.find(entry => entry.keywords.some(keyword => keyword.test(title)));
+
+    // "Halaman 1 dari 3", "Page 2 of 5", "Hal. 1/4". Without a marker a repeated title
+    // is not a boundary by itself; a change of type or period is
+    const marker = text.match(/\b(?:halaman|hal\.?|page)\s*(\d+)\s*(?:dari|of|\/)\s*\d+/i);
+
+    return {
+      documentType: match ? match.type : DOCUMENT_TYPES.UNKNOWN,
+      startsNewDocument: marker ? Number(marker[1]) === 1 : false,
+      pageMarker: Boolean(marker),
+      period: this.findPeriod(title),
+      accountNumber: this.findAccountNumber(text),
+      confidence: match ? 0.8 : 0
+    };
+  }
+
+  findPeriod(text) {
+    const match = text.match(/(?:periode|period|per|as\s+of|untuk\s+tahun\s+yang\s+berakhir|for\s+the\s+year\s+ended)\s*:?\s*([0-9]{1,2}\s+\w+\s+\d{4}|\w+\s+\d{4}|\d{4})/i);
+    return match ? match[1].trim() : null;
+  }
+
+  findAccountNumber(text) {
+    const match = text.match(/(?:no\.?\s*rekening|nomor\s+rekening|account\s+(?:no\.?|number))\s*:?\s*([\d][\d\s.-]{5,}\d)/i);
+    return match ? match[1].replace(/[\s.-]/g, '') : null;
+  }
+
+  // Groups classified pages into `{ pageRange: [first, last], documentType, confidence }` segments.
+  // A new segment starts when a page opens a document of another type, carries a
+  // "page 1" marker, or shows a different statement period or bank account.
+  detectBoundaries(classifications) {
+    const segments = [];
+    let current = null;
+
+    for (const page of classifications) {
+      const typed = page.documentType && page.documentType !== DOCUMENT_TYPES.UNKNOWN;
+      const startsNew = !current
+        || (typed && current.documentType !== DOCUMENT_TYPES.UNKNOWN && page.documentType !== current.documentType)
+        || page.startsNewDocument
+        || (page.accountNumber && current.accountNumber && page.accountNumber !== current.accountNumber)
+        || (typed && page.period && current.period && page.period !== current.period);
+
+      if (startsNew) {
+        current = {
+          pageRange: [page.page, page.page],
+          documentType: typed ? page.documentType : DOCUMENT_TYPES.UNKNOWN,
+          period: page.period || null,
+          accountNumber: page.accountNumber || null,
+          pages: [page]
+        };
+        segments.push(current);
+        continue;
+      }
+
+      current.pageRange[1] = page.page;
+      current.pages.push(page);
+      if (current.documentType === DOCUMENT_TYPES.UNKNOWN && typed) {
+        current.documentType = page.documentType;
+      }
+      current.period = current.period || page.period || null;
+      current.accountNumber = current.accountNumber || page.accountNumber || null;
+    }
+
+    return segments.map(segment => {
+      const confidences = segment.pages.map(page => page.confidence || 0);
+      return {
+        pageRange: segment.pageRange,
+        documentType: segment.documentType,
+        confidence: confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+      };
+    });
+  }
+}
@@ -0,0 +1,166 @@
+// Rebuilds readable text from a PDF page's text layer (pdfjs `getTextContent`).
+// Glyph runs are grouped into lines by baseline, split into cells where the
+// horizontal gap is clearly wider than a word space, and cells are aligned to
+// column spans found across the page so statement tables keep their columns.
+// Each cell's box on the page is kept so extracted values can be traced back to it.
+export class PdfTextLayer {
+  constructor(options = {}) {
+    // Pages with fewer readable characters than this are treated as scans
+    this.minCharacters = options.minCharacters || 40;
+    // Share of characters that must be letters, digits, punctuation or symbols;
+    // broken font encodings produce replacement or private-use characters instead
+    this.minReadableRatio = options.minReadableRatio || 0.85;
+  }
+
+  async extractPage(page) {
+    const content = await page.getTextContent();
+    const glyphRuns = content.items
+      .filter(item => typeof item.str === 'string' && item.str.trim())
+      .map(item => ({
+        text: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width,
+        height: Math.abs(item.transform[3]) || item.height || 10
+      }));
+
+    const characters = glyphRuns.reduce((count, run) => count + run.text.replace(/\s/g, '').length, 0);
+    if (characters < this.minCharacters) {
+      return { usable: false, reason: `text layer has ${characters} characters`, characters, text: '' };
+    }
+
+    const readableRatio = this.getReadableRatio(glyphRuns.map(run => run.text).join(''));
+    if (readableRatio < this.minReadableRatio) {
+      return { usable: false, reason: `text layer is not readable (${Math.round(readableRatio * 100)}% readable characters)`, characters, text: '' };
+    }
+
+    const lines = this.groupLines(glyphRuns).map(line => this.splitCells(line));
+    const viewport = page.getViewport({ scale: 1 });
+    return {
+      usable: true,
+      characters,
+      text: this.renderLines(lines),
+      cells: lines.flat().map(cell => ({ text: cell.text, box: this.getCellBox(cell, viewport) }))
+    };
+  }
+
+  // [left, top, right, bottom] as fractions of the page from its top-left corner;
+  // the viewport takes care of the page's rotation and origin
+  getCellBox(cell, viewport) {
+    const [x0, y0, x1, y1] = viewport.convertToViewportRectangle([cell.x, cell.bottom, cell.endX, cell.top]);
+    const round = value => Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+    return [
+      round(Math.min(x0, x1) / viewport.width),
+      round(Math.min(y0, y1) / viewport.height),
+      round(Math.max(x0, x1) / viewport.width),
+      round(Math.max(y0, y1) / viewport.height)
+    ];
+  }
+
+  getReadableRatio(text) {
+    const visible = text.replace(/\s/g, '');
+    if (!visible) {
+      return 0;
+    }
+    // U+FFFD is what undecodable glyphs turn into
+    const readable = visible.match(/[\p{L}\p{N}\p{P}\p{S}]/gu) || [];
+    const replacement = visible.match(/\uFFFD/g) || [];
+    return (readable.length - replacement.length) / visible.length;
+  }
+
+  // Runs whose baselines are within half a line height belong to the same line
+  groupLines(glyphRuns) {
+    const sorted = [...glyphRuns].sort((a, b) => (b.y - a.y) || (a.x - b.x));
+    const lines = [];
+
+    for (const run of sorted) {
+      const line = lines[lines.length - 1];
+      if (line && Math.abs(line.y - run.y) <= Math.max(line.height, run.height) * 0.5) {
+        line.runs.push(run);
+        line.height = Math.max(line.height, run.height);
+      } else {
+        lines.push({ y: run.y, height: run.height, runs: [run] });
+      }
+    }
+
+    return lines.map(line => line.runs.sort((a, b) => a.x - b.x));
+  }
+
+  splitCells(runs) {
+    const cells = [];
+
+    for (const run of runs) {
+      const cell = cells[cells.length - 1];
+      const charWidth = run.text.length > 0 ? (run.width / run.text.length) || run.height * 0.5 : run.height * 0.5;
+      const gap = cell ? run.x - cell.endX : Infinity;
+
+      if (cell && gap < charWidth * 1.5) {
+        cell.text += gap > charWidth * 0.25 && !cell.text.endsWith(' ') ? ` ${run.text}` : run.text;
+        cell.endX = Math.max(cell.endX, run.x + run.width);
+        cell.bottom = Math.min(cell.bottom, run.y);
+        cell.top = Math.max(cell.top, run.y + run.height);
+      } else {
+        cells.push({ x: run.x, endX: run.x + run.width, bottom: run.y, top: run.y + run.height, text: run.text });
+      }
+    }
+
+    return cells.map(cell => ({ ...cell, text: cell.text.replace(/\s+/g, ' ').trim() }));
+  }
+
+  // Column spans are the union of overlapping cell extents across multi-cell lines,
+  // which works for left-aligned text and right-aligned amounts alike
+  findColumnSpans(lines) {
+    const intervals = lines
+      .filter(cells => cells.length > 1)
+      .flatMap(cells => cells.map(cell => ({ start: cell.x, end: cell.endX })))
+      .sort((a, b) => a.start - b.start);
+
+    const spans = [];
+    for (const interval of intervals) {
+      const span = spans[spans.length - 1];
+      if (span && interval.start <= span.end + 1) {
+        span.end = Math.max(span.end, interval.end);
+      } else {
+        spans.push({ ...interval });
+      }
+    }
+
+    return spans;
+  }
+
+  renderLines(lines) {
+    const spans = this.findColumnSpans(lines);
+    const output = [];
+    let tableRows = [];
+
+    const flushTable = () => {
+      if (tableRows.length > 0) {
+        output.push('[TABLE]', ...tableRows, '[/TABLE]');
+        tableRows = [];
+      }
+    };
+
+    for (const cells of lines) {
+      if (cells.length < 2 || spans.length < 2) {
+        flushTable();
+        output.push(cells.map(cell => cell.text).join('  '));
+        continue;
+      }
+
+      const row = new Array(spans.length).fill('');
+      for (const cell of cells) {
+        const center = (cell.x + cell.endX) / 2;
+        let index = spans.findIndex(span => center >= span.start && center <= span.end);
+        if (index === -1) {
+          index = spans.findIndex(span => cell.x <= span.end);
+        }
+        index = index === -1 ? spans.length - 1 : index;
+        row[index] = row[index] ? `${row[index]} ${cell.text}` : cell.text;
+      }
+      tableRows.push(`| ${row.map(value => value.replace(/\|/g, '/')).join(' | ')} |`);
+    }
+
+    flushTable();
+    return output.join('\n');
+  }
+}
@@ -0,0 +1,34 @@
+import { EventEmitter } from 'events';
+
+// In-process hub for document processing updates. The server publishes `status`,
+// per-page `progress`, `document_error`, `completed` and `split` (a combined PDF
+// was divided into child documents) events here and the `/events` SSE endpoint
+// forwards them to subscribed browsers. Failures are not called `error` because
+// EventSource reserves that name for connection errors.
+export class ProcessingEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open SSE connection
+    this.setMaxListeners(0);
+  }
+
+  publish(type, payload) {
+    this.emit('event', {
+      type,
+      timestamp: new Date().toISOString(),
+      ...payload
+    });
+  }
+
+  subscribe(documentIds, listener) {
+    const ids = new Set(documentIds);
+    const handler = (event) => {
+      if (ids.has(event.document_id)) {
+        listener(event);
+      }
+    };
+
+    this.on('event', handler);
+    return () => this.off('event', handler);
+  }
+}
@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createError } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const VERSION_FILE = /^v(\d+)\.txt$/;
+const COMMENT = /\{\{![\s\S]*?\}\}\n?/g;
+const SECTION = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE = /\{\{(\w+)\}\}/g;
+
+// Model prompts as versioned template files: one directory per prompt under PROMPTS_DIR
+// (backend/prompts by default) with a file per version, e.g. credit-insights/v1.txt, v2.txt.
+// Templates use {{name}} for variables, {{#name}}...{{/name}} for text kept when a variable
+// is set and {{^name}}...{{/name}} when it is not, and open with a {{! description }} comment.
+// The newest version is used unless an admin activates another one. The text of every
+// template is also kept in the store under its hash, so a result that records
+// { id, version, hash } stays traceable after the files are edited or removed.
+export class PromptRegistry {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.promptsDir = options.promptsDir || process.env.PROMPTS_DIR || path.join(__dirname, '../prompts');
+    this.prompts = new Map();
+  }
+
+  async init() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.promptsDir, { withFileTypes: true });
+    } catch (error) {
+      throw new Error(`Failed to load prompts from ${this.promptsDir}: ${error.message}`, { cause: error });
+    }
+
+    for (const entry of entries.filter(item => item.isDirectory())) {
+      const versions = await this.loadVersions(entry.name);
+      if (versions.size > 0) {
+        this.prompts.set(entry.name, versions);
+      }
+    }
+
+    for (const versions of this.prompts.values()) {
+      for (const template of versions.values()) {
+        await this.recordTemplate(template);
+      }
+    }
+
+    for (const [id, versions] of this.prompts) {
+      const setting = this.store.getPromptSetting(id);
+      if (setting && !versions.has(setting.activeVersion)) {
+        console.warn(`Prompt ${id} v${setting.activeVersion} is active but its file is missing; using v${this.getLatestVersion(id)}`);
+      }
+    }
+
+    console.log(`Loaded ${this.prompts.size} prompt(s) from ${this.promptsDir}`);
+  }
+
+  async loadVersions(id) {
+    const versions = new Map();
+    const files = await fs.readdir(path.join(this.promptsDir, id));
+
+    for (const file of files) {
+      const match = file.match(VERSION_FILE);
+      if (!match) {
+        continue;
+      }
+
+      const text = (await fs.readFile(path.join(this.promptsDir, id, file), 'utf8')).replace(/\n$/, '');
+      const version = Number(match[1]);
+      versions.set(version, {
+        id,
+        version,
+        text,
+        hash: crypto.createHash('sha256').update(text).digest('hex'),
+        description: text.match(/^\{\{!\s*([\s\S]*?)\s*\}\}/)?.[1] || null,
+        variables: templateVariables(text)
+      });
+    }
+
+    return versions;
+  }
+
+  // A version file edited in place gets a new hash; the old text stays in the store
+  async recordTemplate(template) {
+    if (this.store.getPromptTemplate(template.hash)) {
+      return;
+    }
+
+    const earlier = this.store.list('promptTemplates').find(item => item.promptId === template.id && item.version === template.version);
+    if (earlier) {
+      console.warn(`Prompt ${template.id} v${template.version} was changed after it was first loaded; add a new version file instead of editing one`);
+    }
+
+    await this.store.savePromptTemplate({
+      hash: template.hash,
+      promptId: template.id,
+      version: template.version,
+      text: template.text,
+      firstLoadedAt: new Date().toISOString()
+    });
+  }
+
+  getVersions(id) {
+    const versions = this.prompts.get(id);
+    if (!versions) {
+      throw createError(`Unknown prompt ${id}`, 'PROMPT_NOT_FOUND');
+    }
+    return versions;
+  }
+
+  getLatestVersion(id) {
+    return Math.max(...this.getVersions(id).keys());
+  }
+
+  getActiveVersion(id) {
+    const versions = this.getVersions(id);
+    const setting = this.store.getPromptSetting(id);
+    return setting && versions.has(setting.activeVersion) ? setting.activeVersion : this.getLatestVersion(id);
+  }
+
+  getTemplate(id, version) {
+    const template = this.getVersions(id).get(Number(version));
+    if (!template) {
+      throw createError(`Prompt ${id} has no version ${version}`, 'PROMPT_NOT_FOUND');
+    }
+    return template;
+  }
+
+  list() {
+    return Array.from(this.prompts.keys()).sort().map(id => this.describe(id));
+  }
+
+  describe(id) {
+    const activeVersion = this.getActiveVersion(id);
+    const setting = this.store.getPromptSetting(id);
+    const versions = Array.from(this.getVersions(id).values()).sort((a, b) => a.version - b.version);
+
+    return {
+      id,
+      description: this.getTemplate(id, activeVersion).description,
+      activeVersion,
+      activatedAt: setting?.activatedAt || null,
+      activatedBy: setting?.activatedBy || null,
+      versions: versions.map(template => ({
+        version: template.version,
+        hash: template.hash,
+        variables: template.variables,
+        active: template.version === activeVersion
+      }))
+    };
+  }
+
+  async activate(id, version, user) {
+    const template = this.getTemplate(id, version);
+    const previousVersion = this.getActiveVersion(id);
+
+    await this.store.savePromptSetting({
+      id,
+      activeVersion: template.version,
+      activatedAt: new Date().toISOString(),
+      activatedBy: user?.username || null
+    });
+    console.log(`Prompt ${id} v${template.version} activated${user ? ` by ${user.username}` : ''}`);
+
+    return { template, previousVersion };
+  }
+
+  // Renders the active version. `prompt` is what results record to point back at it.
+  render(id, variables) {
+    return this.renderVersion(id, this.getActiveVersion(id), variables);
+  }
+
+  renderVersion(id, version, variables) {
+    const template = this.getTemplate(id, version);
+    return {
+      text: renderTemplate(template.text, variables, `${id} v${template.version}`),
+      prompt: { id, version: template.version, hash: template.hash }
+    };
+  }
+
+  // The exact text behind a recorded { id, version, hash }, including edited or removed versions
+  getTextByHash(hash) {
+    return this.store.getPromptTemplate(hash);
+  }
+}
+
+// Sections are resolved first, then variables in a single pass, so values (document text,
+// extracted JSON) are inserted as they are and never read as template syntax
+export function renderTemplate(text, variables, name = 'template') {
+  let result = text.replace(COMMENT, '');
+
+  let previous;
+  do {
+    previous = result;
+    result = result.replace(SECTION, (match, kind, variable, content) => {
+      const set = Boolean(variables[variable]);
+      return (kind === '#') === set ? content : '';
+    });
+  } while (result !== previous);
+
+  return result.replace(VARIABLE, (match, variable) => {
+    const value = variables[variable];
+    if (value === undefined || value === null) {
+      throw createError(`Prompt ${name} needs the variable ${variable}`, 'MISSING_PROMPT_VARIABLE');
+    }
+    return String(value);
+  });
+}
+
+export function templateVariables(text) {
+  const names = [...text.replace(COMMENT, '').matchAll(/\{\{[#^/]?(\w+)\}\}/g)].map(match => match[1]);
+  return [...new Set(names)];
+}
@@ -0,0 +1,140 @@
+// Field-level provenance: where each extracted value came from. An extraction's
+// `provenance` maps the dotted path of every scalar it holds (for example
+// `financialInfo.profitLoss.revenue` or `financialInfo.bankStatements.0.closingBalance`)
+// to `{ documentId, page, boundingBox, confidence, source, located }`.
+//
+// `page` is the page number in the uploaded file (null when unknown, as for Word files),
+// `boundingBox` is `[left, top, right, bottom]` as fractions of the page, measured from
+// its top-left corner, and is only known for values found in a PDF text layer. `source`
+// is 'text_layer' for values found verbatim in the page text, 'model' for values only the
+// model vouches for and 'parser' for exactly parsed bank exports and statements.
+// Values from a high-accuracy extraction also have `agreement`, the share of the runs that
+// read the value chosen (see reconcileRuns), and their confidence is scaled by it.
+
+// Sections of an extraction that hold extracted values; the rest is bookkeeping
+const EXTRACTED_SECTIONS = ['companyInfo', 'personalInfo', 'financialInfo', 'documentDetails'];
+
+// Model confidence is for the whole page; a value that cannot be found in the text the
+// model was given may have been misread or derived, so it counts for less
+const UNLOCATED_CONFIDENCE_FACTOR = 0.5;
+
+// Statements are often printed in thousands or millions of the amounts the model returns
+const AMOUNT_SCALES = [1, 1000, 1000000];
+
+// Provenance for one extracted part. `part` is the part as prepared by the document
+// processor: its `pageNumbers`, `extractionPath` and, for text parts, the `text` and the
+// text-layer `layout` (`[{ page, cells: [{ text, box }] }]`) when it came from a PDF.
+export function buildPartProvenance(result, part, documentId) {
+  const candidates = part.extractionPath === 'text' ? getCandidates(part) : null;
+  const onlyPage = part.pageNumbers?.length === 1 ? part.pageNumbers[0] : null;
+  const confidence = typeof result.confidence === 'number' ? result.confidence : null;
+  const provenance = {};
+
+  for (const [path, value] of collectScalars(result)) {
+    const match = candidates ? locateValue(value, candidates) : null;
+    provenance[path] = {
+      documentId,
+      page: match?.page ?? onlyPage,
+      boundingBox: match?.box ?? null,
+      confidence: candidates && !match && confidence !== null ? confidence * UNLOCATED_CONFIDENCE_FACTOR : confidence,
+      source: match ? 'text_layer' : 'model',
+      // Vision answers cannot be checked against page text
+      located: candidates ? Boolean(match) : null
+    };
+
+    if (result.consensus) {
+      const agreement = result.consensus.disagreements[path]?.agreement ?? 1;
+      provenance[path].agreement = agreement;
+      if (confidence !== null) {
+        provenance[path].confidence = Math.round(provenance[path].confidence * agreement * 1000) / 1000;
+      }
+    }
+  }
+
+  return provenance;
+}
+
+// Provenance for a parsed bank export or electronic statement; the values are exact
+export function buildParserProvenance(data, documentId) {
+  const provenance = {};
+  for (const [path] of collectScalars(data)) {
+    provenance[path] = { documentId, page: null, boundingBox: null, confidence: 1, source: 'parser', located: true };
+  }
+  return provenance;
+}
+
+// Copies the entries for `fromPath` and everything below it, renamed to `toPath`
+export function copyProvenance(target, source, fromPath, toPath = fromPath) {
+  for (const [path, entry] of Object.entries(source || {})) {
+    if (path === fromPath || path.startsWith(`${fromPath}.`)) {
+      target[`${toPath}${path.slice(fromPath.length)}`] = entry;
+    }
+  }
+}
+
+// [path, value] for every string, number and boolean in the extracted sections
+function collectScalars(data) {
+  const scalars = [];
+
+  const visit = (value, path) => {
+    if (value === null || value === undefined || value === '') {
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => visit(item, `${path}.${index}`));
+    } else if (typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => visit(child, `${path}.${key}`));
+    } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+      scalars.push([path, value]);
+    }
+  };
+
+  for (const section of EXTRACTED_SECTIONS) {
+    visit(data[section], section);
+  }
+  return scalars;
+}
+
+// Text-layer cells with their page and box, or the lines of a part without a layout
+function getCandidates(part) {
+  if (part.layout) {
+    return part.layout.flatMap(({ page, cells }) => cells.map(cell => ({ page, box: cell.box, text: cell.text })));
+  }
+  return (part.text || '').split('\n').map(text => ({ page: null, box: null, text }));
+}
+
+function locateValue(value, candidates) {
+  if (typeof value === 'number') {
+    const wanted = AMOUNT_SCALES
+      .map(scale => value / scale)
+      .filter(scaled => scaled === 0 || Math.abs(scaled) >= 1)
+      .map(digitsOf);
+    return candidates.find(candidate => getNumberTokens(candidate.text).some(token => wanted.includes(token))) || null;
+  }
+
+  if (typeof value === 'string' && value.trim().length >= 3) {
+    const wanted = normaliseText(value);
+    return candidates.find(candidate => normaliseText(candidate.text).includes(wanted)) || null;
+  }
+
+  return null;
+}
+
+// Digits of each amount in the text, so 1.200.000, 1,200,000 and (1,200,000.00) all read
+// 1200000. One or two digits after the last separator are decimals, three a thousands group.
+function getNumberTokens(text) {
+  return (text.match(/\d[\d.,]*/g) || []).map(token => {
+    const amount = token.replace(/[.,]+$/, '');
+    const decimals = amount.match(/[.,](\d{1,2})$/);
+    const whole = decimals ? amount.slice(0, -decimals[0].length) : amount;
+    return whole.replace(/\D/g, '') + (decimals ? decimals[1].replace(/0+$/, '') : '');
+  });
+}
+
+function digitsOf(number) {
+  return String(Math.abs(Number(number.toFixed(2)))).replace(/\D/g, '');
+}
+
+function normaliseText(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
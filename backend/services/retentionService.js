@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const OVERWRITE_CHUNK_SIZE = 64 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Overwrites a file with random bytes before unlinking it, so the old blocks do not
+// keep the (encrypted) content around. Copy-on-write filesystems and SSD wear levelling
+// can still hold old copies; the at-rest encryption covers those. Missing files are ignored.
+export async function secureDelete(filePath) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r+');
+    const { size } = await handle.stat();
+    for (let offset = 0; offset < size; offset += OVERWRITE_CHUNK_SIZE) {
+      const length = Math.min(OVERWRITE_CHUNK_SIZE, size - offset);
+      await handle.write(crypto.randomBytes(length), 0, length, offset);
+    }
+    await handle.sync();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw new Error(`Failed to securely delete ${path.basename(filePath)}: ${error.message}`, { cause: error });
+  } finally {
+    await handle?.close();
+  }
+
+  await fs.unlink(filePath);
+  return true;
+}
+
+export async function secureDeleteDirectory(dirPath) {
+  let entries;
+  try {
+    entries = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      await secureDeleteDirectory(entryPath);
+    } else {
+      await secureDelete(entryPath);
+    }
+  }
+  await fs.rm(dirPath, { recursive: true, force: true });
+}
+
+// Decides what the retention policy removes and finds files no record points to.
+// The deletion itself is done by the server, which also has to stop jobs and update
+// applications. With `RETENTION_DAYS` unset the policy is off.
+export class RetentionService {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.retentionDays = options.retentionDays ?? (Number(process.env.RETENTION_DAYS) || 0);
+    this.mode = options.mode || process.env.RETENTION_MODE || 'delete';
+    this.intervalMs = (options.intervalHours || Number(process.env.RETENTION_SWEEP_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+    this.timer = null;
+
+    if (!['delete', 'anonymise'].includes(this.mode)) {
+      throw new Error(`RETENTION_MODE must be delete or anonymise, not ${this.mode}`);
+    }
+  }
+
+  get enabled() {
+    return this.retentionDays > 0;
+  }
+
+  // Archived applications closed more than `retentionDays` ago (open cases are kept however old),
+  // and uploads never attached to an application that are older than that
+  findExpired(now = new Date()) {
+    const cutoff = now.getTime() - this.retentionDays * DAY_MS;
+
+    const applications = this.store.listApplications().filter(application =>
+      application.status === 'archived'
+      && !application.anonymisedAt
+      && new Date(application.archivedAt || application.updatedAt).getTime() < cutoff
+    );
+
+    const documents = this.store.listDocuments().filter(doc =>
+      !doc.applicationId
+      && !doc.parentId
+      && new Date(doc.uploadedAt).getTime() < cutoff
+    );
+
+    return { applications, documents };
+  }
+
+  // Runs `purge` now and then on every interval; failures are logged and retried next time
+  start(purge) {
+    if (!this.enabled) {
+      console.log('Retention policy disabled (RETENTION_DAYS not set)');
+      return;
+    }
+
+    const run = () => purge(this.findExpired()).catch(error => console.error('Retention run failed:', error));
+    console.log(`Retention policy: ${this.mode} archived cases after ${this.retentionDays} day(s), checked every ${this.intervalMs / 3600000} hour(s)`);
+
+    run();
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Files in the upload, temp and review directories without a matching record.
+  // Nothing is being processed at startup, so every temp file is a leftover.
+  async findOrphanedFiles({ uploadsDir, tempDir, reviewDir }) {
+    const documents = this.store.listDocuments();
+    const referenced = new Set(documents.filter(doc => doc.filepath).map(doc => path.basename(doc.filepath)));
+    const documentIds = new Set(documents.map(doc => doc.id));
+
+    const uploads = (await listDirectory(uploadsDir))
+      .filter(entry => entry.isFile() && !referenced.has(entry.name))
+      .map(entry => path.join(uploadsDir, entry.name));
+
+    // An empty store next to a full uploads directory usually means DATA_DIR points at the
+    // wrong place, not that every upload is orphaned
+    if (documents.length === 0 && uploads.length > 0) {
+      console.warn(`Orphan sweep skipped for ${uploadsDir}: the document store is empty but the directory has ${uploads.length} file(s). Check DATA_DIR.`);
+      uploads.length = 0;
+    }
+
+    const temp = (await listDirectory(tempDir))
+      .filter(entry => entry.isFile())
+      .map(entry => path.join(tempDir, entry.name));
+
+    const reviews = (await listDirectory(reviewDir))
+      .filter(entry => entry.isDirectory() && !documentIds.has(entry.name))
+      .map(entry => path.join(reviewDir, entry.name));
+
+    return { uploads, temp, reviews };
+  }
+}
+
+async function listDirectory(dirPath) {
+  try {
+    return await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,647 @@
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { readDecryptedFile } from './encryption.js';
+import { DOCUMENT_TYPES } from './documentTypes.js';
+
+// Header labels seen in Indonesian bank exports (KlikBCA, Mandiri MCM/Livin',
+// BNI Direct, BRI CMS) and generic English exports. Labels are compared after
+// lower-casing and collapsing punctuation, longest match first.
+const COLUMN_SYNONYMS = {
+  date: ['tanggal transaksi', 'tgl transaksi', 'tanggal', 'tgl', 'transaction date', 'posting date', 'post date', 'date', 'tanggal posting'],
+  description: ['uraian transaksi', 'keterangan', 'uraian', 'deskripsi', 'description', 'transaction details', 'remarks', 'remark', 'narrative'],
+  debit: ['mutasi debet', 'mutasi debit', 'debet', 'debit', 'penarikan', 'withdrawal', 'dana keluar', 'keluar'],
+  credit: ['mutasi kredit', 'kredit', 'credit', 'setoran', 'deposit', 'dana masuk', 'masuk'],
+  amount: ['jumlah', 'nominal', 'mutasi', 'amount', 'nilai'],
+  direction: ['db cr', 'd k', 'dk', 'tipe', 'jenis', 'type', 'cr db'],
+  balance: ['saldo akhir', 'saldo', 'balance', 'running balance', 'ending balance']
+};
+
+// Identifies the bank from the file name or the rows above the header
+const BANK_LAYOUTS = [
+  { code: 'bca', bank: 'BCA', keywords: ['bank central asia', 'klikbca', 'bca'] },
+  { code: 'mandiri', bank: 'Bank Mandiri', keywords: ['bank mandiri', 'mandiri'] },
+  { code: 'bni', bank: 'BNI', keywords: ['bank negara indonesia', 'bni'] },
+  { code: 'bri', bank: 'BRI', keywords: ['bank rakyat indonesia', 'bri'] }
+];
+
+const MONTHS = {
+  jan: 1, januari: 1, january: 1,
+  feb: 2, februari: 2, february: 2, peb: 2,
+  mar: 3, maret: 3, march: 3,
+  apr: 4, april: 4,
+  mei: 5, may: 5,
+  jun: 6, juni: 6, june: 6,
+  jul: 7, juli: 7, july: 7,
+  agu: 8, agt: 8, agus: 8, agustus: 8, aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  okt: 10, oct: 10, oktober: 10, october: 10,
+  nov: 11, nop: 11, november: 11, nopember: 11,
+  des: 12, dec: 12, desember: 12, december: 12
+};
+
+const DEBIT_MARKERS = ['d', 'db', 'dr', 'debit', 'debet'];
+const CREDIT_MARKERS = ['k', 'c', 'cr', 'kredit', 'credit'];
+
+// Parses bank mutation exports (.csv/.xlsx) straight into the
+// `financialInfo.bankStatements[].transactions` shape, without the models.
+// Columns are found from header labels unless a saved per-bank mapping
+// profile (store collection `bankProfiles`) applies to the file.
+export class SpreadsheetImporter {
+  constructor(store) {
+    this.store = store;
+    this.headerSearchRows = 30;
+  }
+
+  getFormat(filename, mimeType) {
+    const extension = path.extname(filename || '').toLowerCase();
+    if (extension === '.csv' || mimeType === 'text/csv') {
+      return 'csv';
+    }
+    if (extension === '.xlsx' || mimeType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+      return 'xlsx';
+    }
+    return null;
+  }
+
+  supports(filename, mimeType) {
+    return this.getFormat(filename, mimeType) !== null;
+  }
+
+  async import(filePath, { filename, mimeType, profileId = null }) {
+    const format = this.getFormat(filename, mimeType);
+
+    try {
+      const sheets = format === 'csv'
+        ? [{ name: filename, rows: this.parseCsv(await readDecryptedFile(filePath, 'utf8')) }]
+        : await this.readWorkbook(filePath);
+
+      const statements = [];
+      let accountName = null;
+      let profileUsed = null;
+      let skippedRows = 0;
+
+      for (const sheet of sheets) {
+        const parsed = this.parseSheet(sheet.rows, { filename, profileId });
+        if (!parsed) {
+          console.log(`No transaction table found in sheet "${sheet.name}"`);
+          continue;
+        }
+
+        statements.push(parsed.statement);
+        accountName = accountName || parsed.accountName;
+        profileUsed = profileUsed || parsed.profileId;
+        skippedRows += parsed.skippedRows;
+      }
+
+      if (statements.length === 0) {
+        throw new Error('No transaction table found. Expected a header row with date, description and amount (or debit/credit) columns');
+      }
+
+      const transactionCount = statements.reduce((count, statement) => count + statement.transactions.length, 0);
+      console.log(`Imported ${transactionCount} transaction(s) from ${filename} (${format}${profileUsed ? `, profile ${profileUsed}` : ''})`);
+
+      return {
+        documentType: DOCUMENT_TYPES.BANK_STATEMENT,
+        companyInfo: { name: accountName },
+        personalInfo: { individuals: [] },
+        financialInfo: {
+          profitLoss: {},
+          balanceSheet: {},
+          bankStatements: statements,
+          creditInfo: { creditHistory: [] },
+          cashFlow: {}
+        },
+        extractionDate: new Date().toISOString(),
+        sourceFile: filename,
+        sourceFormat: format,
+        extractionPath: 'spreadsheet',
+        bankProfile: profileUsed,
+        skippedRows,
+        confidence: 1.0
+      };
+    } catch (error) {
+      console.error('Spreadsheet import error:', error);
+      throw new Error(`Failed to import bank statement spreadsheet: ${error.message}`, { cause: error });
+    }
+  }
+
+  async readWorkbook(filePath) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await readDecryptedFile(filePath));
+
+    return workbook.worksheets.map(worksheet => {
+      const rows = [];
+      worksheet.eachRow({ includeEmpty: false }, row => {
+        const values = [];
+        row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+          values[columnNumber - 1] = this.getCellValue(cell.value);
+        });
+        rows.push(Array.from(values, value => value ?? ''));
+      });
+      return { name: worksheet.name, rows };
+    });
+  }
+
+  getCellValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (value instanceof Date || typeof value !== 'object') {
+      return value;
+    }
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if ('result' in value) {
+      return this.getCellValue(value.result);
+    }
+    return value.text ?? '';
+  }
+
+  // RFC 4180 parsing with the delimiter guessed from the first lines (Indonesian
+  // Excel installs export with `;` because `,` is the decimal separator)
+  parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const delimiter = this.detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+  }
+
+  detectDelimiter(text) {
+    const sample = text.split(/\r?\n/).slice(0, 20).join('\n');
+    const candidates = [',', ';', '\t', '|'];
+    const counts = candidates.map(delimiter => sample.split(delimiter).length - 1);
+    return candidates[counts.indexOf(Math.max(...counts))];
+  }
+
+  normalizeLabel(value) {
+    return String(value ?? '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  detectBank(filename, preambleRows) {
+    const haystack = ` ${this.normalizeLabel([filename, ...preambleRows.flat()].join(' '))} `;
+    return BANK_LAYOUTS.find(layout =>
+      layout.keywords.some(keyword => haystack.includes(` ${keyword} `))
+    ) || null;
+  }
+
+  // Picks the row that names the most known columns; it needs a date and some amount column
+  findHeader(rows) {
+    let best = null;
+
+    rows.slice(0, this.headerSearchRows).forEach((row, rowIndex) => {
+      const columns = this.matchColumns(row.map(cell => this.normalizeLabel(cell)));
+      const hasAmount = columns.amount !== undefined || columns.debit !== undefined || columns.credit !== undefined;
+      const score = Object.keys(columns).length;
+
+      if (columns.date !== undefined && hasAmount && (!best || score > best.score)) {
+        best = { rowIndex, columns, score };
+      }
+    });
+
+    return best;
+  }
+
+  matchColumns(labels) {
+    const columns = {};
+    const candidates = Object.entries(COLUMN_SYNONYMS)
+      .flatMap(([field, synonyms]) => synonyms.map(synonym => ({ field, synonym })))
+      .sort((a, b) => b.synonym.length - a.synonym.length);
+
+    // Exact label matches win over labels that merely contain a synonym
+    for (const exact of [true, false]) {
+      for (const { field, synonym } of candidates) {
+        if (columns[field] !== undefined) {
+          continue;
+        }
+        const index = labels.findIndex((label, labelIndex) =>
+          label && !Object.values(columns).includes(labelIndex) &&
+          (exact ? label === synonym : ` ${label} `.includes(` ${synonym} `))
+        );
+        if (index !== -1) {
+          columns[field] = index;
+        }
+      }
+    }
+
+    return columns;
+  }
+
+  // A saved profile maps fields to header labels; it applies when all of its labels are on one row
+  findProfileHeader(rows, profile) {
+    const wanted = Object.entries(profile.columns).filter(([, label]) => label);
+
+    for (let rowIndex = 0; rowIndex < Math.min(rows.length, this.headerSearchRows); rowIndex++) {
+      const labels = rows[rowIndex].map(cell => this.normalizeLabel(cell));
+      const columns = {};
+
+      for (const [field, label] of wanted) {
+        const index = labels.indexOf(this.normalizeLabel(label));
+        if (index === -1) {
+          break;
+        }
+        columns[field] = index;
+      }
+
+      if (Object.keys(columns).length === wanted.length) {
+        return { rowIndex, columns };
+      }
+    }
+
+    return null;
+  }
+
+  selectProfile(rows, bank, profileId) {
+    const profiles = this.store.listBankProfiles();
+    const ordered = [
+      ...profiles.filter(profile => profile.id === profileId),
+      ...profiles.filter(profile => profile.id !== profileId && bank && profile.id === bank.code),
+      ...profiles.filter(profile => profile.id !== profileId && (!bank || profile.id !== bank.code))
+    ];
+
+    for (const profile of ordered) {
+      const header = this.findProfileHeader(rows, profile);
+      if (header) {
+        return { profile, header };
+      }
+    }
+
+    if (profileId) {
+      console.warn(`Bank profile ${profileId} does not match the file headers, falling back to column heuristics`);
+    }
+    return null;
+  }
+
+  parseSheet(rows, { filename, profileId }) {
+    const headerGuess = this.findHeader(rows);
+    const preambleRows = rows.slice(0, headerGuess ? headerGuess.rowIndex : Math.min(rows.length, 10));
+    const bank = this.detectBank(filename, preambleRows);
+
+    const selected = this.selectProfile(rows, bank, profileId);
+    const header = selected?.header || headerGuess;
+    if (!header) {
+      return null;
+    }
+
+    const labels = rows[header.rowIndex];
+    const { columns } = header;
+
+    // KlikBCA puts the CR/DB marker in an unlabelled column right after Jumlah
+    if (columns.amount !== undefined && columns.direction === undefined && !String(labels[columns.amount + 1] ?? '').trim()) {
+      columns.direction = columns.amount + 1;
+    }
+
+    const metadata = this.readMetadata(rows.slice(0, header.rowIndex));
+    const dayFirst = selected?.profile.dateOrder !== 'mdy';
+    const transactions = [];
+    let skippedRows = 0;
+    let lastBalance = null;
+
+    for (const row of rows.slice(header.rowIndex + 1)) {
+      const cell = field => columns[field] !== undefined ? row[columns[field]] : undefined;
+      const description = String(cell('description') ?? '').trim();
+
+      // Summary lines below the table (Saldo Awal, Mutasi Debet, Saldo Akhir, ...)
+      const summary = this.readSummaryRow(row);
+      if (summary) {
+        metadata[summary.field] = summary.value;
+        continue;
+      }
+      if (/^(mutasi (kredit|debet|debit)|total)\b/i.test(String(row[0] ?? '').trim())) {
+        continue;
+      }
+
+      const date = this.parseDate(cell('date'), { dayFirst, year: metadata.year });
+      const entry = this.readAmount(cell);
+
+      if (!date || !entry) {
+        if (/saldo awal|opening balance|beginning balance/i.test(description)) {
+          metadata.openingBalance = this.parseAmount(cell('balance'))?.value ?? metadata.openingBalance;
+        } else if (row.some(value => String(value).trim())) {
+          skippedRows++;
+        }
+        continue;
+      }
+
+      const balance = this.parseAmount(cell('balance'))?.value ?? null;
+      if (balance !== null) {
+        lastBalance = balance;
+      }
+
+      transactions.push({
+        date,
+        description,
+        amount: entry.amount,
+        type: entry.type,
+        balance
+      });
+    }
+
+    if (transactions.length === 0) {
+      return null;
+    }
+
+    const dates = transactions.map(transaction => transaction.date).sort();
+    const totalCredits = transactions.filter(t => t.type === 'credit').reduce((sum, t) => sum + t.amount, 0);
+    const totalDebits = transactions.filter(t => t.type === 'debit').reduce((sum, t) => sum + t.amount, 0);
+    const openingBalance = metadata.openingBalance ?? null;
+    const closingBalance = metadata.closingBalance ?? lastBalance ??
+      (openingBalance !== null ? openingBalance + totalCredits - totalDebits : null);
+
+    return {
+      statement: {
+        bank: bank?.bank || selected?.profile.bank || null,
+        accountNumber: metadata.accountNumber || null,
+        accountType: metadata.accountType || null,
+        currency: metadata.currency || 'IDR',
+        period: metadata.period || `${dates[0]} to ${dates[dates.length - 1]}`,
+        openingBalance,
+        closingBalance,
+        balance: closingBalance ?? 0,
+        transactions,
+        columnMapping: Object.fromEntries(
+          Object.entries(columns).map(([field, index]) => [field, String(labels[index] ?? '').trim()]).filter(([, label]) => label)
+        )
+      },
+      accountName: metadata.accountName || null,
+      profileId: selected?.profile.id || null,
+      skippedRows
+    };
+  }
+
+  readMetadata(preambleRows) {
+    const metadata = {};
+
+    for (const row of preambleRows) {
+      const cells = row.map(cell => String(cell ?? '').trim()).filter(Boolean);
+      const line = cells.join(' ');
+      const valueAfter = pattern => {
+        const index = cells.findIndex(cell => pattern.test(cell));
+        if (index === -1) {
+          return null;
+        }
+        const inline = cells[index].replace(pattern, '').replace(/^[\s:.-]+/, '').trim();
+        return inline || (cells[index + 1] || '').replace(/^[\s:]+/, '').trim() || null;
+      };
+
+      const accountNumber = valueAfter(/^(no\.?\s*rek(ening)?|nomor rekening|account\s*(no\.?|number))/i);
+      if (accountNumber && !metadata.accountNumber) {
+        metadata.accountNumber = accountNumber.replace(/[^\d-]/g, '') || accountNumber;
+      }
+
+      const accountName = valueAfter(/^(nama(\s*rekening|\s*nasabah)?|account\s*name)\b/i);
+      if (accountName && !metadata.accountName) {
+        metadata.accountName = accountName;
+      }
+
+      const period = valueAfter(/^(periode|period)\b/i);
+      if (period && !metadata.period) {
+        metadata.period = period;
+        metadata.year = Number(period.match(/\b(19|20)\d{2}\b/)?.[0]) || undefined;
+      }
+
+      const currency = valueAfter(/^(mata uang|currency)\b/i);
+      if (currency && !metadata.currency) {
+        metadata.currency = currency.toUpperCase();
+      }
+
+      if (/giro|tabungan|current account|savings/i.test(line) && !metadata.accountType) {
+        metadata.accountType = line.match(/giro|tabungan|current account|savings/i)[0];
+      }
+
+      const summary = this.readSummaryRow(row);
+      if (summary) {
+        metadata[summary.field] = summary.value;
+      }
+    }
+
+    return metadata;
+  }
+
+  readSummaryRow(row) {
+    const cells = row.map(cell => String(cell ?? '').trim()).filter(Boolean);
+    const labelIndex = cells.findIndex(cell => /^(saldo awal|opening balance|saldo akhir|closing balance|ending balance)\b/i.test(cell));
+    if (labelIndex === -1) {
+      return null;
+    }
+
+    const field = /awal|opening/i.test(cells[labelIndex]) ? 'openingBalance' : 'closingBalance';
+    const inline = cells[labelIndex].replace(/^[^:]*:?/, '').trim();
+    const amount = this.parseAmount(inline) || cells.slice(labelIndex + 1).map(cell => this.parseAmount(cell)).find(Boolean);
+    return amount ? { field, value: amount.value } : null;
+  }
+
+  // Debit/credit column pairs, an amount plus a D/K column, an amount with a CR/DB suffix, or a signed amount
+  readAmount(cell) {
+    const debit = this.parseAmount(cell('debit'));
+    const credit = this.parseAmount(cell('credit'));
+
+    if (credit && credit.value !== 0) {
+      return { amount: Math.abs(credit.value), type: 'credit' };
+    }
+    if (debit && debit.value !== 0) {
+      return { amount: Math.abs(debit.value), type: 'debit' };
+    }
+
+    const amount = this.parseAmount(cell('amount'));
+    if (!amount || amount.value === 0) {
+      return null;
+    }
+
+    const direction = this.normalizeLabel(cell('direction'));
+    let type = amount.direction;
+    if (DEBIT_MARKERS.includes(direction)) {
+      type = 'debit';
+    } else if (CREDIT_MARKERS.includes(direction)) {
+      type = 'credit';
+    }
+
+    return {
+      amount: Math.abs(amount.value),
+      type: type || (amount.value < 0 ? 'debit' : 'credit')
+    };
+  }
+
+  // Handles 1.234.567,89 (Indonesian), 1,234,567.89, Rp prefixes, (negatives) and CR/DB suffixes
+  parseAmount(raw) {
+    if (typeof raw === 'number') {
+      return Number.isFinite(raw) ? { value: raw, direction: null } : null;
+    }
+
+    let text = String(raw ?? '').trim();
+    if (!text || text === '-') {
+      return null;
+    }
+
+    let direction = null;
+    const marker = text.match(/\s*\b(CR|DB|DR|K|D)\.?$/i);
+    if (marker) {
+      direction = ['cr', 'k'].includes(marker[1].toLowerCase()) ? 'credit' : 'debit';
+      text = text.slice(0, marker.index);
+    }
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+      negative = true;
+      text = text.slice(1, -1);
+    }
+    text = text.replace(/^(rp\.?|idr)\s*/i, '').replace(/\s/g, '');
+    if (text.startsWith('-')) {
+      negative = true;
+      text = text.slice(1);
+    } else if (text.endsWith('-')) {
+      negative = true;
+      text = text.slice(0, -1);
+    }
+
+    if (!/^[\d.,]+$/.test(text) || !/\d/.test(text)) {
+      return null;
+    }
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    let normalized;
+
+    if (lastComma !== -1 && lastDot !== -1) {
+      normalized = lastComma > lastDot
+        ? text.replace(/\./g, '').replace(',', '.')
+        : text.replace(/,/g, '');
+    } else if (lastComma !== -1) {
+      normalized = /^\d{1,3}(,\d{3})+$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+    } else if (lastDot !== -1) {
+      normalized = /^\d{1,3}(\.\d{3})+$/.test(text) ? text.replace(/\./g, '') : text;
+    } else {
+      normalized = text;
+    }
+
+    const value = Number(normalized);
+    if (!Number.isFinite(value)) {
+      return null;
+    }
+
+    return { value: negative ? -value : value, direction };
+  }
+
+  // Returns YYYY-MM-DD. Numeric dates are read day first unless the profile says otherwise.
+  parseDate(raw, { dayFirst = true, year } = {}) {
+    if (raw instanceof Date) {
+      return Number.isNaN(raw.getTime()) ? null : raw.toISOString().slice(0, 10);
+    }
+
+    // Exports prefix dates with ' so spreadsheet programs keep them as text
+    const text = String(raw ?? '').trim().replace(/^'/, '').toLowerCase();
+    if (!text) {
+      return null;
+    }
+
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (iso) {
+      return this.formatDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+    }
+
+    const numeric = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2,4}))?\b/);
+    if (numeric) {
+      let [first, second] = [Number(numeric[1]), Number(numeric[2])];
+      if (!dayFirst || second > 12) {
+        [first, second] = [second, first];
+      }
+      return this.formatDate(this.expandYear(numeric[3], year), second, first);
+    }
+
+    const named = text.match(/^(\d{1,2})[\s-]+([a-z]+)\.?[\s-]*(\d{2,4})?/);
+    if (named && MONTHS[named[2]]) {
+      return this.formatDate(this.expandYear(named[3], year), MONTHS[named[2]], Number(named[1]));
+    }
+
+    return null;
+  }
+
+  expandYear(value, fallbackYear) {
+    if (!value) {
+      return fallbackYear || new Date().getFullYear();
+    }
+    const number = Number(value);
+    return number < 100 ? 2000 + number : number;
+  }
+
+  formatDate(year, month, day) {
+    if (month < 1 || month > 12 || day < 1 || day > 31) {
+      return null;
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  // Validates a mapping profile sent to PUT /bank-profiles/:id
+  buildProfile(id, { bank, columns, date_order }) {
+    const profileId = this.normalizeLabel(id).replace(/\s+/g, '-');
+    if (!profileId) {
+      throw new Error('Profile id is required');
+    }
+    if (!columns || typeof columns !== 'object') {
+      throw new Error('columns must map fields to header labels');
+    }
+
+    const unknownFields = Object.keys(columns).filter(field => !COLUMN_SYNONYMS[field]);
+    if (unknownFields.length > 0) {
+      throw new Error(`Unknown column fields: ${unknownFields.join(', ')}. Allowed: ${Object.keys(COLUMN_SYNONYMS).join(', ')}`);
+    }
+    if (!columns.date || !(columns.amount || columns.debit || columns.credit)) {
+      throw new Error('columns must include date and amount (or debit/credit)');
+    }
+    if (date_order && !['dmy', 'mdy'].includes(date_order)) {
+      throw new Error('date_order must be dmy or mdy');
+    }
+
+    const layout = BANK_LAYOUTS.find(candidate => candidate.code === profileId);
+    return {
+      id: profileId,
+      bank: bank || layout?.bank || id,
+      columns: Object.fromEntries(
+        Object.entries(columns).filter(([, label]) => label).map(([field, label]) => [field, String(label).trim()])
+      ),
+      dateOrder: date_order || 'dmy'
+    };
+  }
+}
@@ -0,0 +1,58 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileRuns } from '../services/consensus.js';
+
+// Reconciling several extraction runs of the same page
+
+const run = (revenue, transactions, confidence = 0.9) => ({
+  documentType: 'Bank Statement',
+  confidence,
+  companyInfo: { name: 'PT Sumber Makmur' },
+  personalInfo: { individuals: [] },
+  financialInfo: {
+    profitLoss: { revenue },
+    bankStatements: [{ accountNumber: '123', transactions }]
+  },
+  documentDetails: {}
+});
+
+const row = (amount, description = 'Transfer') => ({ amount, description, type: 'credit' });
+
+describe('extraction consensus', () => {
+  test('takes the majority, falls back to the median and flags disagreements', () => {
+    const result = reconcileRuns([
+      run(1500000, [row(100), row(250)], 0.8),
+      run(1500000, [row(100), row(205)], 0.9),
+      run(150000, [row(100), row(250)], 0.95)
+    ]);
+
+    assert.equal(result.financialInfo.profitLoss.revenue, 1500000);
+    assert.deepEqual(result.financialInfo.bankStatements[0].transactions, [row(100), row(250)]);
+    assert.equal(result.confidence, 0.9);
+    assert.deepEqual(Object.keys(result.consensus.disagreements), [
+      'financialInfo.profitLoss.revenue',
+      'financialInfo.bankStatements.0.transactions.1.amount'
+    ]);
+    assert.equal(result.consensus.disagreements['financialInfo.profitLoss.revenue'].agreement, 0.67);
+
+    // Three different readings: the median, which one run did read
+    const split = reconcileRuns([run(300, []), run(100, []), run(200, [])]);
+    assert.equal(split.financialInfo.profitLoss.revenue, 200);
+    assert.deepEqual(split.consensus.disagreements['financialInfo.profitLoss.revenue'], {
+      values: [300, 100, 200], chosen: 200, method: 'median', agreement: 0.33
+    });
+  });
+
+  test('matches list items among the runs that found the usual number of rows', () => {
+    const result = reconcileRuns([
+      run(10, [row(100), row(250)]),
+      run(10, [row(250)]),
+      run(10, [row(100), row(250)]),
+      { ...run(null, []), parseError: 'Response is not a JSON object' }
+    ]);
+
+    assert.deepEqual(result.financialInfo.bankStatements[0].transactions, [row(100), row(250)]);
+    assert.deepEqual(result.consensus.disagreements, {});
+    assert.deepEqual({ runs: result.consensus.runs, usableRuns: result.consensus.usableRuns }, { runs: 4, usableRuns: 3 });
+  });
+});
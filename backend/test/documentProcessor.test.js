@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { DocumentProcessor } from '../services/documentProcessor.js';
+
+// Preparing Word files whose embedded pictures cannot be read
+
+test('keeps the text of a Word file with pictures it cannot decode', async () => {
+  const zip = new JSZip();
+  zip.file('word/document.xml', '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+    + '<w:body><w:p><w:r><w:t>Neraca per 31 Desember 2024</w:t></w:r></w:p></w:body></w:document>');
+  zip.file('word/media/image1.png', Buffer.from('not really a png'));
+  zip.file('word/media/image2.bmp', Buffer.concat([Buffer.from('BM'), Buffer.alloc(64)]));
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'credit-analysis-docx-'));
+  const filePath = path.join(dir, 'neraca.docx');
+  try {
+    await fs.writeFile(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+
+    const { parts } = await new DocumentProcessor().prepareDocx(filePath);
+
+    assert.deepEqual(parts.map(part => part.extractionPath), ['text']);
+    assert.match(parts[0].text, /Neraca per 31 Desember 2024/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,155 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ADMIN_PASSWORD = 'integration-test-password';
+
+export const VISION_MODEL = 'qwen2.5vl:7b';
+export const ANALYSIS_MODEL = 'deepseek-r1:8b';
+
+// Starts backend/server.js in a child process against `ollamaUrl`, with its own data
+// directory (holding its uploads and temp files too), and signs in as the admin. Job and
+// request retries are kept short so tests that script a failure do not wait for the
+// production back-off.
+export async function startBackend(ollamaUrl, env = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'credit-analysis-test-'));
+  const port = await findFreePort();
+  const logs = [];
+
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      DATA_DIR: dataDir,
+      UPLOADS_DIR: path.join(dataDir, 'uploads'),
+      TEMP_DIR: path.join(dataDir, 'temp'),
+      PORT: String(port),
+      ADMIN_PASSWORD,
+      OLLAMA_URL: ollamaUrl,
+      IMAGE_PREPROCESSING_STEPS: '',
+      JOB_RETRY_BASE_DELAY_MS: '100',
+      LLM_RETRY_BASE_DELAY_MS: '50',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => logs.push(chunk.toString()));
+  child.stderr.on('data', chunk => logs.push(chunk.toString()));
+
+  const backend = {
+    url: `http://127.0.0.1:${port}`,
+    token: null,
+    logs,
+
+    async request(method, route, body) {
+      const response = await fetch(`${this.url}${route}`, {
+        method,
+        headers: {
+          ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+          ...(body && !(body instanceof FormData) ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body instanceof FormData ? body : body ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, body: await response.json() };
+    },
+
+    async upload(files) {
+      const form = new FormData();
+      for (const file of files) {
+        form.append('documents', new Blob([file.content], { type: file.type }), file.name);
+      }
+      const { status, body } = await this.request('POST', '/upload', form);
+      if (status !== 200) {
+        throw new Error(`Upload failed with ${status}: ${body.error}`);
+      }
+      return body.document_ids;
+    },
+
+    // Queues a document and waits until it is completed or has failed
+    async process(documentId, timeoutMs = 20000) {
+      const { status, body } = await this.request('POST', `/process/${documentId}`, {});
+      if (status !== 200) {
+        throw new Error(`Process failed with ${status}: ${body.error}`);
+      }
+      return this.waitForStatus(documentId, ['completed', 'error'], timeoutMs);
+    },
+
+    async waitForStatus(documentId, statuses, timeoutMs) {
+      const deadline = Date.now() + timeoutMs;
+      for (;;) {
+        const { body } = await this.request('GET', `/status/${documentId}`);
+        if (statuses.includes(body.status)) {
+          return body;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Document ${documentId} still ${body.status} after ${timeoutMs}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    },
+
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill();
+        await exited;
+      }
+      await fs.rm(dataDir, { recursive: true, force: true });
+    }
+  };
+
+  try {
+    await waitForOutput(child, logs, `Server running on port ${port}`, 20000);
+    const { status, body } = await backend.request('POST', '/auth/login', { username: 'admin', password: ADMIN_PASSWORD });
+    if (status !== 200) {
+      throw new Error(`Login failed with ${status}: ${body.error}`);
+    }
+    backend.token = body.token;
+  } catch (error) {
+    await backend.stop();
+    throw new Error(`Backend did not start: ${error.message}\n${logs.join('')}`, { cause: error });
+  }
+
+  return backend;
+}
+
+// A blank page, standing in for a scan; the scripted model replies decide what it "contains"
+export async function createPageImage() {
+  return sharp({ create: { width: 400, height: 560, channels: 3, background: '#ffffff' } }).png().toBuffer();
+}
+
+async function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+function waitForOutput(child, logs, text, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => finish(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    const check = () => logs.join('').includes(text) && finish();
+    const onExit = code => finish(new Error(`Server exited with code ${code}`));
+
+    function finish(error) {
+      clearTimeout(timer);
+      child.stdout.off('data', check);
+      child.off('exit', onExit);
+      error ? reject(error) : resolve();
+    }
+
+    child.stdout.on('data', check);
+    child.once('exit', onExit);
+    check();
+  });
+}
@@ -0,0 +1,77 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSectionDigests, describeOmitted, renderWithinBudget } from '../services/insightSections.js';
+import { DocumentProcessor } from '../services/documentProcessor.js';
+import { renderTemplate } from '../services/promptRegistry.js';
+
+// Compact section inputs for the staged credit insights, and keeping prompts within budget
+
+const transaction = (day, type, amount, description = 'Transfer') => ({
+  date: `2024-03-${String(day).padStart(2, '0')}`, description, amount, type, balance: 1000000 + day
+});
+
+const bankStatement = {
+  documentType: 'Bank Statement',
+  sourceFile: 'mutasi-maret.pdf',
+  confidence: 0.9,
+  companyInfo: { name: 'PT Sumber Makmur' },
+  financialInfo: {
+    bankStatements: [{
+      accountNumber: '123',
+      period: 'March 2024',
+      openingBalance: 900000,
+      closingBalance: 1000030,
+      transactions: [
+        ...Array.from({ length: 30 }, (_, index) => transaction(index + 1, index % 2 ? 'debit' : 'credit', (index + 1) * 1000)),
+        transaction(15, 'credit', 500000, 'TOLAKAN KLIRING')
+      ]
+    }]
+  }
+};
+
+const digestsOf = allExtractedData => buildSectionDigests(allExtractedData, new DocumentProcessor().groupFinancialDocuments(allExtractedData));
+
+describe('credit insight sections', () => {
+  test('summarises bank statements without their transactions', () => {
+    const digests = digestsOf([bankStatement]);
+
+    assert.equal(digests.businessProfile, null);
+    assert.equal(digests.profitLoss, null);
+    assert.equal(digests.creditHistory, null);
+
+    const bank = digests.bankBehaviour;
+    assert.equal(bank.returnedItems, 1);
+    assert.deepEqual(bank.statements, [{
+      accountNumber: '123',
+      period: 'March 2024',
+      openingBalance: 900000,
+      closingBalance: 1000030,
+      lowestBalance: 1000001,
+      credits: 725000,
+      creditCount: 16,
+      debits: 240000,
+      debitCount: 15
+    }]);
+    assert.deepEqual(bank.largestCredits.map(item => item.amount), [500000, 29000, 27000, 25000, 23000]);
+    assert.ok(!JSON.stringify(bank).includes('2024-03-02'));
+  });
+
+  test('drops the least significant entries to fit the budget, and fails when it cannot', () => {
+    const template = 'DATA {{digest}}{{#omitted}} LEFT OUT {{omitted}}{{/omitted}}';
+    const render = (digest, omitted) => ({
+      text: renderTemplate(template, { digest: JSON.stringify(digest), omitted: describeOmitted(omitted) }),
+      prompt: { id: 'insights-test', version: 1, hash: 'hash' }
+    });
+    const input = { periods: ['FY 2024 audited', 'FY 2023 audited', 'FY 2022 audited', 'FY 2021 audited'], notes: ['a'] };
+
+    const { prompt, input: trimmed, budget } = renderWithinBudget(render, input, 30);
+
+    assert.deepEqual(trimmed, { periods: ['FY 2024 audited', 'FY 2023 audited'], notes: ['a'] });
+    assert.deepEqual(budget.omitted, { periods: 2 });
+    assert.ok(budget.estimatedTokens <= 30);
+    assert.match(prompt.text, /LEFT OUT periods: 2$/);
+    assert.equal(input.periods.length, 4);
+
+    assert.throws(() => renderWithinBudget(render, input, 10), error => error.code === 'CONTEXT_BUDGET_EXCEEDED');
+  });
+});
@@ -0,0 +1,397 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockOllama } from '../tools/mockOllama.js';
+import { ANALYSIS_MODEL, VISION_MODEL, createPageImage, startBackend } from './helpers.js';
+
+// Upload -> process -> recommend against the mock Ollama, with scripted model replies
+
+const CLASSIFICATION_PROMPT = 'You are sorting the pages of a scanned loan dossier';
+const BALANCE_SHEET_PROMPT = 'This image is a page of a Balance Sheet';
+const SECTION_PROMPT = 'You are a credit analyst preparing one section of a loan review';
+const INSIGHTS_PROMPT = 'You are a senior credit analyst';
+const REPAIR_PROMPT = 'YOUR PREVIOUS REPLY DID NOT MATCH THE REQUIRED JSON STRUCTURE';
+
+const classification = {
+  documentType: 'Balance Sheet',
+  startsNewDocument: true,
+  period: '2024',
+  accountNumber: null,
+  confidence: 0.95
+};
+
+const balanceSheet = {
+  companyName: 'PT Sumber Makmur',
+  currency: 'IDR',
+  asOfDate: '2024-12-31',
+  cashAndEquivalents: 1200000000,
+  currentAssets: 4500000000,
+  totalAssets: 12000000000,
+  currentLiabilities: 2000000000,
+  longTermLiabilities: 3000000000,
+  totalLiabilities: 5000000000,
+  equity: 7000000000,
+  confidence: 0.92
+};
+
+const balanceSheetSummary = {
+  summary: 'Equity of 7.0bn covers 58% of total assets of 12.0bn; current ratio 2.25.',
+  strengths: ['Low leverage'],
+  concerns: ['Single balance sheet date'],
+  dataGaps: ['No earlier balance sheet']
+};
+
+const text = value => ({ companyProfile: value, industryAnalysis: value, managementAssessment: value, businessModelEvaluation: value });
+
+const insights = {
+  businessOverview: text('Established trading company'),
+  financialAnalysis: {
+    revenueAnalysis: 'Not available from a balance sheet alone',
+    profitabilityAssessment: 'Not assessed',
+    balanceSheetStrength: 'Equity covers 58% of assets',
+    cashFlowAnalysis: 'Not assessed',
+    debtCapacity: 'Moderate'
+  },
+  creditRiskAssessment: {
+    paymentHistoryEvaluation: 'No credit report provided',
+    debtRatios: 'Debt to equity 0.71',
+    liquidityPosition: 'Current ratio 2.25',
+    overallCreditworthiness: 'Adequate'
+  },
+  insights: {
+    keyStrengths: ['Strong equity base'],
+    keyWeaknesses: ['Single period only'],
+    riskFactors: ['No income statement'],
+    mitigationStrategies: ['Request profit and loss statements']
+  },
+  recommendation: { decision: 'conditional', reasoning: 'Sound balance sheet, limited history', conditions: ['Provide two years of P&L'] },
+  scoring: { creditScore: 690, riskRating: 'Medium', creditLimit: 1500000000, interestRate: 11.5, confidenceLevel: 0.7 },
+  summary: 'Conditional approval pending income statements'
+};
+
+// The happy path for one scanned balance sheet page; rules scripted before these win
+const standardRules = [
+  { match: { prompt: CLASSIFICATION_PROMPT }, response: classification },
+  { match: { prompt: BALANCE_SHEET_PROMPT }, response: balanceSheet },
+  { match: { prompt: SECTION_PROMPT }, response: balanceSheetSummary },
+  { match: { prompt: INSIGHTS_PROMPT }, response: insights }
+];
+
+describe('upload, process and recommend', () => {
+  let mock;
+  let backend;
+  let page;
+
+  before(async () => {
+    mock = new MockOllama({ models: [VISION_MODEL, ANALYSIS_MODEL] });
+    await mock.start();
+    backend = await startBackend(mock.url, { JOB_MAX_ATTEMPTS: '2' });
+    page = await createPageImage();
+  });
+
+  after(async () => {
+    await backend?.stop();
+    await mock?.stop();
+  });
+
+  beforeEach(() => mock.reset());
+
+  const uploadPage = async () => {
+    const [documentId] = await backend.upload([{ name: 'neraca-2024.png', type: 'image/png', content: page }]);
+    return documentId;
+  };
+
+  test('reports the mock models as available', async () => {
+    const { status, body } = await backend.request('GET', '/health');
+
+    assert.equal(status, 200, body.error);
+    assert.ok(body.models.every(item => item.available));
+  });
+
+  test('gives the same answer for an unknown username as for a wrong password', async () => {
+    const unknownUser = await backend.request('POST', '/auth/login', { username: 'nobody', password: 'guess' });
+    const wrongPassword = await backend.request('POST', '/auth/login', { username: 'admin', password: 'guess' });
+
+    assert.deepEqual(unknownUser, { status: 401, body: { error: 'Invalid username or password' } });
+    assert.deepEqual(wrongPassword, unknownUser);
+  });
+
+  test('allows browser requests only from the configured origins', async () => {
+    const allowOrigin = async origin => (await fetch(`${backend.url}/health`, { headers: { Origin: origin } }))
+      .headers.get('access-control-allow-origin');
+
+    assert.equal(await allowOrigin('http://localhost:5173'), 'http://localhost:5173');
+    assert.equal(await allowOrigin('https://attacker.example'), null);
+  });
+
+  test('extracts a classified page and turns it into a recommendation', async () => {
+    mock.script(standardRules);
+
+    const documentId = await uploadPage();
+    const result = await backend.process(documentId);
+
+    assert.equal(result.status, 'completed', result.error);
+    const data = result.extracted_data;
+    assert.equal(data.documentType, 'Balance Sheet');
+    assert.equal(data.companyInfo.name, 'PT Sumber Makmur');
+    assert.equal(data.financialInfo.balanceSheet.totalAssets, 12000000000);
+    assert.equal(data.pages[0].classifiedBy, 'model');
+    assert.equal(result.needs_review, undefined);
+    assert.deepEqual(data.prompts.map(prompt => prompt.id), ['page-classification', 'extraction-balance-sheet']);
+    assert.deepEqual(data.provenance['financialInfo.balanceSheet.totalAssets'], {
+      documentId, page: 1, boundingBox: null, confidence: 0.92, source: 'model', located: null
+    });
+
+    const visionRequests = mock.requests.filter(request => request.model === VISION_MODEL);
+    assert.equal(visionRequests.length, 2);
+    assert.ok(visionRequests.every(request => request.images === 1));
+
+    const { status, body } = await backend.request('POST', '/recommend', { document_ids: [documentId] });
+
+    assert.equal(status, 200, body.error);
+    assert.equal(body.score, 690);
+    assert.equal(body.recommendation, 'conditional');
+    assert.equal(body.riskLevel, 'medium');
+    assert.equal(body.creditLimit, 1500000000);
+    assert.ok(body.groupedFinancialData.balanceSheets.length > 0);
+    assert.equal(body.groupedFinancialData.balanceSheets[0].provenance.equity.page, 1);
+    assert.deepEqual(body.prompts.map(prompt => prompt.id), ['insights-balance-sheet', 'insights-synthesis']);
+
+    // Only the balance sheet section has data; the synthesis gets its summary, not the extraction
+    const [sectionRequest] = mock.requestsMatching(SECTION_PROMPT);
+    assert.equal(mock.requestsMatching(SECTION_PROMPT).length, 1);
+    assert.match(sectionRequest.prompt, /BALANCE SHEET DATA/);
+    assert.match(sectionRequest.prompt, /"currentRatio":2.25/);
+    const [insightsRequest] = mock.requestsMatching(INSIGHTS_PROMPT);
+    assert.equal(insightsRequest.model, ANALYSIS_MODEL);
+    assert.ok(insightsRequest.prompt.includes(balanceSheetSummary.summary));
+    assert.ok(!insightsRequest.prompt.includes('provenance'));
+
+    const stored = await backend.request('GET', `/recommendations/${body.recommendationId}`);
+    assert.equal(stored.status, 200);
+  });
+
+  test('serves the uploaded file that extracted values link back to', async () => {
+    const documentId = await uploadPage();
+
+    const response = await fetch(`${backend.url}/documents/${documentId}/file?access_token=${backend.token}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), page);
+  });
+
+  test('keeps the reasoning and raw model I/O behind a recommendation', async () => {
+    const reasoning = 'Equity covers most of the assets, but there is only one period to judge.';
+    mock.script([
+      { match: { prompt: INSIGHTS_PROMPT }, response: `<think>\n${reasoning}\n</think>\n\n${JSON.stringify(insights)}` },
+      ...standardRules
+    ]);
+
+    const documentId = await uploadPage();
+    await backend.process(documentId);
+    const { body: recommendation } = await backend.request('POST', '/recommend', { document_ids: [documentId] });
+    assert.equal(recommendation.score, 690);
+
+    const { status, body } = await backend.request('GET', `/recommendations/${recommendation.recommendationId}/model-traces`);
+    assert.equal(status, 200, body.error);
+    assert.deepEqual(body.traces.map(item => [item.kind, item.section]), [['insights_section', 'balanceSheet'], ['credit_insights', undefined]]);
+    const [section, trace] = body.traces;
+    assert.equal(section.calls[0].response, JSON.stringify(balanceSheetSummary));
+    assert.ok(section.budget.estimatedTokens <= section.budget.budgetTokens);
+    assert.equal(trace.model, ANALYSIS_MODEL);
+    assert.equal(trace.reasoning, reasoning);
+    assert.deepEqual(trace.options, { temperature: 0.2, topP: 0.9, maxTokens: 4000, contextTokens: 8192 });
+    assert.deepEqual(trace.budget.omitted, {});
+    assert.ok(trace.calls[0].prompt.includes(INSIGHTS_PROMPT));
+    assert.ok(trace.calls[0].response.startsWith('<think>'));
+
+    const extraction = await backend.request('GET', `/documents/${documentId}/model-traces`);
+    assert.equal(extraction.status, 200, extraction.body.error);
+    assert.deepEqual(extraction.body.traces.map(item => [item.kind, item.model, item.documentType]), [['image_extraction', VISION_MODEL, 'Balance Sheet']]);
+    assert.equal(extraction.body.traces[0].images.length, 1);
+    assert.equal(extraction.body.traces[0].reasoning, null);
+  });
+
+  test('votes on the figures of a page read several times in high-accuracy mode', async () => {
+    mock.script([
+      { match: { prompt: BALANCE_SHEET_PROMPT }, response: { ...balanceSheet, totalAssets: 1200000000 }, times: 1 },
+      ...standardRules
+    ]);
+
+    const documentId = await uploadPage();
+    const { status } = await backend.request('POST', `/process/${documentId}`, { high_accuracy: true });
+    assert.equal(status, 200);
+    const result = await backend.waitForStatus(documentId, ['completed', 'error'], 20000);
+
+    assert.equal(result.status, 'completed', result.error);
+    assert.equal(mock.requestsMatching(BALANCE_SHEET_PROMPT).length, 3);
+    assert.equal(result.extracted_data.financialInfo.balanceSheet.totalAssets, 12000000000);
+    assert.equal(result.needs_review, true);
+    assert.deepEqual(result.disputed_fields, [{
+      pageNumbers: [1],
+      path: 'financialInfo.balanceSheet.totalAssets',
+      values: [1200000000, 12000000000, 12000000000],
+      chosen: 12000000000,
+      method: 'majority',
+      agreement: 0.67
+    }]);
+    assert.deepEqual(result.extracted_data.provenance['financialInfo.balanceSheet.totalAssets'], {
+      documentId, page: 1, boundingBox: null, confidence: 0.616, source: 'model', located: null, agreement: 0.67
+    });
+    assert.equal(result.extracted_data.provenance['financialInfo.balanceSheet.equity'].agreement, 1);
+
+    const { body } = await backend.request('GET', `/documents/${documentId}/model-traces`);
+    assert.deepEqual(body.traces[0].consensus.temperatures, [0.1, 0.4, 0.7]);
+    assert.deepEqual(body.traces[0].calls.map(call => call.run), [1, 2, 3]);
+  });
+
+  test('lists an application\'s recommendations newest first', async () => {
+    mock.script(standardRules);
+    const documentId = await uploadPage();
+    assert.equal((await backend.process(documentId)).status, 'completed');
+
+    const { body: application } = await backend.request('POST', '/applications', {
+      applicant_name: 'PT Sumber Makmur', requested_amount: 1000000000, tenor_months: 12, purpose: 'Working capital'
+    });
+    await backend.request('POST', `/applications/${application.id}/documents`, { document_ids: [documentId] });
+    const recommendationIds = [];
+    for (let run = 0; run < 2; run++) {
+      const { status, body } = await backend.request('POST', '/recommend', { application_id: application.id });
+      assert.equal(status, 200, body.error);
+      recommendationIds.push(body.recommendationId);
+    }
+
+    const { body } = await backend.request('GET', `/applications/${application.id}`);
+    assert.deepEqual(body.recommendations.map(item => item.id), recommendationIds.reverse());
+  });
+
+  test('asks the model to repair a malformed reply', async () => {
+    mock.script([
+      { match: { prompt: BALANCE_SHEET_PROMPT }, failure: 'malformed_json', times: 1 },
+      ...standardRules
+    ]);
+
+    const result = await backend.process(await uploadPage());
+
+    assert.equal(result.status, 'completed', result.error);
+    assert.equal(result.extracted_data.financialInfo.balanceSheet.equity, 7000000000);
+    assert.equal(result.validation_errors, undefined);
+    assert.equal(mock.requestsMatching(REPAIR_PROMPT).length, 1);
+    assert.ok(result.extracted_data.prompts.some(prompt => prompt.id === 'schema-repair'));
+  });
+
+  test('retries a request after a server error from the model', async () => {
+    mock.script([
+      { match: { prompt: BALANCE_SHEET_PROMPT }, failure: 'server_error', times: 1 },
+      ...standardRules
+    ]);
+
+    const result = await backend.process(await uploadPage());
+
+    assert.equal(result.status, 'completed', result.error);
+    assert.equal(mock.requestsMatching(BALANCE_SHEET_PROMPT).length, 2);
+  });
+
+  test('fails the document when the model is not installed', async () => {
+    mock.script([
+      { match: { prompt: BALANCE_SHEET_PROMPT }, failure: 'missing_model' },
+      ...standardRules
+    ]);
+
+    const result = await backend.process(await uploadPage());
+
+    assert.equal(result.status, 'error');
+    assert.match(result.error, /not found/);
+    assert.equal(mock.requestsMatching(BALANCE_SHEET_PROMPT).length, 1);
+  });
+
+  test('waits for slow model replies', async () => {
+    mock.script([
+      { match: { prompt: BALANCE_SHEET_PROMPT }, response: balanceSheet, delayMs: 1500 },
+      ...standardRules
+    ]);
+
+    const startedAt = Date.now();
+    const result = await backend.process(await uploadPage());
+
+    assert.equal(result.status, 'completed', result.error);
+    assert.ok(Date.now() - startedAt >= 1500);
+  });
+
+  test('rejects a recommendation without completed documents', async () => {
+    const documentId = await uploadPage();
+    const { status, body } = await backend.request('POST', '/recommend', { document_ids: [documentId] });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /No completed documents/);
+    assert.equal(mock.requests.length, 0);
+  });
+});
+
+describe('model server outages', () => {
+  let mock;
+  let backend;
+  let page;
+  let port;
+
+  before(async () => {
+    mock = new MockOllama({ models: [VISION_MODEL, ANALYSIS_MODEL] });
+    await mock.start();
+    port = new URL(mock.url).port;
+    backend = await startBackend(mock.url, {
+      JOB_MAX_ATTEMPTS: '2',
+      LLM_TIMEOUT_MS: '1000',
+      LLM_TIMEOUT_PER_IMAGE_MS: '0',
+      LLM_TIMEOUT_PER_1K_CHARS_MS: '0',
+      LLM_MAX_RETRIES: '1',
+      LLM_CIRCUIT_FAILURE_THRESHOLD: '2',
+      LLM_CIRCUIT_PROBE_INTERVAL_MS: '300'
+    });
+    page = await createPageImage();
+  });
+
+  after(async () => {
+    await backend?.stop();
+    await mock?.stop();
+  });
+
+  beforeEach(() => mock.reset());
+
+  const uploadPage = async () => {
+    const [documentId] = await backend.upload([{ name: 'neraca-2024.png', type: 'image/png', content: page }]);
+    return documentId;
+  };
+
+  test('gives up on a hung model and retries the document', async () => {
+    mock.script([
+      { match: { prompt: BALANCE_SHEET_PROMPT }, response: balanceSheet, delayMs: 3000, times: 1 },
+      ...standardRules
+    ]);
+
+    const result = await backend.process(await uploadPage());
+
+    assert.equal(result.status, 'completed', result.error);
+    assert.equal(mock.requestsMatching(BALANCE_SHEET_PROMPT).length, 2);
+  });
+
+  test('waits for a model server that is down and resumes when it is back', async () => {
+    mock.script(standardRules);
+    const documentId = await uploadPage();
+    await mock.stop();
+
+    const { status } = await backend.request('POST', `/process/${documentId}`, {});
+    assert.equal(status, 200);
+    const waiting = await backend.waitForStatus(documentId, ['waiting_for_model', 'completed', 'error'], 10000);
+    assert.equal(waiting.status, 'waiting_for_model', waiting.error);
+    assert.match(waiting.error, /unavailable/);
+
+    const health = await backend.request('GET', '/health');
+    assert.equal(health.body.providers[0].circuit.state, 'open');
+
+    await mock.start(port);
+    const result = await backend.waitForStatus(documentId, ['completed', 'error'], 10000);
+
+    assert.equal(result.status, 'completed', result.error);
+    assert.equal(mock.requestsMatching(BALANCE_SHEET_PROMPT).length, 1);
+  });
+});
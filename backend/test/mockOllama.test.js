@@ -0,0 +1,81 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MockOllama } from '../tools/mockOllama.js';
+import { OllamaProvider } from '../services/llmProviders.js';
+
+// Record/replay through the same client the backend uses
+
+describe('mock Ollama record and replay', () => {
+  let upstream;
+  let recordingsDir;
+
+  before(async () => {
+    recordingsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mock-ollama-recordings-'));
+
+    // Stands in for a real Ollama: a different reply on every call
+    let call = 0;
+    upstream = new MockOllama({ models: ['test-model'] });
+    upstream.script([{ match: {}, response: () => ({ call: ++call }) }]);
+    await upstream.start();
+  });
+
+  after(async () => {
+    await upstream?.stop();
+    await fs.rm(recordingsDir, { recursive: true, force: true });
+  });
+
+  const generate = (provider, prompt, images = []) =>
+    provider.generate({ model: 'test-model', prompt, images, format: 'json' }).then(result => JSON.parse(result.text));
+
+  test('replays recorded replies in order without the upstream server', async () => {
+    const recorder = new MockOllama({ mode: 'record', upstreamUrl: upstream.url, recordingsDir });
+    await recorder.start();
+    const recording = new OllamaProvider('ollama', { url: recorder.url });
+
+    assert.deepEqual(await generate(recording, 'first'), { call: 1 });
+    assert.deepEqual(await generate(recording, 'first'), { call: 2 });
+    assert.deepEqual(await generate(recording, 'first', ['aW1hZ2U=']), { call: 3 });
+    await recorder.stop();
+
+    const player = new MockOllama({ recordingsDir });
+    await player.start();
+    const replaying = new OllamaProvider('ollama', { url: player.url });
+
+    assert.deepEqual(await generate(replaying, 'first'), { call: 1 });
+    assert.deepEqual(await generate(replaying, 'first'), { call: 2 });
+    assert.deepEqual(await generate(replaying, 'first', ['aW1hZ2U=']), { call: 3 });
+    assert.deepEqual(await replaying.listModels(), ['test-model']);
+    await assert.rejects(generate(replaying, 'never recorded'), /no recording/);
+    await player.stop();
+
+    assert.equal(upstream.requests.length, 3);
+  });
+
+  test('reports scripted failures the way Ollama does', async () => {
+    const mock = new MockOllama({ models: ['test-model'] });
+    mock.script([
+      { match: { prompt: 'broken' }, failure: 'malformed_json' },
+      { match: { prompt: 'crash' }, failure: 'server_error' },
+      { match: { prompt: 'slow' }, response: { ok: true }, delayMs: 300 }
+    ]);
+    await mock.start();
+    const provider = new OllamaProvider('ollama', { url: mock.url });
+
+    try {
+      const reply = await provider.generate({ model: 'test-model', prompt: 'broken' });
+      assert.throws(() => JSON.parse(reply.text));
+
+      await assert.rejects(provider.generate({ model: 'test-model', prompt: 'crash' }), /500/);
+      await assert.rejects(provider.generate({ model: 'other-model', prompt: 'slow' }), /not found/);
+
+      const startedAt = Date.now();
+      assert.deepEqual(await generate(provider, 'slow'), { ok: true });
+      assert.ok(Date.now() - startedAt >= 300);
+    } finally {
+      await mock.stop();
+    }
+  });
+});
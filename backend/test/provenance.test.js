@@ -0,0 +1,73 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPartProvenance } from '../services/provenance.js';
+import { DocumentProcessor } from '../services/documentProcessor.js';
+
+// Tracing extracted values back to the page and text-layer cell they were read from
+
+const textPart = {
+  extractionPath: 'text',
+  pageNumbers: [2, 3],
+  text: '',
+  layout: [
+    { page: 2, cells: [{ text: 'Pendapatan', box: [0.1, 0.2, 0.3, 0.22] }, { text: '12.000.000', box: [0.6, 0.2, 0.8, 0.22] }] },
+    { page: 3, cells: [{ text: 'PT Sumber Makmur', box: [0.1, 0.05, 0.4, 0.08] }, { text: '(1,234.50)', box: [0.6, 0.4, 0.8, 0.42] }] }
+  ]
+};
+
+describe('field provenance', () => {
+  test('locates values in the text layer, including amounts printed in thousands', () => {
+    const provenance = buildPartProvenance({
+      confidence: 0.9,
+      companyInfo: { name: 'PT Sumber Makmur' },
+      financialInfo: { profitLoss: { revenue: 12000000000, expenses: 1234.5, netIncome: 77 } }
+    }, textPart, 'doc-1');
+
+    assert.deepEqual(provenance['companyInfo.name'], {
+      documentId: 'doc-1', page: 3, boundingBox: [0.1, 0.05, 0.4, 0.08], confidence: 0.9, source: 'text_layer', located: true
+    });
+    assert.deepEqual(provenance['financialInfo.profitLoss.revenue'].boundingBox, [0.6, 0.2, 0.8, 0.22]);
+    assert.equal(provenance['financialInfo.profitLoss.expenses'].page, 3);
+
+    // Not on either page: the model's word only, at half its confidence
+    assert.deepEqual(provenance['financialInfo.profitLoss.netIncome'], {
+      documentId: 'doc-1', page: null, boundingBox: null, confidence: 0.45, source: 'model', located: false
+    });
+  });
+
+  test('keeps the provenance of the values and items that survive combining', () => {
+    const processor = new DocumentProcessor();
+    const entry = (page, field) => ({ documentId: 'doc-1', page, field });
+    const statement = { accountNumber: '123', period: '2024-01', balance: 10 };
+
+    const combined = processor.combineExtractedData([
+      {
+        financialInfo: { profitLoss: { revenue: 500 }, bankStatements: [statement] },
+        provenance: {
+          'financialInfo.profitLoss.revenue': entry(1, 'revenue'),
+          'financialInfo.bankStatements.0.balance': entry(1, 'balance')
+        }
+      },
+      {
+        financialInfo: {
+          profitLoss: { revenue: 900, expenses: 300 },
+          bankStatements: [{ ...statement }, { accountNumber: '456', period: '2024-01', balance: 20 }]
+        },
+        provenance: {
+          'financialInfo.profitLoss.revenue': entry(2, 'revenue'),
+          'financialInfo.profitLoss.expenses': entry(2, 'expenses'),
+          'financialInfo.bankStatements.0.balance': entry(2, 'duplicate'),
+          'financialInfo.bankStatements.1.balance': entry(2, 'balance')
+        }
+      }
+    ], 'statements.pdf');
+
+    assert.equal(combined.provenance['financialInfo.profitLoss.revenue'].page, 1);
+    assert.equal(combined.provenance['financialInfo.profitLoss.expenses'].page, 2);
+    assert.deepEqual(combined.provenance['financialInfo.bankStatements.0.balance'], entry(1, 'balance'));
+    assert.deepEqual(combined.provenance['financialInfo.bankStatements.1.balance'], entry(2, 'balance'));
+
+    const grouped = processor.groupFinancialDocuments([{ ...combined, documentType: 'Bank Statement' }]);
+    assert.deepEqual(grouped.bankStatements.map(item => item.provenance.balance.page), [1, 2]);
+  });
+});
@@ -0,0 +1,321 @@
+import express from 'express';
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// Stand-in for Ollama's /api/generate and /api/tags, for running the backend and its
+// tests without a model server. In `record` mode requests are forwarded to a real Ollama
+// and every reply is saved to the recordings directory; in `replay` mode the saved replies
+// are served back. Recordings are keyed by model, prompt hash and image hash, and repeated
+// identical requests replay their replies in the order they were recorded.
+//
+// Scripted rules take precedence over recordings and cover the failure modes:
+//   { match: { model, prompt, images }, response, failure, delayMs, times }
+// `prompt` is a substring or RegExp of the prompt, `images` whether the request has any.
+// `response` is the reply (objects are sent as JSON) or a function of the request.
+// `failure` is 'malformed_json' (a truncated JSON reply), 'server_error' (500) or
+// 'missing_model' (Ollama's 404), `delayMs` delays the reply and `times` limits how often
+// the rule applies.
+export class MockOllama {
+  constructor(options = {}) {
+    this.mode = options.mode || 'replay';
+    this.recordingsDir = options.recordingsDir || null;
+    this.upstreamUrl = options.upstreamUrl || null;
+    this.models = options.models || null; // null: every model is installed
+    this.rules = [];
+    this.requests = [];
+    this.callCounts = new Map(); // recording key -> calls this session
+    this.server = null;
+
+    if (!['record', 'replay'].includes(this.mode)) {
+      throw new Error(`Unknown mock Ollama mode ${this.mode}; use record or replay`);
+    }
+    if (this.mode === 'record' && (!this.upstreamUrl || !this.recordingsDir)) {
+      throw new Error('Record mode needs an upstream Ollama URL and a recordings directory');
+    }
+
+    this.app = express();
+    // Ollama reads the body as JSON whatever its content type, as curl -d sends it
+    this.app.use(express.json({ limit: '200mb', type: () => true }));
+    this.app.post('/api/generate', (req, res) => this.handleGenerate(req, res));
+    this.app.get('/api/tags', (req, res) => this.handleTags(req, res));
+
+    // Scripting a mock running in another process
+    this.app.get('/_mock/requests', (req, res) => res.json({ requests: this.requests }));
+    this.app.post('/_mock/rules', (req, res) => {
+      this.script(req.body.rules || []);
+      res.json({ rules: this.rules.length });
+    });
+    this.app.delete('/_mock/rules', (req, res) => {
+      this.reset();
+      res.json({ rules: 0 });
+    });
+  }
+
+  async start(port = 0) {
+    await new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, '127.0.0.1', resolve).on('error', reject);
+    });
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    console.log(`Mock Ollama (${this.mode}) listening on ${this.url}`);
+    return this.url;
+  }
+
+  async stop() {
+    if (this.server) {
+      this.server.closeAllConnections();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  // Rules are tried in the order they were added
+  script(rules) {
+    this.rules.push(...rules.map(rule => ({ ...rule, match: rule.match || {}, used: 0 })));
+    return this;
+  }
+
+  reset() {
+    this.rules = [];
+    this.requests = [];
+    this.callCounts.clear();
+  }
+
+  // Requests whose prompt contains `text`, for asserting what the backend sent
+  requestsMatching(text) {
+    return this.requests.filter(request => request.prompt.includes(text));
+  }
+
+  async handleGenerate(req, res) {
+    const body = req.body || {};
+    const request = {
+      model: body.model,
+      prompt: body.prompt || '',
+      system: body.system || null,
+      images: body.images || [],
+      format: body.format || null,
+      options: body.options || {}
+    };
+    const promptHash = hash(`${request.system || ''}\n${request.prompt}`);
+    const imagesHash = hash(request.images.join('\n'));
+    const key = hash(`${request.model}\n${promptHash}\n${imagesHash}`);
+
+    const entry = {
+      model: request.model,
+      promptHash,
+      imagesHash,
+      prompt: request.prompt,
+      images: request.images.length,
+      source: null,
+      status: 200,
+      receivedAt: new Date().toISOString()
+    };
+    this.requests.push(entry);
+
+    const reply = (status, payload) => {
+      entry.status = status;
+      res.status(status).json(payload);
+    };
+
+    try {
+      if (this.models && !this.hasModel(request.model)) {
+        entry.source = 'missing';
+        return reply(404, { error: missingModelError(request.model) });
+      }
+
+      const rule = this.findRule(request);
+      if (rule) {
+        rule.used++;
+        entry.source = 'rule';
+        entry.rule = this.rules.indexOf(rule);
+
+        if (rule.delayMs) {
+          await new Promise(resolve => setTimeout(resolve, rule.delayMs));
+        }
+
+        switch (rule.failure) {
+          case 'malformed_json':
+            return reply(200, generateResponse(request, '{"documentType": "Unknown", "companyInfo": {"name": "PT Trunc'));
+          case 'server_error':
+            return reply(500, { error: 'mock server error' });
+          case 'missing_model':
+            return reply(404, { error: missingModelError(request.model) });
+          case undefined:
+          case null:
+            break;
+          default:
+            throw new Error(`Unknown scripted failure ${rule.failure}`);
+        }
+
+        const response = typeof rule.response === 'function' ? rule.response(request) : rule.response;
+        return reply(200, generateResponse(request, typeof response === 'string' ? response : JSON.stringify(response ?? {})));
+      }
+
+      const call = this.callCounts.get(key) || 0;
+      this.callCounts.set(key, call + 1);
+
+      if (this.mode === 'record') {
+        entry.source = 'upstream';
+        const upstream = await axios.post(`${this.upstreamUrl}/api/generate`, { ...body, stream: false }, {
+          validateStatus: () => true,
+          maxBodyLength: Infinity
+        });
+        if (upstream.status === 200) {
+          await this.saveRecording(key, call, { model: request.model, promptHash, imagesHash, prompt: request.prompt }, upstream.data);
+        }
+        return reply(upstream.status, upstream.data);
+      }
+
+      const recording = await this.loadRecording(key);
+      if (!recording) {
+        entry.source = 'missing';
+        return reply(400, { error: `mock Ollama has no recording for ${request.model} (prompt ${promptHash.slice(0, 12)}, images ${imagesHash.slice(0, 12)})` });
+      }
+
+      entry.source = 'recording';
+      return reply(200, recording.responses[call % recording.responses.length]);
+
+    } catch (error) {
+      console.error('Mock Ollama error:', error.message);
+      reply(500, { error: error.message });
+    }
+  }
+
+  async handleTags(req, res) {
+    try {
+      if (this.mode === 'record') {
+        const upstream = await axios.get(`${this.upstreamUrl}/api/tags`, { validateStatus: () => true });
+        return res.status(upstream.status).json(upstream.data);
+      }
+
+      const names = this.models || await this.knownModels();
+      res.json({
+        models: names.map(name => ({
+          name,
+          model: name,
+          digest: hash(name),
+          size: 0,
+          modified_at: new Date(0).toISOString()
+        }))
+      });
+    } catch (error) {
+      console.error('Mock Ollama error:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  hasModel(model) {
+    return this.models.some(name => name === model || name === `${model}:latest`);
+  }
+
+  findRule(request) {
+    return this.rules.find(rule => {
+      const { model, prompt, images } = rule.match;
+      if (rule.times !== undefined && rule.used >= rule.times) {
+        return false;
+      }
+      if (model && model !== request.model) {
+        return false;
+      }
+      if (prompt && !(prompt instanceof RegExp ? prompt.test(request.prompt) : request.prompt.includes(prompt))) {
+        return false;
+      }
+      return images === undefined || images === request.images.length > 0;
+    });
+  }
+
+  // Models named by the rules and recordings, so /api/tags reports what can be served
+  async knownModels() {
+    const names = new Set(this.rules.map(rule => rule.match.model).filter(Boolean));
+    if (this.recordingsDir) {
+      for (const file of await listRecordings(this.recordingsDir)) {
+        const recording = JSON.parse(await fs.readFile(path.join(this.recordingsDir, file), 'utf8'));
+        names.add(recording.model);
+      }
+    }
+    return Array.from(names);
+  }
+
+  async loadRecording(key) {
+    if (!this.recordingsDir) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.recordingsDir, `${key}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to read recording ${key}: ${error.message}`, { cause: error });
+    }
+  }
+
+  // The n-th identical request of a session replaces the n-th recorded reply
+  async saveRecording(key, call, details, response) {
+    const existing = call > 0 ? await this.loadRecording(key) : null;
+    const responses = existing?.responses || [];
+    // Ollama's `context` token array is large and not read by the backend
+    responses[call] = { ...response, context: undefined };
+
+    await fs.mkdir(this.recordingsDir, { recursive: true });
+    await fs.writeFile(path.join(this.recordingsDir, `${key}.json`), JSON.stringify({
+      ...details,
+      recordedAt: new Date().toISOString(),
+      responses
+    }, null, 2));
+  }
+}
+
+function generateResponse(request, text) {
+  return {
+    model: request.model,
+    created_at: new Date().toISOString(),
+    response: text,
+    done: true,
+    done_reason: 'stop',
+    prompt_eval_count: Math.ceil(request.prompt.length / 4),
+    eval_count: Math.ceil(text.length / 4)
+  };
+}
+
+function missingModelError(model) {
+  return `model "${model}" not found, try pulling it first`;
+}
+
+async function listRecordings(dir) {
+  try {
+    return (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// node backend/tools/mockOllama.js, configured from the environment:
+// MOCK_OLLAMA_MODE (replay), MOCK_OLLAMA_PORT (11435), MOCK_OLLAMA_RECORDINGS,
+// MOCK_OLLAMA_UPSTREAM (record mode), MOCK_OLLAMA_MODELS (comma separated) and
+// MOCK_OLLAMA_SCRIPT, a JSON file with an array of rules (prompt matches are substrings)
+if (process.argv[1] === __filename) {
+  const scriptFile = process.env.MOCK_OLLAMA_SCRIPT;
+  const mock = new MockOllama({
+    mode: process.env.MOCK_OLLAMA_MODE || 'replay',
+    recordingsDir: process.env.MOCK_OLLAMA_RECORDINGS || path.join(process.cwd(), 'recordings'),
+    upstreamUrl: process.env.MOCK_OLLAMA_UPSTREAM || 'http://localhost:11434',
+    models: process.env.MOCK_OLLAMA_MODELS ? process.env.MOCK_OLLAMA_MODELS.split(',').map(name => name.trim()) : null
+  });
+
+  if (scriptFile) {
+    mock.script(JSON.parse(await fs.readFile(scriptFile, 'utf8')));
+  }
+  await mock.start(Number(process.env.MOCK_OLLAMA_PORT) || 11435);
+}
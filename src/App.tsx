@@ -1,35 +1,73 @@
 import React from 'react';
 import Header from './components/Header';
+import ApplicationPanel from './components/ApplicationPanel';
 import FileUpload from './components/FileUpload';
 import ProcessingStatus from './components/ProcessingStatus';
 import AnalysisResults from './components/AnalysisResults';
+import LoginScreen from './components/LoginScreen';
 import { useDocumentProcessing } from './hooks/useDocumentProcessing';
+import { useAuth } from './hooks/useAuth';
+import { AuthUser, FINAL_DOCUMENT_STATUSES, TaskModelStatus, hasPermission } from './types';
+
+const TASK_LABELS: Record<TaskModelStatus['task'], string> = {
+  vision: 'For document vision processing',
+  text_extraction: 'For extraction from text documents',
+  analysis: 'For credit analysis and insights'
+};
 
 function App() {
+  const { user, isCheckingSession, login, logout } = useAuth();
+
+  if (isCheckingSession) {
+    return null;
+  }
+
+  if (!user) {
+    return <LoginScreen onLogin={login} />;
+  }
+
+  // Keyed by user so nothing from a previous session is kept after switching accounts
+  return <Workspace key={user.id} user={user} onLogout={logout} />;
+}
+
+function Workspace({ user, onLogout }: { user: AuthUser; onLogout: () => void }) {
   const {
     documents,
     recommendation,
     isProcessing,
     backendHealth,
+    healthDetails,
+    applications,
+    activeApplication,
     addDocuments,
     removeDocument,
+    deleteDocument,
+    cancelDocument,
+    adjustSplit,
+    submitPassword,
     processDocuments,
-    resetAnalysis,
+    openApplication,
+    createApplication,
+    closeApplication,
+    archiveApplication,
+    decideApplication,
     checkBackendHealth
-  } = useDocumentProcessing();
+  } = useDocumentProcessing(user);
 
   const hasResults = documents.some(doc => doc.status === 'completed') || recommendation;
   const isGeneratingRecommendation = isProcessing && documents.every(doc => 
-    doc.status === 'completed' || doc.status === 'error'
+    FINAL_DOCUMENT_STATUSES.includes(doc.status)
   );
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50">
       <Header 
-        onReset={resetAnalysis} 
-        hasDocuments={documents.length > 0}
+        onReset={closeApplication} 
+        hasDocuments={!!activeApplication}
         backendHealth={backendHealth}
         onHealthCheck={checkBackendHealth}
+        user={user}
+        onLogout={onLogout}
       />
       
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -56,27 +94,44 @@ function App() {
                   <p className="text-yellow-700 text-sm">
                     {backendHealth === 'disconnected' 
                       ? 'Cannot connect to the backend server. Please ensure the server is running on port 8000.'
-                      : 'Backend server encountered an error. Please check if Ollama is running and the required models are available.'
+                      : healthDetails?.error || 'Backend server encountered an error. Please check that the model providers are running and the configured models are available.'
                     }
                   </p>
-                  <p className="text-yellow-700 text-sm mt-1">
-                    Required: <code>ollama pull qwen2.5vl:7b</code> and <code>ollama pull deepseek-r1:8b</code>
-                  </p>
                 </div>
               </div>
             </div>
           )}
 
+          {/* Loan Applications */}
+          <ApplicationPanel
+            applications={applications}
+            activeApplication={activeApplication}
+            onCreate={createApplication}
+            onOpen={openApplication}
+            onClose={closeApplication}
+            onArchive={archiveApplication}
+            onDecide={decideApplication}
+            canManage={hasPermission(user, 'applications:write')}
+            canDecide={hasPermission(user, 'applications:decide')}
+            isProcessing={isProcessing}
+          />
+
           {/* File Upload Section */}
-          <div className="bg-white rounded-xl p-6 shadow-lg">
-            <FileUpload
-              documents={documents}
-              onDocumentsAdd={addDocuments}
-              onDocumentRemove={removeDocument}
-              onProcess={processDocuments}
-              isProcessing={isProcessing}
-            />
-          </div>
+          {activeApplication && hasPermission(user, 'documents:write') && (
+            <div className="bg-white rounded-xl p-6 shadow-lg">
+              <FileUpload
+                documents={documents}
+                onDocumentsAdd={addDocuments}
+                onDocumentRemove={removeDocument}
+                onDocumentDelete={deleteDocument}
+                onDocumentCancel={cancelDocument}
+                onDocumentSplit={adjustSplit}
+                onDocumentPassword={submitPassword}
+                onProcess={processDocuments}
+                isProcessing={isProcessing}
+              />
+            </div>
+          )}
 
           {/* Processing Status */}
           <ProcessingStatus 
@@ -99,13 +154,22 @@ function App() {
             </h3>
             <div className="text-blue-700 space-y-2">
               <p><strong>Backend Server:</strong> Node.js server running on port 8000</p>
-              <p><strong>Ollama Models Required:</strong></p>
+              <p><strong>Models:</strong></p>
               <ul className="list-disc list-inside space-y-1 ml-4">
-                <li><code>qwen2.5vl:7b</code> - For document vision processing</li>
-                <li><code>deepseek-r1:8b</code> - For credit analysis and insights</li>
+                {healthDetails?.models ? healthDetails.models.map(item => (
+                  <li key={item.task}>
+                    <code>{item.model}</code> on {item.provider} - {TASK_LABELS[item.task]}
+                    {!item.available && <span className="text-red-600"> (not available)</span>}
+                  </li>
+                )) : (
+                  <>
+                    <li><code>qwen2.5vl:7b</code> - For document vision processing</li>
+                    <li><code>deepseek-r1:8b</code> - For credit analysis and insights</li>
+                  </>
+                )}
               </ul>
               <p className="mt-3">
-                <strong>Setup Commands:</strong>
+                <strong>Setup Commands (default Ollama models):</strong>
               </p>
               <div className="bg-blue-100 rounded p-2 font-mono text-sm">
                 ollama pull qwen2.5vl:7b<br/>
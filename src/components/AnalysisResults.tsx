@@ -1,12 +1,17 @@
 import React from 'react';
 import { User, DollarSign, CreditCard, TrendingUp, AlertTriangle, CheckCircle, XCircle, Building, Users, FileText, BarChart3, Calendar, TrendingDown } from 'lucide-react';
-import { DocumentFile, CreditRecommendation } from '../types';
+import { DocumentFile, CreditRecommendation, PromptReference } from '../types';
+import ModelReasoningPanel from './ModelReasoningPanel';
+import SourceLink from './SourceLink';
 
 interface AnalysisResultsProps {
   documents: DocumentFile[];
   recommendation: CreditRecommendation | null;
 }
 
+const formatPrompts = (prompts: PromptReference[]) =>
+  prompts.map(prompt => `${prompt.id} v${prompt.version}`).join(', ');
+
 const AnalysisResults: React.FC<AnalysisResultsProps> = ({ documents, recommendation }) => {
   const completedDocs = documents.filter(doc => doc.status === 'completed');
   
@@ -231,11 +236,17 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ documents, recommenda
                       <tbody>
                         {recommendation.groupedFinancialData.profitLossStatements.map((statement, index) => (
                           <tr key={index} className="border-t border-gray-200">
-                            <td className="px-4 py-2 text-sm text-gray-900">{statement.period}</td>
-                            <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatCurrency(statement.revenue)}</td>
-                            <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatCurrency(statement.expenses)}</td>
+                            <td className="px-4 py-2 text-sm text-gray-900">
+                              <SourceLink provenance={statement.provenance?.period} sourceFile={statement.sourceFile}>{statement.period}</SourceLink>
+                            </td>
+                            <td className="px-4 py-2 text-sm text-gray-900 text-right">
+                              <SourceLink provenance={statement.provenance?.revenue} sourceFile={statement.sourceFile}>{formatCurrency(statement.revenue)}</SourceLink>
+                            </td>
+                            <td className="px-4 py-2 text-sm text-gray-900 text-right">
+                              <SourceLink provenance={statement.provenance?.expenses} sourceFile={statement.sourceFile}>{formatCurrency(statement.expenses)}</SourceLink>
+                            </td>
                             <td className={`px-4 py-2 text-sm text-right font-medium ${statement.netIncome >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                              {formatCurrency(statement.netIncome)}
+                              <SourceLink provenance={statement.provenance?.netIncome} sourceFile={statement.sourceFile}>{formatCurrency(statement.netIncome)}</SourceLink>
                             </td>
                             <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatCurrency(statement.grossProfit)}</td>
                           </tr>
@@ -265,10 +276,18 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ documents, recommenda
                       <tbody>
                         {recommendation.groupedFinancialData.balanceSheets.map((sheet, index) => (
                           <tr key={index} className="border-t border-gray-200">
-                            <td className="px-4 py-2 text-sm text-gray-900">{sheet.asOfDate}</td>
-                            <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatCurrency(sheet.totalAssets)}</td>
-                            <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatCurrency(sheet.totalLiabilities)}</td>
-                            <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatCurrency(sheet.equity)}</td>
+                            <td className="px-4 py-2 text-sm text-gray-900">
+                              <SourceLink provenance={sheet.provenance?.asOfDate} sourceFile={sheet.sourceFile}>{sheet.asOfDate}</SourceLink>
+                            </td>
+                            <td className="px-4 py-2 text-sm text-gray-900 text-right">
+                              <SourceLink provenance={sheet.provenance?.totalAssets} sourceFile={sheet.sourceFile}>{formatCurrency(sheet.totalAssets)}</SourceLink>
+                            </td>
+                            <td className="px-4 py-2 text-sm text-gray-900 text-right">
+                              <SourceLink provenance={sheet.provenance?.totalLiabilities} sourceFile={sheet.sourceFile}>{formatCurrency(sheet.totalLiabilities)}</SourceLink>
+                            </td>
+                            <td className="px-4 py-2 text-sm text-gray-900 text-right">
+                              <SourceLink provenance={sheet.provenance?.equity} sourceFile={sheet.sourceFile}>{formatCurrency(sheet.equity)}</SourceLink>
+                            </td>
                             <td className={`px-4 py-2 text-sm text-right font-medium ${sheet.netWorth >= 0 ? 'text-green-600' : 'text-red-600'}`}>
                               {formatCurrency(sheet.netWorth)}
                             </td>
@@ -301,10 +320,16 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ documents, recommenda
                       <tbody>
                         {recommendation.groupedFinancialData.bankStatements.map((statement, index) => (
                           <tr key={index} className="border-t border-gray-200">
-                            <td className="px-4 py-2 text-sm text-gray-900">{statement.period}</td>
-                            <td className="px-4 py-2 text-sm text-gray-900">{statement.accountNumber}</td>
+                            <td className="px-4 py-2 text-sm text-gray-900">
+                              <SourceLink provenance={statement.provenance?.period} sourceFile={statement.sourceFile}>{statement.period}</SourceLink>
+                            </td>
+                            <td className="px-4 py-2 text-sm text-gray-900">
+                              <SourceLink provenance={statement.provenance?.accountNumber} sourceFile={statement.sourceFile}>{statement.accountNumber}</SourceLink>
+                            </td>
                             <td className="px-4 py-2 text-sm text-gray-900">{statement.accountType}</td>
-                            <td className="px-4 py-2 text-sm text-gray-900 text-right font-medium">{formatCurrency(statement.balance)}</td>
+                            <td className="px-4 py-2 text-sm text-gray-900 text-right font-medium">
+                              <SourceLink provenance={statement.provenance?.balance} sourceFile={statement.sourceFile}>{formatCurrency(statement.balance)}</SourceLink>
+                            </td>
                             <td className="px-4 py-2 text-sm text-green-600 text-right">{formatCurrency(statement.totalCredits)}</td>
                             <td className="px-4 py-2 text-sm text-red-600 text-right">{formatCurrency(statement.totalDebits)}</td>
                             <td className="px-4 py-2 text-sm text-gray-900 text-right">{statement.transactionCount}</td>
@@ -488,6 +513,11 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ documents, recommenda
             </div>
           )}
 
+          {/* Model Reasoning */}
+          {recommendation.recommendationId && (
+            <ModelReasoningPanel key={recommendation.recommendationId} recommendationId={recommendation.recommendationId} />
+          )}
+
           {/* Document Summary */}
           {recommendation.documentSummary && (
             <div className="pt-4 border-t">
@@ -513,6 +543,9 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ documents, recommenda
                   <div className="text-gray-600">{((recommendation.confidenceLevel || 0) * 100).toFixed(0)}%</div>
                 </div>
               </div>
+              {recommendation.prompts && recommendation.prompts.length > 0 && (
+                <div className="text-xs text-gray-500 mt-3">Prompts: {formatPrompts(recommendation.prompts)}</div>
+              )}
             </div>
           )}
         </div>
@@ -550,6 +583,28 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ documents, recommenda
                   </div>
                 )}
 
+                {/* Type-specific fields: deed and notary details, tax IDs, audit opinions, ... */}
+                {doc.extractedData.documentDetails && Object.keys(doc.extractedData.documentDetails).length > 0 && (
+                  <div>
+                    <div className="flex items-center gap-2 mb-3">
+                      <FileText className="w-5 h-5 text-indigo-600" />
+                      <h5 className="font-semibold text-gray-900">{doc.extractedData.documentType} Details</h5>
+                    </div>
+                    <div className="grid md:grid-cols-2 gap-4">
+                      {Object.entries(doc.extractedData.documentDetails).map(([key, value]) => (
+                        !Array.isArray(value) && (
+                          <div key={key} className="bg-gray-50 rounded-lg p-3">
+                            <span className="text-sm font-medium text-gray-600 capitalize">
+                              {key.replace(/([A-Z])/g, ' $1').trim()}:
+                            </span>
+                            <div className="text-gray-900">{typeof value === 'number' ? value.toLocaleString() : value}</div>
+                          </div>
+                        )
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Personal Information */}
                 {doc.extractedData.personalInfo?.individuals && doc.extractedData.personalInfo.individuals.length > 0 && (
                   <div>
@@ -595,7 +650,9 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ documents, recommenda
                                   {key.replace(/([A-Z])/g, ' $1').trim()}
                                 </div>
                                 <div className="text-lg font-bold text-green-600">
-                                  {typeof value === 'number' ? formatCurrency(value) : value}
+                                  <SourceLink provenance={doc.extractedData?.provenance?.[`financialInfo.profitLoss.${key}`]} sourceFile={doc.name}>
+                                    {typeof value === 'number' ? formatCurrency(value) : value}
+                                  </SourceLink>
                                 </div>
                               </div>
                             )
@@ -616,7 +673,9 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ documents, recommenda
                                   {key.replace(/([A-Z])/g, ' $1').trim()}
                                 </div>
                                 <div className="text-lg font-bold text-blue-600">
-                                  {typeof value === 'number' ? formatCurrency(value) : value}
+                                  <SourceLink provenance={doc.extractedData?.provenance?.[`financialInfo.balanceSheet.${key}`]} sourceFile={doc.name}>
+                                    {typeof value === 'number' ? formatCurrency(value) : value}
+                                  </SourceLink>
                                 </div>
                               </div>
                             )
@@ -653,6 +712,7 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({ documents, recommenda
                   Document Type: {doc.extractedData.documentType} | 
                   Confidence: {(doc.extractedData.confidence * 100).toFixed(0)}% |
                   Extracted: {new Date(doc.extractedData.extractionDate).toLocaleString()}
+                  {doc.extractedData.prompts && doc.extractedData.prompts.length > 0 && ` | Prompts: ${formatPrompts(doc.extractedData.prompts)}`}
                 </div>
               </div>
             )}
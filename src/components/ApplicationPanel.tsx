@@ -0,0 +1,341 @@
+import React, { useState } from 'react';
+import { Briefcase, Plus, FolderOpen, Archive, X, ThumbsUp, ThumbsDown } from 'lucide-react';
+import { LoanApplication, LoanApplicationDetail, NewLoanApplication } from '../types';
+
+interface ApplicationPanelProps {
+  applications: LoanApplication[];
+  activeApplication: LoanApplicationDetail | null;
+  onCreate: (application: NewLoanApplication) => Promise<void>;
+  onOpen: (applicationId: string) => void;
+  onClose: () => void;
+  onArchive: () => void;
+  onDecide: (decision: 'approved' | 'rejected', notes?: string) => Promise<void>;
+  canManage: boolean; // Create and archive applications
+  canDecide: boolean; // Approve or reject on the latest recommendation
+  isProcessing: boolean;
+}
+
+const emptyForm = {
+  applicantName: '',
+  companyName: '',
+  requestedAmount: '',
+  tenorMonths: '',
+  purpose: '',
+  notes: ''
+};
+
+const ApplicationPanel: React.FC<ApplicationPanelProps> = ({
+  applications,
+  activeApplication,
+  onCreate,
+  onOpen,
+  onClose,
+  onArchive,
+  onDecide,
+  canManage,
+  canDecide,
+  isProcessing
+}) => {
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [formError, setFormError] = useState<string | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [decisionNotes, setDecisionNotes] = useState('');
+  const [decisionError, setDecisionError] = useState<string | null>(null);
+
+  const formatCurrency = (amount: number) => {
+    return new Intl.NumberFormat('id-ID', {
+      style: 'currency',
+      currency: 'IDR',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    }).format(amount);
+  };
+
+  const formatDate = (value: string) => new Date(value).toLocaleDateString('id-ID', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+
+  const updateField = (field: keyof typeof emptyForm) => (
+    e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>
+  ) => {
+    setForm(prev => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setFormError(null);
+
+    const requestedAmount = Number(form.requestedAmount);
+    const tenorMonths = Number(form.tenorMonths);
+
+    if (!form.applicantName.trim() || !form.purpose.trim()) {
+      setFormError('Applicant name and purpose are required');
+      return;
+    }
+    if (!(requestedAmount > 0) || !Number.isInteger(tenorMonths) || tenorMonths <= 0) {
+      setFormError('Requested amount and tenor must be positive numbers');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await onCreate({
+        applicantName: form.applicantName.trim(),
+        companyName: form.companyName.trim() || undefined,
+        requestedAmount,
+        tenorMonths,
+        purpose: form.purpose.trim(),
+        notes: form.notes.trim() || undefined
+      });
+      setForm(emptyForm);
+      setShowForm(false);
+    } catch (error) {
+      setFormError(error instanceof Error ? error.message : 'Failed to create application');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDecision = async (decision: 'approved' | 'rejected') => {
+    setDecisionError(null);
+    setIsSaving(true);
+    try {
+      await onDecide(decision, decisionNotes.trim() || undefined);
+      setDecisionNotes('');
+    } catch (error) {
+      setDecisionError(error instanceof Error ? error.message : 'Failed to record decision');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (activeApplication) {
+    const { decision } = activeApplication;
+    const hasRecommendation = activeApplication.recommendationIds.length > 0;
+
+    return (
+      <div className="bg-white rounded-xl p-6 shadow-lg">
+        <div className="flex items-start justify-between gap-4">
+          <div className="flex items-start gap-3">
+            <Briefcase className="w-8 h-8 text-blue-600 mt-1" />
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">
+                {activeApplication.applicantName}
+                {activeApplication.companyName && (
+                  <span className="text-gray-500 font-normal"> · {activeApplication.companyName}</span>
+                )}
+              </h3>
+              <p className="text-sm text-gray-600">
+                {formatCurrency(activeApplication.requestedAmount)} over {activeApplication.tenorMonths} months · {activeApplication.purpose}
+              </p>
+              {activeApplication.notes && (
+                <p className="text-sm text-gray-500 mt-1">{activeApplication.notes}</p>
+              )}
+              {decision && (
+                <p className={`text-sm font-medium mt-2 ${decision.decision === 'approved' ? 'text-green-700' : 'text-red-700'}`}>
+                  {decision.decision === 'approved' ? 'Approved' : 'Rejected'} by {decision.decidedByName} on {formatDate(decision.decidedAt)}
+                  {decision.notes && <span className="text-gray-500 font-normal"> · {decision.notes}</span>}
+                </p>
+              )}
+            </div>
+          </div>
+
+          <div className="flex items-center gap-2">
+            {canManage && (
+              <button
+                onClick={onArchive}
+                disabled={isProcessing}
+                className="text-gray-600 hover:text-orange-600 px-3 py-2 rounded-lg border border-gray-200 transition-colors flex items-center gap-2 disabled:opacity-50"
+              >
+                <Archive className="w-4 h-4" />
+                Archive
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="text-gray-600 hover:text-gray-900 px-3 py-2 rounded-lg border border-gray-200 transition-colors flex items-center gap-2"
+            >
+              <X className="w-4 h-4" />
+              Close
+            </button>
+          </div>
+        </div>
+
+        {canDecide && activeApplication.status === 'open' && (
+          <div className="mt-4 border-t pt-4 space-y-2">
+            {hasRecommendation ? (
+              <div className="flex items-center gap-2">
+                <input
+                  value={decisionNotes}
+                  onChange={(e) => setDecisionNotes(e.target.value)}
+                  placeholder="Decision notes (optional)"
+                  className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                />
+                <button
+                  onClick={() => handleDecision('approved')}
+                  disabled={isSaving}
+                  className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2 disabled:opacity-50"
+                >
+                  <ThumbsUp className="w-4 h-4" />
+                  Approve
+                </button>
+                <button
+                  onClick={() => handleDecision('rejected')}
+                  disabled={isSaving}
+                  className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition-colors flex items-center gap-2 disabled:opacity-50"
+                >
+                  <ThumbsDown className="w-4 h-4" />
+                  Reject
+                </button>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-600">An analyst has not generated a recommendation for this application yet.</p>
+            )}
+            {decisionError && <p className="text-sm text-red-600">{decisionError}</p>}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const openApplications = applications.filter(application => application.status === 'open');
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-lg space-y-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">Loan Applications</h3>
+        {canManage && !showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            New Application
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="grid gap-4 md:grid-cols-2 border rounded-lg p-4 bg-gray-50">
+          <label className="text-sm text-gray-700">
+            Applicant name
+            <input
+              value={form.applicantName}
+              onChange={updateField('applicantName')}
+              className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Company name
+            <input
+              value={form.companyName}
+              onChange={updateField('companyName')}
+              className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Requested amount (IDR)
+            <input
+              type="number"
+              min="0"
+              value={form.requestedAmount}
+              onChange={updateField('requestedAmount')}
+              className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Tenor (months)
+            <input
+              type="number"
+              min="1"
+              value={form.tenorMonths}
+              onChange={updateField('tenorMonths')}
+              className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+            />
+          </label>
+          <label className="text-sm text-gray-700 md:col-span-2">
+            Purpose
+            <input
+              value={form.purpose}
+              onChange={updateField('purpose')}
+              className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+            />
+          </label>
+          <label className="text-sm text-gray-700 md:col-span-2">
+            Notes
+            <textarea
+              value={form.notes}
+              onChange={updateField('notes')}
+              rows={2}
+              className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+            />
+          </label>
+
+          {formError && (
+            <p className="text-sm text-red-600 md:col-span-2">{formError}</p>
+          )}
+
+          <div className="flex justify-end gap-2 md:col-span-2">
+            <button
+              type="button"
+              onClick={() => {
+                setShowForm(false);
+                setFormError(null);
+              }}
+              className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+            >
+              {isSaving ? 'Creating...' : 'Create Application'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {openApplications.length === 0 ? (
+        <p className="text-gray-600 text-sm">
+          {canManage
+            ? 'No open applications. Create one to start uploading documents for a borrower.'
+            : 'No open applications are shared with you.'}
+        </p>
+      ) : (
+        <div className="grid gap-3">
+          {openApplications.map(application => (
+            <div key={application.id} className="border rounded-lg p-4 flex items-center justify-between">
+              <div>
+                <h5 className="font-medium text-gray-900">
+                  {application.applicantName}
+                  {application.companyName && (
+                    <span className="text-gray-500 font-normal"> · {application.companyName}</span>
+                  )}
+                </h5>
+                <p className="text-sm text-gray-500">
+                  {formatCurrency(application.requestedAmount)} · {application.tenorMonths} months ·{' '}
+                  {application.documentCount ?? application.documentIds.length} document(s) · updated {formatDate(application.updatedAt)}
+                  {application.decision && ` · ${application.decision.decision}`}
+                </p>
+              </div>
+              <button
+                onClick={() => onOpen(application.id)}
+                className="text-blue-600 hover:text-blue-800 px-3 py-2 rounded-lg border border-blue-200 transition-colors flex items-center gap-2"
+              >
+                <FolderOpen className="w-4 h-4" />
+                Open
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApplicationPanel;
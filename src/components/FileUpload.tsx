@@ -1,12 +1,19 @@
 import React, { useCallback, useState } from 'react';
-import { Upload, X, FileText, Image, AlertCircle } from 'lucide-react';
-import { DocumentFile } from '../types';
+import { Upload, X, FileText, FileSpreadsheet, FileCode, Image, AlertCircle, Ban, Scissors, Wand2, Trash2, FileWarning, AlertTriangle } from 'lucide-react';
+import { DocumentFile, SPLIT_DOCUMENT_TYPES } from '../types';
+import SplitEditor, { SplitSegment } from './SplitEditor';
+import PasswordPrompt from './PasswordPrompt';
+import { apiService } from '../services/api';
 
 interface FileUploadProps {
   documents: DocumentFile[];
   onDocumentsAdd: (files: File[]) => void;
   onDocumentRemove: (id: string) => void;
-  onProcess: () => void;
+  onDocumentDelete: (id: string) => void;
+  onDocumentCancel: (id: string) => void;
+  onDocumentSplit: (id: string, segments: SplitSegment[]) => Promise<void>;
+  onDocumentPassword: (id: string, password: string) => Promise<void>;
+  onProcess: (highAccuracy: boolean) => void;
   isProcessing: boolean;
 }
 
@@ -14,10 +21,31 @@ const FileUpload: React.FC<FileUploadProps> = ({
   documents,
   onDocumentsAdd,
   onDocumentRemove,
+  onDocumentDelete,
+  onDocumentCancel,
+  onDocumentSplit,
+  onDocumentPassword,
   onProcess,
   isProcessing
 }) => {
   const [dragOver, setDragOver] = useState(false);
+  const [editingSplitId, setEditingSplitId] = useState<string | null>(null);
+  const [highAccuracy, setHighAccuracy] = useState(false);
+
+  // Legacy .doc files cannot be parsed by the backend, so they are turned away before upload
+  const addSupportedFiles = useCallback((files: File[]) => {
+    const legacyWordFiles = files.filter(file =>
+      file.type === 'application/msword' || file.name.toLowerCase().endsWith('.doc')
+    );
+    if (legacyWordFiles.length > 0) {
+      alert(`Legacy Word (.doc) files are not supported: ${legacyWordFiles.map(file => file.name).join(', ')}. Please save them as .docx or PDF.`);
+    }
+
+    const supportedFiles = files.filter(file => !legacyWordFiles.includes(file));
+    if (supportedFiles.length > 0) {
+      onDocumentsAdd(supportedFiles);
+    }
+  }, [onDocumentsAdd]);
 
   const handleDrop = useCallback((e: React.DragEvent) => {
     e.preventDefault();
@@ -26,20 +54,17 @@ const FileUpload: React.FC<FileUploadProps> = ({
     const files = Array.from(e.dataTransfer.files).filter(file => 
       file.type === 'application/pdf' || 
       file.type.startsWith('image/') ||
-      file.type.includes('document')
+      file.type.includes('document') ||
+      file.type === 'application/msword' ||
+      /\.(csv|xlsx|sta|mt940|940|053|xml|ofx|qfx|txt)$/i.test(file.name)
     );
     
-    if (files.length > 0) {
-      onDocumentsAdd(files);
-    }
-  }, [onDocumentsAdd]);
+    addSupportedFiles(files);
+  }, [addSupportedFiles]);
 
   const handleFileSelect = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
-    const files = Array.from(e.target.files || []);
-    if (files.length > 0) {
-      onDocumentsAdd(files);
-    }
-  }, [onDocumentsAdd]);
+    addSupportedFiles(Array.from(e.target.files || []));
+  }, [addSupportedFiles]);
 
   const formatFileSize = (bytes: number) => {
     if (bytes === 0) return '0 Bytes';
@@ -49,17 +74,74 @@ const FileUpload: React.FC<FileUploadProps> = ({
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
-  const getFileIcon = (type: string) => {
+  const getFileIcon = (type: string, name: string) => {
     if (type === 'application/pdf') return <FileText className="w-8 h-8 text-red-500" />;
+    if (/\.(csv|xlsx)$/i.test(name)) return <FileSpreadsheet className="w-8 h-8 text-green-600" />;
+    if (/\.(sta|mt940|940|053|xml|ofx|qfx)$/i.test(name)) return <FileCode className="w-8 h-8 text-green-600" />;
     if (type.startsWith('image/')) return <Image className="w-8 h-8 text-blue-500" />;
     return <FileText className="w-8 h-8 text-gray-500" />;
   };
 
+  const describePages = (pages: NonNullable<DocumentFile['pages']>) => {
+    const count = (path: string) => pages.filter(page => page.extractionPath === path).length;
+    const parts = [`${count('text')} text layer`, `${count('vision')} scanned`];
+    if (count('skipped') > 0) {
+      parts.push(`${count('skipped')} skipped`);
+    }
+    return `${pages.length} page(s): ${parts.join(', ')}`;
+  };
+
+  const getPageCount = (doc: DocumentFile) => doc.pageCount || doc.pages?.length || 0;
+
+  // Uploaded PDFs with more than one page can be (re)split once they are no longer being processed
+  const canSplit = (doc: DocumentFile) => (
+    doc.type === 'application/pdf' &&
+    !doc.parentId &&
+    (doc.status === 'completed' || doc.status === 'split') &&
+    getPageCount(doc) > 1
+  );
+
+  const getInitialSegments = (doc: DocumentFile): SplitSegment[] => {
+    if (doc.split) {
+      return doc.split.segments.map(segment => ({
+        startPage: segment.pageRange[0],
+        endPage: segment.pageRange[1],
+        documentType: segment.documentType
+      }));
+    }
+    const documentType = doc.extractedData?.documentType || 'Unknown';
+    return [{
+      startPage: 1,
+      endPage: getPageCount(doc),
+      documentType: SPLIT_DOCUMENT_TYPES.includes(documentType) ? documentType : 'Unknown'
+    }];
+  };
+
+  const describeSplitPart = (doc: DocumentFile) => {
+    const [firstPage, lastPage] = doc.pageRange || [0, 0];
+    const pages = firstPage === lastPage ? `page ${firstPage}` : `pages ${firstPage}-${lastPage}`;
+    return `${doc.documentType || 'Unknown'} · ${pages}`;
+  };
+
+  const describeReview = (review: NonNullable<DocumentFile['imageReviews']>[number]) => {
+    const label = review.pageNumbers.length > 0 ? `Page ${review.pageNumbers.join(', ')}` : review.name;
+    const outcome = review.retried
+      ? `retried at ${Math.round((review.retryConfidence ?? 0) * 100)}% confidence, ${review.used} image used`
+      : `${Math.round(review.confidence * 100)}% confidence`;
+    return `${label}: ${review.steps.length > 0 ? review.steps.join(', ') : 'no changes'} · ${outcome}`;
+  };
+
   const getStatusColor = (status: DocumentFile['status']) => {
     switch (status) {
       case 'completed': return 'text-green-600 bg-green-50';
       case 'processing': return 'text-blue-600 bg-blue-50';
+      case 'queued': return 'text-indigo-600 bg-indigo-50';
       case 'error': return 'text-red-600 bg-red-50';
+      case 'interrupted':
+      case 'cancelled': return 'text-orange-600 bg-orange-50';
+      case 'split': return 'text-purple-600 bg-purple-50';
+      case 'needs_password': return 'text-amber-700 bg-amber-50';
+      case 'waiting_for_model': return 'text-yellow-700 bg-yellow-50';
       default: return 'text-gray-600 bg-gray-50';
     }
   };
@@ -90,7 +172,7 @@ const FileUpload: React.FC<FileUploadProps> = ({
           <input
             type="file"
             multiple
-            accept=".pdf,image/*,.doc,.docx"
+            accept=".pdf,image/*,.docx,.csv,.xlsx,.sta,.mt940,.940,.053,.xml,.ofx,.qfx,.txt"
             onChange={handleFileSelect}
             className="hidden"
           />
@@ -99,7 +181,7 @@ const FileUpload: React.FC<FileUploadProps> = ({
           </span>
         </label>
         <p className="text-sm text-gray-500 mt-2">
-          Supports PDF, Images, and Document files
+          Supports PDF, images, Word (.docx) documents, CSV/Excel (.xlsx) and MT940, CAMT.053 or OFX bank statements
         </p>
       </div>
 
@@ -109,41 +191,91 @@ const FileUpload: React.FC<FileUploadProps> = ({
             <h4 className="text-lg font-semibold text-gray-900">
               Uploaded Documents ({documents.length})
             </h4>
-            {documents.length > 0 && !isProcessing && (
-              <button
-                onClick={onProcess}
-                className="bg-green-600 text-white px-6 py-2 rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2"
-              >
-                <Upload className="w-4 h-4" />
-                Process Documents
-              </button>
+            {documents.some(doc => doc.status === 'pending') && !isProcessing && (
+              <div className="flex items-center gap-4">
+                <label
+                  className="flex items-center gap-2 text-sm text-gray-700"
+                  title="Reads each scanned page several times and compares the figures; slower"
+                >
+                  <input
+                    type="checkbox"
+                    checked={highAccuracy}
+                    onChange={(event) => setHighAccuracy(event.target.checked)}
+                    className="rounded border-gray-300"
+                  />
+                  High accuracy
+                </label>
+                <button
+                  onClick={() => onProcess(highAccuracy)}
+                  className="bg-green-600 text-white px-6 py-2 rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2"
+                >
+                  <Upload className="w-4 h-4" />
+                  Process Documents
+                </button>
+              </div>
             )}
           </div>
 
           <div className="grid gap-4">
             {documents.map((doc) => (
-              <div key={doc.id} className="border rounded-lg p-4 bg-white shadow-sm">
+              <div key={doc.id} className={`border rounded-lg p-4 bg-white shadow-sm ${doc.parentId ? 'ml-8' : ''}`}>
                 <div className="flex items-center justify-between">
                   <div className="flex items-center gap-3">
-                    {getFileIcon(doc.type)}
+                    {getFileIcon(doc.type, doc.name)}
                     <div>
                       <h5 className="font-medium text-gray-900">{doc.name}</h5>
-                      <p className="text-sm text-gray-500">{formatFileSize(doc.size)}</p>
+                      <p className="text-sm text-gray-500">
+                        {doc.parentId ? describeSplitPart(doc) : formatFileSize(doc.size)}
+                        {doc.split && ` · split into ${doc.split.segments.length} documents`}
+                        {!doc.split && doc.pages && doc.pages.length > 0 && ` · ${describePages(doc.pages)}`}
+                      </p>
                     </div>
                   </div>
                   
                   <div className="flex items-center gap-3">
                     <span className={`px-3 py-1 rounded-full text-xs font-medium capitalize ${getStatusColor(doc.status)}`}>
-                      {doc.status}
+                      {doc.status.replace(/_/g, ' ')}
                     </span>
+
+                    {canSplit(doc) && (
+                      <button
+                        onClick={() => setEditingSplitId(editingSplitId === doc.id ? null : doc.id)}
+                        className="text-gray-400 hover:text-purple-600 transition-colors"
+                        title={doc.split ? 'Adjust split' : 'Split into separate documents'}
+                      >
+                        <Scissors className="w-5 h-5" />
+                      </button>
+                    )}
                     
-                    {doc.status !== 'processing' && (
+                    {(doc.status === 'processing' || doc.status === 'queued' || doc.status === 'waiting_for_model') ? (
                       <button
-                        onClick={() => onDocumentRemove(doc.id)}
-                        className="text-gray-400 hover:text-red-500 transition-colors"
+                        onClick={() => onDocumentCancel(doc.id)}
+                        className="text-gray-400 hover:text-orange-500 transition-colors"
+                        title="Cancel processing"
                       >
-                        <X className="w-5 h-5" />
+                        <Ban className="w-5 h-5" />
                       </button>
+                    ) : !doc.parentId && (
+                      <>
+                        <button
+                          onClick={() => {
+                            if (confirm(`Permanently delete ${doc.name}, its extracted data and any recommendation based on it?`)) {
+                              onDocumentDelete(doc.id);
+                            }
+                          }}
+                          className="text-gray-400 hover:text-red-600 transition-colors"
+                          title="Delete permanently"
+                        >
+                          <Trash2 className="w-5 h-5" />
+                        </button>
+                        <button
+                          onClick={() => onDocumentRemove(doc.id)}
+                          className="text-gray-400 hover:text-red-500 transition-colors"
+                          title="Remove from application"
+                        >
+                          <X className="w-5 h-5" />
+                        </button>
+                      </>
                     )}
                   </div>
                 </div>
@@ -160,12 +292,92 @@ const FileUpload: React.FC<FileUploadProps> = ({
                   </div>
                 )}
 
-                {doc.error && (
+                {doc.error && doc.status !== 'needs_password' && (
                   <div className="mt-3 flex items-center gap-2 text-red-600">
                     <AlertCircle className="w-4 h-4" />
                     <span className="text-sm">{doc.error}</span>
                   </div>
                 )}
+
+                {doc.status === 'needs_password' && (
+                  <PasswordPrompt
+                    attemptsRemaining={doc.passwordAttemptsRemaining}
+                    onSubmit={(password) => onDocumentPassword(doc.id, password)}
+                  />
+                )}
+
+                {doc.backendId && doc.imageReviews && doc.imageReviews.some(review => review.after) && (
+                  <div className="mt-3 space-y-1">
+                    {doc.imageReviews.filter(review => review.before && review.after).map(review => (
+                      <div key={review.name} className="flex items-center gap-2 text-xs text-gray-600">
+                        <Wand2 className="w-3 h-3 text-purple-500 flex-shrink-0" />
+                        <span>{describeReview(review)}</span>
+                        <a
+                          href={apiService.getReviewImageUrl(doc.backendId!, review.before!)}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          before
+                        </a>
+                        <a
+                          href={apiService.getReviewImageUrl(doc.backendId!, review.after!)}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          after
+                        </a>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {doc.validationErrors && doc.validationErrors.length > 0 && (
+                  <details className="mt-3 text-xs text-amber-700">
+                    <summary className="flex items-center gap-2 cursor-pointer">
+                      <FileWarning className="w-3 h-3 flex-shrink-0" />
+                      {doc.validationErrors.length} extracted field{doc.validationErrors.length === 1 ? '' : 's'} did not match the expected format - check before relying on them
+                    </summary>
+                    <ul className="mt-1 ml-5 space-y-0.5 list-disc">
+                      {doc.validationErrors.map((issue, index) => (
+                        <li key={index}>
+                          {issue.pageNumbers.length > 0 && `Page ${issue.pageNumbers.join(', ')}: `}
+                          <code>{issue.path || '(whole reply)'}</code> {issue.message}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+
+                {doc.needsReview && doc.disputedFields && doc.disputedFields.length > 0 && (
+                  <details className="mt-3 text-xs text-amber-700">
+                    <summary className="flex items-center gap-2 cursor-pointer">
+                      <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+                      Needs review: the extraction runs read {doc.disputedFields.length} figure{doc.disputedFields.length === 1 ? '' : 's'} differently
+                    </summary>
+                    <ul className="mt-1 ml-5 space-y-0.5 list-disc">
+                      {doc.disputedFields.map((field, index) => (
+                        <li key={index}>
+                          {field.pageNumbers.length > 0 && `Page ${field.pageNumbers.join(', ')}: `}
+                          <code>{field.path}</code> read as {field.values.map(value => value.toLocaleString()).join(' / ')}, kept {field.chosen.toLocaleString()} ({field.method}, {Math.round(field.agreement * 100)}% of runs)
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+
+                {editingSplitId === doc.id && canSplit(doc) && (
+                  <SplitEditor
+                    pageCount={getPageCount(doc)}
+                    initialSegments={getInitialSegments(doc)}
+                    onSave={async (segments) => {
+                      await onDocumentSplit(doc.id, segments);
+                      setEditingSplitId(null);
+                    }}
+                    onCancel={() => setEditingSplitId(null)}
+                  />
+                )}
               </div>
             ))}
           </div>
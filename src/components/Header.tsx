@@ -1,14 +1,17 @@
 import React from 'react';
-import { FileSearch, RotateCcw, Wifi, WifiOff, AlertTriangle } from 'lucide-react';
+import { FileSearch, RotateCcw, Wifi, WifiOff, AlertTriangle, LogOut } from 'lucide-react';
+import { AuthUser } from '../types';
 
 interface HeaderProps {
   onReset: () => void;
   hasDocuments: boolean;
   backendHealth: string;
   onHealthCheck: () => void;
+  user: AuthUser;
+  onLogout: () => void;
 }
 
-const Header: React.FC<HeaderProps> = ({ onReset, hasDocuments, backendHealth, onHealthCheck }) => {
+const Header: React.FC<HeaderProps> = ({ onReset, hasDocuments, backendHealth, onHealthCheck, user, onLogout }) => {
   const getHealthIcon = () => {
     switch (backendHealth) {
       case 'connected': return <Wifi className="w-4 h-4 text-green-400" />;
@@ -69,9 +72,21 @@ const Header: React.FC<HeaderProps> = ({ onReset, hasDocuments, backendHealth, o
                 className="bg-white bg-opacity-20 hover:bg-opacity-30 px-4 py-2 rounded-lg transition-colors flex items-center gap-2"
               >
                 <RotateCcw className="w-4 h-4" />
-                New Analysis
+                Close Application
               </button>
             )}
+
+            <div className="text-right">
+              <p className="text-sm font-medium">{user.displayName}</p>
+              <p className="text-xs text-blue-100 capitalize">{user.role}{user.team ? ` · ${user.team}` : ''}</p>
+            </div>
+            <button
+              onClick={onLogout}
+              className="bg-white bg-opacity-20 hover:bg-opacity-30 p-2 rounded-lg transition-colors"
+              title="Sign out"
+            >
+              <LogOut className="w-4 h-4" />
+            </button>
           </div>
         </div>
       </div>
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { FileSearch, LogIn } from 'lucide-react';
+
+interface LoginScreenProps {
+  onLogin: (username: string, password: string) => Promise<void>;
+}
+
+const LoginScreen: React.FC<LoginScreenProps> = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!username || !password) {
+      return;
+    }
+
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      await onLogin(username.trim(), password);
+    } catch (loginError) {
+      setError(loginError instanceof Error ? loginError.message : 'Sign-in failed');
+      setPassword('');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 flex items-center justify-center px-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl p-8 shadow-lg w-full max-w-sm space-y-5">
+        <div className="flex items-center gap-3">
+          <div className="bg-blue-600 text-white p-3 rounded-xl">
+            <FileSearch className="w-6 h-6" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold text-gray-900">Credit Analysis Platform</h1>
+            <p className="text-sm text-gray-500">Sign in to continue</p>
+          </div>
+        </div>
+
+        <label className="block text-sm text-gray-700">
+          Username
+          <input
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+          />
+        </label>
+        <label className="block text-sm text-gray-700">
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+          />
+        </label>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={isSubmitting || !username || !password}
+          className="w-full bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center justify-center gap-2 disabled:opacity-50"
+        >
+          <LogIn className="w-4 h-4" />
+          {isSubmitting ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
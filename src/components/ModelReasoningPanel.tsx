@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { Brain, ChevronDown, ChevronRight, Loader2 } from 'lucide-react';
+import { InsightSection, ModelTrace } from '../types';
+import { apiService } from '../services/api';
+
+interface ModelReasoningPanelProps {
+  recommendationId: string;
+}
+
+const formatOptions = (options: ModelTrace['options']) =>
+  options
+    ? Object.entries(options).filter(([, value]) => value !== undefined && value !== null).map(([key, value]) => `${key} ${value}`).join(', ')
+    : 'defaults';
+
+const SECTION_LABELS: Record<InsightSection, string> = {
+  businessProfile: 'Business profile',
+  profitLoss: 'Profit and loss',
+  balanceSheet: 'Balance sheet',
+  bankBehaviour: 'Bank behaviour',
+  creditHistory: 'Credit history'
+};
+
+const describeBudget = (budget: NonNullable<ModelTrace['budget']>) => {
+  const omitted = Object.values(budget.omitted).reduce((total, count) => total + count, 0);
+  return `~${budget.estimatedTokens}/${budget.budgetTokens} prompt tokens${omitted > 0 ? `, ${omitted} list entr${omitted === 1 ? 'y' : 'ies'} left out` : ''}`;
+};
+
+// The analysis model's reasoning behind a recommendation, with the exact prompt and raw
+// reply of every request: one summary per section of the documents, then the synthesis.
+// Loaded the first time the panel is opened.
+const ModelReasoningPanel: React.FC<ModelReasoningPanelProps> = ({ recommendationId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [traces, setTraces] = useState<ModelTrace[] | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const toggle = async () => {
+    setIsOpen(!isOpen);
+    if (isOpen || traces || isLoading) {
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      setTraces(await apiService.getRecommendationTraces(recommendationId));
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load the model reasoning');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 border rounded-lg">
+      <button
+        type="button"
+        onClick={toggle}
+        className="w-full flex items-center gap-2 p-4 text-left font-semibold text-gray-900 hover:bg-gray-50"
+      >
+        {isOpen ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        <Brain className="w-4 h-4 text-purple-600" />
+        Model Reasoning
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4 space-y-4">
+          {isLoading && (
+            <div className="flex items-center gap-2 text-sm text-gray-600">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              Loading model reasoning...
+            </div>
+          )}
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          {traces && traces.length === 0 && (
+            <div className="text-sm text-gray-600">No model calls were recorded for this recommendation.</div>
+          )}
+
+          {traces?.map(trace => (
+            <div key={trace.id} className="space-y-3">
+              <div className="text-sm font-medium text-gray-800">
+                {trace.section ? `${SECTION_LABELS[trace.section]} summary` : 'Credit insights'}
+              </div>
+              <div className="text-xs text-gray-500">
+                {trace.model} on {trace.provider}
+                {trace.modelDigest && ` (${trace.modelDigest.replace(/^sha256:/, '').slice(0, 12)})`}
+                {` | ${(trace.latencyMs / 1000).toFixed(1)}s | ${formatOptions(trace.options)}`}
+                {trace.budget && ` | ${describeBudget(trace.budget)}`}
+                {trace.calls.length > 1 && ` | ${trace.calls.length - 1} repair request${trace.calls.length === 2 ? '' : 's'}`}
+              </div>
+
+              {trace.reasoning ? (
+                <pre className="whitespace-pre-wrap text-sm text-gray-700 bg-purple-50 rounded-lg p-3 max-h-96 overflow-y-auto font-sans">
+                  {trace.reasoning}
+                </pre>
+              ) : (
+                <div className="text-sm text-gray-600">The model gave no reasoning separate from its answer.</div>
+              )}
+
+              {trace.calls.map((call, index) => (
+                <details key={index} className="text-xs text-gray-700">
+                  <summary className="cursor-pointer text-gray-600">
+                    {index === 0 ? 'Request' : `Repair request ${index}`}: prompt and raw reply
+                    {` (${(call.latencyMs / 1000).toFixed(1)}s`}
+                    {call.responseTokens !== null && `, ${call.responseTokens} tokens`}
+                    {call.validationErrors.length > 0 && `, ${call.validationErrors.length} validation error${call.validationErrors.length === 1 ? '' : 's'}`})
+                  </summary>
+                  <div className="mt-2 space-y-2">
+                    <div className="font-medium">Prompt</div>
+                    <pre className="whitespace-pre-wrap bg-gray-50 rounded p-2 max-h-64 overflow-y-auto">{call.prompt}</pre>
+                    <div className="font-medium">Reply</div>
+                    <pre className="whitespace-pre-wrap bg-gray-50 rounded p-2 max-h-64 overflow-y-auto">{call.response}</pre>
+                  </div>
+                </details>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelReasoningPanel;
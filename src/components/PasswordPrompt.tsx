@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { Lock } from 'lucide-react';
+
+interface PasswordPromptProps {
+  attemptsRemaining?: number;
+  onSubmit: (password: string) => Promise<void>;
+}
+
+// Bank e-statements are usually locked with a date of birth or account number
+const PasswordPrompt: React.FC<PasswordPromptProps> = ({ attemptsRemaining, onSubmit }) => {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!password) {
+      return;
+    }
+
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      await onSubmit(password);
+    } catch (submitError) {
+      setError(submitError instanceof Error ? submitError.message : 'Failed to unlock document');
+    } finally {
+      // Never keep the password around longer than the request
+      setPassword('');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 border rounded-lg p-4 bg-amber-50 space-y-2">
+      <div className="flex items-center gap-3">
+        <Lock className="w-4 h-4 text-amber-600 flex-shrink-0" />
+        <input
+          type="password"
+          autoComplete="off"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="PDF password (often a date of birth or account number)"
+          className="flex-1 border border-gray-300 rounded-lg px-3 py-1 text-sm"
+        />
+        <button
+          type="submit"
+          disabled={isSubmitting || !password}
+          className="bg-amber-600 text-white px-3 py-1 rounded-lg hover:bg-amber-700 transition-colors text-sm disabled:opacity-50"
+        >
+          {isSubmitting ? 'Unlocking...' : 'Unlock'}
+        </button>
+      </div>
+      {attemptsRemaining !== undefined && (
+        <p className="text-xs text-gray-600">{attemptsRemaining} attempt(s) remaining</p>
+      )}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </form>
+  );
+};
+
+export default PasswordPrompt;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { FieldProvenance } from '../types';
+import { apiService } from '../services/api';
+
+interface SourceLinkProps {
+  provenance?: FieldProvenance;
+  sourceFile?: string;
+  children: React.ReactNode;
+}
+
+const SOURCE_LABELS: Record<FieldProvenance['source'], string> = {
+  text_layer: 'found in the text layer',
+  model: 'read by the model',
+  parser: 'parsed from the statement file'
+};
+
+const describe = (provenance: FieldProvenance, sourceFile?: string) => {
+  const place = provenance.page ? `Page ${provenance.page}` : 'Document';
+  const file = sourceFile ? ` of ${sourceFile}` : '';
+  const confidence = provenance.confidence !== null ? `, ${Math.round(provenance.confidence * 100)}% confidence` : '';
+  const unlocated = provenance.located === false ? ' (not found on the page)' : '';
+  const agreement = provenance.agreement !== undefined && provenance.agreement < 1
+    ? `, ${Math.round(provenance.agreement * 100)}% of extraction runs agreed`
+    : '';
+  return `${place}${file}, ${SOURCE_LABELS[provenance.source]}${confidence}${unlocated}${agreement}`;
+};
+
+// An extracted value that opens the page it was read from. Values the model gave but
+// that could not be found in the page text, and values the high-accuracy runs disagreed
+// on, are underlined in amber.
+const SourceLink: React.FC<SourceLinkProps> = ({ provenance, sourceFile, children }) => {
+  if (!provenance) {
+    return <>{children}</>;
+  }
+
+  return (
+    <a
+      href={apiService.getDocumentFileUrl(provenance.documentId, provenance.page)}
+      target="_blank"
+      rel="noopener noreferrer"
+      title={describe(provenance, sourceFile)}
+      className={`underline decoration-dotted underline-offset-2 ${provenance.located === false || (provenance.agreement ?? 1) < 1 ? 'decoration-amber-500' : 'decoration-gray-400'} hover:text-blue-600`}
+    >
+      {children}
+    </a>
+  );
+};
+
+export default SourceLink;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { SPLIT_DOCUMENT_TYPES } from '../types';
+
+export interface SplitSegment {
+  startPage: number;
+  endPage: number;
+  documentType: string;
+}
+
+interface SplitEditorProps {
+  pageCount: number;
+  initialSegments: SplitSegment[];
+  onSave: (segments: SplitSegment[]) => Promise<void>;
+  onCancel: () => void;
+}
+
+// Each row is a document starting at the given page; it runs until the next row starts
+const SplitEditor: React.FC<SplitEditorProps> = ({ pageCount, initialSegments, onSave, onCancel }) => {
+  const [rows, setRows] = useState(() => (
+    initialSegments.length > 0
+      ? initialSegments.map(segment => ({ startPage: segment.startPage, documentType: segment.documentType }))
+      : [{ startPage: 1, documentType: 'Unknown' }]
+  ));
+  const [error, setError] = useState<string | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const updateRow = (index: number, updates: Partial<(typeof rows)[number]>) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, ...updates } : row)));
+  };
+
+  const addRow = () => {
+    const lastStart = rows[rows.length - 1].startPage;
+    setRows(prev => [...prev, { startPage: Math.min(pageCount, lastStart + 1), documentType: 'Unknown' }]);
+  };
+
+  const handleSave = async () => {
+    setError(null);
+
+    for (let i = 1; i < rows.length; i++) {
+      if (!Number.isInteger(rows[i].startPage) || rows[i].startPage <= rows[i - 1].startPage || rows[i].startPage > pageCount) {
+        setError(`Start pages must increase and stay within 1-${pageCount}`);
+        return;
+      }
+    }
+
+    setIsSaving(true);
+    try {
+      await onSave(rows.map((row, i) => ({
+        startPage: row.startPage,
+        endPage: i + 1 < rows.length ? rows[i + 1].startPage - 1 : pageCount,
+        documentType: row.documentType
+      })));
+    } catch (saveError) {
+      setError(saveError instanceof Error ? saveError.message : 'Failed to update split');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 border rounded-lg p-4 bg-gray-50 space-y-3">
+      <p className="text-sm text-gray-600">
+        {pageCount} page(s). Each row starts a separate document; it ends where the next one begins.
+      </p>
+
+      {rows.map((row, index) => (
+        <div key={index} className="flex items-center gap-3 text-sm">
+          <label className="flex items-center gap-2 text-gray-700">
+            From page
+            <input
+              type="number"
+              min={1}
+              max={pageCount}
+              value={row.startPage}
+              disabled={index === 0}
+              onChange={(e) => updateRow(index, { startPage: Number(e.target.value) })}
+              className="w-20 border border-gray-300 rounded-lg px-2 py-1 disabled:bg-gray-100"
+            />
+          </label>
+          <span className="text-gray-500">
+            to {index + 1 < rows.length ? rows[index + 1].startPage - 1 : pageCount}
+          </span>
+          <select
+            value={row.documentType}
+            onChange={(e) => updateRow(index, { documentType: e.target.value })}
+            className="border border-gray-300 rounded-lg px-2 py-1"
+          >
+            {SPLIT_DOCUMENT_TYPES.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          {index > 0 && (
+            <button
+              onClick={() => setRows(prev => prev.filter((_, i) => i !== index))}
+              className="text-gray-400 hover:text-red-500 transition-colors"
+              title="Merge into the previous document"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex items-center justify-between">
+        <button
+          onClick={addRow}
+          disabled={rows[rows.length - 1].startPage >= pageCount}
+          className="text-blue-600 hover:text-blue-800 text-sm flex items-center gap-1 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4" />
+          Add document
+        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={onCancel}
+            className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors text-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="bg-green-600 text-white px-3 py-1 rounded-lg hover:bg-green-700 transition-colors text-sm disabled:opacity-50"
+          >
+            {isSaving ? 'Saving...' : 'Save and reprocess'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SplitEditor;
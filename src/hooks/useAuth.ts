@@ -0,0 +1,36 @@
+import { useState, useCallback, useEffect } from 'react';
+import { AuthUser } from '../types';
+import { apiService } from '../services/api';
+
+export const useAuth = () => {
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [isCheckingSession, setIsCheckingSession] = useState(true);
+
+  // Resume a session from earlier in this tab, and drop back to the login screen when it expires
+  useEffect(() => {
+    apiService.onUnauthorized(() => setUser(null));
+
+    apiService.getCurrentUser()
+      .then(setUser)
+      .catch(error => console.error('Failed to restore session:', error))
+      .finally(() => setIsCheckingSession(false));
+
+    return () => apiService.onUnauthorized(null);
+  }, []);
+
+  const login = useCallback(async (username: string, password: string) => {
+    setUser(await apiService.login(username, password));
+  }, []);
+
+  const logout = useCallback(async () => {
+    await apiService.logout();
+    setUser(null);
+  }, []);
+
+  return {
+    user,
+    isCheckingSession,
+    login,
+    logout
+  };
+};
@@ -1,35 +1,72 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
-import { DocumentFile, CreditRecommendation } from '../types';
+import {
+  DocumentFile,
+  CreditRecommendation,
+  FINAL_DOCUMENT_STATUSES,
+  LoanApplication,
+  LoanApplicationDetail,
+  NewLoanApplication,
+  AuthUser,
+  BackendHealth,
+  hasPermission
+} from '../types';
 import { apiService } from '../services/api';
+import { SplitSegment } from '../components/SplitEditor';
 
-export const useDocumentProcessing = () => {
+type StatusUpdate = Awaited<ReturnType<typeof apiService.getProcessingStatus>>;
+
+export const useDocumentProcessing = (user: AuthUser) => {
   const [documents, setDocuments] = useState<DocumentFile[]>([]);
   const [recommendation, setRecommendation] = useState<CreditRecommendation | null>(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [backendHealth, setBackendHealth] = useState<string>('checking');
-  const processingIntervals = useRef<Map<string, NodeJS.Timeout>>(new Map());
+  const [healthDetails, setHealthDetails] = useState<BackendHealth | null>(null); // Providers and models from /health
+  const [applications, setApplications] = useState<LoanApplication[]>([]);
+  const [activeApplication, setActiveApplication] = useState<LoanApplicationDetail | null>(null);
+  const activeApplicationRef = useRef<LoanApplicationDetail | null>(null); // Read inside callbacks
+  const processingIntervals = useRef<Map<string, ReturnType<typeof setInterval>>>(new Map()); // Polling fallback
   const documentIdMap = useRef<Map<string, string>>(new Map()); // Maps local ID to backend ID
-  const completionCheckInterval = useRef<NodeJS.Timeout | null>(null);
+  const closeEventStream = useRef<(() => void) | null>(null);
+  const followedDocumentIds = useRef<string[]>([]); // Local IDs on the current event stream
+  const [splitDocumentIds, setSplitDocumentIds] = useState<string[]>([]); // Parts of a split PDF still to follow
+  const batchDocumentIds = useRef<Set<string>>(new Set()); // Local IDs in the batch being processed
+  const recommendationRequested = useRef(false);
   const isProcessingRef = useRef(false); // Prevent duplicate processing
+  const canRecommend = hasPermission(user, 'recommendations:write'); // Uploaders only get documents processed
 
   // Check backend health on mount
   useEffect(() => {
     checkBackendHealth();
   }, []);
 
-  // Cleanup intervals on unmount
+  const refreshApplications = useCallback(async () => {
+    try {
+      setApplications(await apiService.listApplications());
+    } catch (error) {
+      console.error('Failed to load applications:', error);
+    }
+  }, []);
+
+  // Load the application list once the backend is reachable
   useEffect(() => {
+    if (backendHealth === 'connected') {
+      refreshApplications();
+    }
+  }, [backendHealth, refreshApplications]);
+
+  // Cleanup live updates on unmount
+  useEffect(() => {
+    const intervals = processingIntervals.current;
     return () => {
-      processingIntervals.current.forEach(interval => clearInterval(interval));
-      if (completionCheckInterval.current) {
-        clearInterval(completionCheckInterval.current);
-      }
+      intervals.forEach(interval => clearInterval(interval));
+      closeEventStream.current?.();
     };
   }, []);
 
   const checkBackendHealth = async () => {
     try {
       const health = await apiService.checkHealth();
+      setHealthDetails(health);
       setBackendHealth(health.status === 'OK' ? 'connected' : 'error');
       if (health.error) {
         console.error('Backend health check failed:', health.error);
@@ -54,69 +91,301 @@ export const useDocumentProcessing = () => {
     setDocuments(prev => [...prev, ...newDocuments]);
   }, []);
 
-  const removeDocument = useCallback((id: string) => {
-    // Clear any processing interval for this document
+  const stopPolling = useCallback((id: string) => {
     const interval = processingIntervals.current.get(id);
     if (interval) {
       clearInterval(interval);
       processingIntervals.current.delete(id);
     }
+  }, []);
+
+  // Drops a document, and the parts split off it, from the list
+  const forgetDocument = useCallback((id: string) => {
+    const backendId = documentIdMap.current.get(id);
+
+    // Documents split off a combined PDF leave together with it
+    const removedIds = [id, ...documents.filter(doc => backendId && doc.parentId === backendId).map(doc => doc.id)];
+    removedIds.forEach(removedId => {
+      // Clear any processing interval for this document
+      stopPolling(removedId);
+
+      // Remove from ID mapping
+      documentIdMap.current.delete(removedId);
+      batchDocumentIds.current.delete(removedId);
+    });
+
+    setDocuments(prev => prev.filter(doc => !removedIds.includes(doc.id)));
+  }, [documents, stopPolling]);
+
+  const removeDocument = useCallback(async (id: string) => {
+    const backendId = documentIdMap.current.get(id);
+    const application = activeApplicationRef.current;
+
+    // Uploaded documents also have to leave the application on the backend
+    if (application && backendId) {
+      try {
+        await apiService.detachDocument(application.id, backendId);
+      } catch (error) {
+        console.error(`Failed to detach document ${id}:`, error);
+        alert(`Failed to remove document: ${error instanceof Error ? error.message : 'Unknown error'}`);
+        return;
+      }
+    }
 
-    // Remove from ID mapping
-    documentIdMap.current.delete(id);
+    forgetDocument(id);
+  }, [forgetDocument]);
 
-    setDocuments(prev => prev.filter(doc => doc.id !== id));
+  // Deletes the document on the backend for good, along with recommendations based on it
+  const deleteDocument = useCallback(async (id: string) => {
+    const backendId = documentIdMap.current.get(id);
+    if (!backendId) {
+      forgetDocument(id);
+      return;
+    }
+
+    try {
+      const result = await apiService.deleteDocument(backendId);
+      if (recommendation?.recommendationId && result.deleted_recommendation_ids.includes(recommendation.recommendationId)) {
+        setRecommendation(null);
+      }
+    } catch (error) {
+      console.error(`Failed to delete document ${id}:`, error);
+      alert(`Failed to delete document: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      return;
+    }
+
+    forgetDocument(id);
+    refreshApplications();
+  }, [forgetDocument, recommendation, refreshApplications]);
+
+  const cancelDocument = useCallback(async (id: string) => {
+    const backendId = documentIdMap.current.get(id);
+    if (!backendId) {
+      return;
+    }
+
+    try {
+      await apiService.cancelProcessing(backendId);
+    } catch (error) {
+      console.error(`Failed to cancel processing for ${id}:`, error);
+      alert(`Failed to cancel processing: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
   }, []);
 
   const updateDocumentStatus = useCallback((id: string, updates: Partial<DocumentFile>) => {
-    setDocuments(prev => prev.map(doc => 
+    setDocuments(prev => prev.map(doc =>
       doc.id === id ? { ...doc, ...updates } : doc
     ));
   }, []);
 
+  // A combined PDF was split: show its parts below it and follow them like the rest of the batch
+  const showSplitDocuments = useCallback((localId: string, status: StatusUpdate) => {
+    const children = status.children || [];
+    const childIds = children.map(child => child.document_id);
+    const newIds = childIds.filter(childId => !documentIdMap.current.has(childId));
+
+    const childDocs: DocumentFile[] = children.map(child => ({
+      id: child.document_id,
+      backendId: child.document_id,
+      name: child.filename,
+      size: 0,
+      type: 'application/pdf',
+      status: child.status,
+      progress: child.progress,
+      parentId: status.document_id,
+      pageRange: child.page_range,
+      documentType: child.document_type
+    }));
+    childIds.forEach(childId => documentIdMap.current.set(childId, childId));
+
+    setDocuments(prev => {
+      // Parts from an earlier split are replaced
+      const replaced = prev.filter(doc => doc.parentId === status.document_id && !childIds.includes(doc.id));
+      replaced.forEach(doc => {
+        documentIdMap.current.delete(doc.id);
+        batchDocumentIds.current.delete(doc.id);
+      });
+
+      const known = new Set(prev.map(doc => doc.id));
+      return prev
+        .filter(doc => !replaced.includes(doc))
+        .flatMap(doc => (doc.id === localId ? [doc, ...childDocs.filter(child => !known.has(child.id))] : [doc]));
+    });
+
+    if (batchDocumentIds.current.has(localId)) {
+      childIds.forEach(childId => batchDocumentIds.current.add(childId));
+    }
+    if (newIds.length > 0) {
+      setSplitDocumentIds(prev => [...prev, ...newIds]);
+    }
+  }, []);
+
+  // Shared by the event stream and the polling fallback
+  const applyStatusUpdate = useCallback((localId: string, status: StatusUpdate) => {
+    console.log(`Status update for ${localId}:`, {
+      status: status.status,
+      progress: status.progress,
+      hasExtractedData: !!status.extracted_data
+    });
+
+    updateDocumentStatus(localId, {
+      status: status.status,
+      progress: status.progress,
+      error: status.error,
+      pages: status.pages,
+      imageReviews: status.image_reviews,
+      validationErrors: status.validation_errors,
+      needsReview: status.needs_review,
+      disputedFields: status.disputed_fields,
+      pageCount: status.page_count,
+      split: status.split,
+      passwordAttemptsRemaining: status.password_attempts_remaining,
+      extractedData: status.extracted_data
+    });
+
+    if (status.status === 'split') {
+      showSplitDocuments(localId, status);
+    }
+
+    // Once the document reaches a final status, stop polling
+    if (FINAL_DOCUMENT_STATUSES.includes(status.status)) {
+      stopPolling(localId);
+    }
+  }, [updateDocumentStatus, stopPolling, showSplitDocuments]);
+
   const pollDocumentStatus = useCallback(async (localId: string, backendId: string) => {
     try {
       console.log(`Polling status for document ${localId} (backend: ${backendId})`);
       const status = await apiService.getProcessingStatus(backendId);
-      
-      console.log(`Status update for ${localId}:`, {
-        status: status.status,
-        progress: status.progress,
-        hasExtractedData: !!status.extracted_data
-      });
-      
-      updateDocumentStatus(localId, {
-        status: status.status,
-        progress: status.progress,
-        error: status.error,
-        extractedData: status.extracted_data
-      });
-
-      // If completed or error, stop polling
-      if (status.status === 'completed' || status.status === 'error') {
-        const interval = processingIntervals.current.get(localId);
-        if (interval) {
-          clearInterval(interval);
-          processingIntervals.current.delete(localId);
-          console.log(`Stopped polling for ${localId} - status: ${status.status}`);
-        }
-      }
+      applyStatusUpdate(localId, status);
     } catch (error) {
       console.error(`Failed to get status for document ${localId}:`, error);
       updateDocumentStatus(localId, {
         status: 'error',
         error: error instanceof Error ? error.message : 'Status check failed'
       });
-      
-      const interval = processingIntervals.current.get(localId);
-      if (interval) {
-        clearInterval(interval);
-        processingIntervals.current.delete(localId);
+      stopPolling(localId);
+    }
+  }, [applyStatusUpdate, updateDocumentStatus, stopPolling]);
+
+  const startPolling = useCallback((localId: string, backendId: string) => {
+    stopPolling(localId);
+    const pollInterval = setInterval(() => {
+      pollDocumentStatus(localId, backendId);
+    }, 2000); // Poll every 2 seconds
+
+    processingIntervals.current.set(localId, pollInterval);
+  }, [pollDocumentStatus, stopPolling]);
+
+  // Follow documents over the event stream, falling back to polling when it is unavailable
+  const subscribeToUpdates = useCallback((localIds: string[]) => {
+    const localIdByBackendId = new Map<string, string>();
+    localIds.forEach(localId => {
+      const backendId = documentIdMap.current.get(localId);
+      if (backendId) {
+        localIdByBackendId.set(backendId, localId);
+      }
+    });
+
+    if (localIdByBackendId.size === 0) {
+      return;
+    }
+
+    followedDocumentIds.current = Array.from(localIdByBackendId.values());
+    closeEventStream.current?.();
+    closeEventStream.current = apiService.subscribeToEvents(Array.from(localIdByBackendId.keys()), {
+      onEvent: (event) => {
+        const localId = localIdByBackendId.get(event.document_id);
+        if (localId) {
+          applyStatusUpdate(localId, event);
+        }
+      },
+      onUnavailable: () => {
+        console.warn('Falling back to status polling');
+        closeEventStream.current = null;
+        localIdByBackendId.forEach((localId, backendId) => startPolling(localId, backendId));
+      }
+    });
+  }, [applyStatusUpdate, startPolling]);
+
+  // Reopen the event stream so it also covers newly split-off documents
+  useEffect(() => {
+    if (splitDocumentIds.length === 0) {
+      return;
+    }
+    setSplitDocumentIds([]);
+    subscribeToUpdates([...followedDocumentIds.current, ...splitDocumentIds]);
+  }, [splitDocumentIds, subscribeToUpdates]);
+
+  const finishProcessing = useCallback(() => {
+    closeEventStream.current?.();
+    closeEventStream.current = null;
+    batchDocumentIds.current.clear();
+    setIsProcessing(false);
+    isProcessingRef.current = false;
+  }, []);
+
+  const generateRecommendation = useCallback(async (completedDocs: DocumentFile[]) => {
+    try {
+      console.log('Generating credit recommendation...');
+      const completedBackendIds = completedDocs
+        .map(doc => documentIdMap.current.get(doc.id))
+        .filter(id => id) as string[];
+
+      console.log('Completed backend IDs for recommendation:', completedBackendIds);
+
+      if (completedBackendIds.length === 0) {
+        throw new Error('No completed documents found for recommendation');
       }
+
+      // An open application is analysed as a whole, including documents from earlier sessions
+      const application = activeApplicationRef.current;
+      const creditRec = application
+        ? await apiService.generateCreditRecommendation(null, application.id)
+        : await apiService.generateCreditRecommendation(completedBackendIds);
+      console.log('Credit recommendation received:', creditRec);
+      setRecommendation(creditRec);
+
+      if (application) {
+        refreshApplications();
+      }
+      console.log('Credit recommendation generated successfully');
+    } catch (error) {
+      console.error('Failed to generate recommendation:', error);
+      alert(`Failed to generate recommendation: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      finishProcessing();
     }
-  }, [updateDocumentStatus]);
+  }, [finishProcessing, refreshApplications]);
+
+  // Generate the recommendation once every document in the batch has finished
+  useEffect(() => {
+    if (!isProcessingRef.current || recommendationRequested.current || batchDocumentIds.current.size === 0) {
+      return;
+    }
+
+    const batchDocs = documents.filter(doc => batchDocumentIds.current.has(doc.id));
+    const allCompleted = batchDocs.every(doc => FINAL_DOCUMENT_STATUSES.includes(doc.status));
+
+    if (!allCompleted) {
+      return;
+    }
+
+    console.log('All documents completed processing');
+    recommendationRequested.current = true;
 
-  const processDocuments = useCallback(async () => {
+    const completedDocs = (activeApplicationRef.current ? documents : batchDocs)
+      .filter(doc => doc.status === 'completed');
+    if (completedDocs.length > 0 && canRecommend) {
+      generateRecommendation(completedDocs);
+    } else {
+      console.log(canRecommend ? 'No completed documents for recommendation' : 'Documents processed; recommendation left to an analyst');
+      finishProcessing();
+    }
+  }, [documents, generateRecommendation, finishProcessing, canRecommend]);
+
+  // `highAccuracy` extracts scanned pages several times and reconciles the runs by vote
+  const processDocuments = useCallback(async (highAccuracy = false) => {
     // Prevent duplicate processing
     if (isProcessingRef.current) {
       console.log('Processing already in progress, skipping...');
@@ -124,13 +393,15 @@ export const useDocumentProcessing = () => {
     }
 
     if (backendHealth !== 'connected') {
-      alert('Backend is not connected. Please check if the server is running and Ollama models are available.');
+      alert('Backend is not connected. Please check if the server is running and the configured models are available.');
       return;
     }
 
     // Get pending documents at the start
-    const currentDocs = documents.filter(doc => doc.status === 'pending');
-    
+    const currentDocs = documents.filter(
+      (doc): doc is DocumentFile & { file: File } => doc.status === 'pending' && !!doc.file
+    );
+
     if (currentDocs.length === 0) {
       console.log('No pending documents to process');
       return;
@@ -138,6 +409,7 @@ export const useDocumentProcessing = () => {
 
     // Set processing flags
     isProcessingRef.current = true;
+    recommendationRequested.current = false;
     setIsProcessing(true);
     setRecommendation(null);
 
@@ -147,7 +419,7 @@ export const useDocumentProcessing = () => {
       // Step 1: Upload documents
       console.log('Uploading documents...');
       const files = currentDocs.map(doc => doc.file);
-      const backendIds = await apiService.uploadDocuments(files);
+      const backendIds = await apiService.uploadDocuments(files, activeApplicationRef.current?.id);
 
       console.log(`Uploaded ${backendIds.length} documents, received IDs:`, backendIds);
 
@@ -157,25 +429,23 @@ export const useDocumentProcessing = () => {
         console.log(`Mapped ${doc.name} (${doc.id}) to backend ID: ${backendIds[index]}`);
       });
 
+      // Every document in the batch has to finish before the recommendation
+      batchDocumentIds.current = new Set(currentDocs.map(doc => doc.id));
+
       // Step 2: Start processing each document
+      const startedDocIds: string[] = [];
       for (let i = 0; i < currentDocs.length; i++) {
         const doc = currentDocs[i];
         const backendId = backendIds[i];
 
         try {
           console.log(`Starting processing for ${doc.name} (${backendId})`);
-          updateDocumentStatus(doc.id, { status: 'processing', progress: 0 });
-          
-          // Start processing on backend
-          await apiService.processDocument(backendId);
-          
-          // Start polling for status updates
-          const pollInterval = setInterval(() => {
-            pollDocumentStatus(doc.id, backendId);
-          }, 2000); // Poll every 2 seconds
-          
-          processingIntervals.current.set(doc.id, pollInterval);
-          
+          updateDocumentStatus(doc.id, { status: 'queued', progress: 0 });
+
+          // Queue processing on backend
+          await apiService.processDocument(backendId, { highAccuracy });
+          startedDocIds.push(doc.id);
+
         } catch (error) {
           console.error(`Failed to start processing for ${doc.name}:`, error);
           updateDocumentStatus(doc.id, {
@@ -185,111 +455,195 @@ export const useDocumentProcessing = () => {
         }
       }
 
-      // Step 3: Start checking for completion
-      if (completionCheckInterval.current) {
-        clearInterval(completionCheckInterval.current);
-      }
-
-      const processedDocIds = new Set(currentDocs.map(doc => doc.id));
-
-      completionCheckInterval.current = setInterval(() => {
-        setDocuments(latestDocs => {
-          const processingDocs = latestDocs.filter(doc => processedDocIds.has(doc.id));
-          
-          const allCompleted = processingDocs.every(doc => 
-            doc.status === 'completed' || doc.status === 'error'
-          );
-          
-          const hasCompletedDocs = processingDocs.some(doc => doc.status === 'completed');
-
-          console.log(`Completion check - All completed: ${allCompleted}, Has completed: ${hasCompletedDocs}`);
-          console.log('Document statuses:', processingDocs.map(doc => ({ name: doc.name, status: doc.status })));
-
-          if (allCompleted) {
-            console.log('All documents completed processing');
-            
-            if (completionCheckInterval.current) {
-              clearInterval(completionCheckInterval.current);
-              completionCheckInterval.current = null;
-            }
-            
-            if (hasCompletedDocs) {
-              // Generate recommendation
-              (async () => {
-                try {
-                  console.log('Generating credit recommendation...');
-                  const completedBackendIds = processingDocs
-                    .filter(doc => doc.status === 'completed')
-                    .map(doc => documentIdMap.current.get(doc.id))
-                    .filter(id => id) as string[];
-                  
-                  console.log('Completed backend IDs for recommendation:', completedBackendIds);
-                  
-                  if (completedBackendIds.length === 0) {
-                    throw new Error('No completed documents found for recommendation');
-                  }
-                  
-                  const creditRec = await apiService.generateCreditRecommendation(completedBackendIds);
-                  console.log('Credit recommendation received:', creditRec);
-                  setRecommendation(creditRec);
-                  console.log('Credit recommendation generated successfully');
-                } catch (error) {
-                  console.error('Failed to generate recommendation:', error);
-                  alert(`Failed to generate recommendation: ${error instanceof Error ? error.message : 'Unknown error'}`);
-                } finally {
-                  setIsProcessing(false);
-                  isProcessingRef.current = false;
-                }
-              })();
-            } else {
-              console.log('No completed documents for recommendation');
-              setIsProcessing(false);
-              isProcessingRef.current = false;
-            }
-          }
-
-          return latestDocs;
-        });
-      }, 3000); // Check every 3 seconds
+      // Step 3: Follow progress until every document finishes
+      subscribeToUpdates(startedDocIds);
 
     } catch (error) {
       console.error('Processing failed:', error);
       alert(`Processing failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
-      setIsProcessing(false);
-      isProcessingRef.current = false;
+      finishProcessing();
     }
-  }, [documents, backendHealth, pollDocumentStatus, updateDocumentStatus]);
+  }, [documents, backendHealth, subscribeToUpdates, updateDocumentStatus, finishProcessing]);
+
+  // Re-split a PDF as the analyst marked it; the new documents are processed as a batch
+  // and, like a normal batch, end in a fresh recommendation
+  const adjustSplit = useCallback(async (id: string, segments: SplitSegment[]) => {
+    const backendId = documentIdMap.current.get(id);
+    if (!backendId) {
+      return;
+    }
+
+    const status = await apiService.updateSplit(backendId, segments);
+
+    if (!isProcessingRef.current) {
+      isProcessingRef.current = true;
+      recommendationRequested.current = false;
+      batchDocumentIds.current = new Set();
+      setIsProcessing(true);
+    }
+    batchDocumentIds.current.add(id);
+
+    applyStatusUpdate(id, status);
+    subscribeToUpdates([...followedDocumentIds.current, id]);
+  }, [applyStatusUpdate, subscribeToUpdates]);
+
+  // Unlock a PDF waiting in `needs_password`; it resumes processing and joins the current batch
+  const submitPassword = useCallback(async (id: string, password: string) => {
+    const backendId = documentIdMap.current.get(id);
+    if (!backendId) {
+      return;
+    }
+
+    let status: StatusUpdate;
+    try {
+      status = await apiService.submitPassword(backendId, password);
+    } catch (error) {
+      // Show the remaining attempts, or the error once they run out
+      applyStatusUpdate(id, await apiService.getProcessingStatus(backendId));
+      throw error;
+    }
+
+    if (!isProcessingRef.current) {
+      isProcessingRef.current = true;
+      recommendationRequested.current = false;
+      batchDocumentIds.current = new Set();
+      setIsProcessing(true);
+    }
+    batchDocumentIds.current.add(id);
+
+    applyStatusUpdate(id, status);
+    subscribeToUpdates([...followedDocumentIds.current, id]);
+  }, [applyStatusUpdate, subscribeToUpdates]);
+
+  const clearSession = useCallback(() => {
+    // Clear processing flag and live updates
+    finishProcessing();
+    recommendationRequested.current = false;
 
-  const resetAnalysis = useCallback(() => {
-    // Clear processing flag
-    isProcessingRef.current = false;
-    
     // Clear all intervals
     processingIntervals.current.forEach(interval => clearInterval(interval));
     processingIntervals.current.clear();
-    
-    if (completionCheckInterval.current) {
-      clearInterval(completionCheckInterval.current);
-      completionCheckInterval.current = null;
-    }
-    
+
     // Clear ID mapping
     documentIdMap.current.clear();
-    
+
     setDocuments([]);
     setRecommendation(null);
-    setIsProcessing(false);
-  }, []);
+  }, [finishProcessing]);
+
+  // Resume an application: show its documents, follow unfinished ones and load the latest recommendation
+  const openApplication = useCallback(async (applicationId: string) => {
+    try {
+      const application = await apiService.getApplication(applicationId);
+      clearSession();
+
+      activeApplicationRef.current = application;
+      setActiveApplication(application);
+
+      const applicationDocs: DocumentFile[] = application.documents.map(doc => {
+        documentIdMap.current.set(doc.id, doc.id);
+        return {
+          id: doc.id,
+          backendId: doc.id,
+          name: doc.filename,
+          size: doc.size,
+          type: doc.mimetype,
+          status: doc.status,
+          progress: doc.progress,
+          error: doc.error,
+          pages: doc.pages,
+          imageReviews: doc.imageReviews,
+          validationErrors: doc.validationErrors,
+          needsReview: doc.needsReview,
+          disputedFields: doc.disputedFields,
+          parentId: doc.parentId,
+          pageRange: doc.pageRange,
+          documentType: doc.documentType,
+          pageCount: doc.pageCount,
+          split: doc.split,
+          passwordAttemptsRemaining: doc.passwordAttemptsRemaining,
+          extractedData: doc.extractedData
+        };
+      });
+      setDocuments(applicationDocs);
+
+      const unfinishedIds = applicationDocs
+        .filter(doc => doc.status === 'queued' || doc.status === 'processing' || doc.status === 'waiting_for_model')
+        .map(doc => doc.id);
+      subscribeToUpdates(unfinishedIds);
+
+      const latest = application.recommendations[0];
+      if (latest) {
+        setRecommendation(await apiService.getRecommendation(latest.id));
+      }
+    } catch (error) {
+      console.error(`Failed to open application ${applicationId}:`, error);
+      alert(`Failed to open application: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }, [clearSession, subscribeToUpdates]);
+
+  const createApplication = useCallback(async (application: NewLoanApplication) => {
+    const created = await apiService.createApplication(application);
+    await refreshApplications();
+    await openApplication(created.id);
+  }, [refreshApplications, openApplication]);
+
+  const closeApplication = useCallback(() => {
+    clearSession();
+    activeApplicationRef.current = null;
+    setActiveApplication(null);
+    refreshApplications();
+  }, [clearSession, refreshApplications]);
+
+  const archiveApplication = useCallback(async () => {
+    const application = activeApplicationRef.current;
+    if (!application) {
+      return;
+    }
+
+    try {
+      await apiService.archiveApplication(application.id);
+      closeApplication();
+    } catch (error) {
+      console.error(`Failed to archive application ${application.id}:`, error);
+      alert(`Failed to archive application: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }, [closeApplication]);
+
+  // Approve or reject the open application based on its latest recommendation
+  const decideApplication = useCallback(async (decision: 'approved' | 'rejected', notes?: string) => {
+    const application = activeApplicationRef.current;
+    if (!application) {
+      return;
+    }
+
+    const updated = await apiService.decideApplication(application.id, decision, notes);
+    const detail = { ...application, decision: updated.decision };
+    activeApplicationRef.current = detail;
+    setActiveApplication(detail);
+    refreshApplications();
+  }, [refreshApplications]);
 
   return {
     documents,
     recommendation,
     isProcessing,
     backendHealth,
+    healthDetails,
+    applications,
+    activeApplication,
     addDocuments,
     removeDocument,
+    deleteDocument,
+    cancelDocument,
+    adjustSplit,
+    submitPassword,
     processDocuments,
-    resetAnalysis,
+    openApplication,
+    createApplication,
+    closeApplication,
+    archiveApplication,
+    decideApplication,
     checkBackendHealth
   };
-};
\ No newline at end of file
+};
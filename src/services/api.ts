@@ -1,20 +1,143 @@
-import { DocumentFile, CreditRecommendation } from '../types';
+import {
+  DocumentFile,
+  DocumentStatus,
+  CreditRecommendation,
+  ProcessingEvent,
+  PageExtraction,
+  ImageReview,
+  ValidationIssue,
+  DisputedField,
+  DocumentSplit,
+  SplitChild,
+  LoanApplication,
+  LoanApplicationDetail,
+  NewLoanApplication,
+  AuthUser,
+  BackendHealth,
+  ModelTrace
+} from '../types';
+
+const PROCESSING_EVENT_TYPES: ProcessingEvent['type'][] = ['status', 'progress', 'document_error', 'completed', 'split'];
 
 // API configuration
 const API_BASE_URL = import.meta.env.VITE_REACT_APP_API_URL || 'http://localhost:8000';
 
+// Kept for the browser tab only, so closing it signs the user out
+const TOKEN_STORAGE_KEY = 'creditAnalysisToken';
+
 class ApiService {
-  async uploadDocuments(files: File[]): Promise<string[]> {
+  private token: string | null = sessionStorage.getItem(TOKEN_STORAGE_KEY);
+  private unauthorizedHandler: (() => void) | null = null;
+
+  private setToken(token: string | null) {
+    this.token = token;
+    if (token) {
+      sessionStorage.setItem(TOKEN_STORAGE_KEY, token);
+    } else {
+      sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+  }
+
+  // All API calls go through here so the session token is attached and an
+  // expired session sends the user back to the login screen
+  private async request(path: string, init: RequestInit = {}): Promise<Response> {
+    const headers = new Headers(init.headers);
+    if (this.token) {
+      headers.set('Authorization', `Bearer ${this.token}`);
+    }
+
+    const response = await fetch(`${API_BASE_URL}${path}`, { ...init, headers });
+
+    if (response.status === 401 && this.token) {
+      this.setToken(null);
+      this.unauthorizedHandler?.();
+    }
+
+    return response;
+  }
+
+  // EventSource and <img> cannot send headers, so their URLs carry the token
+  private withAccessToken(url: string): string {
+    if (!this.token) {
+      return url;
+    }
+    return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(this.token)}`;
+  }
+
+  onUnauthorized(handler: (() => void) | null) {
+    this.unauthorizedHandler = handler;
+  }
+
+  async login(username: string, password: string): Promise<AuthUser> {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ username, password }),
+    });
+    const result = await this.handleJsonResponse<{ token: string; expires_at: string; user: AuthUser }>(response, 'Sign-in');
+
+    this.setToken(result.token);
+    return result.user;
+  }
+
+  async logout(): Promise<void> {
+    try {
+      await this.request('/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Logout error:', error);
+    } finally {
+      this.setToken(null);
+    }
+  }
+
+  // The signed-in user for a token kept from earlier in this tab, or null
+  async getCurrentUser(): Promise<AuthUser | null> {
+    if (!this.token) {
+      return null;
+    }
+
+    const response = await this.request('/auth/me');
+    if (response.status === 401) {
+      return null;
+    }
+    return this.handleJsonResponse<AuthUser>(response, 'Session check');
+  }
+
+  // Parses a JSON response, turning error responses into an Error with the backend's message
+  private async handleJsonResponse<T>(response: Response, action: string): Promise<T> {
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`${action} error response:`, errorText);
+
+      let errorData;
+      try {
+        errorData = JSON.parse(errorText);
+      } catch {
+        errorData = { error: errorText || `${action} failed` };
+      }
+
+      throw new Error(errorData.error || `${action} failed: ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  async uploadDocuments(files: File[], applicationId?: string): Promise<string[]> {
     try {
       console.log(`Uploading ${files.length} files to backend...`);
       
       const formData = new FormData();
+      if (applicationId) {
+        formData.append('application_id', applicationId);
+      }
       files.forEach(file => {
         formData.append('documents', file);
         console.log(`Added file to FormData: ${file.name} (${file.size} bytes)`);
       });
 
-      const response = await fetch(`${API_BASE_URL}/upload`, {
+      const response = await this.request('/upload', {
         method: 'POST',
         body: formData,
       });
@@ -49,15 +172,17 @@ class ApiService {
     }
   }
 
-  async processDocument(documentId: string): Promise<void> {
+  async processDocument(documentId: string, options: { highAccuracy?: boolean } = {}): Promise<void> {
     try {
       console.log(`Starting processing for document ID: ${documentId}`);
       
-      const response = await fetch(`${API_BASE_URL}/process/${documentId}`, {
+      const response = await this.request(`/process/${documentId}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
+        // Left out unless chosen, so the server's default applies
+        body: JSON.stringify(options.highAccuracy ? { high_accuracy: true } : {}),
       });
 
       console.log(`Process response status: ${response.status}`);
@@ -84,16 +209,74 @@ class ApiService {
     }
   }
 
+  async cancelProcessing(documentId: string): Promise<void> {
+    try {
+      console.log(`Cancelling processing for document ID: ${documentId}`);
+
+      const response = await this.request(`/process/${documentId}/cancel`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error('Cancel error response:', errorText);
+
+        let errorData;
+        try {
+          errorData = JSON.parse(errorText);
+        } catch {
+          errorData = { error: errorText || 'Cancel failed' };
+        }
+
+        throw new Error(errorData.error || `Cancel failed: ${response.statusText}`);
+      }
+
+      const result = await response.json();
+      console.log('Cancellation result:', result);
+    } catch (error) {
+      console.error('Cancel processing error:', error);
+      throw error;
+    }
+  }
+
+  // Before/after images kept by the preprocessor for analyst review
+  getReviewImageUrl(documentId: string, file: string): string {
+    return this.withAccessToken(`${API_BASE_URL}/documents/${documentId}/review-images/${encodeURIComponent(file)}`);
+  }
+
+  // The uploaded file opened at `page`, for following an extracted value back to its source
+  getDocumentFileUrl(documentId: string, page?: number | null): string {
+    const url = this.withAccessToken(`${API_BASE_URL}/documents/${documentId}/file`);
+    return page ? `${url}#page=${page}` : url;
+  }
+
   async getProcessingStatus(documentId: string): Promise<{
     document_id: string;
-    status: 'pending' | 'processing' | 'completed' | 'error';
+    status: DocumentStatus;
     progress: number;
     filename: string;
     error?: string;
+    queue_position?: number | null;
+    password_attempts_remaining?: number;
+    pages?: PageExtraction[];
+    image_reviews?: ImageReview[];
+    validation_errors?: ValidationIssue[];
+    repair_attempts?: number;
+    needs_review?: boolean;
+    disputed_fields?: DisputedField[];
+    parent_id?: string;
+    page_range?: [number, number];
+    document_type?: string;
+    page_count?: number;
+    split?: DocumentSplit;
+    children?: SplitChild[];
     extracted_data?: any;
   }> {
     try {
-      const response = await fetch(`${API_BASE_URL}/status/${documentId}`);
+      const response = await this.request(`/status/${documentId}`);
       
       if (!response.ok) {
         const errorText = await response.text();
@@ -116,16 +299,69 @@ class ApiService {
     }
   }
 
-  async generateCreditRecommendation(documentIds: string[]): Promise<CreditRecommendation> {
+  // Opens a Server-Sent Events stream for the given documents. Calls onUnavailable
+  // (once) when the stream cannot be established so the caller can fall back to polling.
+  subscribeToEvents(
+    documentIds: string[],
+    handlers: {
+      onEvent: (event: ProcessingEvent) => void;
+      onUnavailable: () => void;
+    }
+  ): () => void {
+    if (typeof EventSource === 'undefined') {
+      console.warn('EventSource is not supported in this browser');
+      handlers.onUnavailable();
+      return () => {};
+    }
+
+    const url = this.withAccessToken(`${API_BASE_URL}/events?document_ids=${encodeURIComponent(documentIds.join(','))}`);
+    const source = new EventSource(url);
+    let opened = false;
+
+    const handleMessage = (message: MessageEvent) => {
+      try {
+        handlers.onEvent(JSON.parse(message.data));
+      } catch (error) {
+        console.error('Failed to parse processing event:', error);
+      }
+    };
+
+    PROCESSING_EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, handleMessage as EventListener);
+    });
+
+    source.onopen = () => {
+      opened = true;
+      console.log(`Live updates connected for ${documentIds.length} document(s)`);
+    };
+
+    source.onerror = () => {
+      // EventSource reconnects by itself after a dropped connection; only give up
+      // when the stream never opened or the browser has closed it for good
+      if (!opened || source.readyState === EventSource.CLOSED) {
+        console.warn('Live updates unavailable');
+        source.close();
+        handlers.onUnavailable();
+      }
+    };
+
+    return () => source.close();
+  }
+
+  // Without documentIds the backend analyses every document attached to the application
+  async generateCreditRecommendation(documentIds: string[] | null, applicationId?: string): Promise<CreditRecommendation> {
     try {
-      console.log(`Generating credit recommendation for documents:`, documentIds);
+      console.log(`Generating credit recommendation for documents:`, documentIds, applicationId ? `(application ${applicationId})` : '');
       
-      const response = await fetch(`${API_BASE_URL}/recommend`, {
+      const response = await this.request('/recommend', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ document_ids: documentIds }),
+        body: JSON.stringify({
+          ...(documentIds ? { document_ids: documentIds } : {}),
+          ...(applicationId ? { application_id: applicationId } : {})
+        }),
       });
 
       console.log(`Recommendation response status: ${response.status}`);
@@ -154,6 +390,37 @@ class ApiService {
         hasMultiPeriod: !!result.multiPeriodAnalysis
       });
       
+      return this.validateRecommendation(result);
+    } catch (error) {
+      console.error('Generate credit recommendation error:', error);
+      throw error;
+    }
+  }
+
+  async getRecommendation(recommendationId: string): Promise<CreditRecommendation> {
+    try {
+      const response = await this.request(`/recommendations/${recommendationId}`);
+      const result = await this.handleJsonResponse<CreditRecommendation>(response, 'Recommendation fetch');
+      return this.validateRecommendation(result);
+    } catch (error) {
+      console.error('Get recommendation error:', error);
+      throw error;
+    }
+  }
+
+  // Prompts, raw replies and the model's reasoning behind a recommendation
+  async getRecommendationTraces(recommendationId: string): Promise<ModelTrace[]> {
+    try {
+      const response = await this.request(`/recommendations/${recommendationId}/model-traces`);
+      const result = await this.handleJsonResponse<{ traces: ModelTrace[] }>(response, 'Model trace fetch');
+      return result.traces;
+    } catch (error) {
+      console.error('Get recommendation traces error:', error);
+      throw error;
+    }
+  }
+
+  private validateRecommendation(result: Partial<CreditRecommendation>): CreditRecommendation {
       // Validate recommendation structure
       if (!result.score && !result.recommendation) {
         console.error('Invalid recommendation response:', result);
@@ -162,15 +429,16 @@ class ApiService {
       
       // Ensure required fields have fallback values
       const validatedResult: CreditRecommendation = {
+        recommendationId: result.recommendationId,
         score: result.score || 500,
         recommendation: result.recommendation || 'decline',
         riskLevel: result.riskLevel || 'high',
         creditLimit: result.creditLimit || 0,
-        interestRate: result.interestRate || null,
+        interestRate: result.interestRate,
         
-        businessOverview: result.businessOverview || null,
-        financialAnalysis: result.financialAnalysis || null,
-        creditRiskAssessment: result.creditRiskAssessment || null,
+        businessOverview: result.businessOverview,
+        financialAnalysis: result.financialAnalysis,
+        creditRiskAssessment: result.creditRiskAssessment,
         
         keyStrengths: result.keyStrengths || [],
         keyWeaknesses: result.keyWeaknesses || [],
@@ -180,34 +448,184 @@ class ApiService {
         reasons: result.reasons || [],
         conditions: result.conditions || [],
         
-        executiveSummary: result.executiveSummary || null,
+        executiveSummary: result.executiveSummary,
+        prompts: result.prompts || [],
         confidenceLevel: result.confidenceLevel || 0.5,
         analysisDate: result.analysisDate || new Date().toISOString(),
         documentsAnalyzed: result.documentsAnalyzed || 0,
         
-        documentSummary: result.documentSummary || null,
-        financialMetrics: result.financialMetrics || null,
+        documentSummary: result.documentSummary,
+        financialMetrics: result.financialMetrics,
         
         // New fields
-        groupedFinancialData: result.groupedFinancialData || null,
-        financialTrends: result.financialTrends || null,
-        multiPeriodAnalysis: result.multiPeriodAnalysis || null
+        groupedFinancialData: result.groupedFinancialData,
+        financialTrends: result.financialTrends,
+        multiPeriodAnalysis: result.multiPeriodAnalysis
       };
       
       return validatedResult;
+  }
+
+  async listApplications(): Promise<LoanApplication[]> {
+    try {
+      const response = await this.request('/applications');
+      const result = await this.handleJsonResponse<{ applications: LoanApplication[] }>(response, 'Application list');
+      return result.applications;
     } catch (error) {
-      console.error('Generate credit recommendation error:', error);
+      console.error('List applications error:', error);
       throw error;
     }
   }
 
-  async checkHealth(): Promise<{
-    status: string;
-    timestamp: string;
-    ollama?: string;
-    models?: string;
-    error?: string;
-  }> {
+  async createApplication(application: NewLoanApplication): Promise<LoanApplication> {
+    try {
+      console.log(`Creating application for ${application.applicantName}`);
+
+      const response = await this.request('/applications', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          applicant_name: application.applicantName,
+          company_name: application.companyName,
+          requested_amount: application.requestedAmount,
+          tenor_months: application.tenorMonths,
+          purpose: application.purpose,
+          notes: application.notes
+        }),
+      });
+
+      return await this.handleJsonResponse<LoanApplication>(response, 'Application create');
+    } catch (error) {
+      console.error('Create application error:', error);
+      throw error;
+    }
+  }
+
+  async getApplication(applicationId: string): Promise<LoanApplicationDetail> {
+    try {
+      const response = await this.request(`/applications/${applicationId}`);
+      return await this.handleJsonResponse<LoanApplicationDetail>(response, 'Application fetch');
+    } catch (error) {
+      console.error('Get application error:', error);
+      throw error;
+    }
+  }
+
+  async archiveApplication(applicationId: string): Promise<LoanApplication> {
+    try {
+      const response = await this.request(`/applications/${applicationId}/archive`, {
+        method: 'POST',
+      });
+      return await this.handleJsonResponse<LoanApplication>(response, 'Application archive');
+    } catch (error) {
+      console.error('Archive application error:', error);
+      throw error;
+    }
+  }
+
+  async decideApplication(applicationId: string, decision: 'approved' | 'rejected', notes?: string): Promise<LoanApplication> {
+    try {
+      const response = await this.request(`/applications/${applicationId}/decision`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ decision, notes }),
+      });
+      return await this.handleJsonResponse<LoanApplication>(response, 'Application decision');
+    } catch (error) {
+      console.error('Decide application error:', error);
+      throw error;
+    }
+  }
+
+  async attachDocuments(applicationId: string, documentIds: string[]): Promise<LoanApplication> {
+    try {
+      const response = await this.request(`/applications/${applicationId}/documents`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ document_ids: documentIds }),
+      });
+      return await this.handleJsonResponse<LoanApplication>(response, 'Document attach');
+    } catch (error) {
+      console.error('Attach documents error:', error);
+      throw error;
+    }
+  }
+
+  async detachDocument(applicationId: string, documentId: string): Promise<LoanApplication> {
+    try {
+      const response = await this.request(`/applications/${applicationId}/documents/${documentId}`, {
+        method: 'DELETE',
+      });
+      return await this.handleJsonResponse<LoanApplication>(response, 'Document detach');
+    } catch (error) {
+      console.error('Detach document error:', error);
+      throw error;
+    }
+  }
+
+  // Permanently deletes the document, its file and the recommendations based on it
+  async deleteDocument(documentId: string): Promise<{ deleted_document_ids: string[]; deleted_recommendation_ids: string[] }> {
+    try {
+      const response = await this.request(`/documents/${documentId}`, {
+        method: 'DELETE',
+      });
+      return await this.handleJsonResponse(response, 'Document delete');
+    } catch (error) {
+      console.error('Delete document error:', error);
+      throw error;
+    }
+  }
+
+  // Re-split a PDF upload; each segment becomes a document and is queued for processing
+  async updateSplit(
+    documentId: string,
+    segments: { startPage: number; endPage: number; documentType: string }[]
+  ): Promise<ProcessingEvent> {
+    try {
+      const response = await this.request(`/documents/${documentId}/split`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          segments: segments.map(segment => ({
+            start_page: segment.startPage,
+            end_page: segment.endPage,
+            document_type: segment.documentType
+          }))
+        }),
+      });
+      return await this.handleJsonResponse<ProcessingEvent>(response, 'Split update');
+    } catch (error) {
+      console.error('Update split error:', error);
+      throw error;
+    }
+  }
+
+  // Unlocks a document in `needs_password` and queues it again; a wrong password rejects with the server's message
+  async submitPassword(documentId: string, password: string): Promise<ProcessingEvent> {
+    try {
+      const response = await this.request(`/documents/${documentId}/password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ password }),
+      });
+      return await this.handleJsonResponse<ProcessingEvent>(response, 'Password submission');
+    } catch (error) {
+      console.error('Submit password error:', error instanceof Error ? error.message : error);
+      throw error;
+    }
+  }
+
+  async checkHealth(): Promise<BackendHealth> {
     try {
       console.log('Checking backend health...');
       
@@ -237,7 +655,7 @@ class ApiService {
     }>;
   }> {
     try {
-      const response = await fetch(`${API_BASE_URL}/documents`);
+      const response = await this.request('/documents');
       
       if (!response.ok) {
         throw new Error(`Failed to get documents: ${response.statusText}`);
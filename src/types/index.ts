@@ -1,13 +1,256 @@
+export type DocumentStatus =
+  | 'pending'
+  | 'queued'
+  | 'processing'
+  | 'completed'
+  | 'error'
+  | 'interrupted'
+  | 'cancelled'
+  | 'split'
+  | 'needs_password'
+  // The model server is down; processing resumes on its own once it responds again
+  | 'waiting_for_model';
+
+// Statuses after which the backend will not update a document on its own
+export const FINAL_DOCUMENT_STATUSES: DocumentStatus[] = ['completed', 'error', 'interrupted', 'cancelled', 'split', 'needs_password'];
+
+// Types a page can be classified as and a combined PDF split into (see backend/services/documentTypes.js)
+export const SPLIT_DOCUMENT_TYPES = [
+  'Deed of Establishment',
+  'Director and Shareholder List',
+  'Profit and Loss Statement',
+  'Balance Sheet',
+  'Cash Flow Statement',
+  'Bank Statement',
+  'Credit History Report',
+  'Tax Returns',
+  'Financial Reports',
+  'Unknown'
+];
+
 export interface DocumentFile {
   id: string;
-  file: File;
+  file?: File; // Missing for documents resumed from a saved application
+  backendId?: string;
   name: string;
   size: number;
   type: string;
-  status: 'pending' | 'processing' | 'completed' | 'error';
+  status: DocumentStatus;
+  progress: number;
+  extractedData?: ExtractedData;
+  error?: string;
+  pages?: PageExtraction[];
+  imageReviews?: ImageReview[];
+  validationErrors?: ValidationIssue[]; // Schema errors left after repair prompts
+  needsReview?: boolean; // Set when high-accuracy runs disagreed on a number
+  disputedFields?: DisputedField[];
+  parentId?: string; // Set on documents split off a combined PDF
+  pageRange?: [number, number];
+  documentType?: string;
+  pageCount?: number;
+  split?: DocumentSplit; // Set on the combined PDF itself
+  passwordAttemptsRemaining?: number; // Set while the PDF waits for its password
+}
+
+// How a combined PDF was divided into documents, automatically or by an analyst
+export interface DocumentSplit {
+  method: 'automatic' | 'manual';
+  splitAt: string;
+  segments: {
+    pageRange: [number, number];
+    documentType: string;
+    confidence: number | null;
+    documentId: string;
+  }[];
+}
+
+// A page image that went through preprocessing; `before`/`after` are served from
+// /documents/:id/review-images/:file
+export interface ImageReview {
+  name: string;
+  pageNumbers: number[];
+  steps: string[];
+  before: string | null;
+  after: string | null;
+  confidence: number;
+  retried: boolean;
+  retryConfidence?: number;
+  used: 'original' | 'enhanced';
+}
+
+// A field in a model reply that still did not match the extraction schema after the
+// repair prompts; `path` is a JSON Pointer into the extracted data
+export interface ValidationIssue {
+  path: string;
+  message: string;
+  pageNumbers: number[];
+  extractionPath: 'text' | 'vision';
+}
+
+// A number the runs of a high-accuracy extraction read differently; `path` is the dotted
+// path of the value in the extracted data and `chosen` the value kept
+export interface DisputedField {
+  path: string;
+  pageNumbers: number[];
+  values: number[];
+  chosen: number;
+  method: 'majority' | 'median';
+  agreement: number; // Share of the runs that read the chosen value
+}
+
+export interface SplitChild {
+  document_id: string;
+  filename: string;
+  status: DocumentStatus;
+  progress: number;
+  page_range: [number, number];
+  document_type: string;
+}
+
+// Which extraction path a page took: its PDF text layer, the vision model, or neither
+export interface PageExtraction {
+  page: number;
+  extractionPath: 'text' | 'vision' | 'skipped';
+  characters?: number;
+  reason?: string;
+  documentType?: string; // First-pass classification that chose the extractor
+  classifiedBy?: 'split' | 'keywords' | 'model' | 'none';
+}
+
+export interface LoanApplication {
+  id: string;
+  applicantName: string;
+  companyName?: string | null;
+  requestedAmount: number;
+  tenorMonths: number;
+  purpose: string;
+  notes?: string | null;
+  status: 'open' | 'archived';
+  documentIds: string[];
+  recommendationIds: string[];
+  createdAt: string;
+  updatedAt: string;
+  archivedAt?: string;
+  documentCount?: number;
+  latestRecommendationId?: string | null;
+  decision?: ApplicationDecision;
+}
+
+export interface ApplicationDecision {
+  decision: 'approved' | 'rejected';
+  notes?: string | null;
+  recommendationId: string;
+  decidedBy: string;
+  decidedByName: string;
+  decidedAt: string;
+}
+
+export type UserRole = 'uploader' | 'analyst' | 'approver' | 'admin';
+
+export interface AuthUser {
+  id: string;
+  username: string;
+  displayName: string;
+  role: UserRole;
+  team?: string | null;
+  permissions: string[];
+}
+
+// Mirrors the role permissions in backend/services/authService.js
+export const hasPermission = (user: AuthUser, permission: string) =>
+  user.permissions.includes('*') || user.permissions.includes(permission);
+
+// Model providers and per-task models reported by /health
+export interface ModelProviderStatus {
+  name: string;
+  type: 'ollama' | 'openai';
+  url: string;
+  status: 'connected' | 'disconnected';
+  error: string | null;
+}
+
+export interface TaskModelStatus {
+  task: 'vision' | 'text_extraction' | 'analysis';
+  provider: string;
+  model: string;
+  available: boolean;
+}
+
+export interface BackendHealth {
+  status: string;
+  timestamp: string;
+  providers?: ModelProviderStatus[];
+  models?: TaskModelStatus[];
+  error?: string;
+}
+
+export interface NewLoanApplication {
+  applicantName: string;
+  companyName?: string;
+  requestedAmount: number;
+  tenorMonths: number;
+  purpose: string;
+  notes?: string;
+}
+
+export interface ApplicationDocument {
+  id: string;
+  filename: string;
+  mimetype: string;
+  size: number;
+  status: DocumentStatus;
   progress: number;
+  uploadedAt: string;
+  error?: string;
+  pages?: PageExtraction[];
+  imageReviews?: ImageReview[];
+  validationErrors?: ValidationIssue[];
+  needsReview?: boolean;
+  disputedFields?: DisputedField[];
+  parentId?: string;
+  pageRange?: [number, number];
+  documentType?: string;
+  pageCount?: number;
+  split?: DocumentSplit;
+  passwordAttemptsRemaining?: number;
   extractedData?: ExtractedData;
+}
+
+export interface RecommendationSummary {
+  id: string;
+  createdAt: string;
+  documentIds: string[];
+  score: number;
+  recommendation: CreditRecommendation['recommendation'];
+  riskLevel: CreditRecommendation['riskLevel'];
+}
+
+export interface LoanApplicationDetail extends LoanApplication {
+  documents: ApplicationDocument[];
+  recommendations: RecommendationSummary[];
+}
+
+export interface ProcessingEvent {
+  type: 'status' | 'progress' | 'document_error' | 'completed' | 'split';
+  timestamp: string;
+  document_id: string;
+  status: DocumentStatus;
+  progress: number;
+  filename: string;
   error?: string;
+  queue_position?: number | null;
+  password_attempts_remaining?: number;
+  pages?: PageExtraction[];
+  image_reviews?: ImageReview[];
+  page?: number;
+  total_pages?: number;
+  extracted_data?: ExtractedData;
+  parent_id?: string;
+  page_range?: [number, number];
+  document_type?: string;
+  page_count?: number;
+  split?: DocumentSplit;
+  children?: SplitChild[];
 }
 
 export interface ExtractedData {
@@ -55,10 +298,85 @@ export interface ExtractedData {
       period?: string;
     };
   };
+  // Fields specific to the document type, e.g. deedNumber and notaryName for a deed
+  documentDetails?: Record<string, string | number | Array<Record<string, string | number | null>>>;
+  prompts?: PromptReference[];
+  // Where each value was read, by dotted path such as 'financialInfo.profitLoss.revenue'
+  provenance?: Record<string, FieldProvenance>;
   extractionDate: string;
   confidence: number;
 }
 
+export interface FieldProvenance {
+  documentId: string;
+  // Page number in the uploaded file; null when unknown, as for Word files
+  page: number | null;
+  // [left, top, right, bottom] as fractions of the page, only for values found in a text layer
+  boundingBox: [number, number, number, number] | null;
+  confidence: number | null;
+  source: 'text_layer' | 'model' | 'parser';
+  located: boolean | null;
+  agreement?: number; // Share of high-accuracy runs that read this value
+}
+
+// The prompt template version a result was produced with; the hash finds its exact text
+export interface PromptReference {
+  id: string;
+  version: number;
+  hash: string;
+}
+
+// One request to a model and its raw reply; a reply that failed schema validation is
+// followed by a repair request
+export interface ModelCall {
+  startedAt: string;
+  latencyMs: number;
+  prompt: string;
+  response: string;
+  reasoning: string | null; // <think> blocks or the server's separate reasoning, split off the JSON
+  promptTokens: number | null;
+  responseTokens: number | null;
+  validationErrors: Array<{ path: string; message: string }>;
+  run?: number; // Which run of a high-accuracy extraction the request belongs to
+}
+
+// The sections the credit insights are summarised in before the final synthesis
+export type InsightSection = 'businessProfile' | 'profitLoss' | 'balanceSheet' | 'bankBehaviour' | 'creditHistory';
+
+// The token budget of a credit insights prompt, and the list entries left out to fit it
+export interface InsightsBudget {
+  budgetTokens: number;
+  estimatedTokens: number;
+  omitted: Record<string, number>;
+}
+
+// The model calls behind an extraction or a recommendation, from GET /documents/:id/model-traces
+// and GET /recommendations/:id/model-traces
+export interface ModelTrace {
+  id: string;
+  kind: 'image_extraction' | 'text_extraction' | 'insights_section' | 'credit_insights';
+  section?: InsightSection; // For the summary of one section of the credit insights
+  budget?: InsightsBudget;
+  documentId?: string;
+  recommendationId?: string;
+  pageNumbers?: number[];
+  documentType?: string;
+  task: string;
+  provider: string;
+  model: string;
+  modelDigest: string | null;
+  options: { temperature?: number; topP?: number; maxTokens?: number; contextTokens?: number } | null;
+  images: Array<{ sha256: string; bytes: number }>;
+  image?: 'original' | 'enhanced'; // Set when a low-confidence page was retried on the enhanced image
+  discarded?: boolean; // The retry attempt whose result was not used
+  consensus?: { temperatures: number[]; runs: number; usableRuns: number; disagreements: Record<string, Omit<DisputedField, 'path' | 'pageNumbers'>> };
+  prompts: PromptReference[];
+  reasoning: string | null;
+  latencyMs: number;
+  calls: ModelCall[];
+  createdAt: string;
+}
+
 export interface BankStatement {
   accountNumber: string;
   accountType: string;
@@ -107,6 +425,7 @@ export interface ProfitLossStatement {
   extractionDate: string;
   confidence: number;
   companyName: string;
+  provenance?: Partial<Record<'period' | 'revenue' | 'expenses' | 'netIncome', FieldProvenance>>;
 }
 
 export interface BalanceSheetStatement {
@@ -120,6 +439,7 @@ export interface BalanceSheetStatement {
   extractionDate: string;
   confidence: number;
   companyName: string;
+  provenance?: Partial<Record<'asOfDate' | 'totalAssets' | 'totalLiabilities' | 'equity', FieldProvenance>>;
 }
 
 export interface BankStatementSummary {
@@ -136,6 +456,7 @@ export interface BankStatementSummary {
   confidence: number;
   companyName: string;
   transactions: Transaction[];
+  provenance?: Partial<Record<'period' | 'accountNumber' | 'balance' | 'openingBalance' | 'closingBalance', FieldProvenance>>;
 }
 
 export interface CreditReport {
@@ -148,6 +469,7 @@ export interface CreditReport {
   extractionDate: string;
   confidence: number;
   companyName: string;
+  provenance?: Partial<Record<'creditScore', FieldProvenance>>;
 }
 
 export interface CashFlowStatement {
@@ -160,6 +482,7 @@ export interface CashFlowStatement {
   extractionDate: string;
   confidence: number;
   companyName: string;
+  provenance?: Partial<Record<'period' | 'operatingCashFlow' | 'investingCashFlow' | 'financingCashFlow', FieldProvenance>>;
 }
 
 export interface OtherDocument {
@@ -187,6 +510,7 @@ export interface MultiPeriodAnalysis {
 }
 
 export interface CreditRecommendation {
+  recommendationId?: string;
   score: number;
   recommendation: 'approve' | 'conditional' | 'decline';
   riskLevel: 'low' | 'medium' | 'high';
@@ -226,6 +550,7 @@ export interface CreditRecommendation {
   
   // Summary and metadata
   executiveSummary?: string;
+  prompts?: PromptReference[];
   confidenceLevel?: number;
   analysisDate: string;
   documentsAnalyzed: number;